@@ -16,6 +16,11 @@ import careerAgentRouter from './routes/careerAgent.js';
 import connectionsRouter from './routes/connections.js';
 import conversationsRouter from './routes/conversations.js';
 import coverletterRouter from './routes/coverLetter.js';
+import publicProfileRouter from './routes/publicProfile.js';
+import recommendationsRouter from './routes/recommendations.js';
+import taxonomyRouter from './routes/taxonomy.js';
+import storage from './services/storageService.js';
+import { startAccountDeletionSweeper } from './utils/accountStatus.js';
 
 dotenv.config();
 
@@ -88,6 +93,12 @@ mongoose.connect(MONGODB_URI, {
 // Swagger documentation
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(specs));
 
+// Files stored by the local storage driver are served by the API itself, at the path of
+// their public URL; with S3 they are served by the media CDN
+if (storage.driver === 'local') {
+  app.use(new URL(storage.publicUrl).pathname, storage.requestHandler());
+}
+
 // Routes
 app.use('/api/userprofile', userProfileRouter);
 app.use('/api/verification', verificationRouter);
@@ -95,6 +106,9 @@ app.use('/api/resume', resumeRouter);
 app.use('/api/connections', connectionsRouter);
 app.use('/api/conversations', conversationsRouter);
 app.use('/api/coverLetter', coverletterRouter);
+app.use('/api/public', publicProfileRouter);
+app.use('/api/recommendations', recommendationsRouter);
+app.use('/api/taxonomy', taxonomyRouter);
 
 app.get('/api/health', (req, res) => {
   res.json({
@@ -121,6 +135,12 @@ if (process.env.NODE_ENV !== 'test') {
     console.log(`🚀 User Profile API running on port ${PORT}`);
     console.log(`📚 API Documentation: http://localhost:${PORT}/api-docs`);
   });
+
+  // Erase accounts whose deletion grace period has ended; set ACCOUNT_DELETION_SWEEPER=off where
+  // scripts/sweepAccountDeletions.js runs from a scheduler instead
+  if (process.env.ACCOUNT_DELETION_SWEEPER !== 'off') {
+    startAccountDeletionSweeper();
+  }
 }
 
 export default app;
\ No newline at end of file
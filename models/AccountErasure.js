@@ -0,0 +1,88 @@
+import mongoose from 'mongoose';
+
+// Progress of an erasure; partial when some stored files could not be deleted and need a retry,
+// failed when a step went wrong before the erasure finished
+export const ACCOUNT_ERASURE_STATUSES = ['inProgress', 'completed', 'partial', 'failed'];
+
+/**
+ * Audit record of an account erasure. It keeps the erased userId, who asked for the erasure and
+ * what was removed, but no personal data from the erased records.
+ */
+const accountErasureSchema = new mongoose.Schema({
+  erasureId: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => new mongoose.Types.ObjectId().toString()
+  },
+  userId: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  requestedBy: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  requestedByRole: {
+    type: String,
+    enum: ['self', 'admin', 'system'],
+    required: true
+  },
+  reason: {
+    type: String,
+    maxLength: 500
+  },
+  status: {
+    type: String,
+    enum: ACCOUNT_ERASURE_STATUSES,
+    required: true
+  },
+  deleted: {
+    type: Map,
+    of: Number,
+    description: 'Records deleted per collection'
+  },
+  anonymized: {
+    type: Map,
+    of: Number,
+    description: 'Records kept for other users with the erased user replaced by a placeholder'
+  },
+  deletedFiles: {
+    type: Number,
+    default: 0
+  },
+  // Storage keys that could not be deleted
+  failedFiles: [{
+    type: String
+  }],
+  error: {
+    type: String,
+    maxLength: 500,
+    description: 'Why a failed erasure stopped'
+  },
+  startedAt: {
+    type: Date,
+    required: true
+  },
+  completedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+accountErasureSchema.index({ userId: 1 });
+accountErasureSchema.index({ createdAt: -1 });
+
+// Hide internal fields in API responses
+accountErasureSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+export default mongoose.model('AccountErasure', accountErasureSchema);
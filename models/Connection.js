@@ -1,5 +1,20 @@
 import mongoose from 'mongoose';
 
+// Profile fields a career agent may be allowed to edit, grouped into the scopes a candidate grants
+export const AGENT_EDIT_SCOPES = {
+  headline: ['headline'],
+  summary: ['summary'],
+  experience: ['experience'],
+  education: ['education'],
+  skills: ['skills'],
+  languages: ['languages'],
+  certifications: ['certifications'],
+  photos: ['profilePictureUrl', 'profilePictureVariants', 'backgroundPictureUrl', 'backgroundPictureVariants']
+};
+
+// Scopes granted to a career agent connection that has no explicit permissions
+export const DEFAULT_AGENT_EDIT_SCOPES = ['summary', 'experience', 'skills', 'photos'];
+
 const connectionSchema = new mongoose.Schema({
   careerAgentId: {
     type: String,
@@ -36,9 +51,14 @@ const connectionSchema = new mongoose.Schema({
   },
   relationshipStatus: {
     type: String,
-    enum: ['active', 'inactive', 'pending', 'proposed', 'requested', 'rejected'],
+    enum: ['active', 'inactive', 'pending', 'proposed', 'requested', 'rejected', 'paused'],
     default: 'active'
   },
+  pausedBy: {
+    type: [String],
+    default: undefined,
+    description: 'Users whose deactivated account paused this active connection; it resumes when none are left'
+  },
   startDate: {
     type: Date,
     default: Date.now
@@ -50,6 +70,14 @@ const connectionSchema = new mongoose.Schema({
   message: {
     type: String,
     maxlength: 1000
+  },
+  editPermissions: {
+    type: [{
+      type: String,
+      enum: Object.keys(AGENT_EDIT_SCOPES)
+    }],
+    default: undefined,
+    description: 'Profile edit scopes the candidate grants a careerAgent connection; unset means the default scopes'
   }
 }, {
   timestamps: true
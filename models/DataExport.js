@@ -0,0 +1,74 @@
+import mongoose from 'mongoose';
+
+// Lifecycle of a "download all my data" job
+export const DATA_EXPORT_STATUSES = ['pending', 'processing', 'ready', 'failed'];
+
+// Finished archives can be downloaded for this long before the job and its file are removed
+export const DATA_EXPORT_RETENTION_SECONDS = 7 * 24 * 60 * 60;
+
+const dataExportSchema = new mongoose.Schema({
+  exportId: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => new mongoose.Types.ObjectId().toString()
+  },
+  userId: {
+    type: String,
+    required: true,
+    trim: true,
+    ref: 'UserProfile',
+    description: 'User whose data is exported'
+  },
+  requestedBy: {
+    type: String,
+    required: true,
+    trim: true,
+    description: 'The owner, or an admin acting on their behalf'
+  },
+  status: {
+    type: String,
+    enum: DATA_EXPORT_STATUSES,
+    default: 'pending'
+  },
+  archiveKey: {
+    type: String,
+    description: 'Storage key of the ZIP archive once ready'
+  },
+  archiveSize: {
+    type: Number
+  },
+  contents: {
+    type: Map,
+    of: Number,
+    description: 'Number of records exported per collection, and files copied from storage'
+  },
+  error: {
+    type: String,
+    maxLength: 500
+  },
+  completedAt: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + DATA_EXPORT_RETENTION_SECONDS * 1000)
+  }
+}, {
+  timestamps: true
+});
+
+dataExportSchema.index({ userId: 1, createdAt: -1 });
+dataExportSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Hide internal fields in API responses
+dataExportSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret._id;
+    delete ret.__v;
+    delete ret.archiveKey;
+    return ret;
+  }
+});
+
+export default mongoose.model('DataExport', dataExportSchema);
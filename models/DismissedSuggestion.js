@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+
+const dismissedSuggestionSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    trim: true,
+    ref: 'UserProfile'
+  },
+  dismissedUserId: {
+    type: String,
+    required: true,
+    trim: true,
+    ref: 'UserProfile'
+  },
+  dismissedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// A user dismisses a given suggestion at most once
+dismissedSuggestionSchema.index({ userId: 1, dismissedUserId: 1 }, { unique: true });
+
+export default mongoose.model('DismissedSuggestion', dismissedSuggestionSchema);
@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+import { profileChangeSchema } from './ProfileRevision.js';
+
+const profileEditProposalSchema = new mongoose.Schema({
+  proposalId: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => new mongoose.Types.ObjectId().toString()
+  },
+  userId: {
+    type: String,
+    required: true,
+    trim: true,
+    ref: 'UserProfile',
+    description: 'Candidate whose profile the edit applies to'
+  },
+  careerAgentId: {
+    type: String,
+    required: true,
+    trim: true,
+    ref: 'UserProfile'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  updates: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+    description: 'Proposed values of the changed top-level profile fields'
+  },
+  base: {
+    type: mongoose.Schema.Types.Mixed,
+    description: 'Values of the same fields when the edit was proposed, used to detect conflicting changes'
+  },
+  changes: [profileChangeSchema],
+  reviewedBy: {
+    type: String,
+    trim: true
+  },
+  reviewedAt: {
+    type: Date
+  },
+  reviewNote: {
+    type: String,
+    maxlength: 1000
+  }
+}, {
+  timestamps: true
+});
+
+profileEditProposalSchema.index({ userId: 1, status: 1, createdAt: -1 });
+profileEditProposalSchema.index({ careerAgentId: 1, status: 1 });
+
+// Hide internal fields in API responses
+profileEditProposalSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+export default mongoose.model('ProfileEditProposal', profileEditProposalSchema);
@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+
+// Sources a profile can be imported from
+export const PROFILE_IMPORT_SOURCES = ['linkedin', 'jsonResume'];
+
+// Parsed imports wait this long for the user to review and apply them
+export const PROFILE_IMPORT_RETENTION_SECONDS = 24 * 60 * 60;
+
+const profileImportSchema = new mongoose.Schema({
+  importId: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => new mongoose.Types.ObjectId().toString()
+  },
+  userId: {
+    type: String,
+    required: true,
+    trim: true,
+    ref: 'UserProfile',
+    description: 'Profile the data will be imported into'
+  },
+  importedBy: {
+    type: String,
+    required: true,
+    trim: true,
+    ref: 'UserProfile'
+  },
+  source: {
+    type: String,
+    required: true,
+    enum: PROFILE_IMPORT_SOURCES
+  },
+  fileName: {
+    type: String,
+    trim: true,
+    maxLength: 255
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+    description: 'Profile fields and sections read from the upload, not yet applied'
+  }
+}, {
+  timestamps: true
+});
+
+profileImportSchema.index({ userId: 1, createdAt: -1 });
+profileImportSchema.index({ createdAt: 1 }, { expireAfterSeconds: PROFILE_IMPORT_RETENTION_SECONDS });
+
+// Hide internal fields in API responses
+profileImportSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+export default mongoose.model('ProfileImport', profileImportSchema);
@@ -0,0 +1,123 @@
+import mongoose from 'mongoose';
+import { diffProfiles } from '../utils/profileDiff.js';
+
+// One field-level change, as produced by diffProfiles()
+export const profileChangeSchema = new mongoose.Schema({
+  path: { type: String, required: true },
+  op: {
+    type: String,
+    enum: ['added', 'removed', 'changed', 'reordered'],
+    required: true
+  },
+  before: { type: mongoose.Schema.Types.Mixed },
+  after: { type: mongoose.Schema.Types.Mixed }
+}, { _id: false });
+
+const profileRevisionSchema = new mongoose.Schema({
+  revisionId: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => new mongoose.Types.ObjectId().toString()
+  },
+  userId: {
+    type: String,
+    required: true,
+    trim: true,
+    ref: 'UserProfile'
+  },
+  revision: {
+    type: Number,
+    required: true,
+    description: 'Sequence number of the revision within the profile, starting at 1'
+  },
+  action: {
+    type: String,
+    enum: ['baseline', 'create', 'update', 'restore'],
+    default: 'update'
+  },
+  editorId: {
+    type: String,
+    trim: true
+  },
+  editorRole: {
+    type: String,
+    enum: ['self', 'careerAgent', 'admin', 'system'],
+    required: true
+  },
+  changes: [profileChangeSchema],
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    select: false,
+    description: 'Full versioned profile content after this revision, used for diffs and restores'
+  },
+  restoredFrom: {
+    type: String,
+    description: 'revisionId that was restored, for restore revisions'
+  },
+  proposalId: {
+    type: String,
+    description: 'Career agent edit proposal applied by this revision'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+profileRevisionSchema.index({ userId: 1, revision: -1 }, { unique: true });
+
+/**
+ * Record a profile change as a new revision.
+ * The first time a profile is versioned, its state before the change is kept as a
+ * baseline revision so the change itself can be undone.
+ * @param {Object} params
+ * @param {string} params.userId - Owner of the profile.
+ * @param {Object} params.before - Snapshot before the change (null for a new profile).
+ * @param {Object} params.after - Snapshot after the change.
+ * @param {{userId: string, role: string}} params.editor - Who made the change and in which role.
+ * @param {string} [params.action='update']
+ * @param {string} [params.restoredFrom]
+ * @param {string} [params.proposalId]
+ * @returns {Promise<Object|null>} The revision, or null when nothing changed.
+ */
+profileRevisionSchema.statics.record = async function({ userId, before, after, editor, action = 'update', restoredFrom, proposalId }) {
+  const changes = diffProfiles(before, after);
+  if (changes.length === 0 && action !== 'create') return null;
+
+  const latest = await this.findOne({ userId }).sort({ revision: -1 }).select('revision');
+  let revision = latest ? latest.revision : 0;
+
+  if (!latest && before) {
+    revision += 1;
+    await this.create({
+      userId,
+      revision,
+      action: 'baseline',
+      editorRole: 'system',
+      changes: [],
+      snapshot: before
+    });
+  }
+
+  return this.create({
+    userId,
+    revision: revision + 1,
+    action,
+    editorId: editor.userId,
+    editorRole: editor.role,
+    changes,
+    snapshot: after,
+    restoredFrom,
+    proposalId
+  });
+};
+
+// Hide internal fields in API responses
+profileRevisionSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+export default mongoose.model('ProfileRevision', profileRevisionSchema);
@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+// Where a profile view came from
+export const PROFILE_VIEW_SOURCES = ['profile', 'search', 'connections', 'suggestions', 'public'];
+
+// Views are kept for a year
+const PROFILE_VIEW_RETENTION_SECONDS = 365 * 24 * 60 * 60;
+
+const profileViewSchema = new mongoose.Schema({
+  profileUserId: {
+    type: String,
+    required: true,
+    trim: true,
+    ref: 'UserProfile'
+  },
+  viewerId: {
+    type: String,
+    trim: true,
+    ref: 'UserProfile',
+    description: 'Viewing user; unset for anonymous and public page views'
+  },
+  anonymous: {
+    type: Boolean,
+    default: false
+  },
+  viewerIndustry: {
+    type: String,
+    description: 'Industry of the viewer at the time of the view, if they showed it publicly; kept for aggregation'
+  },
+  viewerCompany: {
+    type: String,
+    description: 'Company of the viewer at the time of the view, if they showed it publicly; kept for aggregation'
+  },
+  source: {
+    type: String,
+    enum: PROFILE_VIEW_SOURCES,
+    default: 'profile'
+  },
+  viewedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+profileViewSchema.index({ profileUserId: 1, viewedAt: -1 });
+profileViewSchema.index({ profileUserId: 1, viewerId: 1, viewedAt: -1 });
+profileViewSchema.index({ viewedAt: 1 }, { expireAfterSeconds: PROFILE_VIEW_RETENTION_SECONDS });
+
+export default mongoose.model('ProfileView', profileViewSchema);
@@ -0,0 +1,84 @@
+import mongoose from 'mongoose';
+
+// requested -> written -> accepted | hidden, with revisionRequested looping back to written
+export const RECOMMENDATION_STATUSES = ['requested', 'written', 'revisionRequested', 'accepted', 'hidden', 'declined'];
+
+const recommendationRequestSchema = new mongoose.Schema({
+  requestId: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => new mongoose.Types.ObjectId().toString()
+  },
+  requesterId: {
+    type: String,
+    required: true,
+    trim: true,
+    ref: 'UserProfile',
+    description: 'User asking for the recommendation, whose profile it goes on'
+  },
+  recommenderId: {
+    type: String,
+    required: true,
+    trim: true,
+    ref: 'UserProfile'
+  },
+  relationship: {
+    type: String,
+    trim: true,
+    maxLength: 100,
+    description: 'How the two users know each other, e.g. "Managed Jane at Acme"'
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxLength: 1000,
+    description: 'Note from the requester to the recommender'
+  },
+  text: {
+    type: String,
+    trim: true,
+    maxLength: 2000
+  },
+  status: {
+    type: String,
+    enum: RECOMMENDATION_STATUSES,
+    default: 'requested'
+  },
+  revisionNote: {
+    type: String,
+    trim: true,
+    maxLength: 1000
+  },
+  writtenAt: {
+    type: Date
+  },
+  acceptedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+recommendationRequestSchema.index({ requesterId: 1, status: 1 });
+recommendationRequestSchema.index({ recommenderId: 1, status: 1 });
+
+// One open request per pair of users
+recommendationRequestSchema.index(
+  { requesterId: 1, recommenderId: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { status: { $in: ['requested', 'written', 'revisionRequested'] } }
+  }
+);
+
+// Hide internal fields in API responses
+recommendationRequestSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+export default mongoose.model('RecommendationRequest', recommendationRequestSchema);
@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+
+const skillEndorsementSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    trim: true,
+    ref: 'UserProfile',
+    description: 'Owner of the endorsed skill'
+  },
+  skill: {
+    type: String,
+    required: true,
+    trim: true,
+    maxLength: 100,
+    description: 'Skill as it appears on the profile'
+  },
+  skillKey: {
+    type: String,
+    required: true,
+    description: 'Normalized skill name used for matching'
+  },
+  endorserId: {
+    type: String,
+    required: true,
+    trim: true,
+    ref: 'UserProfile'
+  }
+}, {
+  timestamps: true
+});
+
+// A user endorses a given skill of another user at most once
+skillEndorsementSchema.index({ userId: 1, skillKey: 1, endorserId: 1 }, { unique: true });
+skillEndorsementSchema.index({ endorserId: 1 });
+
+// Hide internal fields in API responses
+skillEndorsementSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    ret.endorsementId = ret._id;
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+export default mongoose.model('SkillEndorsement', skillEndorsementSchema);
@@ -0,0 +1,115 @@
+import mongoose from 'mongoose';
+
+// Kinds of free-form profile values that are mapped onto canonical terms
+export const TAXONOMY_TYPES = ['skill', 'industry', 'language'];
+
+/**
+ * Normalize a term name or synonym for matching, ignoring case, accents and spacing.
+ * Punctuation is kept so that e.g. "C#" and "C++" stay distinct.
+ * @param {string} value
+ * @returns {string}
+ */
+export function normalizeTermKey(value) {
+  return String(value)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '') // drop accents
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, ' ');
+}
+
+/**
+ * Derive a readable term id from a canonical name, e.g. "Node.js" -> "node-js", "C#" -> "c-sharp".
+ * @param {string} name
+ * @returns {string}
+ */
+export function slugifyTermName(name) {
+  return normalizeTermKey(name)
+    .replace(/\+/g, '-plus')
+    .replace(/#/g, '-sharp')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+const taxonomyTermSchema = new mongoose.Schema({
+  termId: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+    match: /^[a-z0-9][a-z0-9-]*$/,
+    maxLength: 100,
+    description: 'Canonical id stored on profiles, unique within the term type'
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: TAXONOMY_TYPES
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxLength: 100,
+    description: 'Canonical display name'
+  },
+  synonyms: [{
+    type: String,
+    trim: true,
+    maxLength: 100
+  }],
+  category: {
+    type: String,
+    trim: true,
+    maxLength: 100,
+    description: 'Grouping shown in pickers, e.g. "Programming Languages"'
+  },
+  keys: {
+    type: [String],
+    select: false,
+    description: 'Normalized name and synonyms used for lookups and autocomplete'
+  },
+  usageCount: {
+    type: Number,
+    default: 0,
+    min: 0,
+    description: 'Profiles using the term, refreshed by scripts/syncTaxonomy.js'
+  }
+}, {
+  timestamps: true
+});
+
+taxonomyTermSchema.index({ type: 1, termId: 1 }, { unique: true });
+taxonomyTermSchema.index({ type: 1, keys: 1 });
+taxonomyTermSchema.index({ type: 1, category: 1 });
+
+// Derive the id from the name when missing and keep the lookup keys in step with name and synonyms
+taxonomyTermSchema.pre('validate', function(next) {
+  if (!this.termId && this.name) {
+    this.termId = slugifyTermName(this.name);
+  }
+  if (this.isNew || this.isModified('name') || this.isModified('synonyms')) {
+    // Keep the first spelling of each synonym, and none that repeat the name
+    const seen = new Set([normalizeTermKey(this.name)]);
+    this.synonyms = (this.synonyms || []).filter(synonym => {
+      const key = normalizeTermKey(synonym);
+      if (!synonym || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+    this.keys = [...new Set([this.name, ...this.synonyms].map(normalizeTermKey))];
+  }
+  next();
+});
+
+// Hide internal fields in API responses
+taxonomyTermSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret._id;
+    delete ret.__v;
+    delete ret.keys;
+    return ret;
+  }
+});
+
+export default mongoose.model('TaxonomyTerm', taxonomyTermSchema);
@@ -1,4 +1,160 @@
 import mongoose from 'mongoose';
+import { buildProfileSearchIndex, SEARCH_SOURCE_PATHS } from '../utils/profileSearch.js';
+import { PROFILE_TAXONOMY_FIELDS, resolveProfileTaxonomy } from '../utils/taxonomy.js';
+import { geocodeLocation } from '../utils/gazetteer.js';
+import { expireVerificationBadges } from '../utils/verificationBadges.js';
+
+// Visibility levels a profile section can be set to, from most to least open
+export const PROFILE_VISIBILITY_LEVELS = ['public', 'connections', 'careerAgent', 'private'];
+
+// Profile sections whose visibility the owner controls, mapped to the fields they cover
+export const PROFILE_PRIVACY_SECTIONS = {
+  email: ['contactInfo.email', 'verifiedEmail'],
+  phone: ['contactInfo.phone', 'verifiedPhone'],
+  websites: ['contactInfo.websites'],
+  summary: ['summary'],
+  location: ['location'],
+  industry: ['industry', 'industryId'],
+  company: ['company', 'verifiedEmployer'],
+  backgroundPicture: ['backgroundPictureUrl', 'backgroundPictureVariants'],
+  experience: ['experience'],
+  education: ['education'],
+  skills: ['skills', 'skillIds'],
+  languages: ['languages', 'languageIds'],
+  certifications: ['certifications'],
+  publications: ['publications'],
+  volunteerExperience: ['volunteerExperience'],
+  recommendations: ['recommendations'],
+  defaultResume: ['defaultResume']
+};
+
+// Contact details are limited to connections unless the owner opens them up
+export const DEFAULT_SECTION_VISIBILITY = {
+  email: 'connections',
+  phone: 'connections'
+};
+
+const privacySettingsSchema = new mongoose.Schema(
+  Object.fromEntries(Object.keys(PROFILE_PRIVACY_SECTIONS).map(section => [section, {
+    type: String,
+    enum: PROFILE_VISIBILITY_LEVELS,
+    default: DEFAULT_SECTION_VISIBILITY[section] || 'public'
+  }])),
+  { _id: false }
+);
+
+// Vanity slugs: 3-40 lowercase letters, digits and inner hyphens
+export const PUBLIC_PROFILE_SLUG_PATTERN = /^[a-z0-9](?:[a-z0-9-]{1,38}[a-z0-9])$/;
+
+// Slugs that could be mistaken for platform pages
+export const RESERVED_PROFILE_SLUGS = ['admin', 'api', 'dintak', 'help', 'login', 'me', 'profile', 'public', 'settings', 'signup', 'support'];
+
+const publicProfileSchema = new mongoose.Schema({
+  slug: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    match: PUBLIC_PROFILE_SLUG_PATTERN
+  },
+  enabled: {
+    type: Boolean,
+    default: false
+  },
+  viewCount: {
+    type: Number,
+    default: 0
+  },
+  lastViewedAt: {
+    type: Date
+  }
+}, { _id: false });
+
+// Account lifecycle: deactivated accounts are hidden until the owner reactivates them, and accounts
+// pending deletion are hidden until restored or erased once the grace period ends
+export const ACCOUNT_STATUSES = ['active', 'deactivated', 'pendingDeletion'];
+
+// Days between a deletion request and the erasure of the account
+export const ACCOUNT_DELETION_GRACE_DAYS = 30;
+
+// Query condition for profiles other users may see; profiles from before account statuses have none
+export const VISIBLE_ACCOUNT_FILTER = { 'account.status': { $nin: ['deactivated', 'pendingDeletion'] } };
+
+const accountSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ACCOUNT_STATUSES,
+    default: 'active'
+  },
+  deactivatedAt: {
+    type: Date
+  },
+  deletionRequestedAt: {
+    type: Date
+  },
+  deletionRequestedBy: {
+    type: String,
+    description: 'The owner, or the admin who scheduled the deletion'
+  },
+  deletionScheduledFor: {
+    type: Date,
+    description: 'When the sweeper erases the account unless it is restored first'
+  },
+  sweepClaimedAt: {
+    type: Date,
+    description: 'Set while a sweeper erases the account, so concurrent sweepers skip it'
+  }
+}, { _id: false });
+
+// Processed versions of an uploaded photo. Each upload gets a new version in its storage keys,
+// so CDN caches never serve a replaced photo.
+const photoVariantsSchema = new mongoose.Schema({
+  version: { type: String },
+  aspectRatio: { type: String },
+  variants: [{
+    size: { type: String, enum: ['thumb', 'medium', 'large'] },
+    format: { type: String, enum: ['webp', 'jpeg'] },
+    width: { type: Number },
+    height: { type: Number },
+    key: { type: String },
+    url: { type: String },
+    _id: false
+  }]
+}, { _id: false });
+
+// Verification badges: each names the Verification that earned it and lapses (see
+// expireVerificationBadges) once the detail it vouches for is changed
+const verificationStamp = {
+  verificationId: { type: String },
+  verifiedAt: { type: Date }
+};
+
+// A company or school email address the user verified; only its domain is kept
+const verifiedEmploymentSchema = new mongoose.Schema({
+  company: { type: String },
+  domain: { type: String },
+  ...verificationStamp
+}, { _id: false });
+
+const verifiedSchoolSchema = new mongoose.Schema({
+  school: { type: String },
+  domain: { type: String },
+  ...verificationStamp
+}, { _id: false });
+
+const verifiedEmailSchema = new mongoose.Schema({
+  email: { type: String, lowercase: true, trim: true },
+  ...verificationStamp
+}, { _id: false });
+
+const verifiedPhoneSchema = new mongoose.Schema({
+  phone: { type: String },
+  ...verificationStamp
+}, { _id: false });
+
+const verifiedCredentialSchema = new mongoose.Schema({
+  credentialId: { type: String },
+  ...verificationStamp
+}, { _id: false });
 
 const userProfileSchema = new mongoose.Schema({
   userId: {
@@ -26,7 +182,23 @@ const userProfileSchema = new mongoose.Schema({
   },
   location: {
     country: { type: String, maxLength: 100 },
-    city: { type: String, maxLength: 100 }
+    countryCode: {
+      type: String,
+      uppercase: true,
+      match: /^[A-Z]{2}$/,
+      description: 'ISO 3166-1 alpha-2 country code'
+    },
+    region: {
+      type: String,
+      maxLength: 100,
+      description: 'State, province or other first-level subdivision'
+    },
+    city: { type: String, maxLength: 100 },
+    // GeoJSON point [longitude, latitude] of the city, resolved from the gazetteer
+    geo: {
+      type: { type: String, enum: ['Point'] },
+      coordinates: { type: [Number], default: undefined }
+    }
   },
   industry: {
     type: String,
@@ -36,12 +208,24 @@ const userProfileSchema = new mongoose.Schema({
     type: String,
     maxLength: 100
   },
+  verifiedEmployer: {
+    type: verifiedEmploymentSchema,
+    description: 'Verified company email matching the current company, shown as a badge'
+  },
   profilePictureUrl: {
     type: String
   },
+  profilePictureVariants: {
+    type: photoVariantsSchema,
+    description: 'Resized WebP and JPEG versions of the profile photo'
+  },
   backgroundPictureUrl: {
     type: String
   },
+  backgroundPictureVariants: {
+    type: photoVariantsSchema,
+    description: 'Resized WebP and JPEG versions of the background photo'
+  },
   contactInfo: {
     email: { 
       type: String,
@@ -56,6 +240,14 @@ const userProfileSchema = new mongoose.Schema({
       type: String
     }]
   },
+  verifiedEmail: {
+    type: verifiedEmailSchema,
+    description: 'Verified personal email, while it is the contact email'
+  },
+  verifiedPhone: {
+    type: verifiedPhoneSchema,
+    description: 'Verified phone number, while it is the contact phone'
+  },
   experience: [{
     title: { type: String, maxLength: 100 },
     company: { type: String, maxLength: 100 },
@@ -63,7 +255,8 @@ const userProfileSchema = new mongoose.Schema({
     startDate: { type: Date },
     endDate: { type: Date },
     current: { type: Boolean, default: false },
-    description: { type: String, maxLength: 2000 }
+    description: { type: String, maxLength: 2000 },
+    employmentVerification: { type: verifiedEmploymentSchema }
   }],
   education: [{
     school: { type: String, maxLength: 100 },
@@ -71,7 +264,8 @@ const userProfileSchema = new mongoose.Schema({
     fieldOfStudy: { type: String, maxLength: 100 },
     startDate: { type: Date },
     endDate: { type: Date },
-    description: { type: String, maxLength: 1000 }
+    description: { type: String, maxLength: 1000 },
+    schoolVerification: { type: verifiedSchoolSchema }
   }],
   skills: [{
     type: String,
@@ -86,7 +280,8 @@ const userProfileSchema = new mongoose.Schema({
     organization: { type: String, maxLength: 100 },
     issueDate: { type: Date },
     expirationDate: { type: Date },
-    credentialId: { type: String, maxLength: 100 }
+    credentialId: { type: String, maxLength: 100 },
+    credentialVerification: { type: verifiedCredentialSchema }
   }],
   publications: [{
     title: { type: String, maxLength: 200 },
@@ -103,6 +298,8 @@ const userProfileSchema = new mongoose.Schema({
   }],
   recommendations: [{
     recommender: { type: String, maxLength: 100 },
+    recommenderId: { type: String, ref: 'UserProfile' },
+    requestId: { type: String },
     relationship: { type: String, maxLength: 100 },
     text: { type: String, maxLength: 2000 },
     date: { type: Date }
@@ -110,11 +307,155 @@ const userProfileSchema = new mongoose.Schema({
   defaultResume: {
     type: String,
     description: 'Resume ID of the default resume for this user'
+  },
+  privacySettings: {
+    type: privacySettingsSchema,
+    default: () => ({})
+  },
+  anonymousBrowsing: {
+    type: Boolean,
+    default: false,
+    description: 'Hide this user\'s identity when they view other profiles'
+  },
+  publicProfile: {
+    type: publicProfileSchema,
+    description: 'Shareable public page settings and view counter'
+  },
+  account: {
+    type: accountSchema,
+    default: () => ({}),
+    description: 'Deactivation and scheduled deletion; managed through the account endpoints'
+  },
+  skillIds: {
+    type: [String],
+    description: 'Canonical taxonomy ids of the skills, derived on save'
+  },
+  industryId: {
+    type: String,
+    description: 'Canonical taxonomy id of the industry, derived on save'
+  },
+  languageIds: {
+    type: [String],
+    description: 'Canonical taxonomy ids of the languages, derived on save'
+  },
+  searchFields: {
+    type: new mongoose.Schema({
+      names: [String],
+      headline: [String],
+      company: [String],
+      industry: [String],
+      skills: [String],
+      summary: [String],
+      experienceTitles: [String],
+      experienceCompanies: [String],
+      experienceDescriptions: [String],
+      schools: [String],
+      degrees: [String],
+      fieldsOfStudy: [String]
+    }, { _id: false }),
+    select: false,
+    description: 'Publicly visible text of the profile, for full-text search; derived on save'
+  },
+  searchTrigrams: {
+    type: [String],
+    select: false,
+    description: 'Trigrams of the publicly visible names, headline, company, skills, experience and education for typo-tolerant search'
   }
 }, {
   timestamps: true
 });
 
+// Full-text search across the publicly visible names, headline, summary, skills, company, experience and education
+userProfileSchema.index({
+  'searchFields.names': 'text',
+  'searchFields.headline': 'text',
+  'searchFields.summary': 'text',
+  'searchFields.skills': 'text',
+  'searchFields.company': 'text',
+  'searchFields.experienceTitles': 'text',
+  'searchFields.experienceCompanies': 'text',
+  'searchFields.experienceDescriptions': 'text',
+  'searchFields.schools': 'text',
+  'searchFields.degrees': 'text',
+  'searchFields.fieldsOfStudy': 'text'
+}, {
+  name: 'profile_public_text_search',
+  weights: {
+    'searchFields.names': 10,
+    'searchFields.skills': 6,
+    'searchFields.headline': 5,
+    'searchFields.company': 5,
+    'searchFields.experienceTitles': 4,
+    'searchFields.experienceCompanies': 4,
+    'searchFields.schools': 3,
+    'searchFields.degrees': 2,
+    'searchFields.fieldsOfStudy': 2,
+    'searchFields.summary': 1,
+    'searchFields.experienceDescriptions': 1
+  }
+});
+
+// Indexes backing the typo-tolerant search and the search facets
+userProfileSchema.index({ searchTrigrams: 1 });
+userProfileSchema.index({ industry: 1 });
+userProfileSchema.index({ 'location.country': 1, 'location.city': 1 });
+userProfileSchema.index({ 'location.geo': '2dsphere' });
+userProfileSchema.index({ skills: 1 });
+userProfileSchema.index({ languages: 1 });
+userProfileSchema.index({ skillIds: 1 });
+userProfileSchema.index({ industryId: 1 });
+userProfileSchema.index({ languageIds: 1 });
+
+// Finds accounts whose deletion grace period has ended
+userProfileSchema.index(
+  { 'account.deletionScheduledFor': 1 },
+  { partialFilterExpression: { 'account.status': 'pendingDeletion' } }
+);
+
+// Each vanity slug can be claimed by one profile
+userProfileSchema.index(
+  { 'publicProfile.slug': 1 },
+  {
+    unique: true,
+    partialFilterExpression: { 'publicProfile.slug': { $type: 'string' } }
+  }
+);
+
+// Keep the search fields and trigrams in step with the searchable fields and their privacy settings
+userProfileSchema.pre('save', function(next) {
+  if (this.isNew || SEARCH_SOURCE_PATHS.some(path => this.isModified(path))) {
+    Object.assign(this, buildProfileSearchIndex(this, DEFAULT_SECTION_VISIBILITY));
+  }
+  next();
+});
+
+// Resolve the country code, region and coordinates whenever the location changes
+userProfileSchema.pre('validate', function(next) {
+  if (this.isNew || this.isModified('location')) {
+    this.location = geocodeLocation(this.location);
+  }
+  next();
+});
+
+// Map skills, industry and languages onto canonical taxonomy ids, keeping the entered text for display.
+// Only the fields that changed are looked up again, so most saves need no taxonomy query.
+userProfileSchema.pre('save', async function() {
+  const changed = Object.keys(PROFILE_TAXONOMY_FIELDS).filter(path => this.isNew || this.isModified(path));
+  if (changed.length > 0) {
+    Object.assign(this, await resolveProfileTaxonomy(this, changed));
+  }
+});
+
+// Verification badges lapse once the company, school, contact detail or credential they were verified for is changed
+const BADGE_SUBJECT_PATHS = ['company', 'contactInfo', 'experience', 'education', 'certifications'];
+
+userProfileSchema.pre('save', function(next) {
+  if (BADGE_SUBJECT_PATHS.some(path => this.isModified(path))) {
+    expireVerificationBadges(this);
+  }
+  next();
+});
+
 // Pre-save middleware to generate id if not provided
 userProfileSchema.pre('save', function(next) {
   if (!this.id) {
@@ -1,4 +1,29 @@
 import mongoose from 'mongoose';
+import VerificationUtils from '../utils/verificationUtils.js';
+
+/**
+ * Kinds of verification, each with how it is carried out, how long a request stays open and
+ * how many codes may be tried. Email and SMS verifications send a code to the recipient; a
+ * certification's credential is checked by an admin, who approves or rejects it once.
+ */
+export const VERIFICATION_TYPES = {
+  companyEmail: { channel: 'email', expiresInMinutes: 10, maxAttempts: 3 },
+  personalEmail: { channel: 'email', expiresInMinutes: 30, maxAttempts: 5 },
+  phone: { channel: 'sms', expiresInMinutes: 5, maxAttempts: 3 },
+  education: { channel: 'email', expiresInMinutes: 60, maxAttempts: 3 },
+  certification: { channel: 'review', expiresInMinutes: 14 * 24 * 60, maxAttempts: 1 }
+};
+
+export const VERIFICATION_STATUSES = ['pending', 'verified', 'expired', 'rejected', 'cancelled'];
+
+// Closed verifications are kept as the user's history. One left pending is removed this long after
+// it expires, unless it is marked expired (and so kept) before then.
+export const PENDING_VERIFICATION_RETENTION_DAYS = 30;
+
+// Fields required only by verifications carried out through the given channel
+const requiredFor = (channel) => function() {
+  return VERIFICATION_TYPES[this.type]?.channel === channel;
+};
 
 const verificationSchema = new mongoose.Schema({
   verificationId: {
@@ -12,29 +37,83 @@ const verificationSchema = new mongoose.Schema({
     required: [true, 'User ID is required'],
     trim: true
   },
+  type: {
+    type: String,
+    enum: Object.keys(VERIFICATION_TYPES),
+    default: 'companyEmail'
+  },
   recipientEmail: {
     type: String,
-    required: [true, 'Recipient email is required'],
+    required: [requiredFor('email'), 'Recipient email is required'],
     trim: true,
     lowercase: true,
     match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'Please enter a valid recipient email address']
   },
-  verificationCode: {
+  recipientPhone: {
     type: String,
-    required: true,
-    length: 6
+    required: [requiredFor('sms'), 'Recipient phone is required'],
+    trim: true,
+    match: [/^\+[1-9]\d{6,14}$/, 'Please enter the phone number in international format, e.g. +919876543210']
+  },
+  experienceId: {
+    type: String,
+    description: 'Experience entry the company email is verified for; otherwise the current company and positions'
+  },
+  educationId: {
+    type: String,
+    description: 'Education entry the school email is verified for; otherwise every entry whose school matches'
+  },
+  certificationId: {
+    type: String,
+    required: [requiredFor('review'), 'Certification ID is required'],
+    description: 'Certification entry whose credential is verified'
+  },
+  credentialId: {
+    type: String,
+    required: [requiredFor('review'), 'Credential ID is required'],
+    description: 'Credential ID of the certification when it was submitted'
+  },
+  // The code itself is never stored, only its salted hash; set both with setCode()
+  codeHash: {
+    type: String,
+    required: [function() { return VERIFICATION_TYPES[this.type]?.channel !== 'review'; }, 'Verification code is required'],
+    select: false
+  },
+  codeSalt: {
+    type: String,
+    select: false
+  },
+  // Email verifications can also be completed by a signed link; set with issueLinkToken()
+  linkNonce: {
+    type: String,
+    select: false
+  },
+  resendCount: {
+    type: Number,
+    default: 0
+  },
+  lastSentAt: {
+    type: Date
   },
   status: {
     type: String,
     default: 'pending',
     enum: {
-      values: ['pending', 'verified', 'expired'],
-      message: 'Status must be one of: pending, verified, expired'
+      values: VERIFICATION_STATUSES,
+      message: `Status must be one of: ${VERIFICATION_STATUSES.join(', ')}`
     }
   },
   expiresAt: {
     type: Date,
-    default: () => new Date(Date.now() + 10 * 60 * 1000), // 10 minutes from now
+    // Each type stays open for its own time, e.g. 10 minutes for a company email code
+    default: function() {
+      const { expiresInMinutes } = VERIFICATION_TYPES[this.type] || VERIFICATION_TYPES.companyEmail;
+      return new Date(Date.now() + expiresInMinutes * 60 * 1000);
+    }
+  },
+  // Only set while pending; see PENDING_VERIFICATION_RETENTION_DAYS
+  purgeAt: {
+    type: Date,
     expires: 0 // MongoDB TTL index
   },
   verifiedAt: {
@@ -42,8 +121,12 @@ const verificationSchema = new mongoose.Schema({
   },
   attempts: {
     type: Number,
-    default: 0,
-    max: 3
+    default: 0
+  },
+  review: {
+    reviewedBy: String,
+    reviewedAt: Date,
+    note: { type: String, maxLength: 500 }
   },
   metadata: {
     ipAddress: String,
@@ -62,30 +145,63 @@ verificationSchema.index({ verificationId: 1 }, { unique: true });
 verificationSchema.index({ requesterEmail: 1 });
 verificationSchema.index({ recipientEmail: 1 });
 verificationSchema.index({ status: 1 });
-verificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+verificationSchema.index({ userId: 1, createdAt: -1 });
 
 // Virtual for checking if verification is expired
 verificationSchema.virtual('isExpired').get(function() {
   return this.expiresAt < new Date();
 });
 
-// Instance method to validate code
+// Instance method to replace the code, e.g. when it is resent; the previous code stops working
+verificationSchema.methods.setCode = function(code) {
+  this.codeSalt = VerificationUtils.generateCodeSalt();
+  this.codeHash = VerificationUtils.hashCode(code, this.codeSalt);
+};
+
+// Instance method to validate code; needs codeHash and codeSalt selected
 verificationSchema.methods.validateCode = function(code) {
-  return this.verificationCode === code.trim();
+  return VerificationUtils.codeMatches(String(code).trim(), this.codeHash, this.codeSalt);
+};
+
+// Instance method to issue a single-use link token, replacing any earlier link
+verificationSchema.methods.issueLinkToken = function() {
+  this.linkNonce = VerificationUtils.generateCodeSalt();
+  return VerificationUtils.signLinkToken(this.verificationId, this.linkNonce);
+};
+
+// Instance method to validate a link token; needs linkNonce selected
+verificationSchema.methods.validateLinkToken = function(token) {
+  return VerificationUtils.linkTokenMatches(token, this.verificationId, this.linkNonce);
 };
 
+// Configuration of the verification's type
+verificationSchema.virtual('typeConfig').get(function() {
+  return VERIFICATION_TYPES[this.type] || VERIFICATION_TYPES.companyEmail;
+});
+
 // Instance method to check if can be verified
 verificationSchema.methods.canBeVerified = function() {
   return this.status === 'pending' && 
-         this.attempts < 3 && 
+         this.attempts < this.typeConfig.maxAttempts && 
          this.expiresAt > new Date();
 };
 
-// Pre-save middleware to auto-expire
-verificationSchema.pre('save', function(next) {
+// Mark lapsed pending verifications expired, keeping them as history
+verificationSchema.statics.expireLapsed = function(filter = {}) {
+  return this.updateMany(
+    { ...filter, status: 'pending', expiresAt: { $lte: new Date() } },
+    { $set: { status: 'expired' }, $unset: { purgeAt: 1 } }
+  );
+};
+
+// Pre-validate middleware (also run on save) to auto-expire, and to schedule removal only while pending
+verificationSchema.pre('validate', function(next) {
   if (this.expiresAt < new Date() && this.status === 'pending') {
     this.status = 'expired';
   }
+  this.purgeAt = this.status === 'pending'
+    ? new Date(this.expiresAt.getTime() + PENDING_VERIFICATION_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+    : undefined;
   next();
 });
 
@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+
+// Sends are kept for a day, the window the daily caps are counted over
+export const VERIFICATION_SEND_RETENTION_SECONDS = 24 * 60 * 60;
+
+// One verification code sent by email or SMS, recorded to enforce send cooldowns and daily caps.
+// Kept apart from Verification records, which a user can cancel and which are purged if left pending.
+const verificationSendSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  recipient: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+    description: 'Email address or phone number the code was sent to'
+  },
+  verificationId: {
+    type: String,
+    required: true
+  },
+  sentAt: {
+    type: Date,
+    default: Date.now,
+    expires: VERIFICATION_SEND_RETENTION_SECONDS
+  }
+});
+
+verificationSendSchema.index({ userId: 1, sentAt: -1 });
+verificationSendSchema.index({ recipient: 1, sentAt: -1 });
+
+export default mongoose.model('VerificationSend', verificationSendSchema);
@@ -2256,6 +2256,8 @@ router.put('/:connectionId/reject', verifyToken, async (req, res) => {
  *         description: User not authorized to update this connection
  *       404:
  *         description: Connection not found
+ *       409:
+ *         description: The connection is paused because an account is deactivated
  *       401:
  *         description: Unauthorized - invalid or missing JWT token
  *       500:
@@ -2297,6 +2299,14 @@ router.put('/:connectionId', verifyToken, async (req, res) => {
       });
     }
 
+    // A paused connection resumes when the deactivated account is reactivated, not by hand
+    if (relationshipStatus && connection.relationshipStatus === 'paused') {
+      return res.status(409).json({
+        success: false,
+        message: 'This connection is paused while an account is deactivated'
+      });
+    }
+
     // Update fields
     if (relationshipStatus) connection.relationshipStatus = relationshipStatus;
     if (message !== undefined) connection.message = message;
@@ -0,0 +1,143 @@
+import express from 'express';
+const router = express.Router();
+import UserProfile, { VISIBLE_ACCOUNT_FILTER } from '../models/UserProfile.js';
+import Resume from '../models/Resume.js';
+import storage from '../services/storageService.js';
+import { filterProfileForViewer } from '../utils/profilePrivacy.js';
+import { recordProfileView } from '../utils/profileViews.js';
+
+// Profile fields that can appear on a public page, subject to the owner's privacy settings
+const PUBLIC_PAGE_FIELDS = [
+  'firstName', 'lastName', 'headline', 'summary', 'location', 'industry', 'company', 'verifiedEmployer',
+  'profilePictureUrl', 'profilePictureVariants', 'backgroundPictureUrl', 'backgroundPictureVariants',
+  'contactInfo', 'verifiedEmail', 'verifiedPhone', 'experience', 'education', 'skills', 'languages',
+  'certifications', 'publications', 'volunteerExperience', 'recommendations', 'defaultResume'
+];
+
+// Resume links on public pages are short-lived; every view of the page signs a fresh one
+const PUBLIC_RESUME_URL_SECONDS = 15 * 60;
+
+// Signed link to the default resume, or null when it is missing, inactive or cannot be signed
+const getDefaultResumeLink = async (resumeId) => {
+  if (!resumeId) return null;
+
+  const resume = await Resume.findOne({ resumeId, isActive: true }).select('resumeId name filePath').lean();
+  if (!resume) return null;
+
+  try {
+    return {
+      resumeId: resume.resumeId,
+      name: resume.name,
+      fileUrl: await storage.getSignedUrl(resume.filePath, { expiresIn: PUBLIC_RESUME_URL_SECONDS })
+    };
+  } catch (error) {
+    console.error('Error generating public resume URL:', error);
+    return null;
+  }
+};
+
+/**
+ * @swagger
+ * /api/public/profile/{slug}:
+ *   get:
+ *     summary: View a published profile by its vanity slug
+ *     description: |
+ *       Read-only view of a profile whose owner published a public page. No token is
+ *       required. Only sections the owner made public are included, and the default
+ *       resume link is only included when the resume section is public. Each request
+ *       counts as a view of the page.
+ *     tags: [PublicProfile]
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Public profile retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     slug:
+ *                       type: string
+ *                     firstName:
+ *                       type: string
+ *                     lastName:
+ *                       type: string
+ *                     headline:
+ *                       type: string
+ *                     defaultResume:
+ *                       type: object
+ *                       nullable: true
+ *                       properties:
+ *                         resumeId:
+ *                           type: string
+ *                         name:
+ *                           type: string
+ *                         fileUrl:
+ *                           type: string
+ *                           description: Signed link that expires after 15 minutes
+ *       404:
+ *         description: No published profile with this slug
+ */
+router.get('/profile/:slug', async (req, res) => {
+  try {
+    const slug = req.params.slug.toLowerCase();
+    const userProfile = await UserProfile.findOne({
+      'publicProfile.slug': slug,
+      'publicProfile.enabled': true,
+      ...VISIBLE_ACCOUNT_FILTER
+    })
+      .select(`${PUBLIC_PAGE_FIELDS.join(' ')} userId privacySettings`)
+      .lean();
+
+    if (!userProfile) {
+      return res.status(404).json({
+        success: false,
+        message: 'Profile not found'
+      });
+    }
+
+    const visible = filterProfileForViewer(userProfile, 'none');
+    const data = { slug };
+    PUBLIC_PAGE_FIELDS.forEach(field => {
+      if (visible[field] !== undefined) data[field] = visible[field];
+    });
+    data.defaultResume = await getDefaultResumeLink(visible.defaultResume);
+
+    // Counting is best effort; a failed update should not hide the page
+    try {
+      await UserProfile.updateOne(
+        { _id: userProfile._id },
+        {
+          $inc: { 'publicProfile.viewCount': 1 },
+          $set: { 'publicProfile.lastViewedAt': new Date() }
+        }
+      );
+      await recordProfileView({ profileUserId: userProfile.userId, source: 'public' });
+    } catch (error) {
+      console.error('Error counting public profile view:', error);
+    }
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('Error fetching public profile:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,655 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import jwt from 'jsonwebtoken';
+import RecommendationRequest, { RECOMMENDATION_STATUSES } from '../models/RecommendationRequest.js';
+import UserProfile from '../models/UserProfile.js';
+import { getEditorRole } from '../utils/profileAccess.js';
+import { toRevisionSnapshot } from '../utils/profileDiff.js';
+import { getViewerRelationship } from '../utils/profilePrivacy.js';
+import { saveProfileWithRevision } from '../utils/profileRevisions.js';
+
+const router = express.Router();
+
+// Middleware to verify JWT token
+const verifyToken = (req, res, next) => {
+  const token = req.headers.authorization?.split(' ')[1];
+
+  if (!token) {
+    console.log('No token provided');
+    return res.status(401).json({
+      success: false,
+      message: 'Access token required'
+    });
+  }
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-super-secret-jwt-key');
+    req.user = decoded;
+    next();
+  } catch (error) {
+    console.error('Token verification failed:', error);
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid or expired token'
+    });
+  }
+};
+
+// Statuses each workflow action can be taken from
+const ALLOWED_FROM = {
+  write: ['requested', 'revisionRequested'],
+  decline: ['requested', 'revisionRequested'],
+  accept: ['written', 'hidden'],
+  hide: ['written', 'accepted'],
+  requestRevision: ['written', 'hidden', 'accepted']
+};
+
+const PARTICIPANT_FIELDS = 'userId firstName lastName headline profilePictureUrl';
+
+const toParticipant = (profile) => ({
+  userId: profile.userId,
+  name: `${profile.firstName} ${profile.lastName}`,
+  headline: profile.headline,
+  avatar: profile.profilePictureUrl
+});
+
+// Attach requester and recommender cards to recommendation requests
+const withParticipants = async (requests) => {
+  const userIds = [...new Set(requests.flatMap(request => [request.requesterId, request.recommenderId]))];
+  const profiles = await UserProfile.find({ userId: { $in: userIds } }).select(PARTICIPANT_FIELDS).lean();
+  const profilesById = new Map(profiles.map(profile => [profile.userId, toParticipant(profile)]));
+
+  return requests.map(request => ({
+    ...request.toJSON(),
+    requester: profilesById.get(request.requesterId) || null,
+    recommender: profilesById.get(request.recommenderId) || null
+  }));
+};
+
+// Load a request and check the current user plays the given part in it ('requester' or 'recommender')
+// and that the action is allowed from its status. Sends the error response and returns null otherwise.
+const loadRequestForAction = async (req, res, part, action) => {
+  const request = await RecommendationRequest.findOne({ requestId: req.params.requestId });
+  if (!request || ![request.requesterId, request.recommenderId].includes(req.user.userId)) {
+    res.status(404).json({
+      success: false,
+      message: 'Recommendation request not found'
+    });
+    return null;
+  }
+
+  if (request[`${part}Id`] !== req.user.userId) {
+    res.status(403).json({
+      success: false,
+      message: `Only the ${part} can do this`
+    });
+    return null;
+  }
+
+  if (!ALLOWED_FROM[action].includes(request.status)) {
+    res.status(409).json({
+      success: false,
+      message: `This is not possible while the recommendation is ${request.status}`
+    });
+    return null;
+  }
+
+  return request;
+};
+
+// Add or remove the recommendation on the requester's profile, recording a revision
+const updateProfileRecommendation = async (req, request, { onProfile }) => {
+  const userProfile = await UserProfile.findOne({ userId: request.requesterId });
+  if (!userProfile) return;
+
+  const before = toRevisionSnapshot(userProfile);
+  const existing = userProfile.recommendations.find(entry => entry.requestId === request.requestId);
+  if (existing) {
+    userProfile.recommendations.pull(existing._id);
+  }
+
+  if (onProfile) {
+    const recommender = await UserProfile.findOne({ userId: request.recommenderId }).select('firstName lastName').lean();
+    userProfile.recommendations.push({
+      recommender: recommender ? `${recommender.firstName} ${recommender.lastName}` : undefined,
+      recommenderId: request.recommenderId,
+      requestId: request.requestId,
+      relationship: request.relationship,
+      text: request.text,
+      date: request.writtenAt
+    });
+  } else if (!existing) {
+    return;
+  }
+
+  await saveProfileWithRevision(userProfile, before, {
+    userId: req.user.userId,
+    role: getEditorRole(req.user, userProfile)
+  });
+};
+
+const handleValidation = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     RecommendationRequest:
+ *       type: object
+ *       properties:
+ *         requestId:
+ *           type: string
+ *         requesterId:
+ *           type: string
+ *           description: User asking for the recommendation, whose profile it goes on
+ *         recommenderId:
+ *           type: string
+ *         relationship:
+ *           type: string
+ *         message:
+ *           type: string
+ *         text:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [requested, written, revisionRequested, accepted, hidden, declined]
+ *         revisionNote:
+ *           type: string
+ *         writtenAt:
+ *           type: string
+ *           format: date-time
+ *         acceptedAt:
+ *           type: string
+ *           format: date-time
+ *         requester:
+ *           type: object
+ *         recommender:
+ *           type: object
+ */
+
+/**
+ * @swagger
+ * /api/recommendations:
+ *   post:
+ *     summary: Ask a connection for a recommendation
+ *     description: |
+ *       The recommender writes the recommendation, then the requester accepts it onto
+ *       their profile, hides it, or asks for a revision.
+ *     tags: [Recommendations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [recommenderId]
+ *             properties:
+ *               recommenderId:
+ *                 type: string
+ *               relationship:
+ *                 type: string
+ *                 maxLength: 100
+ *               message:
+ *                 type: string
+ *                 maxLength: 1000
+ *     responses:
+ *       201:
+ *         description: Recommendation requested
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: The recommender is not an active connection
+ *       409:
+ *         description: An open request to this recommender already exists
+ */
+router.post('/', verifyToken, [
+  body('recommenderId').trim().isLength({ min: 1 }).withMessage('recommenderId is required'),
+  body('relationship').optional().trim().isLength({ max: 100 }).withMessage('Relationship must be less than 100 characters'),
+  body('message').optional().trim().isLength({ max: 1000 }).withMessage('Message must be less than 1000 characters')
+], async (req, res) => {
+  try {
+    if (handleValidation(req, res)) return;
+
+    const { recommenderId, relationship, message } = req.body;
+    const relation = await getViewerRelationship(req.user, recommenderId);
+    if (!['connection', 'careerAgent'].includes(relation)) {
+      return res.status(403).json({
+        success: false,
+        message: relation === 'self'
+          ? 'You cannot recommend yourself'
+          : 'You can only ask your connections for a recommendation'
+      });
+    }
+
+    const request = await RecommendationRequest.create({
+      requesterId: req.user.userId,
+      recommenderId,
+      relationship,
+      message
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Recommendation requested',
+      data: request
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'You already have an open recommendation request with this user'
+      });
+    }
+    console.error('Error requesting recommendation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/recommendations:
+ *   get:
+ *     summary: List recommendation requests of the current user
+ *     tags: [Recommendations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [received, given]
+ *         description: received - requests you made; given - requests to write a recommendation. Both when omitted.
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [requested, written, revisionRequested, accepted, hidden, declined]
+ *     responses:
+ *       200:
+ *         description: Recommendation requests retrieved successfully, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/RecommendationRequest'
+ */
+router.get('/', verifyToken, async (req, res) => {
+  try {
+    const { userId } = req.user;
+    const query = {};
+    if (req.query.role === 'received') {
+      query.requesterId = userId;
+    } else if (req.query.role === 'given') {
+      query.recommenderId = userId;
+    } else {
+      query.$or = [{ requesterId: userId }, { recommenderId: userId }];
+    }
+    if (RECOMMENDATION_STATUSES.includes(req.query.status)) {
+      query.status = req.query.status;
+    }
+
+    const requests = await RecommendationRequest.find(query).sort({ updatedAt: -1 });
+
+    res.json({
+      success: true,
+      data: await withParticipants(requests)
+    });
+  } catch (error) {
+    console.error('Error fetching recommendation requests:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/recommendations/{requestId}:
+ *   get:
+ *     summary: Get a recommendation request
+ *     tags: [Recommendations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Recommendation request retrieved successfully
+ *       404:
+ *         description: Not found, or the current user is not part of it
+ */
+router.get('/:requestId', verifyToken, async (req, res) => {
+  try {
+    const request = await RecommendationRequest.findOne({ requestId: req.params.requestId });
+    if (!request || ![request.requesterId, request.recommenderId].includes(req.user.userId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recommendation request not found'
+      });
+    }
+
+    const [data] = await withParticipants([request]);
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('Error fetching recommendation request:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/recommendations/{requestId}/write:
+ *   put:
+ *     summary: Write (or revise) the requested recommendation
+ *     tags: [Recommendations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [text]
+ *             properties:
+ *               text:
+ *                 type: string
+ *                 maxLength: 2000
+ *               relationship:
+ *                 type: string
+ *                 maxLength: 100
+ *     responses:
+ *       200:
+ *         description: Recommendation written and sent to the requester for review
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Only the recommender can write it
+ *       404:
+ *         description: Recommendation request not found
+ *       409:
+ *         description: The request is not waiting for a recommendation
+ */
+router.put('/:requestId/write', verifyToken, [
+  body('text').trim().isLength({ min: 1, max: 2000 }).withMessage('Recommendation text is required and must be less than 2000 characters'),
+  body('relationship').optional().trim().isLength({ max: 100 }).withMessage('Relationship must be less than 100 characters')
+], async (req, res) => {
+  try {
+    if (handleValidation(req, res)) return;
+
+    const request = await loadRequestForAction(req, res, 'recommender', 'write');
+    if (!request) return;
+
+    request.text = req.body.text;
+    if (req.body.relationship !== undefined) {
+      request.relationship = req.body.relationship;
+    }
+    request.status = 'written';
+    request.writtenAt = new Date();
+    await request.save();
+
+    res.json({
+      success: true,
+      message: 'Recommendation sent for review',
+      data: request
+    });
+  } catch (error) {
+    console.error('Error writing recommendation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/recommendations/{requestId}/decline:
+ *   post:
+ *     summary: Decline to write a recommendation
+ *     tags: [Recommendations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Request declined
+ *       403:
+ *         description: Only the recommender can decline
+ *       404:
+ *         description: Recommendation request not found
+ *       409:
+ *         description: The request is not waiting for a recommendation
+ */
+router.post('/:requestId/decline', verifyToken, async (req, res) => {
+  try {
+    const request = await loadRequestForAction(req, res, 'recommender', 'decline');
+    if (!request) return;
+
+    request.status = 'declined';
+    await request.save();
+
+    res.json({
+      success: true,
+      message: 'Recommendation request declined',
+      data: request
+    });
+  } catch (error) {
+    console.error('Error declining recommendation request:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/recommendations/{requestId}/accept:
+ *   post:
+ *     summary: Accept a written recommendation onto your profile
+ *     tags: [Recommendations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Recommendation added to the profile
+ *       403:
+ *         description: Only the requester can accept
+ *       404:
+ *         description: Recommendation request not found
+ *       409:
+ *         description: There is no written recommendation to accept
+ */
+router.post('/:requestId/accept', verifyToken, async (req, res) => {
+  try {
+    const request = await loadRequestForAction(req, res, 'requester', 'accept');
+    if (!request) return;
+
+    await updateProfileRecommendation(req, request, { onProfile: true });
+
+    request.status = 'accepted';
+    request.acceptedAt = new Date();
+    await request.save();
+
+    res.json({
+      success: true,
+      message: 'Recommendation added to your profile',
+      data: request
+    });
+  } catch (error) {
+    console.error('Error accepting recommendation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/recommendations/{requestId}/hide:
+ *   post:
+ *     summary: Hide a recommendation from your profile
+ *     description: The recommendation is kept and can be accepted again later.
+ *     tags: [Recommendations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Recommendation hidden
+ *       403:
+ *         description: Only the requester can hide it
+ *       404:
+ *         description: Recommendation request not found
+ *       409:
+ *         description: There is no written recommendation to hide
+ */
+router.post('/:requestId/hide', verifyToken, async (req, res) => {
+  try {
+    const request = await loadRequestForAction(req, res, 'requester', 'hide');
+    if (!request) return;
+
+    await updateProfileRecommendation(req, request, { onProfile: false });
+
+    request.status = 'hidden';
+    await request.save();
+
+    res.json({
+      success: true,
+      message: 'Recommendation hidden from your profile',
+      data: request
+    });
+  } catch (error) {
+    console.error('Error hiding recommendation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/recommendations/{requestId}/request-revision:
+ *   post:
+ *     summary: Ask the recommender to revise a recommendation
+ *     description: An accepted recommendation is taken off the profile until the revision is accepted.
+ *     tags: [Recommendations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 maxLength: 1000
+ *                 description: What should be changed
+ *     responses:
+ *       200:
+ *         description: Revision requested
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Only the requester can ask for a revision
+ *       404:
+ *         description: Recommendation request not found
+ *       409:
+ *         description: There is no written recommendation to revise
+ */
+router.post('/:requestId/request-revision', verifyToken, [
+  body('note').optional().trim().isLength({ max: 1000 }).withMessage('Note must be less than 1000 characters')
+], async (req, res) => {
+  try {
+    if (handleValidation(req, res)) return;
+
+    const request = await loadRequestForAction(req, res, 'requester', 'requestRevision');
+    if (!request) return;
+
+    await updateProfileRecommendation(req, request, { onProfile: false });
+
+    request.status = 'revisionRequested';
+    request.revisionNote = req.body.note;
+    await request.save();
+
+    res.json({
+      success: true,
+      message: 'Revision requested',
+      data: request
+    });
+  } catch (error) {
+    console.error('Error requesting recommendation revision:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+export default router;
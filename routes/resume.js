@@ -2,22 +2,16 @@ import express from 'express';
 const router = express.Router();
 import { body, validationResult } from 'express-validator';
 import multer from 'multer';
-import AWS from 'aws-sdk';
 import Resume from '../models/Resume.js';
 import UserProfile from '../models/UserProfile.js';
 import jwt from 'jsonwebtoken';
-import { getUrl } from '../utils/cloudfront.js';
+import storage from '../services/storageService.js';
+import { expandSynonyms } from '../utils/taxonomy.js';
+import { parseRadiusSearch, withinRadius } from '../utils/gazetteer.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
 
-// Configure AWS S3
-const s3 = new AWS.S3({
-  region: 'ap-south-1'
-});
-
-const BUCKET_NAME = process.env.S3_BUCKET_NAME || 'dintak-media-ap-south-1-bucket';
-
 // Function to sanitize filename by removing spaces and special characters
 const sanitizeFileName = (fileName) => {
   if (!fileName) return '';
@@ -142,7 +136,7 @@ const validateResumeUpload = [
  *           description: Name/title of the resume
  *         filePath:
  *           type: string
- *           description: S3 file path of the resume
+ *           description: Storage key of the resume file
  *         originalFileName:
  *           type: string
  *           description: Original filename of the uploaded file
@@ -272,28 +266,18 @@ router.post('/', verifyToken, upload.single('resume'), validateResumeUpload, asy
     const timestamp = Date.now();
     const fileName = `resumes/${forUserId}/${timestamp}/${sanitizedFileName}`;
 
-    console.log('S3 file path:', fileName);
+    console.log('Storage file path:', fileName);
 
-    // Upload to S3
-    const uploadParams = {
-      Bucket: BUCKET_NAME,
-      Key: fileName,
-      Body: req.file.buffer,
-      ContentType: req.file.mimetype,
-      Metadata: {
+    // Upload to storage
+    await storage.upload(fileName, req.file.buffer, {
+      contentType: req.file.mimetype,
+      metadata: {
         'uploaded-by': byUserId,
         'for-user-id': forUserId,
         'original-name': req.file.originalname
       }
-    };
-
-    console.log('S3 upload parameters:', {
-      ...uploadParams,
-      Body: '[FILE_BUFFER]'
     });
-
-    const uploadResult = await s3.upload(uploadParams).promise();
-    console.log('S3 upload result:', uploadResult);
+    console.log('Resume file uploaded:', fileName);
 
     // Create resume record in MongoDB
     const resume = new Resume({
@@ -330,8 +314,8 @@ router.post('/', verifyToken, upload.single('resume'), validateResumeUpload, asy
       }
     }
 
-    // Generate CloudFront URL for response
-    const fileUrl = await getUrl(fileName);
+    // Generate file URL for response
+    const fileUrl = await storage.getUrl(fileName);
     console.log('Generated file URL:', fileUrl);
 
     
@@ -354,6 +338,9 @@ router.post('/', verifyToken, upload.single('resume'), validateResumeUpload, asy
   }
 });
 
+// Registered ahead of /:forUserId, which would otherwise take "search" for a user ID
+router.get('/search', verifyToken, searchResumes);
+
 /**
  * @swagger
  * /api/resume/{userId}:
@@ -407,7 +394,7 @@ router.get('/:forUserId', verifyToken, async (req, res) => {
     // Generate file URLs for each resume
     const resumesWithUrls = await Promise.all(
       resumes.map(async (resume) => {
-        const fileUrl = await getUrl(resume.filePath);
+        const fileUrl = await storage.getUrl(resume.filePath);
         return {
           ...resume.toObject(),
           name: resume.name,
@@ -475,7 +462,7 @@ router.get('/details/:resumeId', verifyToken, async (req, res) => {
     }
 
     // Generate file URL
-    const fileUrl = await getUrl(resume.filePath);
+    const fileUrl = await storage.getUrl(resume.filePath);
 
     res.json({
       success: true,
@@ -554,7 +541,7 @@ router.put('/:resumeId', verifyToken, async (req, res) => {
     await resume.save();
 
     // Generate file URL
-    const fileUrl = await getUrl(resume.filePath);
+    const fileUrl = await storage.getUrl(resume.filePath);
 
     res.json({
       success: true,
@@ -620,20 +607,15 @@ router.delete('/:resumeId', verifyToken, async (req, res) => {
       });
     }
 
-    // Delete file from S3 bucket
-    try {
-      const deleteParams = {
-        Bucket: BUCKET_NAME,
-        Key: resume.filePath
-      };
-      
-      console.log('Deleting file from S3:', resume.filePath);
-      await s3.deleteObject(deleteParams).promise();
-      console.log('File deleted from S3 successfully');
-    } catch (s3Error) {
-      console.error('Error deleting file from S3:', s3Error);
-      // Continue with database deletion even if S3 deletion fails
+    // Delete file from storage
+    console.log('Deleting file from storage:', resume.filePath);
+    const failedKeys = await storage.delete(resume.filePath);
+    if (failedKeys.length > 0) {
+      // Continue with database deletion even if the file deletion fails
       // This prevents orphaned database records
+      console.error('Error deleting file from storage:', resume.filePath);
+    } else {
+      console.log('File deleted from storage successfully');
     }
 
     // Hard delete - remove from database
@@ -705,7 +687,7 @@ router.get('/download/:resumeId', verifyToken, async (req, res) => {
     await resume.save();
 
     // Generate download URL
-    const downloadUrl = await getUrl(resume.filePath);
+    const downloadUrl = await storage.getUrl(resume.filePath);
 
     res.json({
       success: true,
@@ -727,6 +709,11 @@ router.get('/download/:resumeId', verifyToken, async (req, res) => {
  * /api/resume/search:
  *   get:
  *     summary: Search resumes based on various criteria
+ *     description: |
+ *       When skills are searched, candidates whose matching skills are endorsed by their
+ *       connections rank higher; the number of such endorsements is returned as endorsementCount.
+ *       Skills, languages and industry also match the synonyms of their taxonomy term, so a
+ *       search for "JS" finds candidates listing "JavaScript".
  *     tags: [Resume]
  *     security:
  *       - bearerAuth: []
@@ -742,6 +729,27 @@ router.get('/download/:resumeId', verifyToken, async (req, res) => {
  *           type: string
  *         description: Location to search for (city or country)
  *       - in: query
+ *         name: near
+ *         schema:
+ *           type: string
+ *         description: City to search around, optionally followed by region and country (e.g. "Portland, Maine")
+ *       - in: query
+ *         name: lat
+ *         schema:
+ *           type: number
+ *         description: Latitude to search around, used with lng instead of near
+ *       - in: query
+ *         name: lng
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: radiusKm
+ *         schema:
+ *           type: number
+ *           default: 50
+ *           maximum: 500
+ *         description: Search radius around near or lat/lng
+ *       - in: query
  *         name: languages
  *         schema:
  *           type: string
@@ -820,12 +828,14 @@ router.get('/download/:resumeId', verifyToken, async (req, res) => {
  *                       type: integer
  *                     totalPages:
  *                       type: integer
+ *       400:
+ *         description: Unknown city or invalid radius search
  *       401:
  *         description: Unauthorized
  *       500:
  *         description: Internal server error
  */
-router.get('/search', verifyToken, async (req, res) => {
+async function searchResumes(req, res) {
   try {
     const {
       skills,
@@ -848,13 +858,28 @@ router.get('/search', verifyToken, async (req, res) => {
     const searchLimit = Math.min(parseInt(limit) || 20, 100); // Default 20, max 100
     const searchPage = Math.max(parseInt(page) || 1, 1); // Minimum page 1
 
+    // Radius search: find the profiles within range up front, using the 2dsphere index on profile locations
+    const radiusSearch = parseRadiusSearch(req.query);
+    if (radiusSearch?.error) {
+      return res.status(400).json({
+        success: false,
+        message: radiusSearch.error
+      });
+    }
+    const nearbyUserIds = radiusSearch
+      ? await UserProfile.distinct('userId', {
+          'location.geo': withinRadius(radiusSearch.center, radiusSearch.radiusKm)
+        })
+      : null;
+
     // Build aggregation pipeline to search in UserProfile collection
     const pipeline = [];
 
     // Match active resumes first
     pipeline.push({
       $match: {
-        isActive: true
+        isActive: true,
+        ...(nearbyUserIds && { forUserId: { $in: nearbyUserIds } })
       }
     });
 
@@ -879,11 +904,19 @@ router.get('/search', verifyToken, async (req, res) => {
     // Build match conditions based on search parameters
     const matchConditions = {};
 
+    // Skills, languages and industry also match the synonyms of their taxonomy term
+    const skillsArray = skills ? skills.split(',').map(skill => skill.trim()) : [];
+    const languagesArray = languages ? languages.split(',').map(lang => lang.trim()) : [];
+    const [skillSynonyms, languageSynonyms, industrySynonyms] = await Promise.all([
+      expandSynonyms('skill', skillsArray),
+      expandSynonyms('language', languagesArray),
+      expandSynonyms('industry', industry ? [industry] : [])
+    ]);
+
     // Skills search (case-insensitive, partial match)
     if (skills) {
-      const skillsArray = skills.split(',').map(skill => skill.trim());
       matchConditions['userProfile.skills'] = {
-        $in: skillsArray.map(skill => new RegExp(skill, 'i'))
+        $in: skillsArray.flatMap(skill => [new RegExp(skill, 'i'), ...synonymPatterns(skillSynonyms, skill)])
       };
     }
 
@@ -898,15 +931,16 @@ router.get('/search', verifyToken, async (req, res) => {
 
     // Languages search
     if (languages) {
-      const languagesArray = languages.split(',').map(lang => lang.trim());
       matchConditions['userProfile.languages'] = {
-        $in: languagesArray.map(lang => new RegExp(lang, 'i'))
+        $in: languagesArray.flatMap(lang => [new RegExp(lang, 'i'), ...synonymPatterns(languageSynonyms, lang)])
       };
     }
 
     // Industry search
     if (industry) {
-      matchConditions['userProfile.industry'] = new RegExp(industry, 'i');
+      matchConditions['userProfile.industry'] = {
+        $in: [new RegExp(industry, 'i'), ...synonymPatterns(industrySynonyms, industry)]
+      };
     }
 
     // Company search (search in current company and experience)
@@ -1000,6 +1034,33 @@ router.get('/search', verifyToken, async (req, res) => {
       });
     }
 
+    // Rank candidates whose searched skills are endorsed by their connections first
+    if (skills) {
+      const skillPatterns = skillsArray
+        .filter(Boolean)
+        .flatMap(skill => skillSynonyms.get(skill)?.names || [skill])
+        .map(skill => ({ skillKey: new RegExp(escapeRegex(skill.toLowerCase())) }));
+
+      pipeline.push({
+        $lookup: {
+          from: 'skillendorsements',
+          let: { profileUserId: '$forUserId' },
+          pipeline: [
+            { $match: { $expr: { $eq: ['$userId', '$$profileUserId'] } } },
+            { $match: { $or: skillPatterns } },
+            { $count: 'total' }
+          ],
+          as: 'skillEndorsements'
+        }
+      });
+      pipeline.push({
+        $addFields: {
+          endorsementCount: { $ifNull: [{ $arrayElemAt: ['$skillEndorsements.total', 0] }, 0] }
+        }
+      });
+      pipeline.push({ $sort: { endorsementCount: -1, createdAt: -1 } });
+    }
+
     // Add pagination
     const skip = (searchPage - 1) * searchLimit;
     pipeline.push({ $skip: skip });
@@ -1023,6 +1084,7 @@ router.get('/search', verifyToken, async (req, res) => {
         createdAt: 1,
         updatedAt: 1,
         totalExperienceYears: 1,
+        endorsementCount: 1,
         userProfile: {
           userId: 1,
           firstName: 1,
@@ -1056,12 +1118,16 @@ router.get('/search', verifyToken, async (req, res) => {
     // Generate file URLs for each resume
     const resumesWithUrls = await Promise.all(
       resumes.map(async (resume) => {
-        const fileUrl = await getUrl(resume.filePath);
+        const fileUrl = await storage.getUrl(resume.filePath);
         return {
           ...resume,
           fileUrl: fileUrl,
           formattedFileSize: resume.fileSize ? formatFileSize(resume.fileSize) : 'Unknown',
-          matchScore: calculateMatchScore(resume, req.query) // Add relevance score
+          matchScore: calculateMatchScore(resume, req.query, {
+            skills: skillSynonyms,
+            languages: languageSynonyms,
+            industry: industrySynonyms
+          }) // Add relevance score
         };
       })
     );
@@ -1093,7 +1159,24 @@ router.get('/search', verifyToken, async (req, res) => {
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
-});
+}
+
+// Helper function to escape user input for use in a regular expression
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Helper function to build exact-match patterns for the other names of a value's taxonomy term
+function synonymPatterns(expanded, value) {
+  return (expanded.get(value)?.names || [])
+    .filter(name => name !== value)
+    .map(name => new RegExp(`^${escapeRegex(name)}$`, 'i'));
+}
+
+// Helper function to list a searched value with the synonyms of its taxonomy term, lowercased
+function searchNames(expanded, value) {
+  return (expanded?.get(value)?.names || [value]).map(name => name.toLowerCase());
+}
 
 // Helper function to format file size
 function formatFileSize(bytes) {
@@ -1105,7 +1188,7 @@ function formatFileSize(bytes) {
 }
 
 // Helper function to calculate match score for relevance ranking
-function calculateMatchScore(resume, searchParams) {
+function calculateMatchScore(resume, searchParams, synonyms = {}) {
   let score = 0;
   const userProfile = resume.userProfile;
   
@@ -1113,17 +1196,23 @@ function calculateMatchScore(resume, searchParams) {
 
   // Skills match (high weight)
   if (searchParams.skills && userProfile.skills) {
-    const searchSkills = searchParams.skills.split(',').map(s => s.trim().toLowerCase());
+    const searchSkills = searchParams.skills.split(',').map(s => s.trim());
     const userSkills = userProfile.skills.map(s => s.toLowerCase());
-    const matchingSkills = searchSkills.filter(skill => 
-      userSkills.some(userSkill => userSkill.includes(skill))
+    const matchingSkills = searchSkills.filter(skill =>
+      searchNames(synonyms.skills, skill).some(name => userSkills.some(userSkill => userSkill.includes(name)))
     );
     score += matchingSkills.length * 10;
   }
 
+  // Endorsements of the searched skills (diminishing returns so a few endorsements matter most)
+  if (resume.endorsementCount) {
+    score += Math.round(Math.log2(1 + resume.endorsementCount) * 5);
+  }
+
   // Industry match (medium weight)
   if (searchParams.industry && userProfile.industry) {
-    if (userProfile.industry.toLowerCase().includes(searchParams.industry.toLowerCase())) {
+    const industryLower = userProfile.industry.toLowerCase();
+    if (searchNames(synonyms.industry, searchParams.industry).some(name => industryLower.includes(name))) {
       score += 5;
     }
   }
@@ -1139,10 +1228,10 @@ function calculateMatchScore(resume, searchParams) {
 
   // Languages match (low weight)
   if (searchParams.languages && userProfile.languages) {
-    const searchLanguages = searchParams.languages.split(',').map(l => l.trim().toLowerCase());
+    const searchLanguages = searchParams.languages.split(',').map(l => l.trim());
     const userLanguages = userProfile.languages.map(l => l.toLowerCase());
-    const matchingLanguages = searchLanguages.filter(lang => 
-      userLanguages.some(userLang => userLang.includes(lang))
+    const matchingLanguages = searchLanguages.filter(lang =>
+      searchNames(synonyms.languages, lang).some(name => userLanguages.some(userLang => userLang.includes(name)))
     );
     score += matchingLanguages.length * 2;
   }
@@ -0,0 +1,498 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import jwt from 'jsonwebtoken';
+import TaxonomyTerm, { normalizeTermKey, TAXONOMY_TYPES } from '../models/TaxonomyTerm.js';
+import { autocompleteTerms } from '../utils/taxonomy.js';
+
+const router = express.Router();
+
+// Middleware to verify JWT token
+const verifyToken = (req, res, next) => {
+  const token = req.headers.authorization?.split(' ')[1];
+
+  if (!token) {
+    console.log('No token provided');
+    return res.status(401).json({
+      success: false,
+      message: 'Access token required'
+    });
+  }
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-super-secret-jwt-key');
+    req.user = decoded;
+    next();
+  } catch (error) {
+    console.error('Token verification failed:', error);
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid or expired token'
+    });
+  }
+};
+
+// Only admins curate the taxonomy
+const requireAdmin = (req, res, next) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      message: 'Only admins can manage the taxonomy'
+    });
+  }
+  next();
+};
+
+const handleValidation = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+const isTaxonomyType = (type) => TAXONOMY_TYPES.includes(type);
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Another term of the same type already using one of the names, or null
+const findNameConflict = (type, names, termId) => TaxonomyTerm.findOne({
+  type,
+  keys: { $in: names.filter(Boolean).map(normalizeTermKey) },
+  ...(termId && { termId: { $ne: termId } })
+}).lean();
+
+const sendNameConflict = (res, conflict) => res.status(409).json({
+  success: false,
+  message: `The name or a synonym is already used by "${conflict.name}" (${conflict.termId})`
+});
+
+const validateTerm = (isUpdate) => [
+  isUpdate
+    ? body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Name must be 1-100 characters')
+    : body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name is required and must be at most 100 characters'),
+  body('synonyms').optional().isArray({ max: 50 }).withMessage('Synonyms must be an array of at most 50 names'),
+  body('synonyms.*').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Each synonym must be 1-100 characters'),
+  body('category').optional().trim().isLength({ max: 100 }).withMessage('Category must be less than 100 characters')
+];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TaxonomyTerm:
+ *       type: object
+ *       properties:
+ *         termId:
+ *           type: string
+ *           description: Canonical id stored on profiles (skillIds, industryId, languageIds)
+ *         type:
+ *           type: string
+ *           enum: [skill, industry, language]
+ *         name:
+ *           type: string
+ *           description: Canonical display name
+ *         synonyms:
+ *           type: array
+ *           items:
+ *             type: string
+ *         category:
+ *           type: string
+ *         usageCount:
+ *           type: integer
+ *           description: Profiles using the term
+ */
+
+/**
+ * @swagger
+ * /api/taxonomy/autocomplete:
+ *   get:
+ *     summary: Suggest skills, industries or languages as the user types
+ *     description: |
+ *       Matches the start of the canonical name or any synonym, most used terms first.
+ *       When only a synonym matched, it is returned as matchedSynonym so the picker can
+ *       show e.g. "JavaScript (JS)".
+ *     tags: [Taxonomy]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [skill, industry, language]
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 50
+ *     responses:
+ *       200:
+ *         description: Matching terms
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       termId:
+ *                         type: string
+ *                       name:
+ *                         type: string
+ *                       category:
+ *                         type: string
+ *                       matchedSynonym:
+ *                         type: string
+ *       400:
+ *         description: Unknown term type
+ */
+router.get('/autocomplete', verifyToken, async (req, res) => {
+  try {
+    const { type } = req.query;
+    if (!isTaxonomyType(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `type must be one of: ${TAXONOMY_TYPES.join(', ')}`
+      });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+    const suggestions = await autocompleteTerms(type, (req.query.q || '').toString(), { limit });
+
+    res.json({
+      success: true,
+      data: suggestions
+    });
+  } catch (error) {
+    console.error('Error autocompleting taxonomy terms:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/taxonomy:
+ *   get:
+ *     summary: List taxonomy terms
+ *     tags: [Taxonomy]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [skill, industry, language]
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Part of the canonical name
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *     responses:
+ *       200:
+ *         description: Terms sorted by type and name
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TaxonomyTerm'
+ *                 pagination:
+ *                   type: object
+ */
+router.get('/', verifyToken, async (req, res) => {
+  try {
+    const { type, category, q } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+    const filter = {};
+    if (isTaxonomyType(type)) filter.type = type;
+    if (typeof category === 'string' && category) filter.category = category;
+    if (typeof q === 'string' && q.trim()) filter.name = new RegExp(escapeRegex(q.trim()), 'i');
+
+    const [terms, total] = await Promise.all([
+      TaxonomyTerm.find(filter)
+        .sort({ type: 1, name: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      TaxonomyTerm.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: terms,
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error listing taxonomy terms:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/taxonomy:
+ *   post:
+ *     summary: Add a taxonomy term (admin only)
+ *     description: |
+ *       The name and synonyms must not be used by another term of the same type. Profiles
+ *       already listing the new names are mapped to the term by scripts/syncTaxonomy.js, or
+ *       when their skills, industry or languages are next edited.
+ *     tags: [Taxonomy]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [type, name]
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [skill, industry, language]
+ *               termId:
+ *                 type: string
+ *                 description: Derived from the name when omitted
+ *               name:
+ *                 type: string
+ *               synonyms:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               category:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Term created
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Not an admin
+ *       409:
+ *         description: The id, name or a synonym is already taken
+ */
+router.post('/', verifyToken, requireAdmin, [
+  body('type').isIn(TAXONOMY_TYPES).withMessage(`type must be one of: ${TAXONOMY_TYPES.join(', ')}`),
+  body('termId').optional().trim().matches(/^[a-z0-9][a-z0-9-]*$/).withMessage('termId may only contain lowercase letters, digits and hyphens'),
+  ...validateTerm(false)
+], async (req, res) => {
+  try {
+    if (handleValidation(req, res)) return;
+
+    const { type, termId, name, synonyms = [], category } = req.body;
+    const conflict = await findNameConflict(type, [name, ...synonyms]);
+    if (conflict) return sendNameConflict(res, conflict);
+
+    const term = await TaxonomyTerm.create({ type, termId, name, synonyms, category });
+
+    res.status(201).json({
+      success: true,
+      message: 'Taxonomy term created',
+      data: term
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'A term with this id already exists'
+      });
+    }
+    console.error('Error creating taxonomy term:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/taxonomy/{type}/{termId}:
+ *   put:
+ *     summary: Rename a taxonomy term or change its synonyms and category (admin only)
+ *     description: |
+ *       The term id is kept, so profiles stay linked. Synonyms replace the existing list.
+ *       Run scripts/syncTaxonomy.js afterwards to map profiles that use newly added synonyms.
+ *     tags: [Taxonomy]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [skill, industry, language]
+ *       - in: path
+ *         name: termId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               synonyms:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               category:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Term updated
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Not an admin
+ *       404:
+ *         description: Term not found
+ *       409:
+ *         description: The name or a synonym is used by another term
+ */
+router.put('/:type/:termId', verifyToken, requireAdmin, validateTerm(true), async (req, res) => {
+  try {
+    if (handleValidation(req, res)) return;
+
+    const { type, termId } = req.params;
+    const term = isTaxonomyType(type) ? await TaxonomyTerm.findOne({ type, termId }) : null;
+    if (!term) {
+      return res.status(404).json({
+        success: false,
+        message: 'Taxonomy term not found'
+      });
+    }
+
+    const { name, synonyms, category } = req.body;
+    const conflict = await findNameConflict(type, [name ?? term.name, ...(synonyms ?? term.synonyms)], termId);
+    if (conflict) return sendNameConflict(res, conflict);
+
+    if (name !== undefined) term.name = name;
+    if (synonyms !== undefined) term.synonyms = synonyms;
+    if (category !== undefined) term.category = category || undefined;
+    await term.save();
+
+    res.json({
+      success: true,
+      message: 'Taxonomy term updated',
+      data: term
+    });
+  } catch (error) {
+    console.error('Error updating taxonomy term:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/taxonomy/{type}/{termId}:
+ *   delete:
+ *     summary: Delete a taxonomy term (admin only)
+ *     description: |
+ *       Profiles keep the values as entered; their stale ids are cleared by scripts/syncTaxonomy.js.
+ *     tags: [Taxonomy]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [skill, industry, language]
+ *       - in: path
+ *         name: termId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Term deleted
+ *       403:
+ *         description: Not an admin
+ *       404:
+ *         description: Term not found
+ */
+router.delete('/:type/:termId', verifyToken, requireAdmin, async (req, res) => {
+  try {
+    const { type, termId } = req.params;
+    const result = isTaxonomyType(type) ? await TaxonomyTerm.deleteOne({ type, termId }) : { deletedCount: 0 };
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Taxonomy term not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Taxonomy term deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting taxonomy term:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+export default router;
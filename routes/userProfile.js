@@ -1,38 +1,118 @@
 import express from 'express';
 const router = express.Router();
-import { body, validationResult } from 'express-validator';
+import { body, matchedData, validationResult } from 'express-validator';
 import multer from 'multer';
-import AWS from 'aws-sdk';
-import UserProfile from '../models/UserProfile.js';
-import Connection from '../models/Connection.js';
+import crypto from 'crypto';
+import UserProfile, {
+  ACCOUNT_DELETION_GRACE_DAYS,
+  PROFILE_PRIVACY_SECTIONS,
+  PROFILE_VISIBILITY_LEVELS,
+  PUBLIC_PROFILE_SLUG_PATTERN,
+  RESERVED_PROFILE_SLUGS,
+  VISIBLE_ACCOUNT_FILTER
+} from '../models/UserProfile.js';
+import Connection, { AGENT_EDIT_SCOPES } from '../models/Connection.js';
+import DataExport from '../models/DataExport.js';
+import DismissedSuggestion from '../models/DismissedSuggestion.js';
+import ProfileEditProposal from '../models/ProfileEditProposal.js';
+import ProfileImport, { PROFILE_IMPORT_RETENTION_SECONDS } from '../models/ProfileImport.js';
+import ProfileRevision from '../models/ProfileRevision.js';
+import RecommendationRequest from '../models/RecommendationRequest.js';
+import SkillEndorsement from '../models/SkillEndorsement.js';
+import { PROFILE_VIEW_SOURCES } from '../models/ProfileView.js';
 import mongoose from 'mongoose';
 import jwt from 'jsonwebtoken';
 
 
-import { S3Client, PutObjectCommand } from '@aws-sdk/client-s3';
 import dotenv from 'dotenv';
-import { getUrl } from '../utils/cloudfront.js';
+import storage from '../services/storageService.js';
+import {
+  getCareerAgentCounts,
+  getMutualConnections,
+  getRelatedUserIds,
+  getSecondDegreeConnections
+} from '../utils/connectionGraph.js';
+import { scoreSuggestion } from '../utils/peopleSuggestions.js';
+import { getAgentEditScopes, getEditorRole, getForbiddenFields, resolveProfileEditor } from '../utils/profileAccess.js';
+import { getProfilesCompleteness } from '../utils/profileCompleteness.js';
+import { diffProfiles, toRevisionSnapshot, UNTRACKED_PROFILE_FIELDS } from '../utils/profileDiff.js';
+import { applyProfileEditProposal, commitProfileEdit } from '../utils/profileEditProposals.js';
+import {
+  applyProfileImport,
+  buildImportPreview,
+  IMPORT_FIELDS,
+  IMPORT_SECTION_MODES,
+  IMPORT_SECTIONS
+} from '../utils/profileImport.js';
+import { fromJsonResume, toJsonResume } from '../utils/jsonResume.js';
+import { parseLinkedInExport } from '../utils/linkedinExport.js';
+import { toPdfCv } from '../utils/profilePdf.js';
+import { withoutClientBadges } from '../utils/verificationBadges.js';
+import { PHOTO_TYPES, processPhoto } from '../utils/imageProcessing.js';
+import { deleteUnreferencedPhotoKeys, photoKeysIn, storedPhotoKeys } from '../utils/photoReferences.js';
+import { eraseUserAccount, getDataExportDownloadUrl, startDataExport } from '../utils/accountData.js';
+import { pauseConnections, resumeConnections } from '../utils/accountStatus.js';
+import { toVCard } from '../utils/vcard.js';
+import { saveProfileWithRevision } from '../utils/profileRevisions.js';
+import { getProfileViewAnalytics, getRecentViewers, recordProfileView } from '../utils/profileViews.js';
+import {
+  findProfileSkill,
+  getSkillEndorsementSummary,
+  getSkillEndorsers,
+  normalizeSkillKey
+} from '../utils/skillEndorsements.js';
+import { facetStages, FUZZY_MATCH_THRESHOLD, publiclyVisible, textTrigrams } from '../utils/profileSearch.js';
+import { buildTaxonomyFilter, expandSearchText, PROFILE_TAXONOMY_FIELDS } from '../utils/taxonomy.js';
+import { parseRadiusSearch, withinRadius } from '../utils/gazetteer.js';
+import {
+  canViewSection,
+  filterProfileForViewer,
+  getViewerRelationship,
+  getViewerRelationships
+} from '../utils/profilePrivacy.js';
 
 dotenv.config();
-// Initialize AWS SDK
+// Fields loaded for profile lists; privacySettings is needed to filter them per viewer
+const PROFILE_LIST_FIELDS = 'userId firstName lastName headline industry company verifiedEmployer location profilePictureUrl profilePictureVariants contactInfo verifiedEmail verifiedPhone privacySettings';
 
-// Configure AWS S3
-const s3 = new AWS.S3({
-  region: 'ap-south-1'
-});
+// Only the owner, or an admin acting on a request from them, can deactivate, export or erase an account
+const canManageAccountData = (user, userId) => user.userId === userId || user.role === 'admin';
+
+// Deactivated accounts and accounts pending deletion are only visible to their owner and admins
+const isAccountHidden = (profile) => ['deactivated', 'pendingDeletion'].includes(profile.account?.status);
 
-// const upload = multer({ dest: 'uploads/' });
+// Editor recorded on profile revisions made by the current request
+const revisionEditor = (req, userProfile) => ({
+  userId: req.user.userId,
+  role: getEditorRole(req.user, userProfile)
+});
 
-// const s3 = new S3Client({
-//   region: process.env.AWS_REGION
-//   //,
-//   // credentials: {
-//   //   accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-//   //   secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-//   // },
-// });
+// Send the response for edits that were not saved directly: career agent edits are held
+// as proposals for the candidate to approve. Returns true when a response was sent.
+const respondToAgentEdit = (res, editor, result) => {
+  if (result.forbiddenFields) {
+    res.status(403).json({
+      success: false,
+      message: `Your career agent permissions do not allow editing: ${result.forbiddenFields.join(', ')}`
+    });
+    return true;
+  }
+  if (editor.role !== 'careerAgent') return false;
 
-const BUCKET_NAME = process.env.S3_BUCKET_NAME || 'dintak-media-ap-south-1-bucket';
+  if (result.proposal) {
+    res.status(202).json({
+      success: true,
+      message: 'Edit submitted for the candidate\'s approval',
+      data: result.proposal
+    });
+  } else {
+    res.json({
+      success: true,
+      message: 'No changes to submit for approval'
+    });
+  }
+  return true;
+};
 
 // Configure multer for file uploads
 const upload = multer({
@@ -49,6 +129,22 @@ const upload = multer({
   }
 });
 
+// Accept the photo, reporting upload errors as bad requests
+const receivePhoto = (req, res, next) => upload.single('photo')(req, res, (error) => {
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+  next();
+});
+
+// Profile fields holding the picture URL and its processed variants, per photo type
+const photoFields = (photoType) => photoType === 'background'
+  ? { urlField: 'backgroundPictureUrl', variantsField: 'backgroundPictureVariants' }
+  : { urlField: 'profilePictureUrl', variantsField: 'profilePictureVariants' };
+
 // Middleware to verify JWT token
 const verifyToken = (req, res, next) => {
   const token = req.headers.authorization?.split(' ')[1];
@@ -117,6 +213,51 @@ const verifyToken = (req, res, next) => {
  * @swagger
  * components:
  *   schemas:
+ *     VerifiedEmployment:
+ *       type: object
+ *       description: |
+ *         Verified-employer badge, set when the user verifies an email address whose domain matches
+ *         the company. Read-only; it is removed when the company changes to one the domain does not match.
+ *       readOnly: true
+ *       properties:
+ *         company:
+ *           type: string
+ *         domain:
+ *           type: string
+ *           example: acme.com
+ *         verificationId:
+ *           type: string
+ *         verifiedAt:
+ *           type: string
+ *           format: date-time
+ *     PhotoVariants:
+ *       type: object
+ *       description: Processed sizes of an uploaded photo, stored under a new version per upload
+ *       properties:
+ *         version:
+ *           type: string
+ *         aspectRatio:
+ *           type: string
+ *           example: '1:1'
+ *         variants:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               size:
+ *                 type: string
+ *                 enum: [thumb, medium, large]
+ *               format:
+ *                 type: string
+ *                 enum: [webp, jpeg]
+ *               width:
+ *                 type: integer
+ *               height:
+ *                 type: integer
+ *               key:
+ *                 type: string
+ *               url:
+ *                 type: string
  *     UserProfile:
  *       type: object
  *       required:
@@ -143,20 +284,44 @@ const verifyToken = (req, res, next) => {
  *           properties:
  *             country:
  *               type: string
+ *             countryCode:
+ *               type: string
+ *               description: ISO 3166-1 alpha-2 code, resolved from the country when omitted
+ *             region:
+ *               type: string
  *             city:
  *               type: string
+ *             geo:
+ *               type: object
+ *               readOnly: true
+ *               description: GeoJSON point of the city, resolved from the bundled gazetteer
+ *               properties:
+ *                 type:
+ *                   type: string
+ *                   enum: [Point]
+ *                 coordinates:
+ *                   type: array
+ *                   description: '[longitude, latitude]'
+ *                   items:
+ *                     type: number
  *         industry:
  *           type: string
  *           description: Professional industry
  *         company:
  *           type: string
  *           description: Current company or organization
+ *         verifiedEmployer:
+ *           $ref: '#/components/schemas/VerifiedEmployment'
  *         profilePictureUrl:
  *           type: string
  *           description: URL of the profile picture
+ *         profilePictureVariants:
+ *           $ref: '#/components/schemas/PhotoVariants'
  *         backgroundPictureUrl:
  *           type: string
  *           description: URL of the background image
+ *         backgroundPictureVariants:
+ *           $ref: '#/components/schemas/PhotoVariants'
  *         contactInfo:
  *           type: object
  *           properties:
@@ -168,6 +333,57 @@ const verifyToken = (req, res, next) => {
  *               type: array
  *               items:
  *                 type: string
+ *         verifiedEmail:
+ *           type: object
+ *           readOnly: true
+ *           description: Badge for a verified personal email; removed when the contact email changes
+ *           properties:
+ *             email:
+ *               type: string
+ *             verificationId:
+ *               type: string
+ *             verifiedAt:
+ *               type: string
+ *               format: date-time
+ *         verifiedPhone:
+ *           type: object
+ *           readOnly: true
+ *           description: Badge for a phone number verified by SMS; removed when the contact phone changes
+ *           properties:
+ *             phone:
+ *               type: string
+ *             verificationId:
+ *               type: string
+ *             verifiedAt:
+ *               type: string
+ *               format: date-time
+ *         privacySettings:
+ *           type: object
+ *           description: |
+ *             Visibility per profile section (public, connections, careerAgent or private).
+ *             Only returned to the profile owner and admins.
+ *           additionalProperties:
+ *             type: string
+ *             enum: [public, connections, careerAgent, private]
+ *         anonymousBrowsing:
+ *           type: boolean
+ *           description: |
+ *             When true, views of other profiles by this user are recorded anonymously.
+ *             Only returned to the profile owner and admins.
+ *         publicProfile:
+ *           type: object
+ *           description: |
+ *             Shareable public page. Other users only see the slug, and only while the page is enabled.
+ *           properties:
+ *             slug:
+ *               type: string
+ *             enabled:
+ *               type: boolean
+ *             viewCount:
+ *               type: integer
+ *             lastViewedAt:
+ *               type: string
+ *               format: date-time
  */
 
 // Comprehensive validation for user profile creation
@@ -178,6 +394,8 @@ const validateCreateUserProfile = [
   body('headline').optional().trim().isLength({ max: 200 }).withMessage('Headline must be less than 200 characters'),
   body('summary').optional().trim().isLength({ max: 2000 }).withMessage('Summary must be less than 2000 characters'),
   body('location.country').optional().trim().isLength({ max: 100 }).withMessage('Country must be less than 100 characters'),
+  body('location.countryCode').optional().trim().matches(/^[A-Za-z]{2}$/).withMessage('Country code must be an ISO 3166-1 alpha-2 code'),
+  body('location.region').optional().trim().isLength({ max: 100 }).withMessage('Region must be less than 100 characters'),
   body('location.city').optional().trim().isLength({ max: 100 }).withMessage('City must be less than 100 characters'),
   body('industry').optional().trim().isLength({ max: 100 }).withMessage('Industry must be less than 100 characters'),
   body('company').optional().trim().isLength({ max: 100 }).withMessage('Company must be less than 100 characters'),
@@ -222,12 +440,7 @@ const validateCreateUserProfile = [
   body('volunteerExperience.*.role').optional().trim().isLength({ max: 100 }).withMessage('Role must be less than 100 characters'),
   body('volunteerExperience.*.startDate').optional().isISO8601().withMessage('Start date must be a valid date'),
   body('volunteerExperience.*.endDate').optional().isISO8601().withMessage('End date must be a valid date'),
-  body('volunteerExperience.*.description').optional().trim().isLength({ max: 1000 }).withMessage('Description must be less than 1000 characters'),
-  body('recommendations').optional().isArray().withMessage('Recommendations must be an array'),
-  body('recommendations.*.recommender').optional().trim().isLength({ max: 100 }).withMessage('Recommender must be less than 100 characters'),
-  body('recommendations.*.relationship').optional().trim().isLength({ max: 100 }).withMessage('Relationship must be less than 100 characters'),
-  body('recommendations.*.text').optional().trim().isLength({ max: 2000 }).withMessage('Recommendation text must be less than 2000 characters'),
-  body('recommendations.*.date').optional().isISO8601().withMessage('Date must be a valid date')
+  body('volunteerExperience.*.description').optional().trim().isLength({ max: 1000 }).withMessage('Description must be less than 1000 characters')
 ];
 
 // Simplified validation for basic operations
@@ -237,6 +450,8 @@ const validateUserProfile = [
   body('headline').optional().trim().isLength({ max: 200 }).withMessage('Headline must be less than 200 characters'),
   body('summary').optional().trim().isLength({ max: 2000 }).withMessage('Summary must be less than 2000 characters'),
   body('location.country').optional().trim().isLength({ max: 100 }).withMessage('Country must be less than 100 characters'),
+  body('location.countryCode').optional().trim().matches(/^[A-Za-z]{2}$/).withMessage('Country code must be an ISO 3166-1 alpha-2 code'),
+  body('location.region').optional().trim().isLength({ max: 100 }).withMessage('Region must be less than 100 characters'),
   body('location.city').optional().trim().isLength({ max: 100 }).withMessage('City must be less than 100 characters'),
   body('industry').optional().trim().isLength({ max: 100 }).withMessage('Industry must be less than 100 characters'),
   body('company').optional().trim().isLength({ max: 100 }).withMessage('Company must be less than 100 characters'),
@@ -249,8 +464,7 @@ const validateUserProfile = [
   body('languages').optional().isArray().withMessage('Languages must be an array'),
   body('certifications').optional().isArray().withMessage('Certifications must be an array'),
   body('publications').optional().isArray().withMessage('Publications must be an array'),
-  body('volunteerExperience').optional().isArray().withMessage('Volunteer experience must be an array'),
-  body('recommendations').optional().isArray().withMessage('Recommendations must be an array')
+  body('volunteerExperience').optional().isArray().withMessage('Volunteer experience must be an array')
 ];
 
 /**
@@ -292,6 +506,10 @@ const validateUserProfile = [
  *                 properties:
  *                   country:
  *                     type: string
+ *                   countryCode:
+ *                     type: string
+ *                   region:
+ *                     type: string
  *                   city:
  *                     type: string
  *               industry:
@@ -409,20 +627,6 @@ const validateUserProfile = [
  *                       format: date
  *                     description:
  *                       type: string
- *               recommendations:
- *                 type: array
- *                 items:
- *                   type: object
- *                   properties:
- *                     recommender:
- *                       type: string
- *                     relationship:
- *                       type: string
- *                     text:
- *                       type: string
- *                     date:
- *                       type: string
- *                       format: date
  *     responses:
  *       201:
  *         description: User profile created successfully
@@ -483,15 +687,21 @@ router.post('/', verifyToken, validateCreateUserProfile, async (req, res) => {
     }
     console.log('No existing profile found for userId:', userId); 
 
-    // Create new user profile with all provided data
+    // Create new user profile with all provided data, except verification badges, which only a
+    // completed verification can set, and recommendations, which only the recommender can write
+    const { recommendations, ...fields } = req.body;
     const userProfile = new UserProfile({
-      ...req.body,
+      ...withoutClientBadges(fields),
       //id: req.body.id || userId // Use provided id or fallback to userId
       id: new mongoose.Types.ObjectId() // Generate a new ObjectId for the profile
     });
 
     console.log('New user profile data:', userProfile);
-    await userProfile.save();
+    // Profiles created on someone else's behalf (e.g. by a signup service) are attributed to the system
+    await saveProfileWithRevision(userProfile, null, {
+      userId: req.user.userId,
+      role: getEditorRole(req.user, userProfile) || 'system'
+    }, { action: 'create' });
     console.log('User profile created successfully:', userProfile);
     res.status(201).json({
       success: true,
@@ -559,8 +769,10 @@ router.post('/', verifyToken, validateUserProfile, async (req, res) => {
       });
     }
 
+    // Badges come from completed verifications and recommendations from /api/recommendations
+    const { recommendations, ...fields } = req.body;
     const userProfile = new UserProfile({
-      ...req.body,
+      ...withoutClientBadges(fields),
       userId,
       id: req.body.id || userId
     });
@@ -587,11 +799,29 @@ router.post('/', verifyToken, validateUserProfile, async (req, res) => {
   }
 });
 
+// Transform a privacy-filtered profile to match the networking Connection interface
+const toNetworkingCard = (profile, careerAgentCountMap, mutualConnectionMap) => ({
+  id: profile._id.toString(), // Use MongoDB _id as the connection id
+  userId: profile.userId,
+  name: `${profile.firstName} ${profile.lastName}`,
+  title: profile.headline || 'Professional',
+  industry: profile.industry || 'Unknown',
+  company: profile.company || 'Unknown',
+  avatar: profile.profilePictureUrl || 'https://images.pexels.com/photos/774909/pexels-photo-774909.jpeg?auto=compress&cs=tinysrgb&w=100',
+  mutualConnections: mutualConnectionMap.get(profile.userId)?.count || 0,
+  mutualConnectionsSample: mutualConnectionMap.get(profile.userId)?.sample || [],
+  careerAgentFor: careerAgentCountMap[profile.userId] || 0, // Actual count from Connection table
+  status: 'none'
+});
+
 /**
  * @swagger
  * /api/userprofile/all:
  *   get:
  *     summary: Get all user profiles (for networking suggestions)
+ *     description: |
+ *       mutualConnections is the number of active friend/careerAgent contacts shared with
+ *       the current user; mutualConnectionsSample lists up to three of them (userId, name, avatar).
  *     tags: [UserProfile]
  *     security:
  *       - bearerAuth: []
@@ -631,51 +861,27 @@ router.get('/all', verifyToken, async (req, res) => {
     
     console.log('Fetching all user profiles, limit:', limit, 'exclude:', exclude);
     
-    // Build query to exclude specific user if provided
-    const query = exclude ? { userId: { $ne: exclude } } : {};
+    // Build query to exclude specific user if provided; deactivated accounts are never listed
+    const query = exclude ? { userId: { $ne: exclude }, ...VISIBLE_ACCOUNT_FILTER } : { ...VISIBLE_ACCOUNT_FILTER };
     
     const userProfiles = await UserProfile.find(query)
-      .select('userId firstName lastName headline industry company location profilePictureUrl contactInfo')
+      .select(PROFILE_LIST_FIELDS)
       .limit(limit)
-      .sort({ createdAt: -1 });
+      .sort({ createdAt: -1 })
+      .lean();
     
     // Get career agent counts for all users in one query
     const userIds = userProfiles.map(profile => profile.userId);
-    const careerAgentCounts = await Connection.aggregate([
-      {
-        $match: {
-          careerAgentId: { $in: userIds },
-          connectionType: 'careerAgent',
-          relationshipStatus: 'active'
-        }
-      },
-      {
-        $group: {
-          _id: '$careerAgentId',
-          count: { $sum: 1 }
-        }
-      }
-    ]);
-    
-    // Create a map for quick lookup
-    const countMap = {};
-    careerAgentCounts.forEach(item => {
-      countMap[item._id] = item.count;
-    });
+    const relationships = await getViewerRelationships(req.user, userIds);
+    const mutualConnectionMap = await getMutualConnections(req.user.userId, userIds);
+    const countMap = await getCareerAgentCounts(userIds);
     
     // Transform the data to match the networking Connection interface
-    const transformedProfiles = userProfiles.map(profile => ({
-      id: profile._id.toString(), // Use MongoDB _id as the connection id
-      userId: profile.userId,
-      name: `${profile.firstName} ${profile.lastName}`,
-      title: profile.headline || 'Professional',
-      industry: profile.industry || 'Unknown',
-      company: profile.company || 'Unknown',
-      avatar: profile.profilePictureUrl || 'https://images.pexels.com/photos/774909/pexels-photo-774909.jpeg?auto=compress&cs=tinysrgb&w=100',
-      mutualConnections: Math.floor(Math.random() * 20), // Random for now - could be calculated later
-      careerAgentFor: countMap[profile.userId] || 0, // Actual count from Connection table
-      status: 'none'
-    }));
+    const transformedProfiles = userProfiles.map(profile => toNetworkingCard(
+      filterProfileForViewer(profile, relationships.get(profile.userId)),
+      countMap,
+      mutualConnectionMap
+    ));
 
     res.json({
       success: true,
@@ -695,6 +901,9 @@ router.get('/all', verifyToken, async (req, res) => {
  * /api/userprofile/potentialcontact:
  *   get:
  *     summary: Get potential contacts (users with no career agent relationship with current user)
+ *     description: |
+ *       mutualConnections is the number of active friend/careerAgent contacts shared with
+ *       the current user; mutualConnectionsSample lists up to three of them (userId, name, avatar).
  *     tags: [UserProfile]
  *     security:
  *       - bearerAuth: []
@@ -785,51 +994,28 @@ router.get('/potentialcontact', verifyToken, async (req, res) => {
     
     // 6. Get all users NOT in the exclusion list
     const potentialContacts = await UserProfile.find({
-      userId: { $nin: excludeUserIds }
+      userId: { $nin: excludeUserIds },
+      ...VISIBLE_ACCOUNT_FILTER
     })
-      .select('userId firstName lastName headline industry company location profilePictureUrl contactInfo')
+      .select(PROFILE_LIST_FIELDS)
       .limit(limit)
-      .sort({ createdAt: -1 });
+      .sort({ createdAt: -1 })
+      .lean();
     
     console.log('Found potential contacts:', potentialContacts.length);
     
     // Get career agent counts for all potential contacts
     const potentialUserIds = potentialContacts.map(profile => profile.userId);
-    const careerAgentCounts = await Connection.aggregate([
-      {
-        $match: {
-          careerAgentId: { $in: potentialUserIds },
-          connectionType: 'careerAgent',
-          relationshipStatus: 'active'
-        }
-      },
-      {
-        $group: {
-          _id: '$careerAgentId',
-          count: { $sum: 1 }
-        }
-      }
-    ]);
-    
-    // Create a map for quick lookup
-    const countMap = {};
-    careerAgentCounts.forEach(item => {
-      countMap[item._id] = item.count;
-    });
+    const relationships = await getViewerRelationships(req.user, potentialUserIds);
+    const mutualConnectionMap = await getMutualConnections(currentUserId, potentialUserIds);
+    const countMap = await getCareerAgentCounts(potentialUserIds);
     
     // Transform the data to match the networking Connection interface
-    const transformedProfiles = potentialContacts.map(profile => ({
-      id: profile._id.toString(),
-      userId: profile.userId,
-      name: `${profile.firstName} ${profile.lastName}`,
-      title: profile.headline || 'Professional',
-      industry: profile.industry || 'Unknown',
-      company: profile.company || 'Unknown',
-      avatar: profile.profilePictureUrl || 'https://images.pexels.com/photos/774909/pexels-photo-774909.jpeg?auto=compress&cs=tinysrgb&w=100',
-      mutualConnections: Math.floor(Math.random() * 20), // Random for now - could be calculated later
-      careerAgentFor: countMap[profile.userId] || 0,
-      status: 'none'
-    }));
+    const transformedProfiles = potentialContacts.map(profile => toNetworkingCard(
+      filterProfileForViewer(profile, relationships.get(profile.userId)),
+      countMap,
+      mutualConnectionMap
+    ));
 
     res.json({
       success: true,
@@ -851,11 +1037,278 @@ router.get('/potentialcontact', verifyToken, async (req, res) => {
 });
 
 
+// Fields needed to score and display "people you may know" suggestions
+const SUGGESTION_FIELDS = `${PROFILE_LIST_FIELDS} skills experience.company education.school`;
+
+// Maximum number of profiles sharing an attribute with the viewer that are considered for ranking
+const SUGGESTION_POOL_SIZE = 200;
+
+/**
+ * @swagger
+ * /api/userprofile/suggestions:
+ *   get:
+ *     summary: Get ranked "people you may know" suggestions for the current user
+ *     description: |
+ *       Candidates are users the current user has no relationship with and has not dismissed.
+ *       They are scored by second-degree connections, shared current or past company,
+ *       shared schools, overlapping skills, industry and location. Each suggestion lists the
+ *       reasons it was made. Sections the candidate keeps private are not used for scoring.
+ *     tags: [UserProfile]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *         description: Maximum number of suggestions to return
+ *     responses:
+ *       200:
+ *         description: Suggestions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       userId:
+ *                         type: string
+ *                       name:
+ *                         type: string
+ *                       score:
+ *                         type: number
+ *                       reasons:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             type:
+ *                               type: string
+ *                               enum: [mutualConnections, sharedCompany, sharedExperience, sharedSchool, sharedSkills, sameIndustry, sameLocation]
+ *                             message:
+ *                               type: string
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Current user has no profile
+ */
+router.get('/suggestions', verifyToken, async (req, res) => {
+  try {
+    const currentUserId = req.user.userId;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const viewerProfile = await UserProfile.findOne({ userId: currentUserId }).lean();
+    if (!viewerProfile) {
+      return res.status(404).json({
+        success: false,
+        message: 'User profile not found. Please create a profile first.'
+      });
+    }
+
+    // Never suggest the user, anyone they already have a relationship with, or a dismissed suggestion
+    const [relatedUserIds, dismissedUserIds] = await Promise.all([
+      getRelatedUserIds(currentUserId),
+      DismissedSuggestion.find({ userId: currentUserId }).distinct('dismissedUserId')
+    ]);
+    const excludeUserIds = [currentUserId, ...relatedUserIds, ...dismissedUserIds];
+
+    const secondDegree = await getSecondDegreeConnections(currentUserId, { excludeIds: excludeUserIds });
+    const mutualCounts = new Map(secondDegree.map(entry => [entry.userId, entry.mutualCount]));
+
+    // Profiles sharing a company, school, skill, industry or city with the viewer
+    const companies = [viewerProfile.company, ...(viewerProfile.experience || []).map(entry => entry.company)].filter(Boolean);
+    const schools = (viewerProfile.education || []).map(entry => entry.school).filter(Boolean);
+    const sharedAttributeConditions = [];
+    if (companies.length > 0) {
+      sharedAttributeConditions.push({ company: { $in: companies } }, { 'experience.company': { $in: companies } });
+    }
+    if (schools.length > 0) {
+      sharedAttributeConditions.push({ 'education.school': { $in: schools } });
+    }
+    if (viewerProfile.skills?.length > 0) {
+      sharedAttributeConditions.push({ skills: { $in: viewerProfile.skills } });
+    }
+    if (viewerProfile.industry) {
+      sharedAttributeConditions.push({ industry: viewerProfile.industry });
+    }
+    if (viewerProfile.location?.city) {
+      sharedAttributeConditions.push({ 'location.city': viewerProfile.location.city });
+    }
+
+    const [secondDegreeProfiles, sharedAttributeProfiles] = await Promise.all([
+      mutualCounts.size > 0
+        ? UserProfile.find({ userId: { $in: [...mutualCounts.keys()] }, ...VISIBLE_ACCOUNT_FILTER }).select(SUGGESTION_FIELDS).lean()
+        : [],
+      sharedAttributeConditions.length > 0
+        ? UserProfile.find({ userId: { $nin: excludeUserIds }, $or: sharedAttributeConditions, ...VISIBLE_ACCOUNT_FILTER })
+          .select(SUGGESTION_FIELDS)
+          .collation({ locale: 'en', strength: 2 }) // case-insensitive matching of shared values
+          .limit(SUGGESTION_POOL_SIZE)
+          .lean()
+        : []
+    ]);
+
+    const candidates = new Map();
+    [...secondDegreeProfiles, ...sharedAttributeProfiles].forEach(profile => candidates.set(profile.userId, profile));
+    const relationships = await getViewerRelationships(req.user, [...candidates.keys()]);
+
+    const ranked = [...candidates.values()]
+      .map(profile => {
+        const visibleProfile = filterProfileForViewer(profile, relationships.get(profile.userId));
+        return {
+          profile: visibleProfile,
+          ...scoreSuggestion(viewerProfile, visibleProfile, mutualCounts.get(profile.userId) || 0)
+        };
+      })
+      .filter(suggestion => suggestion.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+
+    const suggestedUserIds = ranked.map(suggestion => suggestion.profile.userId);
+    const [mutualConnectionMap, countMap] = await Promise.all([
+      getMutualConnections(currentUserId, suggestedUserIds),
+      getCareerAgentCounts(suggestedUserIds)
+    ]);
+
+    res.json({
+      success: true,
+      data: ranked.map(suggestion => ({
+        ...toNetworkingCard(suggestion.profile, countMap, mutualConnectionMap),
+        score: suggestion.score,
+        reasons: suggestion.reasons
+      })),
+      meta: {
+        total: ranked.length,
+        candidatesConsidered: candidates.size,
+        limit
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching people suggestions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/userprofile/suggestions/{suggestedUserId}/dismiss:
+ *   post:
+ *     summary: Dismiss a "people you may know" suggestion so it is not shown again
+ *     tags: [UserProfile]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: suggestedUserId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Suggestion dismissed
+ *       400:
+ *         description: Cannot dismiss yourself
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/suggestions/:suggestedUserId/dismiss', verifyToken, async (req, res) => {
+  try {
+    const currentUserId = req.user.userId;
+    const { suggestedUserId } = req.params;
+
+    if (suggestedUserId === currentUserId) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot dismiss yourself'
+      });
+    }
+
+    await DismissedSuggestion.updateOne(
+      { userId: currentUserId, dismissedUserId: suggestedUserId },
+      { $setOnInsert: { dismissedAt: new Date() } },
+      { upsert: true }
+    );
+
+    res.json({
+      success: true,
+      message: 'Suggestion dismissed'
+    });
+  } catch (error) {
+    console.error('Error dismissing suggestion:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/userprofile/suggestions/{suggestedUserId}/dismiss:
+ *   delete:
+ *     summary: Undo a dismissed suggestion so the user can be suggested again
+ *     tags: [UserProfile]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: suggestedUserId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Dismissal removed
+ *       404:
+ *         description: Suggestion was not dismissed
+ */
+router.delete('/suggestions/:suggestedUserId/dismiss', verifyToken, async (req, res) => {
+  try {
+    const result = await DismissedSuggestion.deleteOne({
+      userId: req.user.userId,
+      dismissedUserId: req.params.suggestedUserId
+    });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Suggestion was not dismissed'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Dismissal removed'
+    });
+  } catch (error) {
+    console.error('Error removing suggestion dismissal:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/userprofile/{userId}:
  *   put:
  *     summary: Update user profile
+ *     description: |
+ *       Owners and admins update the profile directly. The candidate's active career agent
+ *       may edit the fields covered by their edit permissions; such edits are stored as a
+ *       pending proposal that the candidate approves or rejects.
  *     tags: [UserProfile]
  *     security:
  *       - bearerAuth: []
@@ -874,6 +1327,10 @@ router.get('/potentialcontact', verifyToken, async (req, res) => {
  *     responses:
  *       200:
  *         description: User profile updated successfully
+ *       202:
+ *         description: Career agent edit submitted for the candidate's approval
+ *       403:
+ *         description: Not allowed to edit this profile or these fields
  *       404:
  *         description: User profile not found
  */
@@ -902,9 +1359,9 @@ router.put('/:userId', verifyToken, validateUserProfile, async (req, res) => {
 
     console.log('User contact email:', userProfile.contactInfo?.email);
     console.log('req.user.userId------------:', req.user.userId);
-    // Check if user is updating their own profile or has admin rights
-    // later this will be extended to allow Managers of the profile to edit
-    if (req.user.userId !== userProfile.contactInfo?.email && req.user.role !== 'admin') {
+    // Owners and admins edit directly; the candidate's career agent may propose edits within their permissions
+    const editor = await resolveProfileEditor(req.user, userProfile);
+    if (!editor) {
       console.log('Unauthorized update attempt by user:', req.user.userId);
       return res.status(403).json({
         success: false,
@@ -912,28 +1369,24 @@ router.put('/:userId', verifyToken, validateUserProfile, async (req, res) => {
       });
     }
 
-    const userProfileOfUpdate = await UserProfile.findOneAndUpdate(
-      { userId: req.params.userId },
-      { ...req.body },
-      { new: true, runValidators: true }
-    );
-
-    console.log('User profile after update:', userProfileOfUpdate);
-
-    if (!userProfileOfUpdate) {
-      console.log('User profile not found for userId:', req.params.userId);
-      return res.status(404).json({
-        success: false,
-        message: 'User profile not found'
-      });
-    }
+    // Saved through the document (not findOneAndUpdate) so save middleware keeps the search index current
+    // The public page is managed through /:userId/public-profile, which checks slug availability,
+    // and recommendations through /api/recommendations so they always come from the recommender.
+    // Account state and verification badges are only changed by their own endpoints, and the
+    // search index is derived from the profile on save
+    const { publicProfile, recommendations, account, searchFields, searchTrigrams, ...fields } = req.body;
+    const updates = withoutClientBadges(fields, userProfile);
+    const before = toRevisionSnapshot(userProfile);
+    userProfile.set(updates);
+    const result = await commitProfileEdit(userProfile, before, editor);
+    if (respondToAgentEdit(res, editor, result)) return;
 
     console.log('User profile updated successfully:', userProfile);
 
     res.json({
       success: true,
       message: 'User profile updated successfully',
-      data: userProfileOfUpdate
+      data: userProfile
     });
   } catch (error) {
     console.error('Error updating user profile:', error);
@@ -944,11 +1397,31 @@ router.put('/:userId', verifyToken, validateUserProfile, async (req, res) => {
   }
 });
 
+const toAccountResponse = (profile) => ({
+  userId: profile.userId,
+  status: profile.account?.status || 'active',
+  deactivatedAt: profile.account?.deactivatedAt,
+  deletionScheduledFor: profile.account?.deletionScheduledFor
+});
+
 /**
  * @swagger
  * /api/userprofile/{userId}:
  *   delete:
- *     summary: Delete user profile
+ *     summary: Delete a user account
+ *     description: |
+ *       Schedules the account for deletion after a 30-day grace period. Until then the profile is
+ *       hidden from other users, its connections are paused, and the owner can restore it with
+ *       POST /api/userprofile/{userId}/reactivate. When the grace period ends the account is erased:
+ *       the profile and everything stored about the user (resumes and photos in storage, cover
+ *       letters, connections, career agent relationships, verifications, endorsements,
+ *       recommendation requests, revisions, edit proposals, imports and data exports) are deleted.
+ *       Records shared with other users are kept for them but anonymized: the user's messages and
+ *       participant entry in conversations with others, cover letters and resumes they wrote for
+ *       others, and their views of other profiles. An audit record is kept of every erasure.
+ *
+ *       Admins can erase an account straight away with immediate=true; the response then holds
+ *       the audit record.
  *     tags: [UserProfile]
  *     security:
  *       - bearerAuth: []
@@ -958,24 +1431,74 @@ router.put('/:userId', verifyToken, validateUserProfile, async (req, res) => {
  *         required: true
  *         schema:
  *           type: string
- *     responses:
- *       200:
- *         description: User profile deleted successfully
- *       404:
- *         description: User profile not found
- */
-router.delete('/:userId', verifyToken, async (req, res) => {
-  try {
+ *       - in: query
+ *         name: immediate
+ *         schema:
+ *           type: boolean
+ *         description: Erase now, skipping the grace period (admins only)
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Account erased immediately; data is the audit record
+ *       202:
+ *         description: Deletion scheduled; data holds the account status and deletionScheduledFor
+ *       403:
+ *         description: Not allowed to delete this account
+ *       404:
+ *         description: User profile not found
+ *       409:
+ *         description: Deletion is already scheduled
+ */
+router.delete('/:userId', verifyToken, async (req, res) => {
+  try {
     // Check if user is deleting their own profile or has admin rights
-    if (req.user.userId !== req.params.userId && req.user.role !== 'admin') {
+    if (!canManageAccountData(req.user, req.params.userId)) {
       return res.status(403).json({
         success: false,
         message: 'You can only delete your own profile'
       });
     }
 
-    const userProfile = await UserProfile.findOneAndDelete({ userId: req.params.userId });
+    const immediate = req.query.immediate === 'true';
+    if (immediate && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only admins can erase an account without the grace period'
+      });
+    }
+
+    if (immediate) {
+      const erasure = await eraseUserAccount(req.params.userId, {
+        requestedBy: req.user.userId,
+        requestedByRole: 'admin',
+        reason: typeof req.body?.reason === 'string' ? req.body.reason.slice(0, 500) : undefined
+      });
+
+      if (!erasure) {
+        return res.status(404).json({
+          success: false,
+          message: 'User profile not found'
+        });
+      }
+
+      return res.json({
+        success: true,
+        message: erasure.status === 'completed'
+          ? 'User account erased successfully'
+          : 'User account erased; some stored files could not be deleted and are listed in the audit record',
+        data: erasure
+      });
+    }
 
+    const userProfile = await UserProfile.findOne({ userId: req.params.userId });
     if (!userProfile) {
       return res.status(404).json({
         success: false,
@@ -983,9 +1506,29 @@ router.delete('/:userId', verifyToken, async (req, res) => {
       });
     }
 
-    res.json({
+    if (userProfile.account?.status === 'pendingDeletion') {
+      return res.status(409).json({
+        success: false,
+        message: 'Deletion is already scheduled',
+        data: toAccountResponse(userProfile)
+      });
+    }
+
+    const now = new Date();
+    userProfile.account = {
+      status: 'pendingDeletion',
+      deactivatedAt: userProfile.account?.deactivatedAt || now,
+      deletionRequestedAt: now,
+      deletionRequestedBy: req.user.userId,
+      deletionScheduledFor: new Date(now.getTime() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000)
+    };
+    await userProfile.save();
+    await pauseConnections(userProfile.userId);
+
+    res.status(202).json({
       success: true,
-      message: 'User profile deleted successfully'
+      message: `Account scheduled for deletion in ${ACCOUNT_DELETION_GRACE_DAYS} days; it can be restored until then`,
+      data: toAccountResponse(userProfile)
     });
   } catch (error) {
     console.error('Error deleting user profile:', error);
@@ -996,11 +1539,167 @@ router.delete('/:userId', verifyToken, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/userprofile/{userId}/deactivate:
+ *   post:
+ *     summary: Deactivate a user account
+ *     description: |
+ *       Hides the profile from other users (profile lists, search, suggestions and the public
+ *       page) and pauses its connections until the account is reactivated. Nothing is deleted.
+ *     tags: [UserProfile]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Account deactivated
+ *       403:
+ *         description: Not allowed to manage this account
+ *       404:
+ *         description: User profile not found
+ *       409:
+ *         description: The account is already deactivated or scheduled for deletion
+ */
+router.post('/:userId/deactivate', verifyToken, async (req, res) => {
+  try {
+    if (!canManageAccountData(req.user, req.params.userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only deactivate your own account'
+      });
+    }
+
+    const userProfile = await UserProfile.findOne({ userId: req.params.userId });
+    if (!userProfile) {
+      return res.status(404).json({
+        success: false,
+        message: 'User profile not found'
+      });
+    }
+
+    if (isAccountHidden(userProfile)) {
+      return res.status(409).json({
+        success: false,
+        message: userProfile.account.status === 'pendingDeletion'
+          ? 'The account is scheduled for deletion'
+          : 'The account is already deactivated',
+        data: toAccountResponse(userProfile)
+      });
+    }
+
+    userProfile.account = { status: 'deactivated', deactivatedAt: new Date() };
+    await userProfile.save();
+    const pausedConnections = await pauseConnections(userProfile.userId);
+
+    res.json({
+      success: true,
+      message: 'Account deactivated',
+      data: { ...toAccountResponse(userProfile), pausedConnections }
+    });
+  } catch (error) {
+    console.error('Error deactivating account:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/userprofile/{userId}/reactivate:
+ *   post:
+ *     summary: Reactivate a deactivated account or restore one scheduled for deletion
+ *     description: |
+ *       Makes the profile visible again and resumes the connections paused with it. An account
+ *       scheduled for deletion can be restored until its grace period ends.
+ *     tags: [UserProfile]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Account active again
+ *       403:
+ *         description: Not allowed to manage this account
+ *       404:
+ *         description: User profile not found
+ *       409:
+ *         description: The account is already active, or its erasure has started
+ */
+router.post('/:userId/reactivate', verifyToken, async (req, res) => {
+  try {
+    if (!canManageAccountData(req.user, req.params.userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only reactivate your own account'
+      });
+    }
+
+    // The sweeper's claim marks an erasure in progress, which can no longer be stopped
+    const userProfile = await UserProfile.findOneAndUpdate(
+      {
+        userId: req.params.userId,
+        'account.status': { $in: ['deactivated', 'pendingDeletion'] },
+        'account.sweepClaimedAt': { $exists: false }
+      },
+      { $set: { account: { status: 'active' } } },
+      { new: true }
+    );
+
+    if (!userProfile) {
+      const existing = await UserProfile.findOne({ userId: req.params.userId }).select('userId account').lean();
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          message: 'User profile not found'
+        });
+      }
+      return res.status(409).json({
+        success: false,
+        message: isAccountHidden(existing) ? 'The account is being erased' : 'The account is already active',
+        data: toAccountResponse(existing)
+      });
+    }
+
+    const resumedConnections = await resumeConnections(userProfile.userId);
+
+    res.json({
+      success: true,
+      message: 'Account reactivated',
+      data: { ...toAccountResponse(userProfile), resumedConnections }
+    });
+  } catch (error) {
+    console.error('Error reactivating account:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/userprofile/upload-photo:
  *   post:
- *     summary: Upload user profile photo to S3
+ *     summary: Upload a profile or background photo
+ *     description: |
+ *       The upload must be a JPEG, PNG, WebP, GIF, HEIF, AVIF or TIFF image. It is rotated upright,
+ *       cropped to the aspect ratio, stripped of EXIF metadata (including GPS position) and stored
+ *       as thumb, medium and large variants in WebP and JPEG. Each upload is stored under a new
+ *       version, so variant URLs can be cached indefinitely. The medium (profile) or large
+ *       (background) JPEG also becomes the profile's picture URL.
  *     tags: [UserProfile]
  *     security:
  *       - bearerAuth: []
@@ -1020,17 +1719,47 @@ router.delete('/:userId', verifyToken, async (req, res) => {
  *                 type: string
  *                 enum: [profile, background]
  *                 default: profile
+ *               aspectRatio:
+ *                 type: string
+ *                 description: 1:1 (default) or 4:5 for profile photos; 4:1 (default), 3:1 or 16:9 for backgrounds
+ *               cropLeft:
+ *                 type: integer
+ *                 description: Crop box in pixels of the upright image; without one the most salient region is kept
+ *               cropTop:
+ *                 type: integer
+ *               cropWidth:
+ *                 type: integer
+ *               cropHeight:
+ *                 type: integer
  *     responses:
  *       200:
  *         description: Photo uploaded successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 photoUrl:
+ *                   type: string
+ *                 photoType:
+ *                   type: string
+ *                 variants:
+ *                   $ref: '#/components/schemas/PhotoVariants'
+ *       202:
+ *         description: Career agent edit submitted for the candidate's approval
  *       400:
- *         description: Invalid file or upload error
+ *         description: Not a supported image, image too small, invalid crop or aspect ratio, or upload error
+ *       403:
+ *         description: Not allowed to change photos on this profile
  *       404:
  *         description: User profile not found
  */
-router.post('/upload-photo', verifyToken, upload.single('photo'), async (req, res) => {
+router.post('/upload-photo', verifyToken, receivePhoto, async (req, res) => {
   try {
-    console.log('Uploading photo with data:', req.body);
     if (!req.file) {
       return res.status(400).json({
         success: false,
@@ -1039,8 +1768,13 @@ router.post('/upload-photo', verifyToken, upload.single('photo'), async (req, re
     }
     
     const userId = req.body.userId || req.user.userId;
-    console.log('User ID for photo upload:', userId);
     const photoType = req.body.photoType || 'profile'; // 'profile' or 'background'
+    if (!PHOTO_TYPES[photoType]) {
+      return res.status(400).json({
+        success: false,
+        message: `photoType must be one of ${Object.keys(PHOTO_TYPES).join(', ')}`
+      });
+    }
     
     // Check if user profile exists
     const userProfile = await UserProfile.findOne({ userId: userId });
@@ -1052,41 +1786,73 @@ router.post('/upload-photo', verifyToken, upload.single('photo'), async (req, re
       });
     }
 
-    const fileExtension = req.file.originalname.split('.').pop();
-    console.log('File extension:', fileExtension);
-    const fileName = `${photoType}-photos/${userId}/${photoType}-photo.${fileExtension}`;
+    const { urlField, variantsField } = photoFields(photoType);
+    const editor = await resolveProfileEditor(req.user, userProfile);
+    if (!editor || getForbiddenFields(editor, [urlField, variantsField]).length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not allowed to change photos on this profile'
+      });
+    }
 
-    console.log('File name for S3 upload:', fileName);
+    const { cropLeft, cropTop, cropWidth, cropHeight } = req.body;
+    const hasCrop = [cropLeft, cropTop, cropWidth, cropHeight].some(value => value !== undefined && value !== '');
+    let processed;
+    try {
+      processed = await processPhoto(req.file.buffer, {
+        photoType,
+        aspectRatio: req.body.aspectRatio || undefined,
+        crop: hasCrop ? { left: cropLeft, top: cropTop, width: cropWidth, height: cropHeight } : undefined
+      });
+    } catch (error) {
+      if (!error.invalidImage) throw error;
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
 
-    // Upload to S3
-    const uploadParams = {
-      Bucket: BUCKET_NAME,
-      Key: fileName,
-      Body: req.file.buffer,
-      ContentType: req.file.mimetype,
-    };
+    // Every upload gets a new version folder, so cached variants never go stale.
+    // Career agent uploads are marked proposed; the live photo is untouched until the candidate approves
+    const version = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    const folder = `${photoType}-photos/${userId}/${editor.role === 'careerAgent' ? 'proposed-' : ''}${version}`;
+    const variants = [];
+    for (const variant of processed) {
+      const key = `${folder}/${variant.size}.${variant.extension}`;
+      await storage.upload(key, variant.buffer, {
+        contentType: variant.contentType,
+        cacheControl: 'public, max-age=31536000, immutable'
+      });
+      variants.push({
+        size: variant.size,
+        format: variant.format,
+        width: variant.width,
+        height: variant.height,
+        key,
+        url: await storage.getUrl(key)
+      });
+    }
 
-    console.log('S3 upload parameters:', uploadParams);
-    const uploadResult = await s3.upload(uploadParams).promise();
+    const aspectRatio = req.body.aspectRatio || PHOTO_TYPES[photoType].aspectRatios[0];
+    const primary = variants.find(variant =>
+      variant.size === PHOTO_TYPES[photoType].primarySize && variant.format === 'jpeg');
+    const previousKeys = storedPhotoKeys(userProfile[urlField], userProfile[variantsField]);
 
-    console.log('S3 upload result:', uploadResult);
-    // Update user profile with S3 key (not full URL)
-    const updateField = photoType === 'background' ? 'backgroundPictureUrl' : 'profilePictureUrl';
-    userProfile[updateField] = process.env.CLOUDFRONT_MEDIA_DOMAIN_NAME + "/" + fileName;
+    const before = toRevisionSnapshot(userProfile);
+    userProfile[urlField] = primary.url;
+    userProfile[variantsField] = { version, aspectRatio, variants };
+    const result = await commitProfileEdit(userProfile, before, editor);
+    if (respondToAgentEdit(res, editor, result)) return;
+
+    // The previous version is only removed once the profile points at the new one, and kept
+    // while a revision still refers to it, so restoring that revision brings the photo back
+    await deleteUnreferencedPhotoKeys(userId, previousKeys);
 
-    console.log(`Updating user profile with ${photoType} photo URL:`, userProfile[updateField]);
-    await userProfile.save();
-    console.log('User profile updated with photo URL:', userProfile[updateField]);
-    console.log('Photo upload successful:', uploadResult.Location);
-    // Generate CloudFront signed URL
-    //const signedUrl = await generateSignedUrl(fileName);
-    const url = await getUrl(fileName);
-    console.log('Generated photo URL:', url);
-    
     res.json({
       success: true,
       message: `${photoType} photo uploaded successfully`,
-      photoUrl: url,
+      photoUrl: primary.url,
+      variants: userProfile[variantsField],
       photoType
     });
 
@@ -1122,19 +1888,15 @@ router.post('/upload-photo', verifyToken, upload.single('photo'), async (req, re
  *     responses:
  *       200:
  *         description: Photo deleted successfully
+ *       202:
+ *         description: Career agent edit submitted for the candidate's approval
+ *       403:
+ *         description: Not allowed to change photos on this profile
  *       404:
  *         description: User profile not found
  */
 router.delete('/:userId/delete-photo', verifyToken, async (req, res) => {
   try {
-    // Check if user is deleting their own photo
-    if (req.user.userId !== req.params.userId) {
-      return res.status(403).json({
-        success: false,
-        message: 'You can only delete your own photo'
-      });
-    }
-
     const photoType = req.query.photoType || 'profile';
     const userProfile = await UserProfile.findOne({ userId: req.params.userId });
     
@@ -1145,8 +1907,17 @@ router.delete('/:userId/delete-photo', verifyToken, async (req, res) => {
       });
     }
 
-    const photoField = photoType === 'background' ? 'backgroundPictureUrl' : 'profilePictureUrl';
-    const photoUrl = userProfile[photoField];
+    // Check if user is deleting their own photo, or is a career agent allowed to propose it
+    const { urlField, variantsField } = photoFields(photoType);
+    const editor = await resolveProfileEditor(req.user, userProfile);
+    if (!editor || getForbiddenFields(editor, [urlField, variantsField]).length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only delete your own photo'
+      });
+    }
+
+    const photoUrl = userProfile[urlField];
 
     if (!photoUrl) {
       return res.status(404).json({
@@ -1155,21 +1926,18 @@ router.delete('/:userId/delete-photo', verifyToken, async (req, res) => {
       });
     }
 
-    // Extract S3 key from URL
-    const urlParts = photoUrl.split('/');
-    const s3Key = urlParts.slice(-3).join('/'); // Get the last 3 parts
-
-    // Delete from S3
-    const deleteParams = {
-      Bucket: BUCKET_NAME,
-      Key: s3Key
-    };
+    const photoKeys = storedPhotoKeys(photoUrl, userProfile[variantsField]);
 
-    await s3.deleteObject(deleteParams).promise();
+    // Update user profile to remove the photo and its variants
+    const before = toRevisionSnapshot(userProfile);
+    userProfile[urlField] = null;
+    userProfile[variantsField] = null;
+    const result = await commitProfileEdit(userProfile, before, editor);
+    if (respondToAgentEdit(res, editor, result)) return;
 
-    // Update user profile to remove photo URL
-    userProfile[photoField] = null;
-    await userProfile.save();
+    // A career agent's removal only takes effect once approved, so the files stay in storage until
+    // then; they are also kept while a revision still refers to them
+    await deleteUnreferencedPhotoKeys(userProfile.userId, photoKeys);
 
     res.json({
       success: true,
@@ -1185,11 +1953,177 @@ router.delete('/:userId/delete-photo', verifyToken, async (req, res) => {
   }
 });
 
+// Sub-collections that can be edited one entry at a time, with the field a new entry must carry.
+// Recommendations come from the recommendation workflow, so owners can only reorder and delete them.
+const SUB_COLLECTIONS = {
+  experience: { label: 'Experience', requiredField: 'title' },
+  education: { label: 'Education', requiredField: 'school' },
+  certifications: { label: 'Certification', requiredField: 'name' },
+  publications: { label: 'Publication', requiredField: 'title' },
+  volunteerExperience: { label: 'Volunteer experience', requiredField: 'organization' },
+  recommendations: { label: 'Recommendation', requiredField: 'text', writtenByRecommender: true }
+};
+
+// Route pattern restricting :section to the sub-collections above
+const SUB_COLLECTION_PATTERN = Object.keys(SUB_COLLECTIONS).join('|');
+
+// Read field types and maxLength limits straight from the UserProfile schema so they stay in one place
+const getSubCollectionFields = (section) => {
+  const fields = {};
+  UserProfile.schema.path(section).schema.eachPath((path, schemaType) => {
+    if (path === '_id' || path.includes('.')) return;
+    fields[path] = {
+      instance: schemaType.instance,
+      maxLength: schemaType.options.maxLength
+    };
+  });
+  return fields;
+};
+
+// Build the validation chains for one sub-collection entry
+const buildSubCollectionValidators = (section, { isUpdate }) => {
+  const { label, requiredField } = SUB_COLLECTIONS[section];
+  const fields = getSubCollectionFields(section);
+
+  const chains = Object.entries(fields).map(([field, { instance, maxLength }]) => {
+    let chain = body(field);
+    if (!isUpdate && field === requiredField) {
+      chain = chain.exists({ values: 'falsy' }).withMessage(`${label} ${field} is required`).bail();
+    } else {
+      chain = chain.optional({ values: 'null' });
+    }
+
+    if (instance === 'Date') {
+      return chain.isISO8601().withMessage(`${label} ${field} must be a valid date`);
+    }
+    if (instance === 'Boolean') {
+      return chain.isBoolean().withMessage(`${label} ${field} must be a boolean`).toBoolean();
+    }
+
+    chain = chain.isString().withMessage(`${label} ${field} must be a string`).bail().trim();
+    if (maxLength) {
+      chain = chain.isLength({ max: maxLength }).withMessage(`${label} ${field} must be less than ${maxLength} characters`);
+    }
+    if (field === 'url') {
+      chain = chain.isURL().withMessage(`${label} URL must be valid`);
+    }
+    return chain;
+  });
+
+  // End date must not precede start date when both are supplied
+  if (fields.startDate && fields.endDate) {
+    chains.push(
+      body('endDate')
+        .optional({ values: 'null' })
+        .custom((value, { req }) => !req.body.startDate || new Date(value) >= new Date(req.body.startDate))
+        .withMessage(`${label} end date must be on or after the start date`)
+    );
+  }
+
+  return chains;
+};
+
+const subCollectionValidators = Object.fromEntries(
+  Object.keys(SUB_COLLECTIONS).map(section => [section, {
+    create: buildSubCollectionValidators(section, { isUpdate: false }),
+    update: buildSubCollectionValidators(section, { isUpdate: true })
+  }])
+);
+
+// Middleware running the create/update validators for the :section in the path
+const validateSubCollectionEntry = (mode) => async (req, res, next) => {
+  if (SUB_COLLECTIONS[req.params.section].writtenByRecommender) {
+    return res.status(403).json({
+      success: false,
+      message: `${SUB_COLLECTIONS[req.params.section].label} entries are written by the recommender; request one through /api/recommendations`
+    });
+  }
+
+  const chains = subCollectionValidators[req.params.section][mode];
+  await Promise.all(chains.map(chain => chain.run(req)));
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// Validated entry fields from the request body; explicit nulls are kept so a field can be cleared
+const getSubCollectionPayload = (req) => Object.fromEntries(
+  Object.entries(matchedData(req, { locations: ['body'], includeOptionals: true }))
+    .filter(([, value]) => value !== undefined)
+);
+
+// Load the profile for a sub-collection edit together with the editor, enforcing owner/admin
+// access or a career agent permission covering the section
+const loadProfileForSubCollectionEdit = async (req, res) => {
+  const userProfile = await UserProfile.findOne({ userId: req.params.userId });
+  if (!userProfile) {
+    res.status(404).json({
+      success: false,
+      message: 'User profile not found'
+    });
+    return null;
+  }
+
+  const editor = await resolveProfileEditor(req.user, userProfile);
+  if (!editor || getForbiddenFields(editor, [req.params.section]).length > 0) {
+    res.status(403).json({
+      success: false,
+      message: 'You can only update your own profile'
+    });
+    return null;
+  }
+
+  return { userProfile, editor };
+};
+
+// Shared error response for sub-collection handlers
+const handleSubCollectionError = (res, error, action) => {
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: error.errors ? Object.values(error.errors).map(err => err.message) : [error.message]
+    });
+  }
+  console.error(`Error ${action}:`, error);
+  res.status(500).json({
+    success: false,
+    message: 'Internal server error'
+  });
+};
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     ProfileSubCollection:
+ *       in: path
+ *       name: section
+ *       required: true
+ *       schema:
+ *         type: string
+ *         enum: [experience, education, certifications, publications, volunteerExperience, recommendations]
+ *       description: Profile sub-collection to edit
+ */
+
 /**
  * @swagger
- * /api/userprofile/{userId}/experience:
+ * /api/userprofile/{userId}/{section}:
  *   post:
- *     summary: Add experience to user profile
+ *     summary: Add an entry to a profile sub-collection
+ *     description: |
+ *       Appends a single entry to experience, education, certifications, publications
+ *       or volunteerExperience. Only the fields defined on the UserProfile schema are
+ *       accepted and they are validated against its limits. Recommendations cannot be
+ *       added here; they are requested and written through /api/recommendations.
+ *       Edits by the candidate's career agent are held for the candidate's approval.
  *     tags: [UserProfile]
  *     security:
  *       - bearerAuth: []
@@ -1199,74 +2133,54 @@ router.delete('/:userId/delete-photo', verifyToken, async (req, res) => {
  *         required: true
  *         schema:
  *           type: string
+ *       - $ref: '#/components/parameters/ProfileSubCollection'
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             properties:
- *               title:
- *                 type: string
- *               company:
- *                 type: string
- *               location:
- *                 type: string
- *               startDate:
- *                 type: string
- *                 format: date
- *               endDate:
- *                 type: string
- *                 format: date
- *               current:
- *                 type: boolean
- *               description:
- *                 type: string
  *     responses:
- *       200:
- *         description: Experience added successfully
+ *       201:
+ *         description: Entry added successfully, returns the new entry
+ *       202:
+ *         description: Career agent edit submitted for the candidate's approval
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Not allowed to edit this profile
  *       404:
  *         description: User profile not found
  */
-router.post('/:userId/experience', verifyToken, async (req, res) => {
+router.post(`/:userId/:section(${SUB_COLLECTION_PATTERN})`, verifyToken, validateSubCollectionEntry('create'), async (req, res) => {
   try {
-    if (req.user.userId !== req.params.userId) {
-      return res.status(403).json({
-        success: false,
-        message: 'You can only update your own profile'
-      });
-    }
+    const { section } = req.params;
+    const loaded = await loadProfileForSubCollectionEdit(req, res);
+    if (!loaded) return;
+    const { userProfile, editor } = loaded;
 
-    const userProfile = await UserProfile.findOne({ userId: req.params.userId });
-    if (!userProfile) {
-      return res.status(404).json({
-        success: false,
-        message: 'User profile not found'
-      });
-    }
+    const before = toRevisionSnapshot(userProfile);
+    userProfile[section].push(getSubCollectionPayload(req));
+    const result = await commitProfileEdit(userProfile, before, editor);
+    if (respondToAgentEdit(res, editor, result)) return;
 
-    userProfile.experience.push(req.body);
-    await userProfile.save();
+    const entry = userProfile[section][userProfile[section].length - 1];
 
-    res.json({
+    res.status(201).json({
       success: true,
-      message: 'Experience added successfully',
-      data: userProfile
+      message: `${SUB_COLLECTIONS[section].label} added successfully`,
+      data: entry
     });
   } catch (error) {
-    console.error('Error adding experience:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Internal server error'
-    });
+    handleSubCollectionError(res, error, `adding ${req.params.section} entry`);
   }
 });
 
 /**
  * @swagger
- * /api/userprofile/{userId}/education:
- *   post:
- *     summary: Add education to user profile
+ * /api/userprofile/{userId}/{section}/reorder:
+ *   put:
+ *     summary: Reorder the entries of a profile sub-collection
  *     tags: [UserProfile]
  *     security:
  *       - bearerAuth: []
@@ -1276,87 +2190,329 @@ router.post('/:userId/experience', verifyToken, async (req, res) => {
  *         required: true
  *         schema:
  *           type: string
+ *       - $ref: '#/components/parameters/ProfileSubCollection'
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
+ *             required:
+ *               - order
  *             properties:
- *               school:
- *                 type: string
- *               degree:
- *                 type: string
- *               fieldOfStudy:
- *                 type: string
- *               startDate:
- *                 type: string
- *                 format: date
- *               endDate:
- *                 type: string
- *                 format: date
- *               description:
- *                 type: string
+ *               order:
+ *                 type: array
+ *                 description: Every entry id of the sub-collection, in the desired order
+ *                 items:
+ *                   type: string
  *     responses:
  *       200:
- *         description: Education added successfully
+ *         description: Entries reordered successfully, returns the reordered sub-collection
+ *       202:
+ *         description: Career agent edit submitted for the candidate's approval
+ *       400:
+ *         description: Order does not list every entry exactly once
+ *       403:
+ *         description: Not allowed to edit this profile
  *       404:
  *         description: User profile not found
  */
-router.post('/:userId/education', verifyToken, async (req, res) => {
+router.put(`/:userId/:section(${SUB_COLLECTION_PATTERN})/reorder`, verifyToken, [
+  body('order').isArray({ min: 1 }).withMessage('Order must be a non-empty array of entry ids'),
+  body('order.*').isMongoId().withMessage('Each entry id must be valid')
+], async (req, res) => {
   try {
-    if (req.user.userId !== req.params.userId) {
-      return res.status(403).json({
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
         success: false,
-        message: 'You can only update your own profile'
+        message: 'Validation failed',
+        errors: errors.array()
       });
     }
 
-    const userProfile = await UserProfile.findOne({ userId: req.params.userId });
-    if (!userProfile) {
+    const { section } = req.params;
+    const loaded = await loadProfileForSubCollectionEdit(req, res);
+    if (!loaded) return;
+    const { userProfile, editor } = loaded;
+
+    const { order } = req.body;
+    const currentIds = userProfile[section].map(entry => entry._id.toString());
+    const isPermutation = order.length === currentIds.length &&
+      new Set(order).size === order.length &&
+      order.every(id => currentIds.includes(id));
+
+    if (!isPermutation) {
+      return res.status(400).json({
+        success: false,
+        message: 'Order must list every existing entry id exactly once'
+      });
+    }
+
+    const before = toRevisionSnapshot(userProfile);
+    const reordered = order.map(id => userProfile[section].id(id).toObject());
+    userProfile[section] = reordered;
+    const result = await commitProfileEdit(userProfile, before, editor);
+    if (respondToAgentEdit(res, editor, result)) return;
+
+    res.json({
+      success: true,
+      message: `${SUB_COLLECTIONS[section].label} entries reordered successfully`,
+      data: userProfile[section]
+    });
+  } catch (error) {
+    handleSubCollectionError(res, error, `reordering ${req.params.section}`);
+  }
+});
+
+/**
+ * @swagger
+ * /api/userprofile/{userId}/{section}/{itemId}:
+ *   put:
+ *     summary: Update a single entry of a profile sub-collection
+ *     description: Only the supplied fields are changed; other fields of the entry are kept.
+ *     tags: [UserProfile]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/ProfileSubCollection'
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Subdocument id of the entry
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       200:
+ *         description: Entry updated successfully, returns the updated entry
+ *       202:
+ *         description: Career agent edit submitted for the candidate's approval
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Not allowed to edit this profile
+ *       404:
+ *         description: User profile or entry not found
+ */
+router.put(`/:userId/:section(${SUB_COLLECTION_PATTERN})/:itemId`, verifyToken, validateSubCollectionEntry('update'), async (req, res) => {
+  try {
+    const { section, itemId } = req.params;
+    const loaded = await loadProfileForSubCollectionEdit(req, res);
+    if (!loaded) return;
+    const { userProfile, editor } = loaded;
+
+    const entry = mongoose.isValidObjectId(itemId) ? userProfile[section].id(itemId) : null;
+    if (!entry) {
       return res.status(404).json({
         success: false,
-        message: 'User profile not found'
+        message: `${SUB_COLLECTIONS[section].label} entry not found`
       });
     }
 
-    userProfile.education.push(req.body);
-    await userProfile.save();
+    const before = toRevisionSnapshot(userProfile);
+    entry.set(getSubCollectionPayload(req));
+
+    if (entry.startDate && entry.endDate && entry.endDate < entry.startDate) {
+      return res.status(400).json({
+        success: false,
+        message: `${SUB_COLLECTIONS[section].label} end date must be on or after the start date`
+      });
+    }
+
+    const result = await commitProfileEdit(userProfile, before, editor);
+    if (respondToAgentEdit(res, editor, result)) return;
 
     res.json({
       success: true,
-      message: 'Education added successfully',
-      data: userProfile
+      message: `${SUB_COLLECTIONS[section].label} updated successfully`,
+      data: entry
     });
   } catch (error) {
-    console.error('Error adding education:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Internal server error'
+    handleSubCollectionError(res, error, `updating ${req.params.section} entry`);
+  }
+});
+
+/**
+ * @swagger
+ * /api/userprofile/{userId}/{section}/{itemId}:
+ *   delete:
+ *     summary: Delete a single entry from a profile sub-collection
+ *     tags: [UserProfile]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/ProfileSubCollection'
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Subdocument id of the entry
+ *     responses:
+ *       200:
+ *         description: Entry deleted successfully, returns the remaining sub-collection
+ *       202:
+ *         description: Career agent edit submitted for the candidate's approval
+ *       403:
+ *         description: Not allowed to edit this profile
+ *       404:
+ *         description: User profile or entry not found
+ */
+router.delete(`/:userId/:section(${SUB_COLLECTION_PATTERN})/:itemId`, verifyToken, async (req, res) => {
+  try {
+    const { section, itemId } = req.params;
+    const loaded = await loadProfileForSubCollectionEdit(req, res);
+    if (!loaded) return;
+    const { userProfile, editor } = loaded;
+
+    const entry = mongoose.isValidObjectId(itemId) ? userProfile[section].id(itemId) : null;
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: `${SUB_COLLECTIONS[section].label} entry not found`
+      });
+    }
+
+    const { requestId } = entry;
+    const before = toRevisionSnapshot(userProfile);
+    userProfile[section].pull(entry._id);
+    const result = await commitProfileEdit(userProfile, before, editor);
+    if (respondToAgentEdit(res, editor, result)) return;
+
+    // A removed workflow recommendation stays available to accept again later
+    if (section === 'recommendations' && requestId) {
+      await RecommendationRequest.updateOne({ requestId, status: 'accepted' }, { status: 'hidden' });
+    }
+
+    res.json({
+      success: true,
+      message: `${SUB_COLLECTIONS[section].label} deleted successfully`,
+      data: userProfile[section]
     });
+  } catch (error) {
+    handleSubCollectionError(res, error, `deleting ${req.params.section} entry`);
   }
 });
 
+// Facets returned by profile search: response key, profile field and the privacy section guarding it
+const SEARCH_FACETS = {
+  industry: { field: 'industry', section: 'industry' },
+  country: { field: 'location.country', section: 'location' },
+  city: { field: 'location.city', section: 'location' },
+  skills: { field: 'skills', section: 'skills' },
+  language: { field: 'languages', section: 'languages' }
+};
+const SEARCH_FACET_LIMIT = 20;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Case-insensitive exact match on one of several comma-separated values
+const anyOfValues = (value) => ({
+  $in: value.split(',').map(item => item.trim()).filter(Boolean)
+    .map(item => new RegExp(`^${escapeRegex(item)}$`, 'i'))
+});
+
 /**
  * @swagger
  * /api/userprofile/search:
  *   get:
- *     summary: Search user profiles by name (first or last name, with suggestions)
+ *     summary: Search user profiles with facets
+ *     description: |
+ *       Full-text search across name, headline, summary, skills, company, experience
+ *       and education, ranked by relevance. When no profile matches the text exactly, a
+ *       typo-tolerant trigram match over the whole collection is used and the results are
+ *       returned as suggestions. The search text, facet counts and facet filters only use
+ *       sections that profile owners have made public. Skills, industries and languages in the search text
+ *       and filters also match the synonyms of their taxonomy term (e.g. "JS" finds "JavaScript").
+ *       With near or lat/lng, only profiles whose public location lies within radiusKm are returned.
  *     tags: [UserProfile]
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: query
- *         name: name
- *         required: true
+ *         name: q
  *         schema:
  *           type: string
- *         description: Name to search for (first or last name)
+ *         description: Search text (the legacy name parameter is accepted as an alias)
+ *       - in: query
+ *         name: industry
+ *         schema:
+ *           type: string
+ *         description: Comma-separated industries to filter by
+ *       - in: query
+ *         name: country
+ *         schema:
+ *           type: string
+ *         description: Comma-separated countries to filter by
+ *       - in: query
+ *         name: city
+ *         schema:
+ *           type: string
+ *         description: Comma-separated cities to filter by
+ *       - in: query
+ *         name: skills
+ *         schema:
+ *           type: string
+ *         description: Comma-separated skills; profiles must have all of them
+ *       - in: query
+ *         name: language
+ *         schema:
+ *           type: string
+ *         description: Comma-separated languages to filter by
+ *       - in: query
+ *         name: near
+ *         schema:
+ *           type: string
+ *         description: City to search around, optionally followed by region and country (e.g. "Portland, Maine")
+ *       - in: query
+ *         name: lat
+ *         schema:
+ *           type: number
+ *         description: Latitude to search around, used with lng instead of near
+ *       - in: query
+ *         name: lng
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: radiusKm
+ *         schema:
+ *           type: number
+ *           default: 50
+ *           maximum: 500
+ *         description: Search radius around near or lat/lng
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [relevance, recent, name]
+ *           default: relevance
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
  *       - in: query
  *         name: limit
  *         schema:
  *           type: integer
  *           default: 10
+ *           maximum: 100
  *         description: Maximum number of profiles to return
  *     responses:
  *       200:
@@ -1374,97 +2530,164 @@ router.post('/:userId/education', verifyToken, async (req, res) => {
  *                     $ref: '#/components/schemas/UserProfile'
  *                 suggestions:
  *                   type: array
+ *                   description: Typo-tolerant matches, only filled when data is empty
  *                   items:
  *                     $ref: '#/components/schemas/UserProfile'
+ *                 fuzzy:
+ *                   type: boolean
+ *                 facets:
+ *                   type: object
+ *                   properties:
+ *                     industry:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           value:
+ *                             type: string
+ *                           count:
+ *                             type: integer
+ *                     country:
+ *                       type: array
+ *                     city:
+ *                       type: array
+ *                     skills:
+ *                       type: array
+ *                     language:
+ *                       type: array
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     totalPages:
+ *                       type: integer
  *       400:
- *         description: Missing or invalid search parameter
+ *         description: Neither a search term nor a filter was given, or the radius search is invalid
  *       401:
  *         description: Unauthorized
  */
 router.get('/search', verifyToken, async (req, res) => {
-  console.log('ANY REQUEST TO /api/userprofile/search');
   try {
-    const { name } = req.query;
-    const limit = parseInt(req.query.limit) || 10;
-    console.log(`[UserProfile Search] Query params: name="${name}", limit=${limit}, user=${req.user?.userId}`);
+    const searchText = (req.query.q || req.query.name || '').toString().trim();
+    const sort = ['relevance', 'recent', 'name'].includes(req.query.sort) ? req.query.sort : 'relevance';
+    const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+    // Facet filters only match sections the profile owner made public.
+    // Skills, industries and languages also match the synonyms of their taxonomy term.
+    const filters = [];
+    for (const [param, { field, section }] of Object.entries(SEARCH_FACETS)) {
+      const value = req.query[param];
+      if (!value || typeof value !== 'string') continue;
+      if (PROFILE_TAXONOMY_FIELDS[field]) {
+        const values = value.split(',').map(item => item.trim()).filter(Boolean);
+        filters.push(await buildTaxonomyFilter(field, values, { matchAll: param === 'skills' }));
+      } else {
+        filters.push({ [field]: anyOfValues(value) });
+      }
+      filters.push(publiclyVisible(section));
+    }
+
+    // Within radiusKm of a city or coordinates, for profiles whose location is public
+    const radiusSearch = parseRadiusSearch(req.query);
+    if (radiusSearch?.error) {
+      return res.status(400).json({
+        success: false,
+        message: radiusSearch.error
+      });
+    }
+    if (radiusSearch) {
+      filters.push({ 'location.geo': withinRadius(radiusSearch.center, radiusSearch.radiusKm) });
+      filters.push(publiclyVisible('location'));
+    }
 
-    if (!name || typeof name !== 'string' || name.trim().length === 0) {
-      console.log('[UserProfile Search] Missing or invalid name parameter');
+    if (!searchText && filters.length === 0) {
       return res.status(400).json({
         success: false,
-        message: 'Missing or invalid name parameter'
+        message: 'Provide a search term (q) or at least one filter'
       });
     }
 
-    // 1. Try exact (case-insensitive) and partial match using regex
-    const regex = new RegExp(name.trim(), 'i');
-    console.log(`[UserProfile Search] Searching for direct matches with regex: ${regex}`);
-    let matches = await UserProfile.find({
-      $or: [
-        { firstName: regex },
-        { lastName: regex }
-      ]
-    })
-      .limit(limit)
-      .select('userId firstName lastName headline industry company location profilePictureUrl contactInfo');
-    console.log(`[UserProfile Search] Direct matches found: ${matches.length}`);
-    console.log('Matches:', matches);
-
-    // 2. If no matches, use fuzzy search for suggestions (Levenshtein distance)
-    let suggestions = [];
-    if (matches.length === 0) {
-      console.log('[UserProfile Search] No direct matches, running fuzzy search for suggestions');
-      // Fetch a larger pool for fuzzy matching
-      const allProfiles = await UserProfile.find({})
-        .select('userId firstName lastName headline industry company location profilePictureUrl contactInfo')
-        .limit(100);
-      console.log(`[UserProfile Search] Fuzzy pool size: ${allProfiles.length}`);
-
-      // Simple Levenshtein distance implementation
-      function levenshtein(a, b) {
-        if (!a.length) return b.length;
-        if (!b.length) return a.length;
-        const matrix = Array.from({ length: a.length + 1 }, () =>
-          Array(b.length + 1).fill(0)
-        );
-        for (let i = 0; i <= a.length; i++) matrix[i][0] = i;
-        for (let j = 0; j <= b.length; j++) matrix[0][j] = j;
-        for (let i = 1; i <= a.length; i++) {
-          for (let j = 1; j <= b.length; j++) {
-            matrix[i][j] = a[i - 1] === b[j - 1]
-              ? matrix[i - 1][j - 1]
-              : Math.min(
-                  matrix[i - 1][j - 1] + 1, // substitution
-                  matrix[i][j - 1] + 1,     // insertion
-                  matrix[i - 1][j] + 1      // deletion
-                );
-          }
+    const sortStage = (useRelevance) => {
+      if (sort === 'name') return { lastName: 1, firstName: 1 };
+      if (sort === 'relevance' && useRelevance) return { relevance: -1, createdAt: -1 };
+      return { createdAt: -1 };
+    };
+
+    // Results, total and facet counts all come from one aggregation over the matched profiles
+    const runSearch = (matchStages, useRelevance) => UserProfile.aggregate([
+      ...matchStages,
+      {
+        $facet: {
+          results: [
+            { $sort: sortStage(useRelevance) },
+            { $skip: (page - 1) * limit },
+            { $limit: limit },
+            { $project: Object.fromEntries(PROFILE_LIST_FIELDS.split(' ').map(field => [field, 1])) }
+          ],
+          total: [{ $count: 'count' }],
+          ...Object.fromEntries(Object.entries(SEARCH_FACETS).map(([name, { field, section }]) =>
+            [name, facetStages(field, section, SEARCH_FACET_LIMIT)]
+          ))
         }
-        return matrix[a.length][b.length];
       }
+    ]);
 
-      // Compute distance for each profile and sort by closest match
-      suggestions = allProfiles
-        .map(profile => {
-          const firstDist = levenshtein(name.toLowerCase(), (profile.firstName || '').toLowerCase());
-          const lastDist = levenshtein(name.toLowerCase(), (profile.lastName || '').toLowerCase());
-          return {
-            profile,
-            distance: Math.min(firstDist, lastDist)
-          };
-        })
-        .sort((a, b) => a.distance - b.distance)
-        .slice(0, limit)
-        .map(item => item.profile);
+    // Deactivated accounts and accounts pending deletion never appear in results
+    const filterMatch = { $and: [...filters, VISIBLE_ACCOUNT_FILTER] };
+    let fuzzy = false;
+    const expandedSearchText = searchText ? await expandSearchText(searchText) : '';
+    let [searchResult] = await runSearch(
+      searchText
+        ? [
+            { $match: { $text: { $search: expandedSearchText }, ...filterMatch } },
+            { $addFields: { relevance: { $meta: 'textScore' } } }
+          ]
+        : [{ $match: filterMatch }],
+      Boolean(searchText)
+    );
 
-      console.log(`[UserProfile Search] Suggestions found: ${suggestions.length}`);
+    // No exact text hits: fall back to trigram similarity, which tolerates typos
+    const queryTrigrams = textTrigrams(searchText);
+    if (searchText && searchResult.total.length === 0 && queryTrigrams.length > 0) {
+      fuzzy = true;
+      [searchResult] = await runSearch([
+        { $match: { searchTrigrams: { $in: queryTrigrams }, ...filterMatch } },
+        {
+          $addFields: {
+            relevance: {
+              $divide: [{ $size: { $setIntersection: ['$searchTrigrams', queryTrigrams] } }, queryTrigrams.length]
+            }
+          }
+        },
+        { $match: { relevance: { $gte: FUZZY_MATCH_THRESHOLD } } }
+      ], true);
     }
 
-    console.log('[UserProfile Search] --- Success ---');
+    const total = searchResult.total[0]?.count || 0;
+    const facets = Object.fromEntries(Object.keys(SEARCH_FACETS).map(name => [name, searchResult[name]]));
+
+    // Strip the sections each profile owner has hidden from this viewer
+    const relationships = await getViewerRelationships(req.user, searchResult.results.map(profile => profile.userId));
+    const profiles = searchResult.results.map(profile => filterProfileForViewer(profile, relationships.get(profile.userId)));
+
     res.json({
       success: true,
-      data: matches,
-      suggestions: matches.length === 0 ? suggestions : []
+      data: fuzzy ? [] : profiles,
+      suggestions: fuzzy ? profiles : [],
+      fuzzy,
+      facets,
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit)
+      }
     });
   } catch (error) {
     console.error('[UserProfile Search] Error:', error);
@@ -1476,12 +2699,15 @@ router.get('/search', verifyToken, async (req, res) => {
 });
 
 
-
 /**
  * @swagger
  * /api/userprofile/{userId}:
  *   get:
  *     summary: Get user profile by ID
+ *     description: |
+ *       Sections are filtered by the owner's privacy settings. Views by other users are
+ *       recorded for the owner's profile view analytics. When skills are visible, the
+ *       response includes skillEndorsements with each skill's endorsement count and top endorsers.
  *     tags: [UserProfile]
  *     security:
  *       - bearerAuth: []
@@ -1491,6 +2717,13 @@ router.get('/search', verifyToken, async (req, res) => {
  *         required: true
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *           enum: [profile, search, connections, suggestions]
+ *           default: profile
+ *         description: Where the viewer opened the profile from
  *     responses:
  *       200:
  *         description: User profile retrieved successfully
@@ -1500,7 +2733,7 @@ router.get('/search', verifyToken, async (req, res) => {
 router.get('/:userId', verifyToken, async (req, res) => {
   try {
     console.log('Fetching user profile for userId:', req.params.userId);
-    const userProfile = await UserProfile.findOne({ userId: req.params.userId });
+    const userProfile = await UserProfile.findOne({ userId: req.params.userId }).lean();
     
     if (!userProfile) {
       return res.status(404).json({
@@ -1509,9 +2742,36 @@ router.get('/:userId', verifyToken, async (req, res) => {
       });
     }
 
+    const relationship = await getViewerRelationship(req.user, userProfile.userId);
+    if (isAccountHidden(userProfile) && relationship !== 'self' && relationship !== 'admin') {
+      return res.status(404).json({
+        success: false,
+        message: 'User profile not found'
+      });
+    }
+
+    // Recording is best effort; a failed write should not hide the profile
+    if (relationship !== 'self') {
+      const source = PROFILE_VIEW_SOURCES.includes(req.query.source) && req.query.source !== 'public'
+        ? req.query.source
+        : 'profile';
+      try {
+        await recordProfileView({ profileUserId: userProfile.userId, viewerId: req.user.userId, source });
+      } catch (error) {
+        console.error('Error recording profile view:', error);
+      }
+    }
+
+    const data = filterProfileForViewer(userProfile, relationship);
+    if (data.skills) {
+      data.skillEndorsements = await getSkillEndorsementSummary(userProfile.userId, data.skills, {
+        viewerId: req.user.userId
+      });
+    }
+
     res.json({
       success: true,
-      data: userProfile
+      data
     });
   } catch (error) {
     console.error('Error fetching user profile:', error);
@@ -1522,6 +2782,2642 @@ router.get('/:userId', verifyToken, async (req, res) => {
   }
 });
 
+// Fields needed to compute profile completeness
+const COMPLETENESS_FIELDS = 'userId firstName lastName headline summary company verifiedEmployer profilePictureUrl experience education skills defaultResume';
+
+/**
+ * @swagger
+ * /api/userprofile/completeness/candidates:
+ *   get:
+ *     summary: Get completeness scores for all candidates of the current career agent
+ *     description: Candidates are returned lowest score first so the ones needing the most help come first.
+ *     tags: [UserProfile]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Candidate completeness scores retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       userId:
+ *                         type: string
+ *                       name:
+ *                         type: string
+ *                       score:
+ *                         type: integer
+ *                       missing:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/completeness/candidates', verifyToken, async (req, res) => {
+  try {
+    const candidateIds = await Connection.find({
+      careerAgentId: req.user.userId,
+      connectionType: 'careerAgent',
+      relationshipStatus: 'active'
+    }).distinct('candidateId');
+
+    const candidates = await UserProfile.find({ userId: { $in: candidateIds } })
+      .select(COMPLETENESS_FIELDS)
+      .lean();
+    const completeness = await getProfilesCompleteness(candidates);
+
+    const data = candidates
+      .map(candidate => ({
+        userId: candidate.userId,
+        name: `${candidate.firstName} ${candidate.lastName}`,
+        avatar: candidate.profilePictureUrl || null,
+        ...completeness.get(candidate.userId)
+      }))
+      .sort((a, b) => a.score - b.score);
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('Error fetching candidate completeness:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/userprofile/{userId}/completeness:
+ *   get:
+ *     summary: Get the completeness score and improvement checklist of a profile
+ *     description: |
+ *       Scores photo, headline, summary, experience, education, skills, default resume and
+ *       verified company email out of 100. Available to the owner, their active career agent and admins.
+ *     tags: [UserProfile]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Completeness retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     score:
+ *                       type: integer
+ *                     checklist:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           section:
+ *                             type: string
+ *                           label:
+ *                             type: string
+ *                           weight:
+ *                             type: integer
+ *                           complete:
+ *                             type: boolean
+ *                           hint:
+ *                             type: string
+ *                             nullable: true
+ *                     missing:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *       403:
+ *         description: Not the owner, their career agent or an admin
+ *       404:
+ *         description: User profile not found
+ */
+router.get('/:userId/completeness', verifyToken, async (req, res) => {
+  try {
+    const relationship = await getViewerRelationship(req.user, req.params.userId);
+    if (!['self', 'admin', 'careerAgent'].includes(relationship)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the profile owner or their career agent can view profile completeness'
+      });
+    }
+
+    const userProfile = await UserProfile.findOne({ userId: req.params.userId })
+      .select(COMPLETENESS_FIELDS)
+      .lean();
+    if (!userProfile) {
+      return res.status(404).json({
+        success: false,
+        message: 'User profile not found'
+      });
+    }
+
+    const completeness = await getProfilesCompleteness([userProfile]);
+
+    res.json({
+      success: true,
+      data: completeness.get(userProfile.userId)
+    });
+  } catch (error) {
+    console.error('Error computing profile completeness:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Validation for privacy settings updates: every known section may be set to a visibility level
+const validatePrivacySettings = Object.keys(PROFILE_PRIVACY_SECTIONS).map(section =>
+  body(section)
+    .optional()
+    .isIn(PROFILE_VISIBILITY_LEVELS)
+    .withMessage(`${section} visibility must be one of: ${PROFILE_VISIBILITY_LEVELS.join(', ')}`)
+);
+
+/**
+ * @swagger
+ * /api/userprofile/{userId}/privacy:
+ *   get:
+ *     summary: Get the privacy settings of a profile
+ *     description: |
+ *       Returns the visibility of each profile section. Visibility is one of
+ *       public, connections (active friend or career agent connections),
+ *       careerAgent (the active career agent only) or private (owner only).
+ *     tags: [UserProfile]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Privacy settings retrieved successfully
+ *       403:
+ *         description: Only the owner or an admin can view privacy settings
+ *       404:
+ *         description: User profile not found
+ */
+router.get('/:userId/privacy', verifyToken, async (req, res) => {
+  try {
+    if (req.user.userId !== req.params.userId && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only view your own privacy settings'
+      });
+    }
+
+    const userProfile = await UserProfile.findOne({ userId: req.params.userId }).select('userId privacySettings');
+    if (!userProfile) {
+      return res.status(404).json({
+        success: false,
+        message: 'User profile not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: userProfile.privacySettings,
+      visibilityLevels: PROFILE_VISIBILITY_LEVELS
+    });
+  } catch (error) {
+    console.error('Error fetching privacy settings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/userprofile/{userId}/privacy:
+ *   put:
+ *     summary: Update the privacy settings of a profile
+ *     description: Only the sections supplied are changed.
+ *     tags: [UserProfile]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             additionalProperties:
+ *               type: string
+ *               enum: [public, connections, careerAgent, private]
+ *           example:
+ *             email: private
+ *             phone: careerAgent
+ *             experience: connections
+ *     responses:
+ *       200:
+ *         description: Privacy settings updated successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Only the owner or an admin can change privacy settings
+ *       404:
+ *         description: User profile not found
+ */
+router.put('/:userId/privacy', verifyToken, validatePrivacySettings, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (req.user.userId !== req.params.userId && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only change your own privacy settings'
+      });
+    }
+
+    const userProfile = await UserProfile.findOne({ userId: req.params.userId });
+    if (!userProfile) {
+      return res.status(404).json({
+        success: false,
+        message: 'User profile not found'
+      });
+    }
+
+    const before = toRevisionSnapshot(userProfile);
+    userProfile.privacySettings.set(matchedData(req, { locations: ['body'] }));
+    await saveProfileWithRevision(userProfile, before, revisionEditor(req, userProfile));
+
+    res.json({
+      success: true,
+      message: 'Privacy settings updated successfully',
+      data: userProfile.privacySettings
+    });
+  } catch (error) {
+    console.error('Error updating privacy settings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Revision history can be read by the owner, their career agent and admins
+const REVISION_VIEWERS = ['self', 'admin', 'careerAgent'];
+
+// Reject viewers who may not read a profile's revision history; returns true when access was denied
+const denyRevisionAccess = async (req, res) => {
+  const relationship = await getViewerRelationship(req.user, req.params.userId);
+  if (REVISION_VIEWERS.includes(relationship)) return false;
+
+  res.status(403).json({
+    success: false,
+    message: 'Only the profile owner, their career agent or an admin can view revision history'
+  });
+  return true;
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ProfileRevision:
+ *       type: object
+ *       properties:
+ *         revisionId:
+ *           type: string
+ *         userId:
+ *           type: string
+ *         revision:
+ *           type: integer
+ *           description: Sequence number of the revision within the profile
+ *         action:
+ *           type: string
+ *           enum: [baseline, create, update, restore]
+ *         editorId:
+ *           type: string
+ *         editorRole:
+ *           type: string
+ *           enum: [self, careerAgent, admin, system]
+ *         changes:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ProfileChange'
+ *         restoredFrom:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     ProfileChange:
+ *       type: object
+ *       properties:
+ *         path:
+ *           type: string
+ *           description: Dotted field path; sub-collection entries are addressed by id, e.g. experience.<id>.title
+ *         op:
+ *           type: string
+ *           enum: [added, removed, changed, reordered]
+ *         before: {}
+ *         after: {}
+ */
+
+/**
+ * @swagger
+ * /api/userprofile/{userId}/revisions:
+ *   get:
+ *     summary: List the revision history of a profile
+ *     description: |
+ *       Every change to a profile is stored as a revision with the editor, the time
+ *       and a field-level list of changes, newest first.
+ *     tags: [UserProfile]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Revisions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ProfileRevision'
+ *                 pagination:
+ *                   type: object
+ *       403:
+ *         description: Not the owner, their career agent or an admin
+ */
+router.get('/:userId/revisions', verifyToken, async (req, res) => {
+  try {
+    if (await denyRevisionAccess(req, res)) return;
+
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const query = { userId: req.params.userId };
+
+    const [revisions, total] = await Promise.all([
+      ProfileRevision.find(query)
+        .sort({ revision: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      ProfileRevision.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: revisions,
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching profile revisions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/userprofile/{userId}/revisions/diff:
+ *   get:
+ *     summary: Compare two revisions of a profile
+ *     description: Returns the field-level changes between two revision numbers.
+ *     tags: [UserProfile]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Revision number to compare from
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: integer
+ *         description: Revision number to compare to (defaults to the latest revision)
+ *     responses:
+ *       200:
+ *         description: Differences between the two revisions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     from:
+ *                       type: integer
+ *                     to:
+ *                       type: integer
+ *                     changes:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ProfileChange'
+ *       400:
+ *         description: Missing or invalid revision numbers
+ *       403:
+ *         description: Not the owner, their career agent or an admin
+ *       404:
+ *         description: Revision not found
+ */
+router.get('/:userId/revisions/diff', verifyToken, async (req, res) => {
+  try {
+    if (await denyRevisionAccess(req, res)) return;
+
+    const from = parseInt(req.query.from);
+    const to = req.query.to === undefined ? null : parseInt(req.query.to);
+    if (!Number.isInteger(from) || (to !== null && !Number.isInteger(to))) {
+      return res.status(400).json({
+        success: false,
+        message: 'from (and optionally to) must be revision numbers'
+      });
+    }
+
+    const { userId } = req.params;
+    const [fromRevision, toRevision] = await Promise.all([
+      ProfileRevision.findOne({ userId, revision: from }).select('+snapshot'),
+      to === null
+        ? ProfileRevision.findOne({ userId }).sort({ revision: -1 }).select('+snapshot')
+        : ProfileRevision.findOne({ userId, revision: to }).select('+snapshot')
+    ]);
+
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        from: fromRevision.revision,
+        to: toRevision.revision,
+        changes: diffProfiles(fromRevision.snapshot, toRevision.snapshot)
+      }
+    });
+  } catch (error) {
+    console.error('Error comparing profile revisions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/userprofile/{userId}/revisions/{revisionId}:
+ *   get:
+ *     summary: Get a single profile revision including the full profile snapshot
+ *     tags: [UserProfile]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: revisionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Revision retrieved successfully
+ *       403:
+ *         description: Not the owner, their career agent or an admin
+ *       404:
+ *         description: Revision not found
+ */
+router.get('/:userId/revisions/:revisionId', verifyToken, async (req, res) => {
+  try {
+    if (await denyRevisionAccess(req, res)) return;
+
+    const revision = await ProfileRevision.findOne({
+      userId: req.params.userId,
+      revisionId: req.params.revisionId
+    }).select('+snapshot');
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: revision
+    });
+  } catch (error) {
+    console.error('Error fetching profile revision:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/userprofile/{userId}/revisions/{revisionId}/restore:
+ *   post:
+ *     summary: Restore a profile to an earlier revision
+ *     description: |
+ *       Replaces the profile content with the snapshot stored in the revision. The restore
+ *       itself is recorded as a new revision, so it can be undone the same way.
+ *     tags: [UserProfile]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: revisionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Profile restored successfully, returns the restored profile
+ *       400:
+ *         description: The restored content failed validation
+ *       403:
+ *         description: Only the owner or an admin can restore revisions
+ *       404:
+ *         description: User profile or revision not found
+ */
+router.post('/:userId/revisions/:revisionId/restore', verifyToken, async (req, res) => {
+  try {
+    const userProfile = await UserProfile.findOne({ userId: req.params.userId });
+    if (!userProfile) {
+      return res.status(404).json({
+        success: false,
+        message: 'User profile not found'
+      });
+    }
+
+    if (!getEditorRole(req.user, userProfile)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only restore revisions of your own profile'
+      });
+    }
+
+    const revision = await ProfileRevision.findOne({
+      userId: req.params.userId,
+      revisionId: req.params.revisionId
+    }).select('+snapshot');
+
+    if (!revision || !revision.snapshot) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    // Fields missing from the snapshot did not exist at that revision, so they are cleared
+    const before = toRevisionSnapshot(userProfile);
+    const fields = new Set([...Object.keys(before), ...Object.keys(revision.snapshot)]);
+    fields.forEach(field => {
+      if (!UNTRACKED_PROFILE_FIELDS.includes(field)) {
+        userProfile.set(field, revision.snapshot[field]);
+      }
+    });
+
+    await saveProfileWithRevision(userProfile, before, revisionEditor(req, userProfile), {
+      action: 'restore',
+      restoredFrom: revision.revisionId
+    });
+
+    res.json({
+      success: true,
+      message: `Profile restored to revision ${revision.revision}`,
+      data: userProfile
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+    console.error('Error restoring profile revision:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ProfileEditProposal:
+ *       type: object
+ *       properties:
+ *         proposalId:
+ *           type: string
+ *         userId:
+ *           type: string
+ *           description: Candidate whose profile the edit applies to
+ *         careerAgentId:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *         updates:
+ *           type: object
+ *           description: Proposed values of the changed top-level profile fields
+ *         changes:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ProfileChange'
+ *         reviewedBy:
+ *           type: string
+ *         reviewedAt:
+ *           type: string
+ *           format: date-time
+ *         reviewNote:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/userprofile/{userId}/edit-proposals:
+ *   get:
+ *     summary: List career agent edit proposals for a profile
+ *     description: |
+ *       The candidate and admins see every proposal for the profile; a career agent
+ *       sees the proposals they made. Newest first.
+ *     tags: [UserProfile]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *     responses:
+ *       200:
+ *         description: Proposals retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ProfileEditProposal'
+ *       403:
+ *         description: Not the candidate, their career agent or an admin
+ */
+router.get('/:userId/edit-proposals', verifyToken, async (req, res) => {
+  try {
+    const relationship = await getViewerRelationship(req.user, req.params.userId);
+    if (!['self', 'admin', 'careerAgent'].includes(relationship)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the candidate, their career agent or an admin can view edit proposals'
+      });
+    }
+
+    const query = { userId: req.params.userId };
+    if (relationship === 'careerAgent') {
+      query.careerAgentId = req.user.userId;
+    }
+    if (['pending', 'approved', 'rejected'].includes(req.query.status)) {
+      query.status = req.query.status;
+    }
+
+    const proposals = await ProfileEditProposal.find(query).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: proposals
+    });
+  } catch (error) {
+    console.error('Error fetching edit proposals:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Load a pending proposal for review by the candidate (or an admin), sending an error response otherwise
+const loadProposalForReview = async (req, res) => {
+  const userProfile = await UserProfile.findOne({ userId: req.params.userId });
+  if (!userProfile) {
+    res.status(404).json({
+      success: false,
+      message: 'User profile not found'
+    });
+    return null;
+  }
+
+  if (!getEditorRole(req.user, userProfile)) {
+    res.status(403).json({
+      success: false,
+      message: 'Only the candidate can review edits to their profile'
+    });
+    return null;
+  }
+
+  const proposal = await ProfileEditProposal.findOne({
+    userId: req.params.userId,
+    proposalId: req.params.proposalId
+  });
+  if (!proposal) {
+    res.status(404).json({
+      success: false,
+      message: 'Edit proposal not found'
+    });
+    return null;
+  }
+
+  if (proposal.status !== 'pending') {
+    res.status(409).json({
+      success: false,
+      message: `Edit proposal has already been ${proposal.status}`
+    });
+    return null;
+  }
+
+  return { userProfile, proposal };
+};
+
+/**
+ * @swagger
+ * /api/userprofile/{userId}/edit-proposals/{proposalId}/approve:
+ *   post:
+ *     summary: Approve a career agent edit and apply it to the profile
+ *     description: |
+ *       Applies the proposed field values and records them as a revision made by the
+ *       career agent. If the candidate changed any of the same fields after the proposal
+ *       was made, nothing is applied and the conflicting fields are returned.
+ *     tags: [UserProfile]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: proposalId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Edit approved and applied, returns the updated profile
+ *       403:
+ *         description: Only the candidate or an admin can review edits
+ *       404:
+ *         description: User profile or proposal not found
+ *       409:
+ *         description: Proposal already reviewed, or it conflicts with later changes
+ */
+router.post('/:userId/edit-proposals/:proposalId/approve', verifyToken, async (req, res) => {
+  try {
+    const loaded = await loadProposalForReview(req, res);
+    if (!loaded) return;
+    const { userProfile, proposal } = loaded;
+
+    const { conflicts } = await applyProfileEditProposal(proposal, userProfile);
+    if (conflicts) {
+      return res.status(409).json({
+        success: false,
+        message: 'The profile has changed since this edit was proposed',
+        conflicts
+      });
+    }
+
+    proposal.status = 'approved';
+    proposal.reviewedBy = req.user.userId;
+    proposal.reviewedAt = new Date();
+    await proposal.save();
+
+    res.json({
+      success: true,
+      message: 'Edit approved and applied',
+      data: userProfile
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+    console.error('Error approving edit proposal:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/userprofile/{userId}/edit-proposals/{proposalId}/reject:
+ *   post:
+ *     summary: Reject a career agent edit
+ *     tags: [UserProfile]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: proposalId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 maxLength: 1000
+ *                 description: Optional feedback for the career agent
+ *     responses:
+ *       200:
+ *         description: Edit rejected
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Only the candidate or an admin can review edits
+ *       404:
+ *         description: User profile or proposal not found
+ *       409:
+ *         description: Proposal already reviewed
+ */
+router.post('/:userId/edit-proposals/:proposalId/reject', verifyToken, [
+  body('note').optional().isString().trim().isLength({ max: 1000 }).withMessage('Note must be at most 1000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const loaded = await loadProposalForReview(req, res);
+    if (!loaded) return;
+    const { proposal } = loaded;
+
+    proposal.status = 'rejected';
+    proposal.reviewedBy = req.user.userId;
+    proposal.reviewedAt = new Date();
+    proposal.reviewNote = req.body.note;
+    await proposal.save();
+
+    // Photos uploaded for the rejected edit are never used
+    await deleteUnreferencedPhotoKeys(proposal.userId, photoKeysIn(proposal.updates));
+
+    res.json({
+      success: true,
+      message: 'Edit rejected',
+      data: proposal
+    });
+  } catch (error) {
+    console.error('Error rejecting edit proposal:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/userprofile/{userId}/agent-permissions:
+ *   get:
+ *     summary: Get the edit permissions of the candidate's career agent
+ *     tags: [UserProfile]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Edit permissions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     careerAgentId:
+ *                       type: string
+ *                     scopes:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     availableScopes:
+ *                       type: object
+ *                       description: Scope name mapped to the profile fields it covers
+ *       403:
+ *         description: Not the candidate, their career agent or an admin
+ *       404:
+ *         description: The candidate has no active career agent
+ */
+router.get('/:userId/agent-permissions', verifyToken, async (req, res) => {
+  try {
+    const relationship = await getViewerRelationship(req.user, req.params.userId);
+    if (!['self', 'admin', 'careerAgent'].includes(relationship)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the candidate, their career agent or an admin can view agent permissions'
+      });
+    }
+
+    const connection = await Connection.findOne({
+      connectionType: 'careerAgent',
+      relationshipStatus: 'active',
+      candidateId: req.params.userId
+    }).select('careerAgentId editPermissions').lean();
+
+    if (!connection) {
+      return res.status(404).json({
+        success: false,
+        message: 'No active career agent for this profile'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        careerAgentId: connection.careerAgentId,
+        scopes: getAgentEditScopes(connection),
+        availableScopes: AGENT_EDIT_SCOPES
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching agent permissions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/userprofile/{userId}/agent-permissions:
+ *   put:
+ *     summary: Set which parts of the profile the candidate's career agent may edit
+ *     tags: [UserProfile]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [scopes]
+ *             properties:
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [headline, summary, experience, education, skills, languages, certifications, photos]
+ *                 description: An empty list removes all edit rights
+ *     responses:
+ *       200:
+ *         description: Edit permissions updated successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Only the candidate or an admin can change agent permissions
+ *       404:
+ *         description: The candidate has no active career agent
+ */
+router.put('/:userId/agent-permissions', verifyToken, [
+  body('scopes').isArray().withMessage('scopes must be an array'),
+  body('scopes.*').isIn(Object.keys(AGENT_EDIT_SCOPES))
+    .withMessage(`Each scope must be one of: ${Object.keys(AGENT_EDIT_SCOPES).join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (req.user.userId !== req.params.userId && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only change the permissions of your own career agent'
+      });
+    }
+
+    const connection = await Connection.findOne({
+      connectionType: 'careerAgent',
+      relationshipStatus: 'active',
+      candidateId: req.params.userId
+    });
+
+    if (!connection) {
+      return res.status(404).json({
+        success: false,
+        message: 'No active career agent for this profile'
+      });
+    }
+
+    connection.editPermissions = [...new Set(req.body.scopes)];
+    await connection.save();
+
+    res.json({
+      success: true,
+      message: 'Career agent permissions updated successfully',
+      data: {
+        careerAgentId: connection.careerAgentId,
+        scopes: connection.editPermissions
+      }
+    });
+  } catch (error) {
+    console.error('Error updating agent permissions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Public page settings as returned to the profile owner
+const toPublicProfileSettings = (publicProfile) => ({
+  slug: publicProfile?.slug || null,
+  enabled: Boolean(publicProfile?.enabled),
+  viewCount: publicProfile?.viewCount || 0,
+  lastViewedAt: publicProfile?.lastViewedAt || null,
+  path: publicProfile?.slug ? `/api/public/profile/${publicProfile.slug}` : null
+});
+
+/**
+ * @swagger
+ * /api/userprofile/{userId}/public-profile:
+ *   get:
+ *     summary: Get the public page settings and view count of a profile
+ *     tags: [UserProfile]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Public page settings retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     slug:
+ *                       type: string
+ *                       nullable: true
+ *                     enabled:
+ *                       type: boolean
+ *                     viewCount:
+ *                       type: integer
+ *                     lastViewedAt:
+ *                       type: string
+ *                       format: date-time
+ *                       nullable: true
+ *                     path:
+ *                       type: string
+ *                       nullable: true
+ *                       description: Path of the public page, e.g. /api/public/profile/jane-doe
+ *       403:
+ *         description: Only the owner or an admin can view public page settings
+ *       404:
+ *         description: User profile not found
+ */
+router.get('/:userId/public-profile', verifyToken, async (req, res) => {
+  try {
+    if (req.user.userId !== req.params.userId && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only view your own public page settings'
+      });
+    }
+
+    const userProfile = await UserProfile.findOne({ userId: req.params.userId })
+      .select('userId publicProfile')
+      .lean();
+    if (!userProfile) {
+      return res.status(404).json({
+        success: false,
+        message: 'User profile not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: toPublicProfileSettings(userProfile.publicProfile)
+    });
+  } catch (error) {
+    console.error('Error fetching public page settings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/userprofile/{userId}/public-profile:
+ *   put:
+ *     summary: Claim a vanity slug and publish or unpublish the public profile page
+ *     description: |
+ *       The public page is a read-only view of the profile at /api/public/profile/{slug}
+ *       that anyone can open without signing in. It only shows sections whose privacy
+ *       setting is public. Slugs are 3-40 lowercase letters, digits and hyphens and are
+ *       unique across profiles.
+ *     tags: [UserProfile]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               slug:
+ *                 type: string
+ *                 example: jane-doe
+ *               enabled:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Public page settings updated successfully
+ *       400:
+ *         description: Invalid or reserved slug, or publishing without a slug
+ *       403:
+ *         description: Only the owner or an admin can change public page settings
+ *       404:
+ *         description: User profile not found
+ *       409:
+ *         description: Slug is already taken
+ */
+router.put('/:userId/public-profile', verifyToken, [
+  body('slug')
+    .optional()
+    .trim()
+    .toLowerCase()
+    .matches(PUBLIC_PROFILE_SLUG_PATTERN)
+    .withMessage('Slug must be 3-40 lowercase letters, digits or hyphens and cannot start or end with a hyphen')
+    .not().isIn(RESERVED_PROFILE_SLUGS)
+    .withMessage('This slug is reserved'),
+  body('enabled').optional().isBoolean().withMessage('enabled must be a boolean').toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (req.user.userId !== req.params.userId && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only change your own public page settings'
+      });
+    }
+
+    const userProfile = await UserProfile.findOne({ userId: req.params.userId });
+    if (!userProfile) {
+      return res.status(404).json({
+        success: false,
+        message: 'User profile not found'
+      });
+    }
+
+    const { slug, enabled } = matchedData(req, { locations: ['body'] });
+    const publicProfile = {
+      ...(userProfile.publicProfile?.toObject() || {}),
+      ...(slug !== undefined && { slug }),
+      ...(enabled !== undefined && { enabled })
+    };
+
+    if (publicProfile.enabled && !publicProfile.slug) {
+      return res.status(400).json({
+        success: false,
+        message: 'Choose a slug before publishing your public page'
+      });
+    }
+
+    userProfile.publicProfile = publicProfile;
+    await userProfile.save();
+
+    res.json({
+      success: true,
+      message: 'Public page settings updated successfully',
+      data: toPublicProfileSettings(userProfile.publicProfile)
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'This slug is already taken'
+      });
+    }
+    console.error('Error updating public page settings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/userprofile/{userId}/views/analytics:
+ *   get:
+ *     summary: Get profile view analytics
+ *     description: |
+ *       Aggregates views of the profile over the last `days` days: totals, views per day
+ *       or week, the industries and companies viewers work in, and where views came from.
+ *       Every view counts towards totalViews; uniqueViewers counts each signed-in viewer once.
+ *       Anonymous and public page views count towards the totals only, and viewers' industries
+ *       and companies only when they show them publicly.
+ *     tags: [UserProfile]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: period
+ *         schema:
+ *           type: string
+ *           enum: [day, week]
+ *           default: day
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           default: 30
+ *           maximum: 365
+ *     responses:
+ *       200:
+ *         description: View analytics retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     period:
+ *                       type: string
+ *                     since:
+ *                       type: string
+ *                       format: date-time
+ *                     totalViews:
+ *                       type: integer
+ *                     uniqueViewers:
+ *                       type: integer
+ *                     anonymousViews:
+ *                       type: integer
+ *                     series:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           periodStart:
+ *                             type: string
+ *                             format: date-time
+ *                           views:
+ *                             type: integer
+ *                     topIndustries:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           value:
+ *                             type: string
+ *                           count:
+ *                             type: integer
+ *                     topCompanies:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           value:
+ *                             type: string
+ *                           count:
+ *                             type: integer
+ *                     sources:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           source:
+ *                             type: string
+ *                           count:
+ *                             type: integer
+ *       403:
+ *         description: Only the owner or an admin can view profile analytics
+ */
+router.get('/:userId/views/analytics', verifyToken, async (req, res) => {
+  try {
+    if (req.user.userId !== req.params.userId && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only view analytics for your own profile'
+      });
+    }
+
+    const period = req.query.period === 'week' ? 'week' : 'day';
+    const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+
+    const analytics = await getProfileViewAnalytics(req.params.userId, { period, days });
+
+    res.json({
+      success: true,
+      data: analytics
+    });
+  } catch (error) {
+    console.error('Error fetching profile view analytics:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/userprofile/{userId}/views/recent:
+ *   get:
+ *     summary: Get the most recent viewers of a profile
+ *     description: |
+ *       One entry per viewer, most recent first. Viewers who browse anonymously are not listed.
+ *       Viewer details follow the viewer's own privacy settings.
+ *     tags: [UserProfile]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Recent viewers retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       userId:
+ *                         type: string
+ *                       name:
+ *                         type: string
+ *                       headline:
+ *                         type: string
+ *                       company:
+ *                         type: string
+ *                       industry:
+ *                         type: string
+ *                       avatar:
+ *                         type: string
+ *                       lastViewedAt:
+ *                         type: string
+ *                         format: date-time
+ *                       views:
+ *                         type: integer
+ *                       source:
+ *                         type: string
+ *       403:
+ *         description: Only the owner or an admin can view recent viewers
+ */
+router.get('/:userId/views/recent', verifyToken, async (req, res) => {
+  try {
+    if (req.user.userId !== req.params.userId && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only view the viewers of your own profile'
+      });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const recentViewers = await getRecentViewers(req.params.userId, { limit });
+
+    const viewerIds = recentViewers.map(view => view.viewerId);
+    const [profiles, relationships] = await Promise.all([
+      UserProfile.find({ userId: { $in: viewerIds } }).select(PROFILE_LIST_FIELDS).lean(),
+      getViewerRelationships(req.user, viewerIds)
+    ]);
+    const profilesById = new Map(profiles.map(profile => [profile.userId, profile]));
+
+    // Viewers whose profile has since been deleted are left out
+    const data = recentViewers
+      .filter(view => profilesById.has(view.viewerId))
+      .map(view => {
+        const profile = filterProfileForViewer(profilesById.get(view.viewerId), relationships.get(view.viewerId));
+        return {
+          userId: profile.userId,
+          name: `${profile.firstName} ${profile.lastName}`,
+          headline: profile.headline,
+          company: profile.company,
+          industry: profile.industry,
+          avatar: profile.profilePictureUrl,
+          lastViewedAt: view.lastViewedAt,
+          views: view.views,
+          source: view.source
+        };
+      });
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('Error fetching recent profile viewers:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Load a profile for a skill endorsement request and check the viewer can see its skills.
+// Returns the profile and the viewer's relationship, or null after sending an error response.
+const loadProfileForEndorsements = async (req, res) => {
+  const userProfile = await UserProfile.findOne({ userId: req.params.userId })
+    .select('userId skills privacySettings')
+    .lean();
+  if (!userProfile) {
+    res.status(404).json({
+      success: false,
+      message: 'User profile not found'
+    });
+    return null;
+  }
+
+  const relationship = await getViewerRelationship(req.user, userProfile.userId);
+  if (!canViewSection(userProfile, 'skills', relationship)) {
+    res.status(403).json({
+      success: false,
+      message: 'The skills on this profile are not visible to you'
+    });
+    return null;
+  }
+
+  return { userProfile, relationship };
+};
+
+/**
+ * @swagger
+ * /api/userprofile/{userId}/skills/endorsements:
+ *   get:
+ *     summary: Get the endorsement count and top endorsers of each skill on a profile
+ *     tags: [UserProfile]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Skill endorsements retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SkillEndorsementSummary'
+ *       403:
+ *         description: The skills section is not visible to the viewer
+ *       404:
+ *         description: User profile not found
+ * components:
+ *   schemas:
+ *     SkillEndorser:
+ *       type: object
+ *       properties:
+ *         userId:
+ *           type: string
+ *         name:
+ *           type: string
+ *         headline:
+ *           type: string
+ *         avatar:
+ *           type: string
+ *     SkillEndorsementSummary:
+ *       type: object
+ *       properties:
+ *         skill:
+ *           type: string
+ *         count:
+ *           type: integer
+ *         endorsedByViewer:
+ *           type: boolean
+ *         topEndorsers:
+ *           type: array
+ *           description: People who endorsed the most of this user's skills
+ *           items:
+ *             $ref: '#/components/schemas/SkillEndorser'
+ */
+router.get('/:userId/skills/endorsements', verifyToken, async (req, res) => {
+  try {
+    const loaded = await loadProfileForEndorsements(req, res);
+    if (!loaded) return;
+    const { userProfile } = loaded;
+
+    const summary = await getSkillEndorsementSummary(userProfile.userId, userProfile.skills, {
+      viewerId: req.user.userId
+    });
+
+    res.json({
+      success: true,
+      data: summary
+    });
+  } catch (error) {
+    console.error('Error fetching skill endorsements:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/userprofile/{userId}/skills/{skill}/endorsements:
+ *   get:
+ *     summary: List everyone who endorsed a skill
+ *     tags: [UserProfile]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: skill
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Skill name (URL-encoded, case-insensitive)
+ *     responses:
+ *       200:
+ *         description: Endorsers retrieved successfully, most recent first
+ *       403:
+ *         description: The skills section is not visible to the viewer
+ *       404:
+ *         description: User profile or skill not found
+ */
+router.get('/:userId/skills/:skill/endorsements', verifyToken, async (req, res) => {
+  try {
+    const loaded = await loadProfileForEndorsements(req, res);
+    if (!loaded) return;
+    const { userProfile } = loaded;
+
+    const skill = findProfileSkill(userProfile.skills, req.params.skill);
+    if (!skill) {
+      return res.status(404).json({
+        success: false,
+        message: 'Skill not found on this profile'
+      });
+    }
+
+    const endorsers = await getSkillEndorsers(userProfile.userId, skill);
+
+    res.json({
+      success: true,
+      data: {
+        skill,
+        count: endorsers.length,
+        endorsers
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching skill endorsers:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/userprofile/{userId}/skills/{skill}/endorsements:
+ *   post:
+ *     summary: Endorse a skill
+ *     description: Only active connections (friends or career agents, in either direction) can endorse skills.
+ *     tags: [UserProfile]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: skill
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Skill name (URL-encoded, case-insensitive)
+ *     responses:
+ *       201:
+ *         description: Skill endorsed successfully
+ *       403:
+ *         description: Not connected to the user, or endorsing your own skill
+ *       404:
+ *         description: User profile or skill not found
+ *       409:
+ *         description: Skill already endorsed
+ */
+router.post('/:userId/skills/:skill/endorsements', verifyToken, async (req, res) => {
+  try {
+    const loaded = await loadProfileForEndorsements(req, res);
+    if (!loaded) return;
+    const { userProfile, relationship } = loaded;
+
+    if (!['connection', 'careerAgent'].includes(relationship)) {
+      return res.status(403).json({
+        success: false,
+        message: relationship === 'self'
+          ? 'You cannot endorse your own skills'
+          : 'Only connections can endorse skills'
+      });
+    }
+
+    const skill = findProfileSkill(userProfile.skills, req.params.skill);
+    if (!skill) {
+      return res.status(404).json({
+        success: false,
+        message: 'Skill not found on this profile'
+      });
+    }
+
+    const endorsement = await SkillEndorsement.create({
+      userId: userProfile.userId,
+      skill,
+      skillKey: normalizeSkillKey(skill),
+      endorserId: req.user.userId
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Skill endorsed successfully',
+      data: endorsement
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'You have already endorsed this skill'
+      });
+    }
+    console.error('Error endorsing skill:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/userprofile/{userId}/skills/{skill}/endorsements:
+ *   delete:
+ *     summary: Withdraw your endorsement of a skill
+ *     tags: [UserProfile]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: skill
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Skill name (URL-encoded, case-insensitive)
+ *     responses:
+ *       200:
+ *         description: Endorsement withdrawn successfully
+ *       404:
+ *         description: No endorsement of this skill by the current user
+ */
+router.delete('/:userId/skills/:skill/endorsements', verifyToken, async (req, res) => {
+  try {
+    const result = await SkillEndorsement.deleteOne({
+      userId: req.params.userId,
+      skillKey: normalizeSkillKey(req.params.skill),
+      endorserId: req.user.userId
+    });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'You have not endorsed this skill'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Endorsement withdrawn successfully'
+    });
+  } catch (error) {
+    console.error('Error withdrawing endorsement:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Uploads accepted by the profile import: a LinkedIn data export ZIP or a JSON Resume file
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (/\.(zip|json)$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only LinkedIn export .zip files and JSON Resume .json files are allowed'), false);
+    }
+  }
+});
+
+// Accept the import file, reporting upload errors as bad requests
+const receiveImportFile = (req, res, next) => importUpload.single('file')(req, res, (error) => {
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+  next();
+});
+
+// Read profile data from the uploaded file or a JSON Resume document in the request body
+const readProfileImport = (req) => {
+  const file = req.file;
+  if (!file) {
+    return { source: 'jsonResume', data: fromJsonResume(req.body?.resume) };
+  }
+  // ZIP archives start with the local file header signature "PK\x03\x04"
+  if (file.buffer.length >= 4 && file.buffer.readUInt32LE(0) === 0x04034b50) {
+    return { source: 'linkedin', fileName: file.originalname, data: parseLinkedInExport(file.buffer) };
+  }
+
+  let resume;
+  try {
+    resume = JSON.parse(file.buffer.toString('utf8'));
+  } catch (error) {
+    throw Object.assign(new Error('The file is neither a ZIP archive nor valid JSON'), { invalidResume: true });
+  }
+  return { source: 'jsonResume', fileName: file.originalname, data: fromJsonResume(resume) };
+};
+
+const toImportResponse = (profileImport, userProfile) => ({
+  importId: profileImport.importId,
+  source: profileImport.source,
+  fileName: profileImport.fileName,
+  createdAt: profileImport.createdAt,
+  expiresAt: new Date(profileImport.createdAt.getTime() + PROFILE_IMPORT_RETENTION_SECONDS * 1000),
+  preview: buildImportPreview(userProfile, profileImport.data)
+});
+
+// Load a pending import together with the profile and the editor, who must be allowed to edit it
+const loadProfileImport = async (req, res) => {
+  const userProfile = await UserProfile.findOne({ userId: req.params.userId });
+  if (!userProfile) {
+    res.status(404).json({
+      success: false,
+      message: 'User profile not found'
+    });
+    return null;
+  }
+
+  const editor = await resolveProfileEditor(req.user, userProfile);
+  if (!editor) {
+    res.status(403).json({
+      success: false,
+      message: 'You can only import into your own profile'
+    });
+    return null;
+  }
+
+  const profileImport = await ProfileImport.findOne({ importId: req.params.importId, userId: req.params.userId });
+  if (!profileImport) {
+    res.status(404).json({
+      success: false,
+      message: 'Import not found or expired'
+    });
+    return null;
+  }
+
+  return { userProfile, editor, profileImport };
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ProfileImportPreview:
+ *       type: object
+ *       properties:
+ *         importId:
+ *           type: string
+ *         source:
+ *           type: string
+ *           enum: [linkedin, jsonResume]
+ *         fileName:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: Unapplied imports are discarded after 24 hours
+ *         preview:
+ *           type: object
+ *           properties:
+ *             fields:
+ *               type: array
+ *               description: Imported single-value fields next to the current values
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   field:
+ *                     type: string
+ *                     enum: [firstName, lastName, headline, summary, industry, location]
+ *                   current: {}
+ *                   imported: {}
+ *                   changed:
+ *                     type: boolean
+ *             sections:
+ *               type: object
+ *               description: |
+ *                 Imported experience, education, skills, certifications and languages. Entries
+ *                 already on the profile are flagged as duplicates and are skipped when merging.
+ *               additionalProperties:
+ *                 type: object
+ *                 properties:
+ *                   currentCount:
+ *                     type: integer
+ *                   entries:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         entry: {}
+ *                         duplicate:
+ *                           type: boolean
+ */
+
+/**
+ * @swagger
+ * /api/userprofile/{userId}/import:
+ *   post:
+ *     summary: Import profile data from a LinkedIn data export or a JSON Resume
+ *     description: |
+ *       Reads the upload and returns a preview of what would change; nothing is saved until
+ *       the import is applied. Accepts a LinkedIn data export ZIP (Profile.csv, Positions.csv,
+ *       Education.csv, Skills.csv and, when present, Certifications.csv and Languages.csv) or
+ *       a JSON Resume document, either uploaded as a file or sent as the resume property of a
+ *       JSON body. Contact details are not imported.
+ *     tags: [UserProfile]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: LinkedIn export .zip or JSON Resume .json, up to 10MB
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               resume:
+ *                 type: object
+ *                 description: JSON Resume document (https://jsonresume.org/schema)
+ *     responses:
+ *       201:
+ *         description: Import read; review the preview and apply it
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/ProfileImportPreview'
+ *       400:
+ *         description: The upload is not a readable LinkedIn export or JSON Resume
+ *       403:
+ *         description: Not allowed to edit this profile
+ *       404:
+ *         description: User profile not found
+ */
+router.post('/:userId/import', verifyToken, receiveImportFile, async (req, res) => {
+  try {
+    const userProfile = await UserProfile.findOne({ userId: req.params.userId });
+    if (!userProfile) {
+      return res.status(404).json({
+        success: false,
+        message: 'User profile not found'
+      });
+    }
+
+    const editor = await resolveProfileEditor(req.user, userProfile);
+    if (!editor) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only import into your own profile'
+      });
+    }
+
+    let parsed;
+    try {
+      parsed = readProfileImport(req);
+    } catch (error) {
+      if (error.invalidArchive || error.invalidResume) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      throw error;
+    }
+
+    const profileImport = await ProfileImport.create({
+      userId: userProfile.userId,
+      importedBy: req.user.userId,
+      ...parsed
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Import ready for review',
+      data: toImportResponse(profileImport, userProfile)
+    });
+  } catch (error) {
+    console.error('Error importing profile data:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/userprofile/{userId}/import/{importId}:
+ *   get:
+ *     summary: Preview a pending import against the current profile
+ *     tags: [UserProfile]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: importId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Import preview
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/ProfileImportPreview'
+ *       403:
+ *         description: Not allowed to edit this profile
+ *       404:
+ *         description: User profile or import not found
+ */
+router.get('/:userId/import/:importId', verifyToken, async (req, res) => {
+  try {
+    const loaded = await loadProfileImport(req, res);
+    if (!loaded) return;
+
+    res.json({
+      success: true,
+      data: toImportResponse(loaded.profileImport, loaded.userProfile)
+    });
+  } catch (error) {
+    console.error('Error fetching profile import:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/userprofile/{userId}/import/{importId}/apply:
+ *   post:
+ *     summary: Apply a pending import to the profile
+ *     description: |
+ *       By default imported fields only fill in values the profile does not have yet, and
+ *       imported entries are merged into each section, skipping duplicates. Fields listed in
+ *       overwriteFields replace the current values; each section can instead be replaced by
+ *       the imported entries or skipped. Career agents' imports are submitted for the
+ *       candidate's approval like other agent edits.
+ *     tags: [UserProfile]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: importId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               overwriteFields:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [firstName, lastName, headline, summary, industry, location]
+ *               sections:
+ *                 type: object
+ *                 description: Section name (experience, education, skills, certifications, languages) to mode
+ *                 additionalProperties:
+ *                   type: string
+ *                   enum: [merge, replace, skip]
+ *                   default: merge
+ *     responses:
+ *       200:
+ *         description: Import applied
+ *       202:
+ *         description: Import submitted for the candidate's approval (career agents)
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Not allowed to edit this profile or some of the imported fields
+ *       404:
+ *         description: User profile or import not found
+ */
+router.post('/:userId/import/:importId/apply', verifyToken, [
+  body('overwriteFields').optional().isArray().withMessage('overwriteFields must be an array'),
+  body('overwriteFields.*').isIn(Object.keys(IMPORT_FIELDS))
+    .withMessage(`overwriteFields may contain: ${Object.keys(IMPORT_FIELDS).join(', ')}`),
+  body('sections').optional().isObject().withMessage('sections must be an object'),
+  ...Object.keys(IMPORT_SECTIONS).map(section =>
+    body(`sections.${section}`).optional().isIn(IMPORT_SECTION_MODES)
+      .withMessage(`sections.${section} must be one of: ${IMPORT_SECTION_MODES.join(', ')}`)
+  )
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const loaded = await loadProfileImport(req, res);
+    if (!loaded) return;
+    const { userProfile, editor, profileImport } = loaded;
+
+    const before = toRevisionSnapshot(userProfile);
+    const applied = applyProfileImport(userProfile, profileImport.data, {
+      overwriteFields: req.body.overwriteFields,
+      sections: req.body.sections
+    });
+    const result = await commitProfileEdit(userProfile, before, editor);
+    if (result.forbiddenFields) return respondToAgentEdit(res, editor, result);
+
+    await ProfileImport.deleteOne({ _id: profileImport._id });
+    if (respondToAgentEdit(res, editor, result)) return;
+
+    res.json({
+      success: true,
+      message: applied.length > 0 ? `Imported ${applied.join(', ')}` : 'Nothing new to import',
+      data: userProfile
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+    console.error('Error applying profile import:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/userprofile/{userId}/import/{importId}:
+ *   delete:
+ *     summary: Discard a pending import
+ *     tags: [UserProfile]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: importId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Import discarded
+ *       403:
+ *         description: Not allowed to edit this profile
+ *       404:
+ *         description: User profile or import not found
+ */
+router.delete('/:userId/import/:importId', verifyToken, async (req, res) => {
+  try {
+    const loaded = await loadProfileImport(req, res);
+    if (!loaded) return;
+
+    await ProfileImport.deleteOne({ _id: loaded.profileImport._id });
+
+    res.json({
+      success: true,
+      message: 'Import discarded'
+    });
+  } catch (error) {
+    console.error('Error discarding profile import:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Export formats with their content type and file extension
+const PROFILE_EXPORT_FORMATS = {
+  jsonresume: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  vcard: { contentType: 'text/vcard; charset=utf-8', extension: 'vcf' },
+  pdf: { contentType: 'application/pdf', extension: 'pdf' }
+};
+
+// Photos are stored as media keys; older profiles may hold a full URL
+const toPublicPhotoUrl = async (photo) => {
+  if (!photo) return undefined;
+  return /^https?:\/\//i.test(photo) ? photo : storage.getUrl(photo);
+};
+
+/**
+ * @swagger
+ * /api/userprofile/{userId}/export:
+ *   get:
+ *     summary: Export a profile as JSON Resume, vCard or PDF
+ *     description: |
+ *       Renders the profile as a JSON Resume document (https://jsonresume.org/schema), a vCard 4.0
+ *       contact card or a PDF CV, downloaded as an attachment. Sections are filtered by the owner's
+ *       privacy settings exactly as when viewing the profile, so an export never contains more than
+ *       the caller could see.
+ *     tags: [UserProfile]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [jsonresume, vcard, pdf]
+ *           default: jsonresume
+ *     responses:
+ *       200:
+ *         description: The exported profile
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               description: JSON Resume document
+ *           text/vcard:
+ *             schema:
+ *               type: string
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Unknown export format
+ *       404:
+ *         description: User profile not found
+ */
+router.get('/:userId/export', verifyToken, async (req, res) => {
+  try {
+    const format = String(req.query.format || 'jsonresume').toLowerCase();
+    if (!PROFILE_EXPORT_FORMATS[format]) {
+      return res.status(400).json({
+        success: false,
+        message: `format must be one of ${Object.keys(PROFILE_EXPORT_FORMATS).join(', ')}`
+      });
+    }
+
+    const userProfile = await UserProfile.findOne({ userId: req.params.userId }).lean();
+    if (!userProfile) {
+      return res.status(404).json({
+        success: false,
+        message: 'User profile not found'
+      });
+    }
+
+    const relationship = await getViewerRelationship(req.user, userProfile.userId);
+    if (isAccountHidden(userProfile) && relationship !== 'self' && relationship !== 'admin') {
+      return res.status(404).json({
+        success: false,
+        message: 'User profile not found'
+      });
+    }
+
+    const profile = filterProfileForViewer(userProfile, relationship);
+    const imageUrl = await toPublicPhotoUrl(profile.profilePictureUrl);
+
+    let body;
+    if (format === 'pdf') {
+      body = toPdfCv(profile);
+    } else if (format === 'vcard') {
+      body = toVCard(profile, { imageUrl });
+    } else {
+      body = JSON.stringify(toJsonResume(profile, { imageUrl }), null, 2);
+    }
+
+    const baseName = [profile.firstName, profile.lastName].filter(Boolean).join('-')
+      .normalize('NFKD').replace(/[^A-Za-z0-9-]+/g, '').toLowerCase() || profile.userId;
+    const { contentType, extension } = PROFILE_EXPORT_FORMATS[format];
+    res.attachment(`${baseName}.${extension}`);
+    res.set('Content-Type', contentType);
+    res.send(body);
+  } catch (error) {
+    console.error('Error exporting user profile:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/userprofile/{userId}/data-export:
+ *   post:
+ *     summary: Start a download of all personal data
+ *     description: |
+ *       Starts a background job that bundles every record stored about the user, across all
+ *       collections, together with their resumes and photos from storage into a ZIP archive.
+ *       Poll the job until it is ready to get a download link. Archives are kept for 7 days.
+ *     tags: [UserProfile]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       202:
+ *         description: Export job started
+ *       403:
+ *         description: Not allowed to export this account
+ *       404:
+ *         description: User profile not found
+ *       409:
+ *         description: An export for this user is already running
+ */
+router.post('/:userId/data-export', verifyToken, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!canManageAccountData(req.user, userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only export your own data'
+      });
+    }
+
+    if (!(await UserProfile.exists({ userId }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'User profile not found'
+      });
+    }
+
+    const running = await DataExport.findOne({ userId, status: { $in: ['pending', 'processing'] } });
+    if (running) {
+      return res.status(409).json({
+        success: false,
+        message: 'An export is already in progress',
+        data: running
+      });
+    }
+
+    const dataExport = await startDataExport({ userId, requestedBy: req.user.userId });
+
+    res.status(202).json({
+      success: true,
+      message: 'Data export started',
+      data: dataExport
+    });
+  } catch (error) {
+    console.error('Error starting data export:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/userprofile/{userId}/data-export/{exportId}:
+ *   get:
+ *     summary: Get a personal data export job
+ *     description: Once the job is ready the response includes a download link valid for 15 minutes.
+ *     tags: [UserProfile]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: exportId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Export job status, with downloadUrl when ready
+ *       403:
+ *         description: Not allowed to export this account
+ *       404:
+ *         description: Export not found or expired
+ */
+router.get('/:userId/data-export/:exportId', verifyToken, async (req, res) => {
+  try {
+    const { userId, exportId } = req.params;
+    if (!canManageAccountData(req.user, userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only export your own data'
+      });
+    }
+
+    const dataExport = await DataExport.findOne({ exportId, userId });
+    if (!dataExport) {
+      return res.status(404).json({
+        success: false,
+        message: 'Export not found or expired'
+      });
+    }
+
+    const data = dataExport.toJSON();
+    if (dataExport.status === 'ready') {
+      data.downloadUrl = await getDataExportDownloadUrl(dataExport);
+    }
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('Error fetching data export:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/userprofile/basic-info:
@@ -1585,16 +5481,19 @@ router.post('/basic-info', verifyToken, async (req, res) => {
     }
 
     const profiles = await UserProfile.find({ userId: { $in: userIds } })
-      .select('userId firstName lastName headline contactInfo.email')
+      .select('userId firstName lastName headline contactInfo.email privacySettings')
       .lean();
+    const relationships = await getViewerRelationships(req.user, profiles.map(profile => profile.userId));
 
-    const result = profiles.map(profile => ({
-      userId: profile.userId,
-      firstName: profile.firstName,
-      lastName: profile.lastName,
-      email: profile.contactInfo?.email || null,
-      headline: profile.headline || ''
-    }));
+    const result = profiles
+      .map(profile => filterProfileForViewer(profile, relationships.get(profile.userId)))
+      .map(profile => ({
+        userId: profile.userId,
+        firstName: profile.firstName,
+        lastName: profile.lastName,
+        email: profile.contactInfo?.email || null,
+        headline: profile.headline || ''
+      }));
 
     res.json({
       success: true,
@@ -1,8 +1,14 @@
 import express from 'express';
-import { body, validationResult } from 'express-validator';
-import Verification from '../models/Verification.js';
+import { body, query, validationResult } from 'express-validator';
+import Verification, { VERIFICATION_STATUSES, VERIFICATION_TYPES } from '../models/Verification.js';
+import UserProfile from '../models/UserProfile.js';
 import emailService from '../services/emailService.js';
+import smsService from '../services/smsService.js';
+import { applyVerificationBadge } from '../utils/verificationBadges.js';
+import { reserveVerificationSend } from '../utils/verificationThrottle.js';
+import VerificationUtils from '../utils/verificationUtils.js';
 import jwt from 'jsonwebtoken';
+import rateLimit from 'express-rate-limit';
 
 const router = express.Router();
 
@@ -31,23 +37,55 @@ const verifyToken = (req, res, next) => {
   }
 };
 
-// Generate 6-digit random verification code
-const generateVerificationCode = () => {
-  return Math.floor(100000 + Math.random() * 900000).toString();
+// How a verification type is carried out: email, sms or review
+const channelOf = (type) => VERIFICATION_TYPES[type || 'companyEmail']?.channel;
+const usesChannel = (channel) => (value, { req }) => channelOf(req.body.type) === channel;
+
+// Verifications belong to the user who requested them
+const ownsVerification = (user, verification) => verification.userId === user.userId;
+
+// Statuses a verification can no longer be completed from
+const CLOSED_STATUS_MESSAGES = {
+  verified: 'This verification has already been completed',
+  rejected: 'This verification has already been reviewed',
+  cancelled: 'This verification was cancelled'
 };
 
 // Validation middleware for sending verification code
 const validateSendVerification = [
   body('userId')
+    .optional()
     .trim()
     .isLength({ min: 1 })
-    .withMessage('User ID is required'),
+    .withMessage('User ID must not be empty'),
+
+  body('type')
+    .optional()
+    .isIn(Object.keys(VERIFICATION_TYPES))
+    .withMessage(`Type must be one of: ${Object.keys(VERIFICATION_TYPES).join(', ')}`),
   
   body('recipientEmail')
+    .if(usesChannel('email'))
     .isEmail()
     .normalizeEmail()
     .withMessage('Valid recipient email is required'),
 
+  body('recipientPhone')
+    .if(usesChannel('sms'))
+    .trim()
+    .matches(/^\+[1-9]\d{6,14}$/)
+    .withMessage('Recipient phone is required in international format, e.g. +919876543210'),
+
+  body(['experienceId', 'educationId'])
+    .optional()
+    .isMongoId()
+    .withMessage('Entry IDs must be valid profile entry ids'),
+
+  body('certificationId')
+    .if(usesChannel('review'))
+    .isMongoId()
+    .withMessage('Certification ID is required to verify a certification'),
+
   // Middleware to check validation results
   (req, res, next) => {
     const errors = validationResult(req);
@@ -89,23 +127,257 @@ const validateVerifyCode = [
   }
 ];
 
+// Validation middleware for resending a verification code
+const validateResend = [
+  body('verificationId')
+    .trim()
+    .isLength({ min: 1 })
+    .withMessage('Verification ID is required'),
+
+  // Middleware to check validation results
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    next();
+  }
+];
+
+// Validation middleware for listing verifications
+const validateListVerifications = [
+  query('status')
+    .optional()
+    .isIn(VERIFICATION_STATUSES)
+    .withMessage(`Status must be one of: ${VERIFICATION_STATUSES.join(', ')}`),
+
+  // Middleware to check validation results
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    next();
+  }
+];
+
+// Validation middleware for reviewing a certification
+const validateReview = [
+  body('approved')
+    .isBoolean()
+    .withMessage('Approved must be true or false'),
+
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note must be less than 500 characters'),
+
+  // Middleware to check validation results
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    next();
+  }
+];
+
+// Email address or phone number a verification's code goes to
+const recipientOf = (verification) => verification.recipientPhone || verification.recipientEmail;
+
+// Reserve a send of a new code for the verification, answering with 429 when the send cooldowns
+// or daily caps do not allow another code yet. Returns true when a response was sent.
+const respondToSendThrottle = async (res, verification) => {
+  const throttle = await reserveVerificationSend({
+    userId: verification.userId,
+    recipient: recipientOf(verification),
+    verificationId: verification.verificationId
+  });
+  if (!throttle) return false;
+  res.set('Retry-After', String(throttle.retryAfterSeconds));
+  res.status(429).json({
+    success: false,
+    message: throttle.message,
+    retryAfterSeconds: throttle.retryAfterSeconds
+  });
+  return true;
+};
+
+// Answer with 503 when codes for the channel cannot be sent, e.g. no SMS provider is configured.
+// Returns true when a response was sent.
+const respondToUnavailableChannel = (res, channel) => {
+  if (channel !== 'sms' || smsService.isAvailable()) return false;
+  res.status(503).json({
+    success: false,
+    message: 'Phone verification is not available right now'
+  });
+  return true;
+};
+
+// Where links in emails reach this API, and where they send the user back to afterwards
+const apiPublicUrl = () => (process.env.API_PUBLIC_URL ||
+  (process.env.NODE_ENV === 'production' ? 'https://userprofile-api.dintak.com' : 'http://localhost:3002')).replace(/\/$/, '');
+const frontendUrl = () => (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/$/, '');
+
+// Give the verification a new code and send it by SMS or by email (AWS SES); emails also carry a
+// single-use link completing the verification. A failure to deliver is logged rather than
+// failing the request, as the code can be resent.
+const deliverNewCode = async (verification, req) => {
+  const verificationCode = VerificationUtils.generateVerificationCode();
+  verification.setCode(verificationCode);
+  const verificationLink = verification.typeConfig.channel === 'email'
+    ? `${apiPublicUrl()}/api/verification/link/${encodeURIComponent(verification.verificationId)}?token=${verification.issueLinkToken()}`
+    : undefined;
+  verification.lastSentAt = new Date();
+  await verification.save();
+
+  const { typeConfig } = verification;
+  try {
+    const sendResult = typeConfig.channel === 'sms'
+      ? await smsService.sendVerificationCode(verification.recipientPhone, verificationCode, typeConfig)
+      : await emailService.sendVerificationCode(verification.recipientEmail, verificationCode, req.user.email, verification.userId, {
+        ...typeConfig,
+        verificationLink
+      });
+
+    if (!sendResult.success) {
+      console.error('Failed to send verification code:', sendResult.error);
+    } else {
+      console.log('Verification code sent successfully');
+    }
+  } catch (sendError) {
+    console.error('Error sending verification code:', sendError);
+  }
+};
+
+// Record the badge a completed verification earns on the user's profile
+const awardBadge = async (verification) => {
+  const userProfile = await UserProfile.findOne({ userId: verification.userId });
+  const badge = userProfile ? applyVerificationBadge(userProfile, verification) : null;
+  if (badge) await userProfile.save();
+  return badge;
+};
+
+// Count an attempt atomically, so concurrent requests cannot go past the type's attempt limit.
+// Resolves to the record with the attempt counted, or null when it is no longer open.
+const claimAttempt = (verification, select = '') => Verification.findOneAndUpdate(
+  {
+    _id: verification._id,
+    status: 'pending',
+    attempts: { $lt: verification.typeConfig.maxAttempts },
+    expiresAt: { $gt: new Date() }
+  },
+  { $inc: { attempts: 1 } },
+  { new: true }
+).select(select);
+
+// Mark a verification completed by its code or link, and award its badge
+const completeVerification = async (verification) => {
+  verification.status = 'verified';
+  verification.verifiedAt = new Date();
+  verification.linkNonce = undefined;
+
+  const badge = await awardBadge(verification);
+  await verification.save();
+  return badge;
+};
+
+// Send someone who opened a verification link to the frontend's result page
+const redirectToResult = (res, result, verification = {}, badge = null) => {
+  const query = new URLSearchParams({ result });
+  if (verification.verificationId) query.set('verificationId', verification.verificationId);
+  if (verification.type) query.set('type', verification.type);
+  if (result === 'verified') query.set('badge', String(Boolean(badge)));
+  res.redirect(303, `${frontendUrl()}/verification/result?${query}`);
+};
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+// Confirmation page for a verification link. Opening the link changes nothing, so link scanners
+// that fetch it do not complete the verification; the button posts the token back.
+const renderLinkConfirmation = (res, verificationId, token) => {
+  res.set('Content-Security-Policy', `default-src 'none'; style-src 'unsafe-inline'; form-action 'self' ${frontendUrl()}`);
+  res.type('html').send(`<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>Confirm verification</title></head>
+<body style="font-family: Arial, sans-serif; max-width: 480px; margin: 60px auto; padding: 0 20px; text-align: center; color: #333;">
+  <h1 style="font-size: 22px;">Confirm your email</h1>
+  <p>Confirm that this email address is yours to complete the verification on Dintak.</p>
+  <form method="post" action="${escapeHtml(encodeURIComponent(verificationId))}">
+    <input type="hidden" name="token" value="${escapeHtml(token)}">
+    <button type="submit" style="background-color: #007bff; color: white; padding: 12px 28px; border: 0; border-radius: 6px; font-size: 16px; font-weight: bold; cursor: pointer;">Verify my email</button>
+  </form>
+</body>
+</html>`);
+};
+
+// Verification links need no access token, so guesses are limited per IP address. Wrong tokens
+// do not count against the verification's code attempts, which a stranger could otherwise use up.
+const linkLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    success: false,
+    message: 'Too many verification link requests from this IP, please try again later.'
+  }
+});
+
 /**
  * @swagger
  * components:
  *   schemas:
  *     SendVerificationRequest:
  *       type: object
- *       required:
- *         - userId
- *         - recipientEmail
+ *       description: |
+ *         Each type has its own expiry and attempt limit, and earns its own badge on the profile:
+ *         - companyEmail (10 minutes, 3 attempts): verifiedEmployer and the matching positions' employmentVerification
+ *         - personalEmail (30 minutes, 5 attempts): verifiedEmail, if it is the profile's contact email
+ *         - phone, by SMS (5 minutes, 3 attempts): verifiedPhone, if it is the profile's contact phone
+ *         - education, by school email (60 minutes, 3 attempts): schoolVerification on the matching education entries
+ *         - certification (reviewed by an admin within 14 days): credentialVerification on the certification
  *       properties:
  *         userId:
  *           type: string
- *           description: User ID of the person requesting verification
+ *           description: |
+ *             Optional; verifications are always for the signed-in user, and any other user ID is
+ *             rejected with 403
+ *         type:
+ *           type: string
+ *           enum: [companyEmail, personalEmail, phone, education, certification]
+ *           default: companyEmail
  *         recipientEmail:
  *           type: string
  *           format: email
- *           description: Email where verification code will be sent
+ *           description: Email where verification code will be sent (companyEmail, personalEmail, education)
+ *         recipientPhone:
+ *           type: string
+ *           description: Phone number in international format where the code is texted (phone)
+ *         experienceId:
+ *           type: string
+ *           description: |
+ *             Experience entry this company email is for. Without it, a verified email is matched
+ *             against the profile's company and current positions.
+ *         educationId:
+ *           type: string
+ *           description: Education entry this school email is for; without it, every entry whose school matches
+ *         certificationId:
+ *           type: string
+ *           description: Certification entry to verify; its credentialId is sent for review (certification)
  *     VerifyCodeRequest:
  *       type: object
  *       required:
@@ -118,6 +390,32 @@ const validateVerifyCode = [
  *         code:
  *           type: string
  *           description: 6-digit verification code
+ *     VerificationBadge:
+ *       type: object
+ *       nullable: true
+ *       description: |
+ *         Where the badge was recorded on the profile, depending on the type; null when nothing on
+ *         the profile matched (e.g. the email's domain is not the company's, or the phone is not
+ *         the contact phone)
+ *       properties:
+ *         verifiedEmployer:
+ *           $ref: '#/components/schemas/VerifiedEmployment'
+ *         experienceIds:
+ *           type: array
+ *           items:
+ *             type: string
+ *         verifiedEmail:
+ *           type: object
+ *         verifiedPhone:
+ *           type: object
+ *         educationIds:
+ *           type: array
+ *           items:
+ *             type: string
+ *         certificationIds:
+ *           type: array
+ *           items:
+ *             type: string
  */
 
 /**
@@ -125,6 +423,10 @@ const validateVerifyCode = [
  * /api/verification/send-code:
  *   post:
  *     summary: Send verification code
+ *     description: |
+ *       Sends a code by email or SMS for the requested verification type. Emails also carry a
+ *       single-use link that completes the verification when opened (see /api/verification/link).
+ *       For a certification no code is sent; its credential ID is submitted for an admin to review instead.
  *     tags: [Verification]
  *     security:
  *       - bearerAuth: []
@@ -136,7 +438,7 @@ const validateVerifyCode = [
  *             $ref: '#/components/schemas/SendVerificationRequest'
  *     responses:
  *       201:
- *         description: Verification code sent successfully
+ *         description: Verification code sent successfully, or certification submitted for review
  *         content:
  *           application/json:
  *             schema:
@@ -150,56 +452,80 @@ const validateVerifyCode = [
  *                   type: string
  *       400:
  *         description: Validation error
+ *       403:
+ *         description: userId is not the signed-in user
+ *       429:
+ *         description: |
+ *           A code was sent to this recipient or for this user too recently, or the daily limit
+ *           was reached; the Retry-After header gives the seconds to wait
  *       500:
  *         description: Internal server error
+ *       503:
+ *         description: Phone verification is requested but no SMS provider is configured
  */
 router.post('/send-code', verifyToken, validateSendVerification, async (req, res) => {
   try {
-    console.log('Received request to send verification code:', req.body);
-    const { userId, recipientEmail } = req.body;
+    if (req.body.userId && req.body.userId !== req.user.userId) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only request verifications for yourself'
+      });
+    }
+    const { userId } = req.user;
+    const { type = 'companyEmail', recipientEmail, recipientPhone, experienceId, educationId, certificationId } = req.body;
+    const typeConfig = VERIFICATION_TYPES[type];
+    const metadata = {
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('User-Agent'),
+      requestTime: new Date()
+    };
+
+    // Certifications have no code to send: the credential is queued for an admin to check
+    if (typeConfig.channel === 'review') {
+      const userProfile = await UserProfile.findOne({ userId: userId }).select('certifications');
+      const certification = userProfile?.certifications.id(certificationId);
+      if (!certification?.credentialId) {
+        return res.status(400).json({
+          success: false,
+          message: 'The certification was not found or has no credential ID to verify'
+        });
+      }
+
+      const verification = await Verification.create({
+        userId: userId,
+        type,
+        certificationId,
+        credentialId: certification.credentialId,
+        metadata
+      });
+      return res.status(201).json({
+        success: true,
+        message: 'Certification submitted for review',
+        verificationId: verification.verificationId
+      });
+    }
 
-    console.log(`Received request to send verification code to ${recipientEmail} for user ${userId}`);  
-    // Generate 6-digit verification code
-    const verificationCode = generateVerificationCode();
+    const recipient = typeConfig.channel === 'sms' ? recipientPhone : recipientEmail;
+    console.log(`Received request to send ${type} verification code to ${recipient} for user ${userId}`);  
+    if (respondToUnavailableChannel(res, typeConfig.channel)) return;
 
-    // Create verification record
+    // Create verification record; its code is generated, hashed and sent below once the send is reserved
     const verification = new Verification({
-      userId: userId.trim(),
-      recipientEmail: recipientEmail.toLowerCase().trim(),
-      verificationCode,
-      metadata: {
-        ipAddress: req.ip || req.connection.remoteAddress,
-        userAgent: req.get('User-Agent'),
-        requestTime: new Date()
-      }
+      userId: userId,
+      type,
+      recipientEmail: typeConfig.channel === 'email' ? recipient : undefined,
+      recipientPhone: typeConfig.channel === 'sms' ? recipient : undefined,
+      experienceId: type === 'companyEmail' ? experienceId : undefined,
+      educationId: type === 'education' ? educationId : undefined,
+      metadata
     });
-    console.log(`Creating verification record for user ${userId} with email ${recipientEmail}`);  
-
-    // Save to MongoDB
-    await verification.save();
+    // A request that could never be saved does not use up a send; the code is only set on delivery
+    await verification.validate({ pathsToSkip: ['codeHash'] });
+    if (await respondToSendThrottle(res, verification)) return;
+    await deliverNewCode(verification, req);
 
     console.log(`Verification record created with ID: ${verification.verificationId}`);
 
-    console.log(`Sending verification code ${verificationCode} to ${recipientEmail}`);
-    // Send verification email using AWS SES
-    try {
-      const emailResult = await emailService.sendVerificationCode(
-        recipientEmail,
-        verificationCode,
-        userId
-      );
-
-      if (!emailResult.success) {
-        console.error('Failed to send verification email:', emailResult.error);
-        // Don't fail the request if email fails, but log it
-      } else {
-        console.log('Verification email sent successfully');
-      }
-    } catch (emailError) {
-      console.error('Error sending verification email:', emailError);
-      // Continue with the response even if email fails
-    }
-
     // Respond with verificationId
     res.status(201).json({
       success: true,
@@ -253,8 +579,28 @@ router.post('/send-code', verifyToken, validateSendVerification, async (req, res
  *                   type: string
  *                 data:
  *                   type: object
+ *                   properties:
+ *                     verificationId:
+ *                       type: string
+ *                     userId:
+ *                       type: string
+ *                     type:
+ *                       type: string
+ *                     recipientEmail:
+ *                       type: string
+ *                     recipientPhone:
+ *                       type: string
+ *                     status:
+ *                       type: string
+ *                     verifiedAt:
+ *                       type: string
+ *                       format: date-time
+ *                     badge:
+ *                       $ref: '#/components/schemas/VerificationBadge'
  *       400:
- *         description: Invalid code or verification expired
+ *         description: Invalid code, verification expired or cancelled, or a certification (which is reviewed instead)
+ *       403:
+ *         description: The verification belongs to another user
  *       404:
  *         description: Verification record not found
  *       500:
@@ -262,8 +608,8 @@ router.post('/send-code', verifyToken, validateSendVerification, async (req, res
  */
 router.put('/verify-code', verifyToken, validateVerifyCode, async (req, res) => {
   try {
-    console.log('Received request to verify code:', req.body);
     const { verificationId, code } = req.body;
+    console.log(`Received request to verify code for verification ${verificationId}`);
 
     // Find verification record by verificationId
     const verification = await Verification.findOne({ verificationId: verificationId });
@@ -275,11 +621,25 @@ router.put('/verify-code', verifyToken, validateVerifyCode, async (req, res) =>
       });
     }
 
-    // Check if already verified
-    if (verification.status === 'verified') {
+    if (!ownsVerification(req.user, verification)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only complete your own verifications'
+      });
+    }
+
+    if (verification.typeConfig.channel === 'review') {
+      return res.status(400).json({
+        success: false,
+        message: 'Certifications are verified by an admin review, not a code'
+      });
+    }
+
+    // Check if already verified, or closed otherwise
+    if (CLOSED_STATUS_MESSAGES[verification.status]) {
       return res.status(400).json({
         success: false,
-        message: 'This verification has already been completed'
+        message: CLOSED_STATUS_MESSAGES[verification.status]
       });
     }
 
@@ -295,7 +655,8 @@ router.put('/verify-code', verifyToken, validateVerifyCode, async (req, res) =>
     }
 
     // Check attempts limit
-    if (verification.attempts >= 3) {
+    const { maxAttempts } = verification.typeConfig;
+    if (verification.attempts >= maxAttempts) {
       verification.status = 'expired';
       await verification.save();
       
@@ -305,14 +666,17 @@ router.put('/verify-code', verifyToken, validateVerifyCode, async (req, res) =>
       });
     }
 
-    // Increment attempts
-    verification.attempts += 1;
+    // Count the attempt, then compare the code against its salted hash, in constant time
+    const attempt = await claimAttempt(verification, '+codeHash +codeSalt');
+    if (!attempt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Maximum verification attempts exceeded. Please request a new verification.'
+      });
+    }
 
-    // Compare the code
-    if (verification.verificationCode !== code.trim()) {
-      await verification.save();
-      
-      const remainingAttempts = 3 - verification.attempts;
+    if (!attempt.validateCode(code)) {
+      const remainingAttempts = maxAttempts - attempt.attempts;
       return res.status(400).json({
         success: false,
         message: 'Invalid verification code',
@@ -321,9 +685,7 @@ router.put('/verify-code', verifyToken, validateVerifyCode, async (req, res) =>
     }
 
     // Code is correct - update status
-    verification.status = 'verified';
-    verification.verifiedAt = new Date();
-    await verification.save();
+    const badge = await completeVerification(attempt);
 
     console.log(`Verification ${verificationId} completed successfully`);
 
@@ -331,11 +693,14 @@ router.put('/verify-code', verifyToken, validateVerifyCode, async (req, res) =>
       success: true,
       message: 'Code verified successfully',
       data: {
-        verificationId: verification.verificationId,
-        userId: verification.userId,
-        recipientEmail: verification.recipientEmail,
-        status: verification.status,
-        verifiedAt: verification.verifiedAt
+        verificationId: attempt.verificationId,
+        userId: attempt.userId,
+        type: attempt.type,
+        recipientEmail: attempt.recipientEmail,
+        recipientPhone: attempt.recipientPhone,
+        status: attempt.status,
+        verifiedAt: attempt.verifiedAt,
+        badge
       }
     });
 
@@ -349,6 +714,481 @@ router.put('/verify-code', verifyToken, validateVerifyCode, async (req, res) =>
   }
 });
 
+/**
+ * @swagger
+ * /api/verification/link/{verificationId}:
+ *   get:
+ *     summary: Show the confirmation page for an email verification link
+ *     description: |
+ *       Opened from the email, so it needs no access token. Opening the link changes nothing (email
+ *       scanners fetch links too); the page's button posts the token to complete the verification.
+ *     tags: [Verification]
+ *     parameters:
+ *       - in: path
+ *         name: verificationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: HTML page asking the user to confirm
+ *         content:
+ *           text/html:
+ *             schema:
+ *               type: string
+ *       429:
+ *         description: Too many verification link requests from this IP
+ *   post:
+ *     summary: Complete an email verification from the link in its email
+ *     description: |
+ *       The signed token in the link proves access to the mailbox, like the code does. The link
+ *       shares the verification's expiry with the code, works once, and stops working when a new
+ *       code is sent. Wrong tokens are limited per IP address and do not use up code attempts.
+ *       Redirects to FRONTEND_URL/verification/result with query parameters result (verified,
+ *       already-verified, expired, cancelled, invalid or not-found), verificationId, type, and for a
+ *       completed verification badge (whether a badge was recorded on the profile).
+ *     tags: [Verification]
+ *     parameters:
+ *       - in: path
+ *         name: verificationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       303:
+ *         description: Redirect to the frontend's verification result page
+ *       429:
+ *         description: Too many verification link requests from this IP
+ */
+router.get('/link/:verificationId', linkLimiter, (req, res) => {
+  renderLinkConfirmation(res, req.params.verificationId, req.query.token || '');
+});
+
+router.post('/link/:verificationId', linkLimiter, express.urlencoded({ extended: false }), async (req, res) => {
+  try {
+    const verification = await Verification.findOne({ verificationId: req.params.verificationId })
+      .select('+linkNonce');
+
+    if (!verification) return redirectToResult(res, 'not-found');
+    if (verification.typeConfig.channel !== 'email') return redirectToResult(res, 'invalid', verification);
+    if (verification.status === 'verified') return redirectToResult(res, 'already-verified', verification);
+
+    // Same checks as a code: open, not expired, attempts left
+    if (!verification.canBeVerified()) {
+      if (verification.status === 'pending') {
+        verification.status = 'expired';
+        await verification.save();
+      }
+      const result = { rejected: 'invalid', cancelled: 'cancelled' }[verification.status] || 'expired';
+      return redirectToResult(res, result, verification);
+    }
+
+    if (!verification.validateLinkToken(req.body?.token)) {
+      return redirectToResult(res, 'invalid', verification);
+    }
+
+    // Use the link up atomically, so it completes the verification only once
+    const claimed = await Verification.findOneAndUpdate(
+      { _id: verification._id, status: 'pending', linkNonce: verification.linkNonce },
+      { $unset: { linkNonce: 1 } },
+      { new: true }
+    );
+    if (!claimed) return redirectToResult(res, 'invalid', verification);
+
+    const badge = await completeVerification(claimed);
+    console.log(`Verification ${claimed.verificationId} completed by link`);
+    redirectToResult(res, 'verified', claimed, badge);
+  } catch (error) {
+    console.error('Error in verification link:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/verification/resend:
+ *   post:
+ *     summary: Resend verification code
+ *     description: |
+ *       Sends a new code for a pending email or SMS verification. The previous code stops working,
+ *       the attempts are reset and the verification stays open for its type's full period again.
+ *     tags: [Verification]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - verificationId
+ *             properties:
+ *               verificationId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: A new verification code was sent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     verificationId:
+ *                       type: string
+ *                     expiresAt:
+ *                       type: string
+ *                       format: date-time
+ *                     resendCount:
+ *                       type: integer
+ *       400:
+ *         description: Already completed or cancelled, or a certification (which has no code)
+ *       403:
+ *         description: The verification belongs to another user
+ *       404:
+ *         description: Verification record not found
+ *       429:
+ *         description: Sent too recently or daily limit reached; see the Retry-After header
+ *       500:
+ *         description: Internal server error
+ *       503:
+ *         description: The verification is by phone and no SMS provider is configured
+ */
+router.post('/resend', verifyToken, validateResend, async (req, res) => {
+  try {
+    const verification = await Verification.findOne({ verificationId: req.body.verificationId });
+
+    if (!verification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Verification record not found'
+      });
+    }
+
+    if (!ownsVerification(req.user, verification)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only resend codes for your own verifications'
+      });
+    }
+
+    if (verification.typeConfig.channel === 'review') {
+      return res.status(400).json({
+        success: false,
+        message: 'Certifications are verified by an admin review, not a code'
+      });
+    }
+    if (CLOSED_STATUS_MESSAGES[verification.status]) {
+      return res.status(400).json({
+        success: false,
+        message: CLOSED_STATUS_MESSAGES[verification.status]
+      });
+    }
+
+    if (respondToUnavailableChannel(res, verification.typeConfig.channel)) return;
+    if (await respondToSendThrottle(res, verification)) return;
+
+    // A fresh code gets a fresh set of attempts and the full expiry period
+    verification.status = 'pending';
+    verification.attempts = 0;
+    verification.expiresAt = new Date(Date.now() + verification.typeConfig.expiresInMinutes * 60 * 1000);
+    verification.resendCount += 1;
+    await deliverNewCode(verification, req);
+
+    console.log(`Verification code resent for ${verification.verificationId}`);
+
+    res.json({
+      success: true,
+      message: 'Verification code sent successfully',
+      data: {
+        verificationId: verification.verificationId,
+        expiresAt: verification.expiresAt,
+        resendCount: verification.resendCount
+      }
+    });
+  } catch (error) {
+    console.error('Error resending verification code:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/verification/{verificationId}/review:
+ *   put:
+ *     summary: Approve or reject a certification verification
+ *     description: Admins check the submitted credential ID with the issuer and record the outcome once.
+ *     tags: [Verification]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: verificationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - approved
+ *             properties:
+ *               approved:
+ *                 type: boolean
+ *               note:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Review recorded; data.badge holds the badge when approved
+ *       400:
+ *         description: Not a certification verification, already reviewed, cancelled, or expired
+ *       403:
+ *         description: Only admins can review verifications
+ *       404:
+ *         description: Verification record not found
+ */
+router.put('/:verificationId/review', verifyToken, validateReview, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only admins can review verifications'
+      });
+    }
+
+    const verification = await Verification.findOne({ verificationId: req.params.verificationId });
+    if (!verification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Verification record not found'
+      });
+    }
+
+    if (verification.typeConfig.channel !== 'review') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only certification verifications are reviewed'
+      });
+    }
+    if (!verification.canBeVerified()) {
+      return res.status(400).json({
+        success: false,
+        message: CLOSED_STATUS_MESSAGES[verification.status] ||
+          'This verification has expired. Please submit the certification again.'
+      });
+    }
+
+    // Claimed atomically, so concurrent reviews cannot both be recorded
+    const reviewed = await claimAttempt(verification);
+    if (!reviewed) {
+      return res.status(400).json({
+        success: false,
+        message: 'This verification has already been reviewed'
+      });
+    }
+
+    const approved = req.body.approved === true || req.body.approved === 'true';
+    reviewed.status = approved ? 'verified' : 'rejected';
+    reviewed.review = {
+      reviewedBy: req.user.userId,
+      reviewedAt: new Date(),
+      note: req.body.note
+    };
+    let badge = null;
+    if (approved) {
+      reviewed.verifiedAt = reviewed.review.reviewedAt;
+      badge = await awardBadge(reviewed);
+    }
+    await reviewed.save();
+
+    res.json({
+      success: true,
+      message: approved ? 'Certification verified' : 'Certification rejected',
+      data: {
+        verificationId: reviewed.verificationId,
+        userId: reviewed.userId,
+        type: reviewed.type,
+        certificationId: reviewed.certificationId,
+        credentialId: reviewed.credentialId,
+        status: reviewed.status,
+        verifiedAt: reviewed.verifiedAt,
+        review: reviewed.review,
+        badge
+      }
+    });
+  } catch (error) {
+    console.error('Error reviewing verification:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/verification:
+ *   get:
+ *     summary: List the signed-in user's verifications
+ *     description: |
+ *       Pending and past verifications, newest first. Pending verifications whose expiry has
+ *       passed are listed as expired.
+ *     tags: [Verification]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, verified, expired, rejected, cancelled]
+ *     responses:
+ *       200:
+ *         description: Verifications retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *       400:
+ *         description: Invalid status
+ */
+router.get('/', verifyToken, validateListVerifications, async (req, res) => {
+  try {
+    await Verification.expireLapsed({ userId: req.user.userId });
+
+    const filter = { userId: req.user.userId };
+    if (req.query.status) filter.status = req.query.status;
+
+    const verifications = await Verification.find(filter)
+      .sort({ createdAt: -1 })
+      .select('-metadata -purgeAt')
+      .lean();
+
+    res.json({
+      success: true,
+      data: verifications
+    });
+  } catch (error) {
+    console.error('Error listing verifications:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/verification/{verificationId}/cancel:
+ *   post:
+ *     summary: Cancel a pending verification
+ *     description: Its code and link stop working; a certification is withdrawn from review.
+ *     tags: [Verification]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: verificationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Verification cancelled
+ *       400:
+ *         description: The verification is not pending
+ *       403:
+ *         description: The verification belongs to another user
+ *       404:
+ *         description: Verification record not found
+ */
+router.post('/:verificationId/cancel', verifyToken, async (req, res) => {
+  try {
+    const verification = await Verification.findOne({ verificationId: req.params.verificationId });
+
+    if (!verification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Verification record not found'
+      });
+    }
+
+    if (!ownsVerification(req.user, verification)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only cancel your own verifications'
+      });
+    }
+
+    if (verification.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: CLOSED_STATUS_MESSAGES[verification.status] || 'This verification has expired'
+      });
+    }
+
+    verification.status = 'cancelled';
+    verification.linkNonce = undefined;
+    await verification.save();
+
+    res.json({
+      success: true,
+      message: 'Verification cancelled',
+      data: {
+        verificationId: verification.verificationId,
+        type: verification.type,
+        status: verification.status
+      }
+    });
+  } catch (error) {
+    console.error('Error cancelling verification:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/verification/{verificationId}:
@@ -366,14 +1206,17 @@ router.put('/verify-code', verifyToken, validateVerifyCode, async (req, res) =>
  *     responses:
  *       200:
  *         description: Verification status retrieved successfully
+ *       403:
+ *         description: The verification belongs to another user
  *       404:
  *         description: Verification record not found
  */
 router.get('/:verificationId', verifyToken, async (req, res) => {
   try {
+    // The hashed code is not selected by default
     const verification = await Verification.findOne({ 
       verificationId: req.params.verificationId 
-    }).select('-verificationCode'); // Don't return the actual code
+    });
 
     if (!verification) {
       return res.status(404).json({
@@ -382,6 +1225,14 @@ router.get('/:verificationId', verifyToken, async (req, res) => {
       });
     }
 
+    // Admins see every verification, as they review certifications
+    if (!ownsVerification(req.user, verification) && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only view your own verifications'
+      });
+    }
+
     res.json({
       success: true,
       data: verification
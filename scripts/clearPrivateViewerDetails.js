@@ -0,0 +1,46 @@
+// Remove the industry and company recorded on profile views by viewers who do not show them
+// publicly. Views recorded before these were checked against the viewer's privacy settings may
+// hold them, and they would otherwise show up in the viewed users' analytics. Run this once
+// against each environment:
+//
+//   MONGODB_URI=... node scripts/clearPrivateViewerDetails.js
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import ProfileView from '../models/ProfileView.js';
+import UserProfile from '../models/UserProfile.js';
+
+dotenv.config();
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/userprofiles';
+
+const HIDDEN_LEVELS = ['connections', 'careerAgent', 'private'];
+
+// Section of the viewer's privacy settings guarding each recorded view field
+const VIEWER_DETAIL_SECTIONS = {
+  viewerIndustry: 'industry',
+  viewerCompany: 'company'
+};
+
+async function clearPrivateViewerDetails() {
+  await mongoose.connect(MONGODB_URI);
+
+  let cleared = 0;
+  for (const [field, section] of Object.entries(VIEWER_DETAIL_SECTIONS)) {
+    const viewerIds = await UserProfile.distinct('userId', { [`privacySettings.${section}`]: { $in: HIDDEN_LEVELS } });
+    if (viewerIds.length === 0) continue;
+    const result = await ProfileView.updateMany(
+      { viewerId: { $in: viewerIds }, [field]: { $exists: true } },
+      { $unset: { [field]: 1 } }
+    );
+    cleared += result.modifiedCount;
+  }
+
+  console.log(`✅ Cleared private viewer details from ${cleared} profile views`);
+  await mongoose.disconnect();
+}
+
+clearPrivateViewerDetails().catch(async (error) => {
+  console.error('❌ Failed to clear private viewer details:', error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,39 @@
+// Resolve the country code, region and coordinates of every existing profile location from the
+// bundled gazetteer. Profiles saved after structured locations were introduced are geocoded on
+// save; run this once against each environment, and again after extending the gazetteer:
+//
+//   MONGODB_URI=... node scripts/geocodeProfiles.js
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import UserProfile from '../models/UserProfile.js';
+import { geocodeLocation } from '../utils/gazetteer.js';
+
+dotenv.config();
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/userprofiles';
+
+async function geocodeProfiles() {
+  await mongoose.connect(MONGODB_URI);
+  await UserProfile.createIndexes();
+
+  let updated = 0;
+  let located = 0;
+  const cursor = UserProfile.find({ location: { $exists: true } }).select('location').lean().cursor();
+  for await (const profile of cursor) {
+    const location = geocodeLocation(profile.location);
+    // Replace the whole location so fields that no longer resolve are dropped
+    Object.keys(location).forEach(key => location[key] === undefined && delete location[key]);
+    await UserProfile.updateOne({ _id: profile._id }, { $set: { location } }, { timestamps: false });
+    updated += 1;
+    if (location.geo) located += 1;
+  }
+
+  console.log(`✅ Geocoded ${updated} profile locations (${located} with coordinates)`);
+  await mongoose.disconnect();
+}
+
+geocodeProfiles().catch(async (error) => {
+  console.error('❌ Failed to geocode profile locations:', error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,39 @@
+// Rebuild the search fields and typo-tolerant trigrams of every existing user profile, from the
+// sections each owner made public, and replace the old full-text index over the raw profile fields.
+// Profiles maintain their search index on save; run this once against each environment to
+// backfill older profiles:
+//
+//   MONGODB_URI=... node scripts/rebuildProfileSearchIndex.js
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import UserProfile, { DEFAULT_SECTION_VISIBILITY } from '../models/UserProfile.js';
+import { buildProfileSearchIndex } from '../utils/profileSearch.js';
+
+dotenv.config();
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/userprofiles';
+
+async function rebuildSearchIndex() {
+  await mongoose.connect(MONGODB_URI);
+  await UserProfile.syncIndexes();
+
+  let updated = 0;
+  const cursor = UserProfile.find({}).lean().cursor();
+  for await (const profile of cursor) {
+    await UserProfile.updateOne(
+      { _id: profile._id },
+      { $set: buildProfileSearchIndex(profile, DEFAULT_SECTION_VISIBILITY) },
+      { timestamps: false }
+    );
+    updated += 1;
+  }
+
+  console.log(`✅ Rebuilt search index of ${updated} profiles`);
+  await mongoose.disconnect();
+}
+
+rebuildSearchIndex().catch(async (error) => {
+  console.error('❌ Failed to rebuild profile search index:', error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
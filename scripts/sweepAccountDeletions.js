@@ -0,0 +1,27 @@
+// Erase every account whose deletion grace period has ended. The API runs the same sweep hourly
+// in-process; run this from a scheduler instead when the API runs with ACCOUNT_DELETION_SWEEPER=off:
+//
+//   MONGODB_URI=... node scripts/sweepAccountDeletions.js
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { sweepScheduledDeletions } from '../utils/accountStatus.js';
+
+dotenv.config();
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/userprofiles';
+
+async function sweepAccountDeletions() {
+  await mongoose.connect(MONGODB_URI);
+
+  const { erased, failed } = await sweepScheduledDeletions();
+
+  console.log(`✅ Erased ${erased} accounts (${failed} failed)`);
+  await mongoose.disconnect();
+  if (failed > 0) process.exitCode = 1;
+}
+
+sweepAccountDeletions().catch(async (error) => {
+  console.error('❌ Failed to sweep scheduled account deletions:', error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,84 @@
+// Load the skill, industry and language taxonomy and map existing profiles onto it.
+// Terms from the seed file are added, or have their synonyms and category merged in when they
+// already exist, so terms curated through the API are kept. Every profile then gets its
+// skillIds, industryId and languageIds re-resolved and each term's usageCount is refreshed.
+// Run it once per environment, and again after editing synonyms:
+//
+//   MONGODB_URI=... node scripts/syncTaxonomy.js [path/to/seed.json]
+import fs from 'fs/promises';
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import TaxonomyTerm, { slugifyTermName } from '../models/TaxonomyTerm.js';
+import UserProfile from '../models/UserProfile.js';
+import { PROFILE_TAXONOMY_FIELDS, resolveProfileTaxonomy } from '../utils/taxonomy.js';
+
+dotenv.config();
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/userprofiles';
+const SEED_FILE = process.argv[2] || new URL('./taxonomySeed.json', import.meta.url);
+
+async function seedTerms() {
+  const seed = JSON.parse(await fs.readFile(SEED_FILE, 'utf8'));
+  let created = 0;
+  for (const { type, name, synonyms = [], category } of seed) {
+    const termId = slugifyTermName(name);
+    const term = await TaxonomyTerm.findOne({ type, termId });
+    if (term) {
+      term.synonyms = [...term.synonyms, ...synonyms];
+      term.category = term.category || category;
+      await term.save();
+    } else {
+      await TaxonomyTerm.create({ type, termId, name, synonyms, category });
+      created += 1;
+    }
+  }
+  console.log(`✅ Seeded ${seed.length} taxonomy terms (${created} new)`);
+}
+
+async function syncProfiles() {
+  const usage = new Map();
+  const countUsage = (type, ids) => ids.forEach(termId => {
+    const key = `${type}:${termId}`;
+    usage.set(key, (usage.get(key) || 0) + 1);
+  });
+
+  let updated = 0;
+  const cursor = UserProfile.find({}).select('skills industry languages').lean().cursor();
+  for await (const profile of cursor) {
+    const ids = await resolveProfileTaxonomy(profile);
+    const update = ids.industryId
+      ? { $set: ids }
+      : { $set: { skillIds: ids.skillIds, languageIds: ids.languageIds }, $unset: { industryId: 1 } };
+    await UserProfile.updateOne({ _id: profile._id }, update, { timestamps: false });
+    Object.values(PROFILE_TAXONOMY_FIELDS).forEach(({ type, idField }) => {
+      countUsage(type, [ids[idField]].flat().filter(Boolean));
+    });
+    updated += 1;
+  }
+
+  await TaxonomyTerm.updateMany({}, { $set: { usageCount: 0 } });
+  if (usage.size > 0) {
+    await TaxonomyTerm.bulkWrite([...usage].map(([key, usageCount]) => {
+      const [type, termId] = key.split(':');
+      return { updateOne: { filter: { type, termId }, update: { $set: { usageCount } } } };
+    }));
+  }
+  console.log(`✅ Mapped ${updated} profiles onto the taxonomy`);
+}
+
+async function syncTaxonomy() {
+  await mongoose.connect(MONGODB_URI);
+  await TaxonomyTerm.createIndexes();
+  await UserProfile.createIndexes();
+
+  await seedTerms();
+  await syncProfiles();
+
+  await mongoose.disconnect();
+}
+
+syncTaxonomy().catch(async (error) => {
+  console.error('❌ Failed to sync taxonomy:', error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,35 @@
+// Move verification records from the TTL index on expiresAt, which removed every record when its
+// code expired, to the one on purgeAt, which only removes records left pending. Closed records
+// are kept as the user's verification history. Run this once against each environment:
+//
+//   MONGODB_URI=... node scripts/syncVerificationIndexes.js
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Verification from '../models/Verification.js';
+
+dotenv.config();
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/userprofiles';
+
+async function syncVerificationIndexes() {
+  await mongoose.connect(MONGODB_URI);
+
+  // Close lapsed records before the old index can remove them, then schedule the open ones
+  const expired = await Verification.expireLapsed();
+  let scheduled = 0;
+  const cursor = Verification.find({ status: 'pending', purgeAt: { $exists: false } }).cursor();
+  for await (const verification of cursor) {
+    await verification.save({ timestamps: false });
+    scheduled += 1;
+  }
+  const dropped = await Verification.syncIndexes();
+
+  console.log(`✅ Marked ${expired.modifiedCount} verifications expired, scheduled ${scheduled} pending ones for removal, dropped indexes: ${dropped.join(', ') || 'none'}`);
+  await mongoose.disconnect();
+}
+
+syncVerificationIndexes().catch(async (error) => {
+  console.error('❌ Failed to sync verification indexes:', error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
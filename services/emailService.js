@@ -8,11 +8,11 @@ class EmailService {
     });
   }
 
-  async sendVerificationCode(recipientEmail, verificationCode, requesterEmail, userId) {
+  async sendVerificationCode(recipientEmail, verificationCode, requesterEmail, userId, { expiresInMinutes = 10, maxAttempts = 3, verificationLink } = {}) {
     try {
+      // The code is only ever in the email itself, never in the logs
       console.log('Sending verification code via AWS SES:', {
         recipientEmail,
-        verificationCode,
         requesterEmail,
         userId
       });
@@ -39,7 +39,7 @@ class EmailService {
                   <div style="background-color: #f8f9fa; padding: 25px; border-radius: 8px; margin-bottom: 25px;">
                     <p style="margin: 0 0 15px 0; font-size: 16px; color: #333;">Hello,</p>
                     <p style="margin: 0 0 15px 0; font-size: 16px; color: #333;">
-                      A verification code has been requested by user <strong style="color: #007bff;">${userId}</strong> (${requesterEmail}).
+                      A verification code has been requested by user <strong style="color: #007bff;">${userId}</strong>${requesterEmail ? ` (${requesterEmail})` : ''}.
                     </p>
                   </div>
 
@@ -49,12 +49,18 @@ class EmailService {
                       <div style="color: white; font-size: 36px; font-weight: bold; letter-spacing: 8px; font-family: 'Courier New', monospace;">${verificationCode}</div>
                     </div>
                   </div>
-
+${verificationLink ? `
+                  <div style="text-align: center; margin: 30px 0;">
+                    <p style="margin: 0 0 15px 0; font-size: 16px; color: #333;">Or verify without typing the code:</p>
+                    <a href="${verificationLink}" style="background-color: #007bff; color: white; padding: 12px 28px; border-radius: 6px; text-decoration: none; font-size: 16px; font-weight: bold; display: inline-block;">Verify my email</a>
+                    <p style="margin: 15px 0 0 0; font-size: 12px; color: #999;">The link works once and expires with the code.</p>
+                  </div>
+` : ''}
                   <div style="background-color: #fff3cd; border: 1px solid #ffeaa7; border-radius: 8px; padding: 20px; margin: 25px 0;">
                     <h3 style="color: #856404; margin: 0 0 15px 0; font-size: 16px;">⚠️ Important Security Information:</h3>
                     <ul style="margin: 0; padding-left: 20px; color: #856404;">
-                      <li style="margin-bottom: 8px;">This code will expire in <strong>10 minutes</strong></li>
-                      <li style="margin-bottom: 8px;">You have a maximum of <strong>3 attempts</strong> to verify</li>
+                      <li style="margin-bottom: 8px;">This code will expire in <strong>${expiresInMinutes} minutes</strong></li>
+                      <li style="margin-bottom: 8px;">You have a maximum of <strong>${maxAttempts} attempts</strong> to verify</li>
                       <li style="margin-bottom: 8px;">Do not share this code with anyone</li>
                       <li>If you didn't expect this verification, please ignore this email</li>
                     </ul>
@@ -87,13 +93,16 @@ Verification Code Request
 
 Hello,
 
-A verification code has been requested by user ${userId} (${requesterEmail}).
+A verification code has been requested by user ${userId}${requesterEmail ? ` (${requesterEmail})` : ''}.
 
 Your verification code is: ${verificationCode}
-
+${verificationLink ? `
+Or verify by opening this link (it works once and expires with the code):
+${verificationLink}
+` : ''}
 Important:
-- This code will expire in 10 minutes
-- You have maximum 3 attempts to verify
+- This code will expire in ${expiresInMinutes} minutes
+- You have maximum ${maxAttempts} attempts to verify
 - Do not share this code with anyone
 
 If you didn't expect this verification, please ignore this email.
@@ -106,7 +115,6 @@ This is an automated message. Please do not reply to this email.
         }
       };
 
-      console.log('SES sendEmail params:', JSON.stringify(params, null, 2));
       const result = await this.ses.sendEmail(params).promise();
       console.log('Verification email sent via AWS SES:', result.MessageId);
       
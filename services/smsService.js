@@ -0,0 +1,129 @@
+import AWS from 'aws-sdk';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+export const SMS_PROVIDERS = ['console', 'sns'];
+
+// Environments where messages may be dropped instead of sent
+const CONSOLE_SMS_ENVIRONMENTS = ['development', 'test'];
+
+// Development stand-in: nothing is sent, and only the last digits of the number are logged,
+// never the message, since it carries the verification code
+class ConsoleSmsSender {
+  constructor() {
+    this.provider = 'console';
+  }
+
+  async send(phoneNumber, message) {
+    console.log(`[SMS to ***${String(phoneNumber).slice(-4)}] not sent by the console provider (${message.length} characters)`);
+    return { success: true, messageId: `console-${Date.now()}`, provider: this.provider };
+  }
+}
+
+// Sends text messages through AWS SNS
+class SnsSmsSender {
+  constructor() {
+    this.provider = 'AWS SNS';
+    this.sns = new AWS.SNS({
+      region: process.env.AWS_REGION || 'ap-south-1'
+    });
+  }
+
+  async send(phoneNumber, message) {
+    const result = await this.sns.publish({
+      PhoneNumber: phoneNumber,
+      Message: message,
+      MessageAttributes: {
+        'AWS.SNS.SMS.SMSType': { DataType: 'String', StringValue: 'Transactional' },
+        ...(process.env.SMS_SENDER_ID
+          ? { 'AWS.SNS.SMS.SenderID': { DataType: 'String', StringValue: process.env.SMS_SENDER_ID } }
+          : {})
+      }
+    }).promise();
+    return { success: true, messageId: result.MessageId, provider: this.provider };
+  }
+}
+
+/**
+ * Create the SMS sender for a provider. The console provider, which sends nothing, is only
+ * available in development and test; anywhere else a real provider must be configured.
+ * @param {string} [provider] - One of SMS_PROVIDERS; defaults to SMS_PROVIDER, then console
+ *   in development and test.
+ * @param {string} [environment] - Defaults to NODE_ENV, then development.
+ * @returns {{provider: string, send: function(string, string): Promise<Object>}}
+ */
+export function createSmsSender(
+  provider = process.env.SMS_PROVIDER,
+  environment = process.env.NODE_ENV || 'development'
+) {
+  const consoleAllowed = CONSOLE_SMS_ENVIRONMENTS.includes(environment);
+  if (!provider && consoleAllowed) return new ConsoleSmsSender();
+  if (!provider) {
+    throw new Error(`SMS_PROVIDER must be set in ${environment}; use one of ${SMS_PROVIDERS.filter(name => name !== 'console').join(', ')}`);
+  }
+  if (provider === 'sns') return new SnsSmsSender();
+  if (provider === 'console') {
+    if (consoleAllowed) return new ConsoleSmsSender();
+    throw new Error(`The console SMS provider sends nothing and is only allowed in ${CONSOLE_SMS_ENVIRONMENTS.join(' and ')}`);
+  }
+  throw new Error(`Unknown SMS_PROVIDER "${provider}"; use one of ${SMS_PROVIDERS.join(', ')}`);
+}
+
+class SmsService {
+  constructor(sender) {
+    this.sender = sender;
+  }
+
+  // Replace the sender, e.g. with a stub in tests
+  setSender(sender) {
+    this.sender = sender;
+  }
+
+  // The sender is created on first use, so a missing or disallowed provider only stops phone
+  // verification instead of the whole API from starting
+  getSender() {
+    if (!this.sender) {
+      this.sender = createSmsSender();
+    }
+    return this.sender;
+  }
+
+  // Whether texts can be sent; a configuration problem is logged rather than thrown
+  isAvailable() {
+    try {
+      this.getSender();
+      return true;
+    } catch (error) {
+      console.error('SMS sending is not configured:', error.message);
+      return false;
+    }
+  }
+
+  async sendVerificationCode(phoneNumber, verificationCode, { expiresInMinutes = 5 } = {}) {
+    if (!this.isAvailable()) {
+      return {
+        success: false,
+        error: 'SMS sending is not configured',
+        provider: process.env.SMS_PROVIDER
+      };
+    }
+
+    const message = `Your Dintak verification code is ${verificationCode}. ` +
+      `It expires in ${expiresInMinutes} minutes. Do not share it with anyone.`;
+    try {
+      const result = await this.sender.send(phoneNumber, message);
+      console.log(`Verification SMS sent via ${result.provider}:`, result.messageId);
+      return result;
+    } catch (error) {
+      console.error(`Error sending verification SMS via ${this.sender.provider}:`, error);
+      return {
+        success: false,
+        error: error.message,
+        provider: this.sender.provider
+      };
+    }
+  }
+}
+
+export default new SmsService();
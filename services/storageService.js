@@ -0,0 +1,283 @@
+import AWS from 'aws-sdk';
+import crypto from 'crypto';
+import express from 'express';
+import fs from 'fs/promises';
+import path from 'path';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+export const STORAGE_DRIVERS = ['s3', 'local'];
+
+// S3 deletes at most this many keys per request
+const S3_DELETE_BATCH_SIZE = 1000;
+
+const joinUrl = (baseUrl, key) => `${baseUrl.replace(/\/$/, '')}/${key.replace(/^\//, '')}`;
+
+// Keys are '/'-separated paths relative to the storage root
+const normalizeKey = (key) => {
+  const normalized = String(key || '').replace(/^\/+/, '');
+  if (!normalized || normalized.split('/').some(part => part === '..' || part === '.')) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return normalized;
+};
+
+const contentDisposition = (downloadName) => `attachment; filename="${downloadName.replace(/["\\\r\n]/g, '')}"`;
+
+/**
+ * Stores files in an S3 bucket, or any S3-compatible service such as MinIO when an endpoint is
+ * given. Public URLs point at the media CDN in front of the bucket; signed URLs are S3 presigned URLs.
+ */
+class S3Storage {
+  constructor({ bucket, region, endpoint, publicUrl }) {
+    this.driver = 's3';
+    this.bucket = bucket;
+    this.publicUrl = publicUrl;
+    this.s3 = new AWS.S3({
+      region,
+      ...(endpoint ? { endpoint, s3ForcePathStyle: true, signatureVersion: 'v4' } : {})
+    });
+  }
+
+  async upload(key, body, { contentType, cacheControl, metadata } = {}) {
+    await this.s3.upload({
+      Bucket: this.bucket,
+      Key: normalizeKey(key),
+      Body: body,
+      ContentType: contentType,
+      CacheControl: cacheControl,
+      Metadata: metadata
+    }).promise();
+    return { key };
+  }
+
+  async download(key) {
+    const object = await this.s3.getObject({ Bucket: this.bucket, Key: normalizeKey(key) }).promise();
+    return object.Body;
+  }
+
+  async delete(keys) {
+    const failed = [];
+    const allKeys = [].concat(keys);
+    for (let i = 0; i < allKeys.length; i += S3_DELETE_BATCH_SIZE) {
+      const batch = allKeys.slice(i, i + S3_DELETE_BATCH_SIZE);
+      try {
+        const result = await this.s3.deleteObjects({
+          Bucket: this.bucket,
+          Delete: { Objects: batch.map(Key => ({ Key })), Quiet: true }
+        }).promise();
+        failed.push(...(result.Errors || []).map(error => error.Key));
+      } catch (error) {
+        console.error('Error deleting stored files:', error);
+        failed.push(...batch);
+      }
+    }
+    return failed;
+  }
+
+  async list(prefix) {
+    const keys = [];
+    let ContinuationToken;
+    do {
+      const page = await this.s3.listObjectsV2({ Bucket: this.bucket, Prefix: prefix, ContinuationToken }).promise();
+      keys.push(...(page.Contents || []).map(object => object.Key));
+      ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+    } while (ContinuationToken);
+    return keys;
+  }
+
+  async getUrl(key) {
+    return joinUrl(this.publicUrl, key);
+  }
+
+  getSignedUrl(key, { expiresIn, downloadName } = {}) {
+    return this.s3.getSignedUrlPromise('getObject', {
+      Bucket: this.bucket,
+      Key: normalizeKey(key),
+      Expires: expiresIn,
+      ...(downloadName ? { ResponseContentDisposition: contentDisposition(downloadName) } : {})
+    });
+  }
+}
+
+/**
+ * Stores files in a local directory, for development and tests without AWS. Files are served by
+ * requestHandler() at the path of the public URL; keys under a private prefix are only served
+ * through unexpired signed URLs.
+ */
+class LocalStorage {
+  constructor({ directory, publicUrl, signingSecret, privatePrefixes }) {
+    this.driver = 'local';
+    this.directory = path.resolve(directory);
+    this.publicUrl = publicUrl;
+    this.signingSecret = signingSecret;
+    this.privatePrefixes = privatePrefixes;
+  }
+
+  // File contents live under objects/, their content type and metadata under meta/
+  filePath(key) {
+    return path.join(this.directory, 'objects', ...normalizeKey(key).split('/'));
+  }
+
+  metaPath(key) {
+    return `${path.join(this.directory, 'meta', ...normalizeKey(key).split('/'))}.json`;
+  }
+
+  async upload(key, body, { contentType, cacheControl, metadata } = {}) {
+    const filePath = this.filePath(key);
+    const metaPath = this.metaPath(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.mkdir(path.dirname(metaPath), { recursive: true });
+    await fs.writeFile(filePath, body);
+    await fs.writeFile(metaPath, JSON.stringify({ contentType, cacheControl, metadata }));
+    return { key };
+  }
+
+  async download(key) {
+    return fs.readFile(this.filePath(key));
+  }
+
+  async delete(keys) {
+    const failed = [];
+    for (const key of [].concat(keys)) {
+      try {
+        await fs.rm(this.filePath(key), { force: true });
+        await fs.rm(this.metaPath(key), { force: true });
+      } catch (error) {
+        console.error('Error deleting stored files:', error);
+        failed.push(key);
+      }
+    }
+    return failed;
+  }
+
+  async list(prefix) {
+    const root = path.join(this.directory, 'objects');
+    const walk = async (directory) => {
+      let entries;
+      try {
+        entries = await fs.readdir(directory, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+      const files = await Promise.all(entries.map(entry => {
+        const entryPath = path.join(directory, entry.name);
+        return entry.isDirectory() ? walk(entryPath) : [path.relative(root, entryPath).split(path.sep).join('/')];
+      }));
+      return files.flat();
+    };
+    // Only walk the deepest directory the prefix names, then match the rest of it by key
+    const prefixDirectory = prefix.includes('/') ? prefix.slice(0, prefix.lastIndexOf('/')) : '';
+    const keys = await walk(path.join(root, ...(prefixDirectory ? normalizeKey(prefixDirectory).split('/') : [])));
+    return keys.filter(key => key.startsWith(prefix)).sort();
+  }
+
+  async getUrl(key) {
+    return joinUrl(this.publicUrl, key);
+  }
+
+  sign(key, expires, downloadName = '') {
+    return crypto.createHmac('sha256', this.signingSecret)
+      .update(`${key}\n${expires}\n${downloadName}`)
+      .digest('hex');
+  }
+
+  async getSignedUrl(key, { expiresIn = 15 * 60, downloadName } = {}) {
+    const normalized = normalizeKey(key);
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    const query = new URLSearchParams({ expires: String(expires) });
+    if (downloadName) query.set('download', downloadName);
+    query.set('signature', this.sign(normalized, expires, downloadName));
+    return `${joinUrl(this.publicUrl, normalized)}?${query}`;
+  }
+
+  // True when the request carries an unexpired signature for the key
+  verifySignature(key, { expires, download = '', signature } = {}) {
+    if (!signature || !/^\d+$/.test(String(expires)) || Number(expires) < Date.now() / 1000) return false;
+    const expected = Buffer.from(this.sign(key, expires, download));
+    const given = Buffer.from(String(signature));
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+  }
+
+  /**
+   * Express middleware serving stored files, mounted at the path of the public URL.
+   * @returns {express.Router}
+   */
+  requestHandler() {
+    const router = express.Router();
+    router.get('/*', async (req, res) => {
+      let key;
+      try {
+        key = normalizeKey(decodeURIComponent(req.path));
+      } catch (error) {
+        return res.status(400).json({ success: false, message: 'Invalid file path' });
+      }
+
+      const signed = Boolean(req.query.signature);
+      if (signed || this.privatePrefixes.some(prefix => key.startsWith(prefix))) {
+        if (!this.verifySignature(key, req.query)) {
+          return res.status(403).json({ success: false, message: 'Invalid or expired file link' });
+        }
+      }
+
+      let meta;
+      try {
+        meta = JSON.parse(await fs.readFile(this.metaPath(key), 'utf8'));
+      } catch (error) {
+        return res.status(404).json({ success: false, message: 'File not found' });
+      }
+
+      // Media is embedded by the frontend, which runs on another origin
+      res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+      if (meta.contentType) res.type(meta.contentType);
+      if (meta.cacheControl) res.set('Cache-Control', meta.cacheControl);
+      if (signed && req.query.download) res.set('Content-Disposition', contentDisposition(req.query.download));
+      res.sendFile(this.filePath(key), { cacheControl: !meta.cacheControl });
+    });
+    return router;
+  }
+}
+
+/**
+ * Create a storage backend. Every backend has the same interface:
+ *   upload(key, body, {contentType, cacheControl, metadata}) -> {key}
+ *   download(key) -> Buffer
+ *   delete(keyOrKeys) -> keys that could not be deleted
+ *   list(prefix) -> keys
+ *   getUrl(key) -> public URL
+ *   getSignedUrl(key, {expiresIn, downloadName}) -> short-lived URL, also for private files
+ * @param {Object} [config] - Defaults come from the environment; see .env.example.
+ * @returns {S3Storage|LocalStorage}
+ */
+export function createStorage({
+  driver = process.env.STORAGE_DRIVER || (process.env.NODE_ENV === 'test' ? 'local' : 's3'),
+  publicUrl = process.env.STORAGE_PUBLIC_URL,
+  bucket = process.env.S3_BUCKET_NAME || 'dintak-media-ap-south-1-bucket',
+  region = process.env.S3_REGION || 'ap-south-1',
+  endpoint = process.env.S3_ENDPOINT,
+  directory = process.env.LOCAL_STORAGE_DIR || path.join(process.cwd(), 'storage'),
+  signingSecret = process.env.LOCAL_STORAGE_SECRET || process.env.JWT_SECRET || 'your-super-secret-jwt-key',
+  privatePrefixes = ['data-exports/']
+} = {}) {
+  if (driver === 's3') {
+    return new S3Storage({
+      bucket,
+      region,
+      endpoint,
+      publicUrl: publicUrl || process.env.CLOUDFRONT_MEDIA_DOMAIN_NAME || 'https://media.dintak.com'
+    });
+  }
+  if (driver === 'local') {
+    return new LocalStorage({
+      directory,
+      publicUrl: publicUrl || `http://localhost:${process.env.PORT || 3002}/media`,
+      signingSecret,
+      privatePrefixes
+    });
+  }
+  throw new Error(`Unknown STORAGE_DRIVER "${driver}"; use one of ${STORAGE_DRIVERS.join(', ')}`);
+}
+
+export default createStorage();
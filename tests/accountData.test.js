@@ -0,0 +1,61 @@
+import { jest } from '@jest/globals';
+import AccountErasure from '../models/AccountErasure.js';
+import Resume from '../models/Resume.js';
+import UserProfile from '../models/UserProfile.js';
+import storage from '../services/storageService.js';
+import { eraseUserAccount, userStoragePrefixes } from '../utils/accountData.js';
+import { createZipArchive, readZipEntries } from '../utils/zipArchive.js';
+
+describe('Account data', () => {
+  it('should round-trip export archives through the ZIP reader', () => {
+    const photo = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10]);
+    const archive = createZipArchive(new Map([
+      ['data/profile.json', JSON.stringify({ firstName: 'Zoë' })],
+      ['files/profile-photos/user-1/profile-photo.jpg', photo]
+    ]));
+
+    const entries = readZipEntries(archive);
+    expect([...entries.keys()]).toEqual(['data/profile.json', 'files/profile-photos/user-1/profile-photo.jpg']);
+    expect(JSON.parse(entries.get('data/profile.json').toString('utf8'))).toEqual({ firstName: 'Zoë' });
+    expect(entries.get('files/profile-photos/user-1/profile-photo.jpg').equals(photo)).toBe(true);
+  });
+
+  it('should scope storage prefixes to the user', () => {
+    const prefixes = userStoragePrefixes('user-1');
+    expect(prefixes).toContain('resumes/user-1/');
+    expect(prefixes.every(prefix => prefix.endsWith('/user-1/'))).toBe(true);
+  });
+
+  describe('erasing accounts', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should mark the erasure failed with what was removed so far and rethrow the error', async () => {
+      const erasure = new AccountErasure({
+        userId: 'user-1',
+        requestedBy: 'admin-1',
+        requestedByRole: 'admin',
+        status: 'inProgress',
+        startedAt: new Date()
+      });
+      jest.spyOn(erasure, 'save').mockResolvedValue(erasure);
+      jest.spyOn(AccountErasure, 'create').mockResolvedValue(erasure);
+      jest.spyOn(UserProfile, 'findOne').mockReturnValue({ lean: async () => ({ userId: 'user-1' }) });
+      jest.spyOn(Resume, 'find').mockReturnValue({ select: () => ({ lean: async () => [] }) });
+      jest.spyOn(storage, 'list').mockResolvedValue([]);
+      jest.spyOn(Resume, 'deleteMany').mockResolvedValue({ deletedCount: 2 });
+      jest.spyOn(Resume, 'updateMany').mockRejectedValue(new Error('connection reset'));
+      jest.spyOn(storage, 'delete');
+
+      await expect(eraseUserAccount('user-1', { requestedBy: 'admin-1', requestedByRole: 'admin' }))
+        .rejects.toThrow('connection reset');
+
+      expect(erasure.status).toBe('failed');
+      expect(erasure.error).toBe('connection reset');
+      expect(erasure.deleted.get('resumes')).toBe(2);
+      expect(erasure.save).toHaveBeenCalled();
+      expect(storage.delete).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,121 @@
+import { jest } from '@jest/globals';
+import Connection from '../models/Connection.js';
+import UserProfile from '../models/UserProfile.js';
+import { pauseConnections, resumeConnections, sweepScheduledDeletions } from '../utils/accountStatus.js';
+
+const pausedConnection = (fields) => {
+  const connection = new Connection({ relationshipStatus: 'paused', pausedBy: [], ...fields });
+  jest.spyOn(connection, 'save').mockResolvedValue(connection);
+  return connection;
+};
+
+describe('Account status', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('pausing and resuming connections', () => {
+    it('should also record the user on connections the other user already paused', async () => {
+      const updateMany = jest.spyOn(Connection, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+
+      const paused = await pauseConnections('alice');
+
+      expect(paused).toBe(2);
+      const [filter, update] = updateMany.mock.calls[0];
+      expect(filter.relationshipStatus).toEqual({ $in: ['active', 'paused'] });
+      expect(update).toEqual({ $set: { relationshipStatus: 'paused' }, $addToSet: { pausedBy: 'alice' } });
+    });
+
+    it('should only resume connections nobody else still pauses', async () => {
+      const updateMany = jest.spyOn(Connection, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+      const ready = pausedConnection({ connectionType: 'friend', requestorUserId: 'alice', recipientUserId: 'carol' });
+      const find = jest.spyOn(Connection, 'find').mockResolvedValue([ready]);
+
+      const resumed = await resumeConnections('alice');
+
+      expect(resumed).toBe(1);
+      expect(updateMany).toHaveBeenCalledWith({ pausedBy: 'alice' }, { $pull: { pausedBy: 'alice' } });
+      expect(find.mock.calls[0][0]).toMatchObject({ relationshipStatus: 'paused', pausedBy: { $size: 0 } });
+      expect(updateMany.mock.invocationCallOrder[0]).toBeLessThan(find.mock.invocationCallOrder[0]);
+      expect(ready.relationshipStatus).toBe('active');
+      expect(ready.pausedBy).toBeUndefined();
+    });
+
+    it('should end a career agent connection when the candidate took on another agent meanwhile', async () => {
+      jest.spyOn(Connection, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+      const agent = pausedConnection({ connectionType: 'careerAgent', careerAgentId: 'agent', candidateId: 'alice' });
+      agent.save.mockRejectedValue(Object.assign(new Error('E11000 duplicate key error'), { code: 11000 }));
+      jest.spyOn(Connection, 'find').mockResolvedValue([agent]);
+      const updateOne = jest.spyOn(Connection, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      const resumed = await resumeConnections('alice');
+
+      expect(resumed).toBe(0);
+      const [filter, update] = updateOne.mock.calls[0];
+      expect(filter).toEqual({ _id: agent._id });
+      expect(update.$set).toMatchObject({ relationshipStatus: 'inactive' });
+      expect(update.$unset).toEqual({ pausedBy: '' });
+    });
+
+    it('should not swallow other save errors', async () => {
+      jest.spyOn(Connection, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+      const connection = pausedConnection({ connectionType: 'friend', requestorUserId: 'alice', recipientUserId: 'carol' });
+      connection.save.mockRejectedValue(new Error('connection reset'));
+      jest.spyOn(Connection, 'find').mockResolvedValue([connection]);
+
+      await expect(resumeConnections('alice')).rejects.toThrow('connection reset');
+    });
+  });
+
+  describe('sweeping scheduled deletions', () => {
+    const now = new Date('2026-03-11T15:00:00Z');
+
+    // Hands out the given accounts to successive claims, then nothing
+    const claims = (...profiles) => {
+      const claim = jest.spyOn(UserProfile, 'findOneAndUpdate');
+      for (const profile of [...profiles, null]) {
+        claim.mockReturnValueOnce({ select: () => ({ lean: async () => profile }) });
+      }
+      return claim;
+    };
+
+    it('should claim due accounts that are unclaimed or whose lease ran out', async () => {
+      const claim = claims({ userId: 'alice', account: { status: 'pendingDeletion' } });
+      // The account is gone by the time it is erased, which still ends its sweep
+      jest.spyOn(UserProfile, 'findOne').mockReturnValue({ lean: async () => null });
+
+      const result = await sweepScheduledDeletions({ now });
+
+      expect(result).toEqual({ erased: 1, failed: 0 });
+      expect(claim).toHaveBeenCalledTimes(2);
+      const [filter, update, options] = claim.mock.calls[0];
+      expect(filter).toMatchObject({
+        'account.status': 'pendingDeletion',
+        'account.deletionScheduledFor': { $lte: now }
+      });
+      expect(filter.$or).toEqual([
+        { 'account.sweepClaimedAt': { $exists: false } },
+        { 'account.sweepClaimedAt': { $lt: new Date('2026-03-11T14:00:00Z') } }
+      ]);
+      expect(update.$set['account.sweepClaimedAt']).toBeInstanceOf(Date);
+      expect(options).toMatchObject({ new: true });
+    });
+
+    it('should keep the claim on an account that fails and go on with the next', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      claims(
+        { userId: 'alice', account: { status: 'pendingDeletion' } },
+        { userId: 'bob', account: { status: 'pendingDeletion' } }
+      );
+      jest.spyOn(UserProfile, 'findOne')
+        .mockReturnValueOnce({ lean: async () => { throw new Error('connection reset'); } })
+        .mockReturnValueOnce({ lean: async () => null });
+      const release = jest.spyOn(UserProfile, 'updateOne');
+
+      const result = await sweepScheduledDeletions({ now });
+
+      expect(result).toEqual({ erased: 1, failed: 1 });
+      expect(release).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,88 @@
+import { jest } from '@jest/globals';
+import Connection from '../models/Connection.js';
+import UserProfile, { VISIBLE_ACCOUNT_FILTER } from '../models/UserProfile.js';
+import { getMutualConnections, getSecondDegreeConnections } from '../utils/connectionGraph.js';
+
+describe('Connection graph', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('mutual connections', () => {
+    it('should count and sample only shared contacts whose profiles are visible', async () => {
+      const aggregate = jest.spyOn(Connection, 'aggregate')
+        .mockResolvedValueOnce([{ _id: 'alice', contacts: ['carol', 'hidden', 'erin'] }])
+        .mockResolvedValueOnce([
+          {
+            userId: 'bob',
+            count: 2,
+            sample: [{ userId: 'carol', name: 'Carol Lee', avatar: 'carol.jpg' }]
+          }
+        ]);
+      const distinct = jest.spyOn(UserProfile, 'distinct').mockResolvedValue(['carol', 'erin']);
+
+      const mutual = await getMutualConnections('alice', ['bob', 'dave'], { sampleSize: 2 });
+
+      expect(mutual.get('bob')).toEqual({
+        count: 2,
+        sample: [{ userId: 'carol', name: 'Carol Lee', avatar: 'carol.jpg' }]
+      });
+      expect(mutual.has('dave')).toBe(false);
+      expect(distinct).toHaveBeenCalledWith('userId', {
+        userId: { $in: ['carol', 'hidden', 'erin'] },
+        ...VISIBLE_ACCOUNT_FILTER
+      });
+
+      const pipeline = aggregate.mock.calls[1][0];
+      expect(pipeline[0].$match.$or).toContainEqual({ requestorUserId: { $in: ['bob', 'dave'] } });
+      expect(pipeline.some(stage => stage.$group?._id === null)).toBe(false);
+      const { $project: intersection } = pipeline.find(stage => stage.$project?.mutual);
+      expect(intersection.mutual).toEqual({ $setIntersection: ['$contacts', { $literal: ['carol', 'erin'] }] });
+      const { $lookup: lookup } = pipeline.find(stage => stage.$lookup);
+      expect(lookup.from).toBe('userprofiles');
+      expect(lookup.pipeline).toContainEqual({ $limit: 2 });
+    });
+
+    it('should stop when the viewer has no visible contacts', async () => {
+      const aggregate = jest.spyOn(Connection, 'aggregate').mockResolvedValue([{ _id: 'alice', contacts: ['hidden'] }]);
+      jest.spyOn(UserProfile, 'distinct').mockResolvedValue([]);
+
+      expect((await getMutualConnections('alice', ['bob'])).size).toBe(0);
+      expect(aggregate).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not query without a viewer or users', async () => {
+      const aggregate = jest.spyOn(Connection, 'aggregate');
+
+      expect((await getMutualConnections(undefined, ['bob'])).size).toBe(0);
+      expect((await getMutualConnections('alice', [])).size).toBe(0);
+      expect(aggregate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('second-degree connections', () => {
+    it('should rank contacts of contacts by contacts in common, leaving out existing contacts', async () => {
+      const aggregate = jest.spyOn(Connection, 'aggregate')
+        .mockResolvedValueOnce([{ _id: 'alice', contacts: ['bob', 'carol'] }])
+        .mockResolvedValueOnce([{ _id: 'erin', mutualCount: 2 }, { _id: 'frank', mutualCount: 1 }]);
+
+      const secondDegree = await getSecondDegreeConnections('alice', { excludeIds: ['dismissed'], limit: 10 });
+
+      expect(secondDegree).toEqual([
+        { userId: 'erin', mutualCount: 2 },
+        { userId: 'frank', mutualCount: 1 }
+      ]);
+      const pipeline = aggregate.mock.calls[1][0];
+      expect(pipeline[0].$match.$or).toContainEqual({ candidateId: { $in: ['bob', 'carol'] } });
+      expect(pipeline).toContainEqual({ $match: { contacts: { $nin: ['alice', 'bob', 'carol', 'dismissed'] } } });
+      expect(pipeline).toContainEqual({ $limit: 10 });
+    });
+
+    it('should find nobody for a user without contacts', async () => {
+      const aggregate = jest.spyOn(Connection, 'aggregate').mockResolvedValue([]);
+
+      expect(await getSecondDegreeConnections('alice')).toEqual([]);
+      expect(aggregate).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,28 @@
+import { findPlace, geocodeLocation, parseRadiusSearch } from '../utils/gazetteer.js';
+
+describe('Gazetteer', () => {
+  it('should resolve country codes, regions and coordinates of a profile location', () => {
+    expect(geocodeLocation({ country: 'USA', city: 'Portland', region: 'Maine' })).toEqual({
+      country: 'USA',
+      countryCode: 'US',
+      region: 'Maine',
+      city: 'Portland',
+      geo: { type: 'Point', coordinates: [-70.2568, 43.6591] }
+    });
+    expect(geocodeLocation({ city: 'München' })).toMatchObject({ country: 'Germany', countryCode: 'DE', region: 'Bavaria' });
+    expect(geocodeLocation({ country: 'Germany', city: 'Atlantis' }).geo).toBeUndefined();
+  });
+
+  it('should prefer the most populous city unless a region or country is given', () => {
+    expect(findPlace('Portland')).toMatchObject({ region: 'Oregon' });
+    expect(findPlace('Portland, Maine')).toMatchObject({ region: 'Maine' });
+    expect(findPlace('Cambridge, USA')).toMatchObject({ countryCode: 'US' });
+  });
+
+  it('should validate radius searches', () => {
+    expect(parseRadiusSearch({})).toBeNull();
+    expect(parseRadiusSearch({ near: 'Berlin', radiusKm: '25' })).toMatchObject({ center: [13.405, 52.52], radiusKm: 25 });
+    expect(parseRadiusSearch({ near: 'Atlantis' }).error).toMatch(/Unknown city/);
+    expect(parseRadiusSearch({ lat: '52.5', lng: '13.4', radiusKm: '5000' }).error).toMatch(/radiusKm/);
+  });
+});
@@ -0,0 +1,31 @@
+import sharp from 'sharp';
+import { processPhoto } from '../utils/imageProcessing.js';
+
+describe('Image processing', () => {
+  it('should rotate photos upright, crop them to the aspect ratio and strip their metadata', async () => {
+    // A 600x400 landscape JPEG whose EXIF orientation turns it a quarter turn to portrait
+    const upload = await sharp({ create: { width: 600, height: 400, channels: 3, background: '#3366cc' } })
+      .jpeg()
+      .withMetadata({ orientation: 6 })
+      .toBuffer();
+
+    const variants = await processPhoto(upload, { photoType: 'profile', aspectRatio: '4:5' });
+
+    expect(variants.map(({ size, format }) => `${size}.${format}`)).toEqual([
+      'thumb.webp', 'thumb.jpeg', 'medium.webp', 'medium.jpeg', 'large.webp', 'large.jpeg'
+    ]);
+    // Upright the image is 400x600; the largest 4:5 box is 400x500 and is never upscaled
+    const large = variants.find(variant => variant.size === 'large' && variant.format === 'jpeg');
+    expect([large.width, large.height]).toEqual([400, 500]);
+
+    const metadata = await sharp(large.buffer).metadata();
+    expect([metadata.width, metadata.height]).toEqual([400, 500]);
+    expect(metadata.exif).toBeUndefined();
+    expect(metadata.orientation).toBeUndefined();
+  });
+
+  it('should reject files that are not images', async () => {
+    await expect(processPhoto(Buffer.from('%PDF-1.4 not a photo'), { photoType: 'profile' }))
+      .rejects.toMatchObject({ invalidImage: true });
+  });
+});
@@ -0,0 +1,68 @@
+import { scoreSuggestion, SUGGESTION_WEIGHTS } from '../utils/peopleSuggestions.js';
+
+describe('People suggestions', () => {
+  const reasonTypes = ({ reasons }) => reasons.map(reason => reason.type);
+
+  it('should score nothing for strangers', () => {
+    expect(scoreSuggestion({ company: 'Acme' }, { company: 'Globex' })).toEqual({ score: 0, reasons: [] });
+  });
+
+  it('should cap the points for mutual connections', () => {
+    const one = scoreSuggestion({}, {}, 1);
+    const many = scoreSuggestion({}, {}, 40);
+
+    expect(one.score).toBe(SUGGESTION_WEIGHTS.mutualConnection);
+    expect(one.reasons[0].message).toBe('1 mutual connection');
+    expect(many.score).toBe(SUGGESTION_WEIGHTS.maxMutualConnections * SUGGESTION_WEIGHTS.mutualConnection);
+    expect(many.reasons[0]).toMatchObject({ count: 40, message: '40 mutual connections' });
+  });
+
+  it('should report a shared current company once, ignoring case and spacing', () => {
+    const result = scoreSuggestion(
+      { company: 'acme ', experience: [{ company: 'Acme' }, { company: 'Initech' }] },
+      { company: ' Acme', experience: [{ company: 'Initech' }] }
+    );
+
+    expect(reasonTypes(result)).toEqual(['sharedCompany', 'sharedExperience']);
+    expect(result.reasons[0].message).toBe('Both work at Acme');
+    expect(result.reasons[1].company).toBe('Initech');
+    expect(result.score).toBe(SUGGESTION_WEIGHTS.currentCompany + SUGGESTION_WEIGHTS.pastCompany);
+  });
+
+  it('should add schools, industry and a capped number of skills', () => {
+    const skills = ['Node.js', 'MongoDB', 'React', 'AWS', 'Docker', 'Kubernetes', 'Go'];
+    const result = scoreSuggestion(
+      { education: [{ school: 'State University' }], skills, industry: 'Software' },
+      { education: [{ school: 'state university' }], skills: skills.map(skill => skill.toUpperCase()), industry: 'software' }
+    );
+
+    expect(reasonTypes(result)).toEqual(['sharedSchool', 'sharedSkills', 'sameIndustry']);
+    expect(result.reasons[1].skills).toHaveLength(skills.length);
+    expect(result.score).toBe(
+      SUGGESTION_WEIGHTS.school +
+      SUGGESTION_WEIGHTS.maxSkills * SUGGESTION_WEIGHTS.skill +
+      SUGGESTION_WEIGHTS.industry
+    );
+  });
+
+  it('should prefer the same city over the same country, matching countries by code', () => {
+    const viewer = { location: { city: 'Springfield', country: 'USA', countryCode: 'US' } };
+
+    const sameCity = scoreSuggestion(viewer, { location: { city: 'springfield', country: 'United States', countryCode: 'US' } });
+    const sameCountry = scoreSuggestion(viewer, { location: { city: 'Boston', country: 'United States', countryCode: 'US' } });
+    const namesake = scoreSuggestion(viewer, { location: { city: 'Springfield', country: 'Australia', countryCode: 'AU' } });
+
+    expect(sameCity).toMatchObject({ score: SUGGESTION_WEIGHTS.city, reasons: [{ city: 'springfield' }] });
+    expect(sameCountry).toMatchObject({ score: SUGGESTION_WEIGHTS.country, reasons: [{ message: 'Also based in United States' }] });
+    expect(namesake.score).toBe(0);
+  });
+
+  it('should rank a colleague with mutual connections above someone from the same country', () => {
+    const viewer = { company: 'Acme', location: { country: 'India' } };
+
+    const colleague = scoreSuggestion(viewer, { company: 'Acme', location: { country: 'Germany' } }, 2);
+    const compatriot = scoreSuggestion(viewer, { company: 'Globex', location: { country: 'India' } });
+
+    expect(colleague.score).toBeGreaterThan(compatriot.score);
+  });
+});
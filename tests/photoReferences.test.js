@@ -0,0 +1,44 @@
+import { jest } from '@jest/globals';
+import ProfileEditProposal from '../models/ProfileEditProposal.js';
+import ProfileRevision from '../models/ProfileRevision.js';
+import UserProfile from '../models/UserProfile.js';
+import { photoKeysIn, unreferencedPhotoKeys } from '../utils/photoReferences.js';
+
+const photo = (folder) => ({
+  profilePictureUrl: `https://media.dintak.com/${folder}/medium.jpg`,
+  profilePictureVariants: {
+    variants: [{ key: `${folder}/medium.jpg` }, { key: `${folder}/medium.webp` }]
+  }
+});
+
+const resolving = (value) => ({ select: () => ({ lean: async () => value }) });
+
+describe('Photo references', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should collect variant keys, or the key of a photo stored before variants', () => {
+    expect(photoKeysIn(photo('profile-photos/user1/v2'))).toEqual([
+      'profile-photos/user1/v2/medium.jpg',
+      'profile-photos/user1/v2/medium.webp'
+    ]);
+    expect(photoKeysIn({ backgroundPictureUrl: 'https://media.dintak.com/background-photos/user1/old.jpg' }))
+      .toEqual(['background-photos/user1/old.jpg']);
+    expect(photoKeysIn(null)).toEqual([]);
+  });
+
+  it('should keep photos that a revision or a pending proposal still refers to', async () => {
+    jest.spyOn(UserProfile, 'findOne').mockReturnValue(resolving(photo('profile-photos/user1/v3')));
+    jest.spyOn(ProfileRevision, 'find').mockReturnValue(resolving([{ snapshot: photo('profile-photos/user1/v1') }]));
+    jest.spyOn(ProfileEditProposal, 'find').mockReturnValue(resolving([{ updates: photo('profile-photos/user1/proposed-v4') }]));
+
+    const keys = ['v1', 'v2', 'v3', 'proposed-v4'].flatMap(version => photoKeysIn(photo(`profile-photos/user1/${version}`)));
+
+    expect(await unreferencedPhotoKeys('user1', keys)).toEqual([
+      'profile-photos/user1/v2/medium.jpg',
+      'profile-photos/user1/v2/medium.webp'
+    ]);
+    expect(ProfileEditProposal.find).toHaveBeenCalledWith({ userId: 'user1', status: 'pending' });
+  });
+});
@@ -0,0 +1,97 @@
+import { jest } from '@jest/globals';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import sharp from 'sharp';
+import request from 'supertest';
+import ProfileEditProposal from '../models/ProfileEditProposal.js';
+import ProfileRevision from '../models/ProfileRevision.js';
+import UserProfile from '../models/UserProfile.js';
+import userProfileRouter from '../routes/userProfile.js';
+import storage from '../services/storageService.js';
+
+const app = express();
+app.use(express.json());
+app.use('/api/userprofile', userProfileRouter);
+
+const tokenFor = (userId) => `Bearer ${jwt.sign({ userId }, process.env.JWT_SECRET || 'your-super-secret-jwt-key')}`;
+
+const resolving = (value) => ({ select: () => ({ lean: async () => value }) });
+
+describe('Profile photos', () => {
+  let userProfile;
+
+  beforeEach(() => {
+    userProfile = new UserProfile({
+      userId: 'owner',
+      firstName: 'Jane',
+      lastName: 'Doe',
+      profilePictureUrl: 'https://media.dintak.com/profile-photos/owner/v1/medium.jpg',
+      profilePictureVariants: {
+        version: 'v1',
+        variants: [
+          { size: 'medium', format: 'jpeg', key: 'profile-photos/owner/v1/medium.jpg' },
+          { size: 'medium', format: 'webp', key: 'profile-photos/owner/v1/medium.webp' }
+        ]
+      }
+    });
+    jest.spyOn(userProfile, 'save').mockResolvedValue(userProfile);
+    jest.spyOn(ProfileRevision, 'record').mockResolvedValue(null);
+    // The route loads the profile, then the reference check reads what it points at after the edit
+    jest.spyOn(UserProfile, 'findOne')
+      .mockResolvedValueOnce(userProfile)
+      .mockImplementation(() => resolving(userProfile.toObject()));
+    jest.spyOn(ProfileRevision, 'find').mockReturnValue(resolving([]));
+    jest.spyOn(ProfileEditProposal, 'find').mockReturnValue(resolving([]));
+    jest.spyOn(storage, 'upload').mockImplementation(async (key) => ({ key }));
+    jest.spyOn(storage, 'getUrl').mockImplementation(async (key) => `https://media.dintak.com/${key}`);
+    jest.spyOn(storage, 'delete').mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should store the variants of an upload and remove the previous photo', async () => {
+    const photo = await sharp({ create: { width: 500, height: 500, channels: 3, background: '#3366cc' } })
+      .jpeg()
+      .toBuffer();
+
+    const response = await request(app)
+      .post('/api/userprofile/upload-photo')
+      .set('Authorization', tokenFor('owner'))
+      .attach('photo', photo, 'photo.jpg');
+
+    expect(response.status).toBe(200);
+    expect(response.body.photoUrl).toMatch(/^https:\/\/media\.dintak\.com\/profile-photos\/owner\/.+\/medium\.jpg$/);
+    expect(storage.upload).toHaveBeenCalledTimes(6);
+    expect(userProfile.profilePictureUrl).toBe(response.body.photoUrl);
+    expect(storage.delete).toHaveBeenCalledWith([
+      'profile-photos/owner/v1/medium.jpg',
+      'profile-photos/owner/v1/medium.webp'
+    ]);
+  });
+
+  it('should clear the photo and delete its files', async () => {
+    const response = await request(app)
+      .delete('/api/userprofile/owner/delete-photo')
+      .set('Authorization', tokenFor('owner'));
+
+    expect(response.status).toBe(200);
+    expect(userProfile.profilePictureUrl).toBeNull();
+    expect(storage.delete).toHaveBeenCalledWith([
+      'profile-photos/owner/v1/medium.jpg',
+      'profile-photos/owner/v1/medium.webp'
+    ]);
+  });
+
+  it('should keep the files of a photo a revision still refers to', async () => {
+    ProfileRevision.find.mockReturnValue(resolving([{ snapshot: userProfile.toObject() }]));
+
+    const response = await request(app)
+      .delete('/api/userprofile/owner/delete-photo')
+      .set('Authorization', tokenFor('owner'));
+
+    expect(response.status).toBe(200);
+    expect(storage.delete).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,46 @@
+import { computeProfileCompleteness } from '../utils/profileCompleteness.js';
+
+describe('Profile completeness', () => {
+  const completeProfile = {
+    userId: 'candidate123',
+    profilePictureUrl: 'https://media.dintak.com/profile-photos/candidate123/profile-photo.jpg',
+    headline: 'Software Developer',
+    summary: 'Backend developer with eight years of experience building payment APIs.',
+    experience: [{ title: 'Developer', company: 'Acme' }],
+    education: [{ school: 'State University' }],
+    skills: ['Node.js', 'MongoDB', 'AWS']
+  };
+
+  it('should score a complete profile at 100 with nothing missing', () => {
+    const result = computeProfileCompleteness(completeProfile, {
+      hasDefaultResume: true,
+      hasVerifiedCompanyEmail: true
+    });
+
+    expect(result.score).toBe(100);
+    expect(result.missing).toEqual([]);
+    expect(result.checklist.every(item => item.complete && item.hint === null)).toBe(true);
+  });
+
+  it('should list missing sections with hints', () => {
+    const result = computeProfileCompleteness({
+      ...completeProfile,
+      summary: 'Too short',
+      skills: ['Node.js']
+    });
+
+    expect(result.missing).toEqual(['summary', 'skills', 'defaultResume', 'verifiedCompanyEmail']);
+    expect(result.score).toBe(55);
+
+    const skills = result.checklist.find(item => item.section === 'skills');
+    expect(skills.complete).toBe(false);
+    expect(skills.hint).toContain('skills');
+  });
+
+  it('should score an empty profile at 0', () => {
+    const result = computeProfileCompleteness({ userId: 'new123' });
+
+    expect(result.score).toBe(0);
+    expect(result.missing).toHaveLength(8);
+  });
+});
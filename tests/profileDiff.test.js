@@ -0,0 +1,50 @@
+import { diffProfiles, toRevisionSnapshot } from '../utils/profileDiff.js';
+
+describe('Profile diff', () => {
+  const before = {
+    headline: 'Developer',
+    location: { city: 'Pune', country: 'India' },
+    skills: ['Node.js'],
+    experience: [
+      { _id: 'exp1', title: 'Developer', company: 'Acme' },
+      { _id: 'exp2', title: 'Intern', company: 'Globex' }
+    ]
+  };
+
+  it('should report nested field changes with dotted paths', () => {
+    const changes = diffProfiles(before, {
+      ...before,
+      headline: 'Senior Developer',
+      location: { city: 'Mumbai', country: 'India' }
+    });
+
+    expect(changes).toEqual([
+      { path: 'headline', op: 'changed', before: 'Developer', after: 'Senior Developer' },
+      { path: 'location.city', op: 'changed', before: 'Pune', after: 'Mumbai' }
+    ]);
+  });
+
+  it('should key sub-collection entries by id', () => {
+    const changes = diffProfiles(before, {
+      ...before,
+      experience: [
+        { _id: 'exp2', title: 'Intern', company: 'Globex' },
+        { _id: 'exp1', title: 'Lead Developer', company: 'Acme' }
+      ]
+    });
+
+    expect(changes).toEqual(expect.arrayContaining([
+      { path: 'experience.exp1.title', op: 'changed', before: 'Developer', after: 'Lead Developer' },
+      expect.objectContaining({ path: 'experience', op: 'reordered' })
+    ]));
+    expect(changes).toHaveLength(2);
+  });
+
+  it('should ignore bookkeeping fields and treat empty values alike', () => {
+    const snapshot = toRevisionSnapshot({ ...before, _id: 'p1', userId: 'u1', updatedAt: new Date() });
+    expect(snapshot).not.toHaveProperty('userId');
+    expect(snapshot).not.toHaveProperty('updatedAt');
+
+    expect(diffProfiles({ ...before, languages: [] }, { ...before, languages: undefined })).toEqual([]);
+  });
+});
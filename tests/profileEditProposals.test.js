@@ -0,0 +1,27 @@
+import { getForbiddenFields } from '../utils/profileAccess.js';
+import { getChangedFields } from '../utils/profileEditProposals.js';
+
+describe('Career agent profile edits', () => {
+  it('should collect the top-level fields an edit changes', () => {
+    const before = {
+      summary: 'Backend developer',
+      skills: ['Node.js'],
+      experience: [{ _id: 'exp1', title: 'Developer' }]
+    };
+    const after = {
+      ...before,
+      skills: ['Node.js', 'MongoDB'],
+      experience: [{ _id: 'exp1', title: 'Senior Developer' }]
+    };
+
+    expect(getChangedFields(before, after).sort()).toEqual(['experience', 'skills']);
+  });
+
+  it('should only restrict career agents to their permitted fields', () => {
+    const agent = { userId: 'agent1', role: 'careerAgent', fields: ['summary', 'skills'] };
+    const owner = { userId: 'candidate1', role: 'self', fields: null };
+
+    expect(getForbiddenFields(agent, ['skills', 'privacySettings'])).toEqual(['privacySettings']);
+    expect(getForbiddenFields(owner, ['skills', 'privacySettings'])).toEqual([]);
+  });
+});
@@ -0,0 +1,74 @@
+import { toJsonResume } from '../utils/jsonResume.js';
+import { filterProfileForViewer } from '../utils/profilePrivacy.js';
+import { toPdfCv } from '../utils/profilePdf.js';
+import { foldVCardLine, toVCard } from '../utils/vcard.js';
+
+describe('Profile export', () => {
+  const profile = {
+    userId: 'user-1',
+    firstName: 'Ada',
+    lastName: 'Lovelace',
+    headline: 'Engineer; analyst, writer',
+    summary: 'First line\nSecond line',
+    location: { city: 'London', region: 'England', country: 'United Kingdom', countryCode: 'GB', geo: { type: 'Point', coordinates: [-0.1276, 51.5072] } },
+    contactInfo: { email: 'ada@example.com', phone: '+44 20 7946 0000', websites: ['https://ada.example.com'] },
+    experience: [{
+      title: 'Analyst',
+      company: 'Analytical Engines',
+      startDate: new Date('2020-03-01'),
+      current: true,
+      description: 'Built things\n• Wrote the first program'
+    }],
+    education: [{ school: 'Home', degree: 'Tutoring', fieldOfStudy: 'Mathematics' }],
+    skills: ['Mathematics', 'Programming'],
+    publications: [{ title: 'Notes (on the Engine)', publisher: 'Taylor', publicationDate: new Date('1843-09-01') }],
+    privacySettings: { email: 'connections', phone: 'private', publications: 'public' }
+  };
+
+  it('should map the profile to JSON Resume sections and leave out hidden ones', () => {
+    const resume = toJsonResume(filterProfileForViewer(profile, 'none'));
+
+    expect(resume.basics).toMatchObject({ name: 'Ada Lovelace', url: 'https://ada.example.com', location: { city: 'London', countryCode: 'GB' } });
+    expect(resume.basics.email).toBeUndefined();
+    expect(resume.basics.phone).toBeUndefined();
+    expect(resume.work[0]).toEqual({
+      name: 'Analytical Engines',
+      position: 'Analyst',
+      startDate: '2020-03-01',
+      summary: 'Built things',
+      highlights: ['Wrote the first program']
+    });
+    expect(resume.publications[0]).toMatchObject({ name: 'Notes (on the Engine)', releaseDate: '1843-09-01' });
+    expect(resume.skills).toEqual([{ name: 'Mathematics' }, { name: 'Programming' }]);
+  });
+
+  it('should write an escaped, folded vCard 4.0', () => {
+    const card = toVCard(filterProfileForViewer(profile, 'connection'));
+
+    expect(card.startsWith('BEGIN:VCARD\r\nVERSION:4.0\r\n')).toBe(true);
+    expect(card).toContain('TITLE:Engineer\\; analyst\\, writer');
+    expect(card).toContain('NOTE:First line\\nSecond line');
+    expect(card).toContain('EMAIL;TYPE=work:ada@example.com');
+    expect(card).not.toContain('TEL');
+    expect(card).toContain('GEO:geo:51.5072,-0.1276');
+
+    const folded = foldVCardLine(`NOTE:${'é'.repeat(60)}`).split('\r\n');
+    expect(folded.every(line => Buffer.byteLength(line) <= 75)).toBe(true);
+    expect(folded.slice(1).every(line => line.startsWith(' '))).toBe(true);
+  });
+
+  it('should generate a PDF with a valid cross-reference table', () => {
+    const pdf = toPdfCv({ ...profile, summary: 'word '.repeat(3000) }).toString('latin1');
+
+    expect(pdf.startsWith('%PDF-1.4')).toBe(true);
+    expect(pdf).toContain('(Notes \\(on the Engine\\)) Tj');
+    expect(Number(pdf.match(/\/Count (\d+)/)[1])).toBeGreaterThan(1);
+
+    const xrefOffset = Number(pdf.match(/startxref\n(\d+)/)[1]);
+    expect(pdf.slice(xrefOffset, xrefOffset + 4)).toBe('xref');
+    const offsets = [...pdf.slice(xrefOffset).matchAll(/^(\d{10}) 00000 n $/gm)].map(match => Number(match[1]));
+    offsets.forEach((offset, index) => {
+      expect(pdf.slice(offset).startsWith(`${index + 1} 0 obj`)).toBe(true);
+    });
+  });
+});
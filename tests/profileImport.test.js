@@ -0,0 +1,107 @@
+import zlib from 'zlib';
+import UserProfile from '../models/UserProfile.js';
+import { fromJsonResume } from '../utils/jsonResume.js';
+import { parseLinkedInExport } from '../utils/linkedinExport.js';
+import { applyProfileImport, buildImportPreview } from '../utils/profileImport.js';
+
+// Minimal ZIP writer with deflated entries (the reader does not check CRCs)
+function buildZip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  Object.entries(files).forEach(([name, text]) => {
+    const nameBuffer = Buffer.from(name);
+    const data = Buffer.from(text);
+    const compressed = zlib.deflateRawSync(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+    locals.push(local, nameBuffer, compressed);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + compressed.length;
+  });
+
+  const centralDirectory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, centralDirectory, end]);
+}
+
+describe('Profile import', () => {
+  it('should map a LinkedIn data export', () => {
+    const archive = buildZip({
+      'Profile.csv': 'First Name,Last Name,Headline,Summary,Industry,Geo Location\n'
+        + 'Jane,Doe,Engineer,"Builds things,\nmostly ""backend""",Software Development,"Berlin Area, Germany"\n',
+      'Positions.csv': 'Company Name,Title,Description,Location,Started On,Finished On\n'
+        + 'Acme,Developer,,Berlin,Mar 2019,\nInitech,Intern,,,2017,Dec 2018\n',
+      'Skills.csv': 'Name\nNode.js\nMongoDB\n'
+    });
+
+    const imported = parseLinkedInExport(archive);
+
+    expect(imported).toMatchObject({
+      firstName: 'Jane',
+      summary: 'Builds things,\nmostly "backend"',
+      location: { city: 'Berlin', country: 'Germany' },
+      skills: ['Node.js', 'MongoDB']
+    });
+    expect(imported.experience[0]).toMatchObject({ company: 'Acme', current: true, startDate: new Date(Date.UTC(2019, 2, 1)) });
+    expect(imported.experience[1]).toMatchObject({ current: false, endDate: new Date(Date.UTC(2018, 11, 1)) });
+    expect(imported.education).toEqual([]);
+  });
+
+  it('should map a JSON Resume document', () => {
+    const imported = fromJsonResume({
+      basics: { name: 'Jane van Doe', label: 'Engineer', location: { city: 'Berlin', countryCode: 'de' } },
+      work: [{ name: 'Acme', position: 'Developer', startDate: '2019-03-01', highlights: ['Shipped v2'] }],
+      skills: [{ name: 'Backend', keywords: ['Node.js', 'MongoDB'] }],
+      languages: [{ language: 'German', fluency: 'Native' }]
+    });
+
+    expect(imported).toMatchObject({
+      firstName: 'Jane van',
+      lastName: 'Doe',
+      location: { city: 'Berlin', countryCode: 'DE' },
+      skills: ['Node.js', 'MongoDB'],
+      languages: ['German']
+    });
+    expect(imported.experience[0]).toMatchObject({ company: 'Acme', current: true, description: '• Shipped v2' });
+    expect(() => fromJsonResume({ foo: 'bar' })).toThrow(/Invalid JSON Resume/);
+  });
+
+  it('should preview and merge without duplicating existing entries or overwriting fields', () => {
+    const userProfile = new UserProfile({
+      userId: 'user-1',
+      firstName: 'Jane',
+      lastName: 'Doe',
+      headline: 'Staff Engineer',
+      skills: ['node.js']
+    });
+    const imported = { headline: 'Engineer', summary: 'Builds things', skills: ['Node.js', 'MongoDB'] };
+
+    const preview = buildImportPreview(userProfile, imported);
+    expect(preview.fields.find(field => field.field === 'headline')).toMatchObject({ current: 'Staff Engineer', changed: true });
+    expect(preview.sections.skills.entries.map(entry => entry.duplicate)).toEqual([true, false]);
+
+    const applied = applyProfileImport(userProfile, imported);
+    expect(applied).toEqual(['summary', 'skills']);
+    expect(userProfile.headline).toBe('Staff Engineer');
+    expect(userProfile.skills).toEqual(['node.js', 'MongoDB']);
+  });
+});
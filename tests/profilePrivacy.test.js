@@ -0,0 +1,85 @@
+import { canViewSection, filterProfileForViewer } from '../utils/profilePrivacy.js';
+
+describe('Profile privacy filtering', () => {
+  const profile = {
+    userId: 'owner123',
+    firstName: 'Jane',
+    lastName: 'Candidate',
+    summary: 'Backend developer',
+    contactInfo: {
+      email: 'jane@example.com',
+      phone: '+1 555 0100',
+      websites: ['https://jane.dev']
+    },
+    experience: [{ title: 'Developer', company: 'Acme' }],
+    privacySettings: {
+      email: 'connections',
+      phone: 'careerAgent',
+      summary: 'private',
+      experience: 'public'
+    }
+  };
+
+  it('should only show public sections to unrelated viewers', () => {
+    const filtered = filterProfileForViewer(profile, 'none');
+
+    expect(filtered.contactInfo.email).toBeUndefined();
+    expect(filtered.contactInfo.phone).toBeUndefined();
+    expect(filtered.contactInfo.websites).toEqual(['https://jane.dev']);
+    expect(filtered.summary).toBeUndefined();
+    expect(filtered.experience).toHaveLength(1);
+    expect(filtered.privacySettings).toBeUndefined();
+  });
+
+  it('should show connections-only sections to connections', () => {
+    const filtered = filterProfileForViewer(profile, 'connection');
+
+    expect(filtered.contactInfo.email).toBe('jane@example.com');
+    expect(filtered.contactInfo.phone).toBeUndefined();
+  });
+
+  it('should show career-agent-only sections to the career agent', () => {
+    const filtered = filterProfileForViewer(profile, 'careerAgent');
+
+    expect(filtered.contactInfo.phone).toBe('+1 555 0100');
+    expect(filtered.summary).toBeUndefined();
+  });
+
+  it('should show everything, including privacy settings, to the owner', () => {
+    const filtered = filterProfileForViewer(profile, 'self');
+
+    expect(filtered.summary).toBe('Backend developer');
+    expect(filtered.privacySettings).toEqual(profile.privacySettings);
+  });
+
+  it('should not modify the original profile', () => {
+    filterProfileForViewer(profile, 'none');
+
+    expect(profile.contactInfo.email).toBe('jane@example.com');
+    expect(profile.summary).toBe('Backend developer');
+  });
+
+  it('should fall back to the default visibility for profiles without settings', () => {
+    const legacyProfile = { userId: 'legacy', contactInfo: { email: 'old@example.com' } };
+
+    expect(canViewSection(legacyProfile, 'email', 'none')).toBe(false);
+    expect(canViewSection(legacyProfile, 'email', 'connection')).toBe(true);
+    expect(canViewSection(legacyProfile, 'skills', 'none')).toBe(true);
+  });
+
+  it('should only reveal the slug of a published public page to others', () => {
+    const published = { ...profile, publicProfile: { slug: 'jane-doe', enabled: true, viewCount: 42 } };
+
+    expect(filterProfileForViewer(published, 'none').publicProfile).toEqual({ slug: 'jane-doe' });
+    expect(filterProfileForViewer(published, 'self').publicProfile.viewCount).toBe(42);
+    expect(filterProfileForViewer({ ...published, publicProfile: { slug: 'jane-doe', enabled: false } }, 'connection').publicProfile)
+      .toBeUndefined();
+  });
+
+  it('should only show the account status to the owner and admins', () => {
+    const deactivated = { ...profile, account: { status: 'deactivated', deactivatedAt: new Date() } };
+
+    expect(filterProfileForViewer(deactivated, 'connection').account).toBeUndefined();
+    expect(filterProfileForViewer(deactivated, 'self').account.status).toBe('deactivated');
+  });
+});
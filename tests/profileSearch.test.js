@@ -0,0 +1,49 @@
+import { buildProfileSearchIndex, textTrigrams, tokenize } from '../utils/profileSearch.js';
+
+describe('Profile search', () => {
+  const profile = {
+    firstName: 'Zoë',
+    lastName: 'Smith',
+    headline: 'Backend engineer',
+    summary: 'Building payment APIs',
+    skills: ['Node.js'],
+    experience: [{ title: 'Developer', company: 'Acme', description: 'Ledger service' }],
+    education: [{ school: 'State University' }]
+  };
+
+  it('should tokenize text into lowercase words without accents or punctuation', () => {
+    expect(tokenize('Zoë  Smith-Jones, Node.js!')).toEqual(['zoe', 'smith', 'jones', 'node', 'js']);
+    expect(tokenize(undefined)).toEqual([]);
+  });
+
+  it('should pad word trigrams the way pg_trgm does and drop duplicates', () => {
+    expect(textTrigrams('Bob')).toEqual(['  b', ' bo', 'bob', 'ob ']);
+    expect(textTrigrams('aa aa')).toEqual(['  a', ' aa', 'aa ']);
+  });
+
+  it('should index every section of a public profile', () => {
+    const { searchFields, searchTrigrams } = buildProfileSearchIndex(profile);
+
+    expect(searchFields.names).toEqual(['Zoë', 'Smith']);
+    expect(searchFields.summary).toEqual(['Building payment APIs']);
+    expect(searchFields.experienceDescriptions).toEqual(['Ledger service']);
+    expect(searchTrigrams).toEqual(expect.arrayContaining(textTrigrams('Acme')));
+  });
+
+  it('should leave hidden sections out of the search text and trigrams', () => {
+    const hidden = {
+      ...profile,
+      privacySettings: { summary: 'connections', experience: 'private', skills: 'careerAgent' }
+    };
+    const { searchFields, searchTrigrams } = buildProfileSearchIndex(hidden, { education: 'connections' });
+
+    expect(searchFields.summary).toEqual([]);
+    expect(searchFields.skills).toEqual([]);
+    expect(searchFields.experienceTitles).toEqual([]);
+    expect(searchFields.experienceDescriptions).toEqual([]);
+    expect(searchFields.schools).toEqual([]);
+    expect(searchFields.headline).toEqual(['Backend engineer']);
+    expect(searchTrigrams).not.toContain('acm');
+    expect(searchTrigrams).not.toContain('nod');
+  });
+});
@@ -0,0 +1,132 @@
+import { jest } from '@jest/globals';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import request from 'supertest';
+import Connection from '../models/Connection.js';
+import ProfileRevision from '../models/ProfileRevision.js';
+import UserProfile from '../models/UserProfile.js';
+import userProfileRouter from '../routes/userProfile.js';
+
+const app = express();
+app.use(express.json());
+app.use('/api/userprofile', userProfileRouter);
+
+const tokenFor = (userId) => `Bearer ${jwt.sign({ userId }, process.env.JWT_SECRET || 'your-super-secret-jwt-key')}`;
+const owner = tokenFor('owner');
+
+describe('Profile sub-collections', () => {
+  let userProfile;
+
+  beforeEach(() => {
+    userProfile = new UserProfile({
+      userId: 'owner',
+      firstName: 'Jane',
+      lastName: 'Doe',
+      experience: [
+        { title: 'Developer', company: 'Acme', startDate: new Date('2020-01-01') },
+        { title: 'Intern', company: 'Initech' }
+      ]
+    });
+    jest.spyOn(userProfile, 'save').mockResolvedValue(userProfile);
+    jest.spyOn(UserProfile, 'findOne').mockResolvedValue(userProfile);
+    jest.spyOn(ProfileRevision, 'record').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const entryIds = () => userProfile.experience.map(entry => entry._id.toString());
+
+  it('should add an entry and return it', async () => {
+    const response = await request(app)
+      .post('/api/userprofile/owner/experience')
+      .set('Authorization', owner)
+      .send({ title: 'Lead Developer', company: 'Globex', startDate: '2023-05-01' });
+
+    expect(response.status).toBe(201);
+    expect(response.body.data).toMatchObject({ title: 'Lead Developer', company: 'Globex' });
+    expect(response.body.data._id).toBeDefined();
+    expect(userProfile.experience).toHaveLength(3);
+    expect(userProfile.save).toHaveBeenCalled();
+  });
+
+  it('should require the identifying field of a new entry', async () => {
+    const response = await request(app)
+      .post('/api/userprofile/owner/experience')
+      .set('Authorization', owner)
+      .send({ company: 'Globex' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.errors[0].msg).toBe('Experience title is required');
+    expect(userProfile.save).not.toHaveBeenCalled();
+  });
+
+  it('should update only the fields sent and keep the dates in order', async () => {
+    const [developerId] = entryIds();
+
+    const updated = await request(app)
+      .put(`/api/userprofile/owner/experience/${developerId}`)
+      .set('Authorization', owner)
+      .send({ title: 'Senior Developer' });
+    expect(updated.status).toBe(200);
+    expect(updated.body.data).toMatchObject({ title: 'Senior Developer', company: 'Acme' });
+
+    const backwards = await request(app)
+      .put(`/api/userprofile/owner/experience/${developerId}`)
+      .set('Authorization', owner)
+      .send({ endDate: '2019-01-01' });
+    expect(backwards.status).toBe(400);
+    expect(backwards.body.message).toBe('Experience end date must be on or after the start date');
+  });
+
+  it('should report an entry that does not exist', async () => {
+    const response = await request(app)
+      .put('/api/userprofile/owner/experience/64b7f0c2a1b2c3d4e5f60718')
+      .set('Authorization', owner)
+      .send({ title: 'Ghost' });
+
+    expect(response.status).toBe(404);
+  });
+
+  it('should reorder entries only when every entry is listed once', async () => {
+    const [first, second] = entryIds();
+
+    const partial = await request(app)
+      .put('/api/userprofile/owner/experience/reorder')
+      .set('Authorization', owner)
+      .send({ order: [second] });
+    expect(partial.status).toBe(400);
+
+    const reordered = await request(app)
+      .put('/api/userprofile/owner/experience/reorder')
+      .set('Authorization', owner)
+      .send({ order: [second, first] });
+    expect(reordered.status).toBe(200);
+    expect(reordered.body.data.map(entry => entry.title)).toEqual(['Intern', 'Developer']);
+  });
+
+  it('should delete an entry', async () => {
+    const [developerId] = entryIds();
+
+    const response = await request(app)
+      .delete(`/api/userprofile/owner/experience/${developerId}`)
+      .set('Authorization', owner);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.map(entry => entry.title)).toEqual(['Intern']);
+  });
+
+  it('should not let other users edit entries', async () => {
+    jest.spyOn(Connection, 'findOne').mockReturnValue({ select: () => ({ lean: async () => null }) });
+
+    const response = await request(app)
+      .post('/api/userprofile/owner/experience')
+      .set('Authorization', tokenFor('someone-else'))
+      .send({ title: 'Fake job' });
+
+    expect(response.status).toBe(403);
+    expect(userProfile.experience).toHaveLength(2);
+    expect(userProfile.save).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,110 @@
+import { jest } from '@jest/globals';
+import ProfileView from '../models/ProfileView.js';
+import UserProfile from '../models/UserProfile.js';
+import { getProfileViewAnalytics, recordProfileView } from '../utils/profileViews.js';
+
+const viewerProfile = (profile) => ({ select: () => ({ lean: async () => profile }) });
+
+describe('Profile views', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe('recording views', () => {
+    beforeEach(() => {
+      jest.spyOn(ProfileView, 'create').mockImplementation(async (view) => view);
+    });
+
+    it('should record signed-out views without a viewer', async () => {
+      const findOne = jest.spyOn(UserProfile, 'findOne');
+
+      const view = await recordProfileView({ profileUserId: 'owner', source: 'search' });
+
+      expect(view).toEqual({ profileUserId: 'owner', anonymous: true, source: 'search' });
+      expect(findOne).not.toHaveBeenCalled();
+    });
+
+    it('should not identify viewers who browse anonymously', async () => {
+      jest.spyOn(UserProfile, 'findOne').mockReturnValue(viewerProfile({ anonymousBrowsing: true, company: 'Acme' }));
+
+      const view = await recordProfileView({ profileUserId: 'owner', viewerId: 'viewer' });
+
+      expect(view).toEqual({ profileUserId: 'owner', anonymous: true, source: 'profile' });
+    });
+
+    it('should record every view with the viewer\'s public industry and company', async () => {
+      jest.spyOn(UserProfile, 'findOne').mockReturnValue(viewerProfile({ industry: 'Software', company: 'Acme' }));
+
+      const first = await recordProfileView({ profileUserId: 'owner', viewerId: 'viewer' });
+      const repeat = await recordProfileView({ profileUserId: 'owner', viewerId: 'viewer' });
+
+      expect(first).toEqual({
+        profileUserId: 'owner',
+        viewerId: 'viewer',
+        viewerIndustry: 'Software',
+        viewerCompany: 'Acme',
+        source: 'profile'
+      });
+      expect(repeat).toEqual(first);
+      expect(ProfileView.create).toHaveBeenCalledTimes(2);
+    });
+
+    it('should leave out an industry or company the viewer does not show publicly', async () => {
+      jest.spyOn(UserProfile, 'findOne').mockReturnValue(viewerProfile({
+        industry: 'Software',
+        company: 'Stealth Startup',
+        privacySettings: { company: 'private', industry: 'public' }
+      }));
+
+      const view = await recordProfileView({ profileUserId: 'owner', viewerId: 'viewer' });
+
+      expect(view.viewerIndustry).toBe('Software');
+      expect(view.viewerCompany).toBeUndefined();
+    });
+  });
+
+  describe('analytics', () => {
+    const facets = (overrides) => [{
+      totals: [],
+      series: [],
+      industries: [],
+      companies: [],
+      sources: [],
+      ...overrides
+    }];
+
+    beforeEach(() => {
+      jest.useFakeTimers({ now: new Date('2026-03-11T15:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+    });
+
+    it('should total views and fill days without views', async () => {
+      jest.spyOn(ProfileView, 'aggregate').mockResolvedValue(facets({
+        totals: [{ views: 5, anonymousViews: 2, viewers: ['alice', 'bob', null] }],
+        series: [{ _id: new Date('2026-03-10T00:00:00Z'), views: 5 }]
+      }));
+
+      const analytics = await getProfileViewAnalytics('owner', { days: 3 });
+
+      expect(analytics).toMatchObject({ totalViews: 5, uniqueViewers: 2, anonymousViews: 2 });
+      expect(analytics.series).toEqual([
+        { periodStart: new Date('2026-03-09T00:00:00Z'), views: 0 },
+        { periodStart: new Date('2026-03-10T00:00:00Z'), views: 5 },
+        { periodStart: new Date('2026-03-11T00:00:00Z'), views: 0 }
+      ]);
+    });
+
+    it('should bucket weeks from Monday', async () => {
+      jest.spyOn(ProfileView, 'aggregate').mockResolvedValue(facets());
+
+      const analytics = await getProfileViewAnalytics('owner', { period: 'week', days: 14 });
+
+      expect(analytics.totalViews).toBe(0);
+      expect(analytics.series.map(bucket => bucket.periodStart)).toEqual([
+        new Date('2026-02-23T00:00:00Z'),
+        new Date('2026-03-02T00:00:00Z'),
+        new Date('2026-03-09T00:00:00Z')
+      ]);
+    });
+  });
+});
@@ -0,0 +1,172 @@
+import { jest } from '@jest/globals';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import request from 'supertest';
+import ProfileView from '../models/ProfileView.js';
+import Resume from '../models/Resume.js';
+import UserProfile, { VISIBLE_ACCOUNT_FILTER } from '../models/UserProfile.js';
+import publicProfileRouter from '../routes/publicProfile.js';
+import userProfileRouter from '../routes/userProfile.js';
+import storage from '../services/storageService.js';
+
+const app = express();
+app.use(express.json());
+app.use('/api/public', publicProfileRouter);
+app.use('/api/userprofile', userProfileRouter);
+
+const tokenFor = (userId) => `Bearer ${jwt.sign({ userId }, process.env.JWT_SECRET || 'your-super-secret-jwt-key')}`;
+
+const resolving = (value) => ({ select: () => ({ lean: async () => value }) });
+
+describe('Public profiles', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('viewing a public page', () => {
+    const publishedProfile = (overrides) => ({
+      _id: 'profile-1',
+      userId: 'owner',
+      firstName: 'Jane',
+      lastName: 'Doe',
+      headline: 'Engineer',
+      company: 'Stealth Startup',
+      contactInfo: { email: 'jane@example.com' },
+      defaultResume: 'resume-1',
+      privacySettings: { company: 'private' },
+      ...overrides
+    });
+
+    beforeEach(() => {
+      jest.spyOn(Resume, 'findOne').mockReturnValue(resolving({ resumeId: 'resume-1', name: 'CV', filePath: 'resumes/owner/cv.pdf' }));
+      jest.spyOn(storage, 'getSignedUrl').mockResolvedValue('https://signed.example.com/cv.pdf');
+      jest.spyOn(UserProfile, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(ProfileView, 'create').mockImplementation(async (view) => view);
+    });
+
+    it('should show only public sections with a short-lived resume link', async () => {
+      const findOne = jest.spyOn(UserProfile, 'findOne').mockReturnValue(resolving(publishedProfile()));
+
+      const response = await request(app).get('/api/public/profile/Jane-Doe');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({ slug: 'jane-doe', firstName: 'Jane', headline: 'Engineer' });
+      expect(response.body.data.company).toBeUndefined();
+      expect(response.body.data.contactInfo.email).toBeUndefined();
+      expect(response.body.data.userId).toBeUndefined();
+      expect(response.body.data.defaultResume).toEqual({
+        resumeId: 'resume-1',
+        name: 'CV',
+        fileUrl: 'https://signed.example.com/cv.pdf'
+      });
+      expect(storage.getSignedUrl).toHaveBeenCalledWith('resumes/owner/cv.pdf', { expiresIn: 15 * 60 });
+      expect(findOne.mock.calls[0][0]).toEqual({
+        'publicProfile.slug': 'jane-doe',
+        'publicProfile.enabled': true,
+        ...VISIBLE_ACCOUNT_FILTER
+      });
+    });
+
+    it('should leave out the resume when its section is not public', async () => {
+      jest.spyOn(UserProfile, 'findOne').mockReturnValue(resolving(publishedProfile({
+        privacySettings: { defaultResume: 'connections' }
+      })));
+
+      const response = await request(app).get('/api/public/profile/jane-doe');
+
+      expect(response.body.data.defaultResume).toBeNull();
+      expect(storage.getSignedUrl).not.toHaveBeenCalled();
+    });
+
+    it('should count each view of the page', async () => {
+      jest.spyOn(UserProfile, 'findOne').mockReturnValue(resolving(publishedProfile()));
+
+      await request(app).get('/api/public/profile/jane-doe');
+
+      const [filter, update] = UserProfile.updateOne.mock.calls[0];
+      expect(filter).toEqual({ _id: 'profile-1' });
+      expect(update.$inc).toEqual({ 'publicProfile.viewCount': 1 });
+      expect(update.$set['publicProfile.lastViewedAt']).toBeDefined();
+      expect(ProfileView.create).toHaveBeenCalledWith({ profileUserId: 'owner', anonymous: true, source: 'public' });
+    });
+
+    it('should still show the page when the view cannot be counted', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      jest.spyOn(UserProfile, 'findOne').mockReturnValue(resolving(publishedProfile()));
+      UserProfile.updateOne.mockRejectedValue(new Error('connection reset'));
+
+      const response = await request(app).get('/api/public/profile/jane-doe');
+
+      expect(response.status).toBe(200);
+    });
+
+    it('should not find unpublished or hidden profiles', async () => {
+      jest.spyOn(UserProfile, 'findOne').mockReturnValue(resolving(null));
+
+      const response = await request(app).get('/api/public/profile/jane-doe');
+
+      expect(response.status).toBe(404);
+      expect(UserProfile.updateOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('claiming a slug', () => {
+    let userProfile;
+
+    beforeEach(() => {
+      userProfile = new UserProfile({ userId: 'owner', firstName: 'Jane', lastName: 'Doe' });
+      jest.spyOn(userProfile, 'save').mockResolvedValue(userProfile);
+      jest.spyOn(UserProfile, 'findOne').mockResolvedValue(userProfile);
+    });
+
+    const claim = (body, userId = 'owner') => request(app)
+      .put('/api/userprofile/owner/public-profile')
+      .set('Authorization', tokenFor(userId))
+      .send(body);
+
+    it('should claim a slug and publish the page', async () => {
+      const response = await claim({ slug: 'Jane-Doe', enabled: true });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({
+        slug: 'jane-doe',
+        enabled: true,
+        viewCount: 0,
+        path: '/api/public/profile/jane-doe'
+      });
+      expect(userProfile.save).toHaveBeenCalled();
+    });
+
+    it('should reject reserved and malformed slugs', async () => {
+      const reserved = await claim({ slug: 'Admin' });
+      expect(reserved.status).toBe(400);
+      expect(reserved.body.errors[0].msg).toBe('This slug is reserved');
+
+      const malformed = await claim({ slug: '-jane' });
+      expect(malformed.status).toBe(400);
+      expect(userProfile.save).not.toHaveBeenCalled();
+    });
+
+    it('should not publish without a slug', async () => {
+      const response = await claim({ enabled: true });
+
+      expect(response.status).toBe(400);
+      expect(userProfile.save).not.toHaveBeenCalled();
+    });
+
+    it('should answer 409 when the slug is taken', async () => {
+      userProfile.save.mockRejectedValue(Object.assign(new Error('E11000 duplicate key error'), { code: 11000 }));
+
+      const response = await claim({ slug: 'jane-doe' });
+
+      expect(response.status).toBe(409);
+    });
+
+    it('should not let other users change the page', async () => {
+      const response = await claim({ slug: 'jane-doe' }, 'someone-else');
+
+      expect(response.status).toBe(403);
+      expect(userProfile.save).not.toHaveBeenCalled();
+    });
+  });
+});
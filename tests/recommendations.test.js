@@ -0,0 +1,132 @@
+import { jest } from '@jest/globals';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import request from 'supertest';
+import ProfileRevision from '../models/ProfileRevision.js';
+import RecommendationRequest from '../models/RecommendationRequest.js';
+import UserProfile from '../models/UserProfile.js';
+import recommendationsRouter from '../routes/recommendations.js';
+import userProfileRouter from '../routes/userProfile.js';
+
+const app = express();
+app.use(express.json());
+app.use('/api/userprofile', userProfileRouter);
+app.use('/api/recommendations', recommendationsRouter);
+
+const tokenFor = (userId) => `Bearer ${jwt.sign({ userId }, process.env.JWT_SECRET || 'your-super-secret-jwt-key')}`;
+
+const recommendationRequest = (status) => {
+  const recommendation = new RecommendationRequest({
+    requestId: 'r1',
+    requesterId: 'requester',
+    recommenderId: 'recommender',
+    status
+  });
+  jest.spyOn(recommendation, 'save').mockResolvedValue(recommendation);
+  return recommendation;
+};
+
+describe('Recommendations API', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('owner-written recommendations', () => {
+    it('should not let the profile owner add or edit a recommendation entry', async () => {
+      const findOne = jest.spyOn(UserProfile, 'findOne');
+      const owner = tokenFor('requester');
+
+      const created = await request(app)
+        .post('/api/userprofile/requester/recommendations')
+        .set('Authorization', owner)
+        .send({ recommender: 'My Manager', text: 'Great to work with' });
+      const edited = await request(app)
+        .put('/api/userprofile/requester/recommendations/entry1')
+        .set('Authorization', owner)
+        .send({ text: 'Even better to work with' });
+
+      expect(created.status).toBe(403);
+      expect(edited.status).toBe(403);
+      expect(created.body.message).toContain('/api/recommendations');
+      expect(findOne).not.toHaveBeenCalled();
+    });
+
+    it('should leave recommendations out of a newly created profile', async () => {
+      jest.spyOn(UserProfile, 'findOne').mockResolvedValue(null);
+      const save = jest.spyOn(UserProfile.prototype, 'save').mockImplementation(async function () {
+        return this;
+      });
+      jest.spyOn(ProfileRevision, 'record').mockResolvedValue(null);
+
+      const response = await request(app)
+        .post('/api/userprofile')
+        .set('Authorization', tokenFor('requester'))
+        .send({
+          userId: 'requester',
+          firstName: 'Jane',
+          lastName: 'Doe',
+          recommendations: [{ recommender: 'My Manager', text: 'Great to work with' }]
+        });
+
+      expect(response.status).toBe(201);
+      expect(save).toHaveBeenCalled();
+      expect(save.mock.contexts[0].recommendations).toHaveLength(0);
+    });
+  });
+
+  describe('writing recommendations', () => {
+    it('should let the recommender write a requested recommendation', async () => {
+      const recommendation = recommendationRequest('requested');
+      jest.spyOn(RecommendationRequest, 'findOne').mockResolvedValue(recommendation);
+
+      const response = await request(app)
+        .put('/api/recommendations/r1/write')
+        .set('Authorization', tokenFor('recommender'))
+        .send({ text: 'Jane shipped our payments platform', relationship: 'Managed Jane at Acme' });
+
+      expect(response.status).toBe(200);
+      expect(recommendation.status).toBe('written');
+      expect(recommendation.text).toBe('Jane shipped our payments platform');
+      expect(recommendation.writtenAt).toBeInstanceOf(Date);
+      expect(recommendation.save).toHaveBeenCalled();
+    });
+
+    it('should not let the requester write their own recommendation', async () => {
+      const recommendation = recommendationRequest('requested');
+      jest.spyOn(RecommendationRequest, 'findOne').mockResolvedValue(recommendation);
+
+      const response = await request(app)
+        .put('/api/recommendations/r1/write')
+        .set('Authorization', tokenFor('requester'))
+        .send({ text: 'I am great' });
+
+      expect(response.status).toBe(403);
+      expect(recommendation.text).toBeUndefined();
+      expect(recommendation.save).not.toHaveBeenCalled();
+    });
+
+    it('should hide a request from users outside it', async () => {
+      jest.spyOn(RecommendationRequest, 'findOne').mockResolvedValue(recommendationRequest('requested'));
+
+      const response = await request(app)
+        .put('/api/recommendations/r1/write')
+        .set('Authorization', tokenFor('someone-else'))
+        .send({ text: 'Never met them' });
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should not rewrite an accepted recommendation without a revision request', async () => {
+      const recommendation = recommendationRequest('accepted');
+      jest.spyOn(RecommendationRequest, 'findOne').mockResolvedValue(recommendation);
+
+      const response = await request(app)
+        .put('/api/recommendations/r1/write')
+        .set('Authorization', tokenFor('recommender'))
+        .send({ text: 'Changed my mind' });
+
+      expect(response.status).toBe(409);
+      expect(recommendation.save).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,174 @@
+import { jest } from '@jest/globals';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import request from 'supertest';
+import Connection from '../models/Connection.js';
+import Resume from '../models/Resume.js';
+import SkillEndorsement from '../models/SkillEndorsement.js';
+import TaxonomyTerm from '../models/TaxonomyTerm.js';
+import UserProfile from '../models/UserProfile.js';
+import resumeRouter from '../routes/resume.js';
+import userProfileRouter from '../routes/userProfile.js';
+import storage from '../services/storageService.js';
+import { findProfileSkill, normalizeSkillKey } from '../utils/skillEndorsements.js';
+
+const app = express();
+app.use(express.json());
+app.use('/api/userprofile', userProfileRouter);
+app.use('/api/resume', resumeRouter);
+
+const tokenFor = (userId) => `Bearer ${jwt.sign({ userId }, process.env.JWT_SECRET || 'your-super-secret-jwt-key')}`;
+
+const resolving = (value) => ({ select: () => ({ lean: async () => value }) });
+
+describe('Skill endorsements', () => {
+  it('should normalize case and spacing of skill names', () => {
+    expect(normalizeSkillKey('  Machine   Learning ')).toBe('machine learning');
+  });
+
+  it('should match a requested skill to the profile skill as displayed', () => {
+    const skills = ['Node.js', 'Machine Learning'];
+
+    expect(findProfileSkill(skills, 'node.js')).toBe('Node.js');
+    expect(findProfileSkill(skills, 'machine  learning')).toBe('Machine Learning');
+    expect(findProfileSkill(skills, 'Go')).toBeUndefined();
+  });
+
+  describe('endorsing skills', () => {
+    const endorsements = '/api/userprofile/owner/skills/node.js/endorsements';
+
+    beforeEach(() => {
+      jest.spyOn(UserProfile, 'findOne').mockReturnValue(resolving({
+        userId: 'owner',
+        skills: ['Node.js', 'Machine Learning'],
+        privacySettings: {}
+      }));
+      jest.spyOn(Connection, 'find').mockImplementation(({ $or }) => resolving(
+        JSON.stringify($or).includes('"friend-1"')
+          ? [{ connectionType: 'friend', requestorUserId: 'friend-1', recipientUserId: 'owner' }]
+          : []
+      ));
+      jest.spyOn(SkillEndorsement, 'create').mockImplementation(async (endorsement) => endorsement);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should let a connection endorse a skill as it is shown on the profile', async () => {
+      const response = await request(app).post(endorsements).set('Authorization', tokenFor('friend-1'));
+
+      expect(response.status).toBe(201);
+      expect(SkillEndorsement.create).toHaveBeenCalledWith({
+        userId: 'owner',
+        skill: 'Node.js',
+        skillKey: 'node.js',
+        endorserId: 'friend-1'
+      });
+    });
+
+    it('should only let connections endorse skills', async () => {
+      const stranger = await request(app).post(endorsements).set('Authorization', tokenFor('stranger'));
+      expect(stranger.status).toBe(403);
+      expect(stranger.body.message).toBe('Only connections can endorse skills');
+
+      const self = await request(app).post(endorsements).set('Authorization', tokenFor('owner'));
+      expect(self.status).toBe(403);
+      expect(self.body.message).toBe('You cannot endorse your own skills');
+
+      expect(SkillEndorsement.create).not.toHaveBeenCalled();
+    });
+
+    it('should not endorse a skill twice or one missing from the profile', async () => {
+      SkillEndorsement.create.mockRejectedValueOnce(Object.assign(new Error('E11000 duplicate key error'), { code: 11000 }));
+
+      const duplicate = await request(app).post(endorsements).set('Authorization', tokenFor('friend-1'));
+      expect(duplicate.status).toBe(409);
+
+      const missing = await request(app)
+        .post('/api/userprofile/owner/skills/cobol/endorsements')
+        .set('Authorization', tokenFor('friend-1'));
+      expect(missing.status).toBe(404);
+    });
+
+    it('should withdraw only the viewer\'s own endorsement', async () => {
+      const deleteOne = jest.spyOn(SkillEndorsement, 'deleteOne')
+        .mockResolvedValueOnce({ deletedCount: 1 })
+        .mockResolvedValueOnce({ deletedCount: 0 });
+
+      const withdrawn = await request(app)
+        .delete('/api/userprofile/owner/skills/Node.JS/endorsements')
+        .set('Authorization', tokenFor('friend-1'));
+      expect(withdrawn.status).toBe(200);
+      expect(deleteOne).toHaveBeenCalledWith({ userId: 'owner', skillKey: 'node.js', endorserId: 'friend-1' });
+
+      const again = await request(app).delete(endorsements).set('Authorization', tokenFor('friend-1'));
+      expect(again.status).toBe(404);
+    });
+
+    it('should list endorsement counts with the top endorsers and the viewer\'s own endorsements', async () => {
+      jest.spyOn(SkillEndorsement, 'find').mockReturnValue({
+        select: () => ({
+          sort: () => ({
+            lean: async () => [
+              { skillKey: 'node.js', endorserId: 'friend-1', createdAt: new Date('2026-03-02') },
+              { skillKey: 'machine learning', endorserId: 'friend-2', createdAt: new Date('2026-03-01') },
+              { skillKey: 'node.js', endorserId: 'friend-2', createdAt: new Date('2026-02-01') }
+            ]
+          })
+        })
+      });
+      jest.spyOn(UserProfile, 'find').mockReturnValue(resolving([
+        { userId: 'friend-1', firstName: 'Ann', lastName: 'Lee' },
+        { userId: 'friend-2', firstName: 'Bo', lastName: 'Kim' }
+      ]));
+
+      const response = await request(app)
+        .get('/api/userprofile/owner/skills/endorsements')
+        .set('Authorization', tokenFor('friend-1'));
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.map(({ skill, count, endorsedByViewer }) => ({ skill, count, endorsedByViewer }))).toEqual([
+        { skill: 'Node.js', count: 2, endorsedByViewer: true },
+        { skill: 'Machine Learning', count: 1, endorsedByViewer: false }
+      ]);
+      // Bo endorsed more of the owner's skills, so leads the Node.js endorsers
+      expect(response.body.data[0].topEndorsers.map(endorser => endorser.name)).toEqual(['Bo Kim', 'Ann Lee']);
+    });
+  });
+
+  describe('resume search', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should rank candidates whose searched skills are endorsed first', async () => {
+      const candidate = (forUserId, endorsementCount) => ({
+        resumeId: `resume-${forUserId}`,
+        forUserId,
+        filePath: `resumes/${forUserId}/cv.pdf`,
+        endorsementCount,
+        userProfile: { userId: forUserId, firstName: 'Sam', lastName: forUserId, skills: ['Node.js'] }
+      });
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(TaxonomyTerm, 'find').mockReturnValue(resolving([]));
+      const aggregate = jest.spyOn(Resume, 'aggregate')
+        .mockResolvedValueOnce([candidate('plain', 0), candidate('endorsed', 3)])
+        .mockResolvedValueOnce([{ total: 2 }]);
+      jest.spyOn(storage, 'getUrl').mockImplementation(async (key) => `https://files.example.com/${key}`);
+
+      const response = await request(app)
+        .get('/api/resume/search?skills=Node.js')
+        .set('Authorization', tokenFor('recruiter'));
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.map(resume => resume.forUserId)).toEqual(['endorsed', 'plain']);
+      expect(response.body.data[0].matchScore).toBeGreaterThan(response.body.data[1].matchScore);
+
+      const pipeline = aggregate.mock.calls[0][0];
+      const { $lookup: lookup } = pipeline.find(stage => stage.$lookup?.from === 'skillendorsements');
+      expect(lookup.pipeline).toContainEqual({ $match: { $or: [{ skillKey: /node\.js/ }] } });
+      expect(pipeline).toContainEqual({ $sort: { endorsementCount: -1, createdAt: -1 } });
+    });
+  });
+});
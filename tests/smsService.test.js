@@ -0,0 +1,49 @@
+import { jest } from '@jest/globals';
+import smsService, { createSmsSender } from '../services/smsService.js';
+
+describe('SMS senders', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should fall back to the console provider only in development and test', () => {
+    expect(createSmsSender(undefined, 'development').provider).toBe('console');
+    expect(createSmsSender(undefined, 'test').provider).toBe('console');
+    expect(() => createSmsSender(undefined, 'production')).toThrow('SMS_PROVIDER must be set in production');
+  });
+
+  it('should not allow the console provider in production, even when configured', () => {
+    expect(() => createSmsSender('console', 'production')).toThrow('only allowed in development and test');
+    expect(createSmsSender('sns', 'production').provider).toBe('AWS SNS');
+    expect(() => createSmsSender('pigeon', 'development')).toThrow('Unknown SMS_PROVIDER');
+  });
+
+  it('should not log the message or the full phone number', async () => {
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    const result = await createSmsSender('console', 'development')
+      .send('+919876543210', 'Your Dintak verification code is 482913.');
+
+    expect(result.success).toBe(true);
+    const logged = log.mock.calls.flat().join(' ');
+    expect(logged).toContain('3210');
+    expect(logged).not.toContain('482913');
+    expect(logged).not.toContain('9876543210');
+  });
+
+  it('should only resolve the provider when a text is sent, and report a missing one as a failed send', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const environment = process.env.NODE_ENV;
+    process.env.NODE_ENV = 'production';
+    try {
+      smsService.setSender(undefined);
+      expect(smsService.isAvailable()).toBe(false);
+
+      const result = await smsService.sendVerificationCode('+919876543210', '482913');
+      expect(result).toMatchObject({ success: false, error: 'SMS sending is not configured' });
+    } finally {
+      process.env.NODE_ENV = environment;
+      smsService.setSender(undefined);
+    }
+  });
+});
@@ -0,0 +1,63 @@
+import express from 'express';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import request from 'supertest';
+import { createStorage } from '../services/storageService.js';
+
+describe('Local storage driver', () => {
+  let directory;
+  let storage;
+  let app;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'storage-test-'));
+    storage = createStorage({
+      driver: 'local',
+      directory,
+      publicUrl: 'http://localhost:3002/media',
+      signingSecret: 'test-secret',
+      privatePrefixes: ['data-exports/']
+    });
+    app = express();
+    app.use('/media', storage.requestHandler());
+  });
+
+  afterEach(() => fs.rm(directory, { recursive: true, force: true }));
+
+  it('should round-trip files through upload, list, download, URL and delete', async () => {
+    await storage.upload('profile-photos/user-1/v1/thumb.jpg', Buffer.from('jpeg'), { contentType: 'image/jpeg' });
+    await storage.upload('profile-photos/user-10/v1/thumb.jpg', Buffer.from('other'), { contentType: 'image/jpeg' });
+
+    expect(await storage.list('profile-photos/user-1/')).toEqual(['profile-photos/user-1/v1/thumb.jpg']);
+    expect((await storage.download('profile-photos/user-1/v1/thumb.jpg')).toString()).toBe('jpeg');
+
+    const url = await storage.getUrl('profile-photos/user-1/v1/thumb.jpg');
+    expect(url).toBe('http://localhost:3002/media/profile-photos/user-1/v1/thumb.jpg');
+    const response = await request(app).get(new URL(url).pathname);
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('image/jpeg');
+
+    expect(await storage.delete(['profile-photos/user-1/v1/thumb.jpg'])).toEqual([]);
+    expect(await storage.list('profile-photos/user-1/')).toEqual([]);
+    await expect(storage.upload('../outside.txt', Buffer.from('x'))).rejects.toThrow('Invalid storage key');
+  });
+
+  it('should only serve private files through unexpired signed URLs', async () => {
+    const key = 'data-exports/user-1/export-1.zip';
+    await storage.upload(key, Buffer.from('zip'), { contentType: 'application/zip' });
+
+    expect((await request(app).get(`/media/${key}`)).status).toBe(403);
+
+    const signed = new URL(await storage.getSignedUrl(key, { expiresIn: 60, downloadName: 'data-export.zip' }));
+    const response = await request(app).get(signed.pathname + signed.search);
+    expect(response.status).toBe(200);
+    expect(response.headers['content-disposition']).toBe('attachment; filename="data-export.zip"');
+
+    signed.searchParams.set('download', 'renamed.zip');
+    expect((await request(app).get(signed.pathname + signed.search)).status).toBe(403);
+
+    const expired = new URL(await storage.getSignedUrl(key, { expiresIn: -1 }));
+    expect((await request(app).get(expired.pathname + expired.search)).status).toBe(403);
+  });
+});
@@ -0,0 +1,88 @@
+import { jest } from '@jest/globals';
+import TaxonomyTerm, { normalizeTermKey, slugifyTermName } from '../models/TaxonomyTerm.js';
+import UserProfile from '../models/UserProfile.js';
+import { resolveProfileTaxonomy } from '../utils/taxonomy.js';
+
+const TERMS = [
+  { type: 'skill', termId: 'node-js', keys: ['node.js', 'node'] },
+  { type: 'industry', termId: 'software', keys: ['software'] },
+  { type: 'language', termId: 'english', keys: ['english'] }
+];
+
+// Answer term lookups from TERMS, like TaxonomyTerm.find(...).select(...).lean()
+const mockTermLookups = () => jest.spyOn(TaxonomyTerm, 'find').mockImplementation(({ type, keys }) => ({
+  select: () => ({
+    lean: async () => TERMS.filter(term => term.type === type && term.keys.some(key => keys.$in.includes(key)))
+  })
+}));
+
+describe('Taxonomy terms', () => {
+  it('should normalize case, accents and spacing but keep punctuation', () => {
+    expect(normalizeTermKey('  Machine   Learning ')).toBe('machine learning');
+    expect(normalizeTermKey('Español')).toBe('espanol');
+    expect(normalizeTermKey('C#')).not.toBe(normalizeTermKey('C++'));
+  });
+
+  it('should derive readable term ids from names', () => {
+    expect(slugifyTermName('Node.js')).toBe('node-js');
+    expect(slugifyTermName('C#')).toBe('c-sharp');
+    expect(slugifyTermName('C++')).toBe('c-plus-plus');
+  });
+
+  it('should drop duplicate synonyms and index the name and synonyms as keys', async () => {
+    const term = new TaxonomyTerm({ type: 'skill', name: 'Node.js', synonyms: ['Node', 'NodeJS', 'nodejs', 'node.js'] });
+    await term.validate();
+
+    expect(term.termId).toBe('node-js');
+    expect(term.synonyms).toEqual(['Node', 'NodeJS']);
+    expect(term.keys).toEqual(['node.js', 'node', 'nodejs']);
+  });
+
+  describe('profile taxonomy ids', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should resolve every taxonomy field, or only the requested ones', async () => {
+      const find = mockTermLookups();
+      const profile = { skills: ['Node', 'Cobol'], industry: 'Software', languages: ['English'] };
+
+      expect(await resolveProfileTaxonomy(profile)).toEqual({
+        skillIds: ['node-js'],
+        industryId: 'software',
+        languageIds: ['english']
+      });
+      find.mockClear();
+
+      expect(await resolveProfileTaxonomy(profile, ['industry'])).toEqual({ industryId: 'software' });
+      expect(find).toHaveBeenCalledTimes(1);
+    });
+
+    it('should only look up the taxonomy fields a save changes', async () => {
+      const find = mockTermLookups();
+      jest.spyOn(UserProfile.collection, 'updateOne').mockResolvedValue({ acknowledged: true, matchedCount: 1, modifiedCount: 1 });
+      const profile = UserProfile.hydrate({
+        _id: '64b7f0c2a1b2c3d4e5f60718',
+        userId: 'owner',
+        firstName: 'Jane',
+        lastName: 'Doe',
+        skills: ['Cobol'],
+        industry: 'Software',
+        industryId: 'software',
+        languages: ['English'],
+        languageIds: ['english']
+      });
+
+      profile.headline = 'Backend engineer';
+      await profile.save();
+      expect(find).not.toHaveBeenCalled();
+
+      profile.skills.push('Node.js');
+      await profile.save();
+      expect(find).toHaveBeenCalledTimes(1);
+      expect(find.mock.calls[0][0].type).toBe('skill');
+      expect(profile.skillIds).toEqual(['node-js']);
+      expect(profile.industryId).toBe('software');
+    });
+  });
+});
@@ -0,0 +1,129 @@
+import {
+  applyVerificationBadge,
+  expireVerificationBadges,
+  matchesOrganization,
+  samePhoneNumber,
+  withoutClientBadges
+} from '../utils/verificationBadges.js';
+
+describe('Verification badges', () => {
+  const verification = {
+    verificationId: 'verification-1',
+    type: 'companyEmail',
+    recipientEmail: 'jane@acme.com',
+    verifiedAt: new Date('2025-01-01T00:00:00Z')
+  };
+
+  it('should record a matching company email on the company and current positions', () => {
+    const profile = {
+      company: 'Acme Inc',
+      experience: [
+        { _id: 'current', company: 'Acme', current: true },
+        { _id: 'past', company: 'Acme', endDate: new Date('2020-01-01') },
+        { _id: 'other', company: 'Globex', current: true }
+      ]
+    };
+
+    const badge = applyVerificationBadge(profile, verification);
+
+    expect(badge.experienceIds).toEqual(['current']);
+    expect(profile.verifiedEmployer).toMatchObject({ company: 'Acme Inc', domain: 'acme.com' });
+    expect(profile.experience[1].employmentVerification).toBeUndefined();
+    expect(profile.experience[2].employmentVerification).toBeUndefined();
+  });
+
+  it('should never match personal email providers or suffix-only names', () => {
+    const profile = { company: 'Gmail', experience: [] };
+    expect(applyVerificationBadge(profile, { ...verification, recipientEmail: 'jane@gmail.com' })).toBeNull();
+
+    const suffixOnly = { company: 'Co.', experience: [] };
+    expect(applyVerificationBadge(suffixOnly, verification)).toBeNull();
+  });
+
+  it('should award each verification type its own badge', () => {
+    const profile = {
+      contactInfo: { email: 'Jane@example.com', phone: '098765 43210' },
+      education: [{ _id: 'school', school: 'Stanford University' }, { _id: 'other', school: 'MIT' }],
+      certifications: [{ _id: 'cert', name: 'AWS Solutions Architect', credentialId: 'ABC-123' }]
+    };
+
+    expect(applyVerificationBadge(profile, { ...verification, type: 'personalEmail', recipientEmail: 'jane@example.com' }))
+      .toEqual({ verifiedEmail: expect.objectContaining({ email: 'jane@example.com' }) });
+    expect(applyVerificationBadge(profile, { ...verification, type: 'phone', recipientPhone: '+919876543210' }))
+      .toEqual({ verifiedPhone: expect.objectContaining({ phone: '+919876543210' }) });
+    expect(applyVerificationBadge(profile, { ...verification, type: 'education', recipientEmail: 'jane@stanford.edu' }))
+      .toEqual({ educationIds: ['school'] });
+    expect(applyVerificationBadge(profile, {
+      ...verification, type: 'certification', certificationId: 'cert', credentialId: 'ABC-123'
+    })).toEqual({ certificationIds: ['cert'] });
+
+    // A different number, or a credential ID edited since it was submitted, earns nothing
+    expect(applyVerificationBadge({ contactInfo: { phone: '+1 415 555 0100' } }, {
+      ...verification, type: 'phone', recipientPhone: '+919876543210'
+    })).toBeNull();
+    expect(applyVerificationBadge(profile, {
+      ...verification, type: 'certification', certificationId: 'cert', credentialId: 'OLD-999'
+    })).toBeNull();
+  });
+
+  it('should expire badges when their subject changes and not let edits set them', () => {
+    const profile = {
+      company: 'Acme',
+      contactInfo: { email: 'jane@example.com' },
+      experience: [{ _id: 'current', company: 'Acme', current: true }],
+      certifications: [{ _id: 'cert', credentialId: 'ABC-123' }]
+    };
+    applyVerificationBadge(profile, verification);
+    applyVerificationBadge(profile, { ...verification, type: 'personalEmail', recipientEmail: 'jane@example.com' });
+    applyVerificationBadge(profile, { ...verification, type: 'certification', certificationId: 'cert', credentialId: 'ABC-123' });
+
+    const submitted = withoutClientBadges({
+      verifiedPhone: { phone: '+10000000000' },
+      experience: [
+        { _id: 'current', company: 'Acme', employmentVerification: { domain: 'forged.com' } },
+        { company: 'Globex', employmentVerification: { domain: 'globex.com' } }
+      ]
+    }, profile);
+    expect(submitted.verifiedPhone).toBeUndefined();
+    expect(submitted.experience[0].employmentVerification.domain).toBe('acme.com');
+    expect(submitted.experience[1].employmentVerification).toBeUndefined();
+
+    profile.company = 'Globex';
+    profile.experience[0].company = 'Globex';
+    profile.contactInfo.email = 'jane@other.com';
+    profile.certifications[0].credentialId = 'XYZ-999';
+    expireVerificationBadges(profile);
+    expect(profile.verifiedEmployer).toBeUndefined();
+    expect(profile.experience[0].employmentVerification).toBeUndefined();
+    expect(profile.verifiedEmail).toBeUndefined();
+    expect(profile.certifications[0].credentialVerification).toBeUndefined();
+  });
+
+  it('should match phone numbers with or without country and trunk prefixes', () => {
+    expect(samePhoneNumber('+91 98765 43210', '098765-43210')).toBe(true);
+    expect(samePhoneNumber('+919876543210', '+14155550100')).toBe(false);
+    expect(samePhoneNumber('', '+919876543210')).toBe(false);
+  });
+
+  describe('organization domains', () => {
+    it('should reject look-alike domains that only contain or start like the name', () => {
+      expect(matchesOrganization('Microsoft', 'm.attacker.com')).toBe(false);
+      expect(matchesOrganization('Google', 'go.evil.net')).toBe(false);
+      expect(matchesOrganization('Amazon', 'amazonfake.io')).toBe(false);
+      expect(matchesOrganization('Acme', 'acme.attacker.com')).toBe(false);
+      expect(matchesOrganization('Acme', 'acmee.com')).toBe(false);
+    });
+
+    it('should accept the registrable domain and its subdomains', () => {
+      expect(matchesOrganization('Acme Corp', 'mail.acme.com')).toBe(true);
+      expect(matchesOrganization('Acme Inc.', 'acme.com')).toBe(true);
+      expect(matchesOrganization('Stanford University', 'cs.stanford.edu')).toBe(true);
+      expect(matchesOrganization('Tech Corp', 'techcorp.co.uk')).toBe(true);
+    });
+
+    it('should need a name and domain long enough to mean something', () => {
+      expect(matchesOrganization('Co.', 'co.com')).toBe(false);
+      expect(matchesOrganization('GE', 'ge.com')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,32 @@
+import VerificationUtils from '../utils/verificationUtils.js';
+
+describe('Verification codes', () => {
+  it('should generate six-digit codes, leading zeros included', () => {
+    for (let i = 0; i < 50; i++) {
+      expect(VerificationUtils.generateVerificationCode()).toMatch(/^\d{6}$/);
+    }
+  });
+
+  it('should only match the code a hash was made from', () => {
+    const salt = VerificationUtils.generateCodeSalt();
+    const hash = VerificationUtils.hashCode('012345', salt);
+
+    expect(hash).not.toContain('012345');
+    expect(VerificationUtils.codeMatches('012345', hash, salt)).toBe(true);
+    expect(VerificationUtils.codeMatches('012346', hash, salt)).toBe(false);
+    expect(VerificationUtils.codeMatches('012345', hash, VerificationUtils.generateCodeSalt())).toBe(false);
+    expect(VerificationUtils.codeMatches('012345', undefined, salt)).toBe(false);
+  });
+
+  it('should bind a link token to its verification and nonce', () => {
+    const nonce = VerificationUtils.generateCodeSalt();
+    const token = VerificationUtils.signLinkToken('verification-1', nonce);
+
+    expect(VerificationUtils.linkTokenMatches(token, 'verification-1', nonce)).toBe(true);
+    expect(VerificationUtils.linkTokenMatches(token, 'verification-2', nonce)).toBe(false);
+    expect(VerificationUtils.linkTokenMatches(token, 'verification-1', VerificationUtils.generateCodeSalt())).toBe(false);
+    // A used link has its nonce cleared
+    expect(VerificationUtils.linkTokenMatches(token, 'verification-1', undefined)).toBe(false);
+    expect(VerificationUtils.linkTokenMatches(undefined, 'verification-1', nonce)).toBe(false);
+  });
+});
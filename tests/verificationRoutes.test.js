@@ -0,0 +1,260 @@
+import { jest } from '@jest/globals';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import request from 'supertest';
+import UserProfile from '../models/UserProfile.js';
+import Verification from '../models/Verification.js';
+import VerificationSend from '../models/VerificationSend.js';
+import verificationRouter from '../routes/verification.js';
+import smsService from '../services/smsService.js';
+
+const app = express();
+app.use(express.json());
+app.use('/api/verification', verificationRouter);
+
+const tokenFor = (userId) => `Bearer ${jwt.sign({ userId }, process.env.JWT_SECRET || 'your-super-secret-jwt-key')}`;
+
+const pendingVerification = () => {
+  const verification = new Verification({
+    userId: 'owner',
+    type: 'personalEmail',
+    recipientEmail: 'owner@example.com',
+    linkNonce: 'nonce'
+  });
+  verification.setCode('123456');
+  jest.spyOn(verification, 'save').mockResolvedValue(verification);
+  return verification;
+};
+
+describe('Verification API', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('verification history', () => {
+    it('should keep closed verifications and only schedule pending ones for removal', async () => {
+      const verification = pendingVerification();
+      await verification.validate();
+      expect(verification.purgeAt.getTime()).toBeGreaterThan(verification.expiresAt.getTime());
+
+      verification.status = 'verified';
+      await verification.validate();
+      expect(verification.purgeAt).toBeUndefined();
+
+      const lapsed = pendingVerification();
+      lapsed.expiresAt = new Date(Date.now() - 1000);
+      await lapsed.validate();
+      expect(lapsed.status).toBe('expired');
+      expect(lapsed.purgeAt).toBeUndefined();
+    });
+
+    it('should list only the signed-in user\'s verifications with the requested status', async () => {
+      const expireLapsed = jest.spyOn(Verification, 'expireLapsed').mockResolvedValue({ modifiedCount: 1 });
+      const lean = jest.fn().mockResolvedValue([{ verificationId: 'v1', status: 'expired' }]);
+      const find = jest.spyOn(Verification, 'find').mockReturnValue({
+        sort: () => ({ select: () => ({ lean }) })
+      });
+
+      const response = await request(app)
+        .get('/api/verification?status=expired')
+        .set('Authorization', tokenFor('owner'));
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual([{ verificationId: 'v1', status: 'expired' }]);
+      expect(expireLapsed).toHaveBeenCalledWith({ userId: 'owner' });
+      expect(find).toHaveBeenCalledWith({ userId: 'owner', status: 'expired' });
+    });
+
+    it('should reject an unknown status', async () => {
+      const response = await request(app)
+        .get('/api/verification?status=archived')
+        .set('Authorization', tokenFor('owner'));
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('ownership', () => {
+    it('should not let another user read, complete, resend or cancel a verification', async () => {
+      jest.spyOn(Verification, 'findOne').mockImplementation(async () => pendingVerification());
+      const other = tokenFor('someone-else');
+
+      const responses = await Promise.all([
+        request(app).get('/api/verification/v1').set('Authorization', other),
+        request(app).put('/api/verification/verify-code').set('Authorization', other)
+          .send({ verificationId: 'v1', code: '123456' }),
+        request(app).post('/api/verification/resend').set('Authorization', other)
+          .send({ verificationId: 'v1' }),
+        request(app).post('/api/verification/v1/cancel').set('Authorization', other)
+      ]);
+
+      expect(responses.map(response => response.status)).toEqual([403, 403, 403, 403]);
+    });
+
+    it('should not send codes for another user', async () => {
+      const response = await request(app)
+        .post('/api/verification/send-code')
+        .set('Authorization', tokenFor('owner'))
+        .send({ userId: 'someone-else', type: 'personalEmail', recipientEmail: 'owner@example.com' });
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('sending codes', () => {
+    it('should answer 503 for phone verifications when no SMS provider is configured', async () => {
+      jest.spyOn(smsService, 'isAvailable').mockReturnValue(false);
+      const save = jest.spyOn(Verification.prototype, 'save');
+
+      const response = await request(app)
+        .post('/api/verification/send-code')
+        .set('Authorization', tokenFor('owner'))
+        .send({ type: 'phone', recipientPhone: '+919876543210' });
+
+      expect(response.status).toBe(503);
+      expect(save).not.toHaveBeenCalled();
+    });
+
+    it('should answer 429 without creating the verification when the send cannot be reserved', async () => {
+      const reservation = { _id: 'send-1', recipient: 'owner@example.com' };
+      jest.spyOn(VerificationSend, 'create').mockResolvedValue(reservation);
+      jest.spyOn(VerificationSend, 'find').mockReturnValue({
+        sort: () => ({ select: () => ({ lean: async () => [{ sentAt: new Date() }] }) })
+      });
+      const release = jest.spyOn(VerificationSend, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+      const save = jest.spyOn(Verification.prototype, 'save');
+
+      const response = await request(app)
+        .post('/api/verification/send-code')
+        .set('Authorization', tokenFor('owner'))
+        .send({ type: 'personalEmail', recipientEmail: 'owner@example.com' });
+
+      expect(response.status).toBe(429);
+      expect(response.headers['retry-after']).toBeDefined();
+      expect(release).toHaveBeenCalledWith({ _id: 'send-1' });
+      expect(save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('cancelling', () => {
+    it('should cancel a pending verification and stop its link from working', async () => {
+      const verification = pendingVerification();
+      jest.spyOn(Verification, 'findOne').mockResolvedValue(verification);
+
+      const response = await request(app)
+        .post('/api/verification/v1/cancel')
+        .set('Authorization', tokenFor('owner'));
+
+      expect(response.status).toBe(200);
+      expect(verification.status).toBe('cancelled');
+      expect(verification.linkNonce).toBeUndefined();
+      expect(verification.save).toHaveBeenCalled();
+    });
+
+    it('should not cancel a completed verification', async () => {
+      const verification = pendingVerification();
+      verification.status = 'verified';
+      jest.spyOn(Verification, 'findOne').mockResolvedValue(verification);
+
+      const response = await request(app)
+        .post('/api/verification/v1/cancel')
+        .set('Authorization', tokenFor('owner'));
+
+      expect(response.status).toBe(400);
+      expect(verification.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('verifying codes', () => {
+    const claimReturning = (verification) => jest.spyOn(Verification, 'findOneAndUpdate')
+      .mockReturnValue({ select: async () => verification });
+
+    it('should count attempts atomically and stop once none are left', async () => {
+      jest.spyOn(Verification, 'findOne').mockResolvedValue(pendingVerification());
+      const claim = claimReturning(null);
+
+      const response = await request(app)
+        .put('/api/verification/verify-code')
+        .set('Authorization', tokenFor('owner'))
+        .send({ verificationId: 'v1', code: '123456' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toContain('Maximum verification attempts');
+      const [filter, update] = claim.mock.calls[0];
+      expect(filter).toMatchObject({ status: 'pending', attempts: { $lt: 5 } });
+      expect(update).toEqual({ $inc: { attempts: 1 } });
+    });
+
+    it('should check the code against the record the attempt was counted on', async () => {
+      jest.spyOn(Verification, 'findOne').mockResolvedValue(pendingVerification());
+      const claimed = pendingVerification();
+      claimed.attempts = 2;
+      claimReturning(claimed);
+      jest.spyOn(UserProfile, 'findOne').mockResolvedValue(null);
+
+      const wrong = await request(app)
+        .put('/api/verification/verify-code')
+        .set('Authorization', tokenFor('owner'))
+        .send({ verificationId: 'v1', code: '654321' });
+      expect(wrong.status).toBe(400);
+      expect(wrong.body.remainingAttempts).toBe(3);
+
+      const right = await request(app)
+        .put('/api/verification/verify-code')
+        .set('Authorization', tokenFor('owner'))
+        .send({ verificationId: 'v1', code: '123456' });
+      expect(right.status).toBe(200);
+      expect(claimed.status).toBe('verified');
+      expect(claimed.save).toHaveBeenCalled();
+    });
+  });
+
+  describe('verification links', () => {
+    it('should only show a confirmation page when the link is opened', async () => {
+      const findOne = jest.spyOn(Verification, 'findOne');
+
+      const response = await request(app).get('/api/verification/link/v1?token=abc%22');
+
+      expect(response.status).toBe(200);
+      expect(response.text).toContain('method="post"');
+      expect(response.text).toContain('value="abc&#34;"');
+      expect(findOne).not.toHaveBeenCalled();
+    });
+
+    it('should not use up code attempts on a wrong token', async () => {
+      const verification = pendingVerification();
+      jest.spyOn(Verification, 'findOne').mockReturnValue({ select: async () => verification });
+      const claim = jest.spyOn(Verification, 'findOneAndUpdate');
+
+      const response = await request(app)
+        .post('/api/verification/link/v1')
+        .type('form')
+        .send({ token: 'wrong' });
+
+      expect(response.status).toBe(303);
+      expect(response.headers.location).toContain('result=invalid');
+      expect(verification.attempts).toBe(0);
+      expect(verification.save).not.toHaveBeenCalled();
+      expect(claim).not.toHaveBeenCalled();
+    });
+
+    it('should complete the verification once with the right token', async () => {
+      const verification = pendingVerification();
+      const token = verification.issueLinkToken();
+      jest.spyOn(Verification, 'findOne').mockReturnValue({ select: async () => verification });
+      const claimed = pendingVerification();
+      const claim = jest.spyOn(Verification, 'findOneAndUpdate').mockResolvedValue(claimed);
+      jest.spyOn(UserProfile, 'findOne').mockResolvedValue(null);
+
+      const response = await request(app)
+        .post('/api/verification/link/v1')
+        .type('form')
+        .send({ token });
+
+      expect(response.status).toBe(303);
+      expect(response.headers.location).toContain('result=verified');
+      expect(claim.mock.calls[0][0]).toMatchObject({ status: 'pending', linkNonce: verification.linkNonce });
+      expect(claimed.status).toBe('verified');
+    });
+  });
+});
@@ -0,0 +1,81 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import VerificationSend from '../models/VerificationSend.js';
+import { VERIFICATION_SEND_LIMITS, reserveVerificationSend } from '../utils/verificationThrottle.js';
+
+const now = new Date('2026-03-11T15:00:00Z');
+const minutesAgo = (minutes) => ({ sentAt: new Date(now.getTime() - minutes * 60 * 1000) });
+
+// Answers the recipient query with the first list of sends and the user query with the second
+const otherSends = (recipientSends, userSends) => jest.spyOn(VerificationSend, 'find')
+  .mockImplementation((filter) => ({
+    sort: () => ({ select: () => ({ lean: async () => (filter.recipient ? recipientSends : userSends) }) })
+  }));
+
+describe('Verification send throttle', () => {
+  const reservation = { _id: new mongoose.Types.ObjectId(), recipient: 'owner@example.com' };
+  const send = { userId: 'owner', recipient: 'Owner@Example.com', verificationId: 'v1', now };
+
+  beforeEach(() => {
+    jest.spyOn(VerificationSend, 'create').mockResolvedValue(reservation);
+    jest.spyOn(VerificationSend, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should record the send before counting the others in the window and keep it when allowed', async () => {
+    otherSends([minutesAgo(5)], [minutesAgo(5)]);
+
+    const throttle = await reserveVerificationSend(send);
+
+    expect(throttle).toBeNull();
+    expect(VerificationSend.create).toHaveBeenCalledWith({
+      userId: 'owner',
+      recipient: 'Owner@Example.com',
+      verificationId: 'v1',
+      sentAt: now
+    });
+    expect(VerificationSend.create.mock.invocationCallOrder[0])
+      .toBeLessThan(VerificationSend.find.mock.invocationCallOrder[0]);
+    expect(VerificationSend.find).toHaveBeenCalledWith({
+      recipient: 'owner@example.com',
+      _id: { $ne: reservation._id },
+      sentAt: { $gt: new Date(now.getTime() - 24 * 60 * 60 * 1000) }
+    });
+    expect(VerificationSend.deleteOne).not.toHaveBeenCalled();
+  });
+
+  it('should remove the reservation while the recipient cooldown runs', async () => {
+    otherSends([minutesAgo(0.5)], [minutesAgo(0.5)]);
+
+    const throttle = await reserveVerificationSend(send);
+
+    expect(throttle).toEqual({
+      message: 'Please wait before requesting another verification code to this recipient',
+      retryAfterSeconds: VERIFICATION_SEND_LIMITS.recipientCooldownSeconds - 30
+    });
+    expect(VerificationSend.deleteOne).toHaveBeenCalledWith({ _id: reservation._id });
+  });
+
+  it('should count a concurrent send recorded just after this one against the cooldown', async () => {
+    otherSends([{ sentAt: new Date(now.getTime() + 5) }], []);
+
+    const throttle = await reserveVerificationSend(send);
+
+    expect(throttle.message).toContain('to this recipient');
+    expect(VerificationSend.deleteOne).toHaveBeenCalledWith({ _id: reservation._id });
+  });
+
+  it('should remove the reservation once the daily cap for the user is reached', async () => {
+    const userSends = Array.from({ length: VERIFICATION_SEND_LIMITS.userDailyCap }, (_, index) => minutesAgo(600 - index * 10));
+    otherSends([], userSends);
+
+    const throttle = await reserveVerificationSend(send);
+
+    expect(throttle.message).toBe(`Daily limit of ${VERIFICATION_SEND_LIMITS.userDailyCap} verification codes for this user reached`);
+    expect(throttle.retryAfterSeconds).toBe((24 * 60 - 600) * 60);
+    expect(VerificationSend.deleteOne).toHaveBeenCalledWith({ _id: reservation._id });
+  });
+});
@@ -0,0 +1,339 @@
+import AccountErasure from '../models/AccountErasure.js';
+import CareerAgent from '../models/CareerAgent.js';
+import Connection from '../models/Connection.js';
+import Conversation from '../models/Conversation.js';
+import CoverLetter from '../models/CoverLetter.js';
+import DataExport from '../models/DataExport.js';
+import DismissedSuggestion from '../models/DismissedSuggestion.js';
+import ProfileEditProposal from '../models/ProfileEditProposal.js';
+import ProfileImport from '../models/ProfileImport.js';
+import ProfileRevision from '../models/ProfileRevision.js';
+import ProfileView from '../models/ProfileView.js';
+import RecommendationRequest from '../models/RecommendationRequest.js';
+import Resume from '../models/Resume.js';
+import SkillEndorsement from '../models/SkillEndorsement.js';
+import TaxonomyTerm from '../models/TaxonomyTerm.js';
+import UserProfile from '../models/UserProfile.js';
+import Verification from '../models/Verification.js';
+import storage from '../services/storageService.js';
+import { PROFILE_TAXONOMY_FIELDS } from './taxonomy.js';
+import { createZipArchive } from './zipArchive.js';
+
+// Stands in for an erased user in records kept for other users (shared conversations, cover letters, ...)
+export const ERASED_USER_ID = 'deleted-user';
+
+// Download links for finished exports are short-lived
+const EXPORT_DOWNLOAD_URL_SECONDS = 15 * 60;
+
+/**
+ * Storage prefixes holding a user's files: resumes, profile and background photos (including
+ * photos proposed by career agents) and data export archives.
+ * @param {string} userId
+ * @returns {string[]}
+ */
+export const userStoragePrefixes = (userId) => [
+  `resumes/${userId}/`,
+  `profile-photos/${userId}/`,
+  `background-photos/${userId}/`,
+  `data-exports/${userId}/`
+];
+
+// Messages a participant can read, following the same history window as the conversation API
+function visibleMessages(conversation, participant) {
+  const joinedAt = new Date(participant.joined_at);
+  const historyWindow = (participant.history_window || '').toUpperCase();
+  let fromDate = joinedAt;
+  if (historyWindow === 'ALL') {
+    fromDate = new Date(conversation.created_at);
+  } else if (historyWindow.startsWith('DAYS_')) {
+    const days = parseInt(historyWindow.replace('DAYS_', ''), 10);
+    if (!isNaN(days)) fromDate = new Date(joinedAt.getTime() - days * 24 * 60 * 60 * 1000);
+  }
+  const toDate = participant.left_at ? new Date(participant.left_at) : new Date();
+
+  return (conversation.messages || []).filter(message => {
+    if (message.sender_id === participant.userId) return true;
+    const sentAt = new Date(message.created_at);
+    return sentAt >= fromDate && sentAt <= toDate;
+  });
+}
+
+/**
+ * Records about a user, per export file. Records shared with other users (connections,
+ * conversations, endorsements, ...) are included from the user's side only.
+ */
+const EXPORT_COLLECTIONS = {
+  profile: userId => UserProfile.findOne({ userId }).select('-searchFields -searchTrigrams').lean(),
+  resumes: userId => Resume.find({ $or: [{ forUserId: userId }, { byUserId: userId }] }).lean(),
+  coverLetters: userId => CoverLetter.find({ $or: [{ forUserId: userId }, { fromUserId: userId }] }).lean(),
+  connections: userId => Connection.find({
+    $or: [{ requestorUserId: userId }, { recipientUserId: userId }, { careerAgentId: userId }, { candidateId: userId }]
+  }).lean(),
+  careerAgents: userId => CareerAgent.find({ $or: [{ careerAgentId: userId }, { candidateId: userId }] }).lean(),
+  conversations: async userId => {
+    const conversations = await Conversation.find({ 'participants.userId': userId }).lean();
+    return conversations.map(conversation => ({
+      ...conversation,
+      messages: visibleMessages(conversation, conversation.participants.find(participant => participant.userId === userId))
+    }));
+  },
+  verifications: userId => Verification.find({ userId }).lean(),
+  profileViews: async userId => {
+    const views = await ProfileView.find({ $or: [{ profileUserId: userId }, { viewerId: userId }] }).lean();
+    // Anonymous viewers stay anonymous to the profile owner
+    return views.map(view => (view.anonymous && view.viewerId !== userId ? { ...view, viewerId: undefined } : view));
+  },
+  skillEndorsements: userId => SkillEndorsement.find({ $or: [{ userId }, { endorserId: userId }] }).lean(),
+  recommendationRequests: userId => RecommendationRequest.find({ $or: [{ requesterId: userId }, { recommenderId: userId }] }).lean(),
+  profileRevisions: userId => ProfileRevision.find({ userId }).lean(),
+  profileEditProposals: userId => ProfileEditProposal.find({ $or: [{ userId }, { careerAgentId: userId }] }).lean(),
+  profileImports: userId => ProfileImport.find({ userId }).lean(),
+  dismissedSuggestions: userId => DismissedSuggestion.find({ userId }).lean()
+};
+
+/**
+ * Gather everything stored about a user into archive entries: one JSON file per collection
+ * under data/ and the user's stored files under files/.
+ * @param {string} userId
+ * @returns {Promise<{files: Map<string, Buffer|string>, contents: Object<string, number>}>}
+ */
+export async function collectUserData(userId) {
+  const files = new Map();
+  const contents = {};
+
+  for (const [name, load] of Object.entries(EXPORT_COLLECTIONS)) {
+    const records = await load(userId);
+    contents[name] = Array.isArray(records) ? records.length : Number(Boolean(records));
+    files.set(`data/${name}.json`, JSON.stringify(records, null, 2));
+  }
+
+  // Earlier exports are not copied into new ones
+  const prefixes = userStoragePrefixes(userId).filter(prefix => !prefix.startsWith('data-exports/'));
+  const storedKeys = (await Promise.all(prefixes.map(prefix => storage.list(prefix)))).flat();
+  for (const key of storedKeys) {
+    files.set(`files/${key}`, await storage.download(key));
+  }
+  contents.files = storedKeys.length;
+
+  files.set('README.txt', [
+    `Personal data export for user ${userId}, created ${new Date().toISOString()}.`,
+    '',
+    'data/   one JSON file per kind of record stored about you',
+    'files/  resumes and photos you uploaded or that were uploaded for you',
+    '',
+    ...Object.entries(contents).map(([name, count]) => `${name}: ${count}`)
+  ].join('\n'));
+
+  return { files, contents };
+}
+
+/**
+ * Build the archive for a data export job and store it. Failures are recorded on the job.
+ * @param {string} exportId
+ * @returns {Promise<void>}
+ */
+export async function processDataExport(exportId) {
+  const dataExport = await DataExport.findOneAndUpdate(
+    { exportId, status: 'pending' },
+    { $set: { status: 'processing' } },
+    { new: true }
+  );
+  if (!dataExport) return;
+
+  try {
+    const { files, contents } = await collectUserData(dataExport.userId);
+    const archive = createZipArchive(files);
+    const archiveKey = `data-exports/${dataExport.userId}/${exportId}.zip`;
+    await storage.upload(archiveKey, archive, { contentType: 'application/zip' });
+
+    Object.assign(dataExport, {
+      status: 'ready',
+      archiveKey,
+      archiveSize: archive.length,
+      contents,
+      completedAt: new Date()
+    });
+    await dataExport.save();
+  } catch (error) {
+    console.error('Error processing data export:', error);
+    dataExport.status = 'failed';
+    dataExport.error = String(error.message || error).slice(0, 500);
+    await dataExport.save();
+  }
+}
+
+/**
+ * Queue a data export job and start it in the background.
+ * @param {Object} params
+ * @param {string} params.userId
+ * @param {string} params.requestedBy
+ * @returns {Promise<Object>} The DataExport document.
+ */
+export async function startDataExport({ userId, requestedBy }) {
+  const dataExport = await DataExport.create({ userId, requestedBy });
+  setImmediate(() => {
+    processDataExport(dataExport.exportId).catch(error => console.error('Error running data export:', error));
+  });
+  return dataExport;
+}
+
+/**
+ * Short-lived download link for a finished export archive.
+ * @param {Object} dataExport - DataExport document with status ready.
+ * @returns {Promise<string>}
+ */
+export function getDataExportDownloadUrl(dataExport) {
+  return storage.getSignedUrl(dataExport.archiveKey, {
+    expiresIn: EXPORT_DOWNLOAD_URL_SECONDS,
+    downloadName: `data-export-${dataExport.exportId}.zip`
+  });
+}
+
+// Taxonomy terms lose the erased profile from their usage count
+async function releaseTaxonomyUsage(profile) {
+  await Promise.all(Object.values(PROFILE_TAXONOMY_FIELDS).map(({ type, idField }) => {
+    const termIds = [].concat(profile[idField] || []);
+    if (termIds.length === 0) return null;
+    return TaxonomyTerm.updateMany(
+      { type, termId: { $in: termIds }, usageCount: { $gt: 0 } },
+      { $inc: { usageCount: -1 } }
+    );
+  }));
+}
+
+// Removes the user from shared conversations: conversations with nobody else are deleted, in the
+// others the user's participant entry and messages are kept but no longer point to them
+async function eraseFromConversations(userId, deleted, anonymized) {
+  const alone = await Conversation.deleteMany({
+    'participants.userId': userId,
+    participants: { $not: { $elemMatch: { userId: { $ne: userId } } } }
+  });
+  deleted.conversations = alone.deletedCount;
+
+  const messages = await Conversation.updateMany(
+    { 'messages.sender_id': userId },
+    { $set: { 'messages.$[sent].sender_id': ERASED_USER_ID } },
+    { arrayFilters: [{ 'sent.sender_id': userId }] }
+  );
+  await Conversation.updateMany(
+    { 'messages.visible_to': userId },
+    { $set: { 'messages.$[].visible_to.$[reader]': ERASED_USER_ID } },
+    { arrayFilters: [{ reader: userId }] }
+  );
+  const participants = await Conversation.updateMany(
+    { 'participants.userId': userId },
+    {
+      $set: {
+        'participants.$[self].userId': ERASED_USER_ID,
+        'participants.$[self].deleted': true,
+        'participants.$[self].left_at': new Date()
+      },
+      $unset: {
+        'participants.$[self].firstName': '',
+        'participants.$[self].lastName': ''
+      }
+    },
+    { arrayFilters: [{ 'self.userId': userId }] }
+  );
+  anonymized.conversations = participants.modifiedCount;
+  anonymized.conversationsWithMessages = messages.modifiedCount;
+}
+
+/**
+ * Erase an account: delete the profile and every record and stored file belonging to the user,
+ * anonymize what is shared with other users, and keep an audit record of the erasure.
+ * Records are removed before stored files, so a storage failure leaves only orphaned files,
+ * listed on the audit record for a retry. When any other step fails the audit record is marked
+ * failed with the error and what was removed so far, and the error is rethrown.
+ * @param {string} userId
+ * @param {Object} params
+ * @param {string} params.requestedBy
+ * @param {'self'|'admin'|'system'} params.requestedByRole
+ * @param {string} [params.reason]
+ * @returns {Promise<Object|null>} The AccountErasure document, or null when there is no profile.
+ */
+export async function eraseUserAccount(userId, { requestedBy, requestedByRole, reason }) {
+  const profile = await UserProfile.findOne({ userId }).lean();
+  if (!profile) return null;
+
+  const erasure = await AccountErasure.create({
+    userId,
+    requestedBy,
+    requestedByRole,
+    reason,
+    status: 'inProgress',
+    startedAt: new Date()
+  });
+
+  const deleted = {};
+  const anonymized = {};
+  try {
+    // Resumes stored before keys were grouped by user are found through their records
+    const resumes = await Resume.find({ forUserId: userId }).select('filePath').lean();
+    const prefixKeys = (await Promise.all(userStoragePrefixes(userId).map(prefix => storage.list(prefix)))).flat();
+    const storedKeys = [...new Set([...prefixKeys, ...resumes.map(resume => resume.filePath).filter(Boolean)])];
+
+    const count = async (target, name, operation) => {
+      const result = await operation;
+      target[name] = (target[name] || 0) + (result.deletedCount ?? result.modifiedCount ?? 0);
+    };
+
+    await releaseTaxonomyUsage(profile);
+
+    await count(deleted, 'resumes', Resume.deleteMany({ forUserId: userId }));
+    await count(anonymized, 'resumes', Resume.updateMany({ byUserId: userId }, { $set: { byUserId: ERASED_USER_ID } }));
+    await count(deleted, 'coverLetters', CoverLetter.deleteMany({ forUserId: userId }));
+    await count(anonymized, 'coverLetters', CoverLetter.updateMany({ fromUserId: userId }, { $set: { fromUserId: ERASED_USER_ID } }));
+    await count(deleted, 'connections', Connection.deleteMany({
+      $or: [{ requestorUserId: userId }, { recipientUserId: userId }, { careerAgentId: userId }, { candidateId: userId }]
+    }));
+    await count(deleted, 'careerAgents', CareerAgent.deleteMany({ $or: [{ careerAgentId: userId }, { candidateId: userId }] }));
+    await eraseFromConversations(userId, deleted, anonymized);
+    await count(deleted, 'verifications', Verification.deleteMany({ userId }));
+    await count(deleted, 'profileViews', ProfileView.deleteMany({ profileUserId: userId }));
+    // Views of other profiles still count in their analytics, as anonymous views
+    await count(anonymized, 'profileViews', ProfileView.updateMany(
+      { viewerId: userId },
+      { $set: { anonymous: true }, $unset: { viewerId: '', viewerIndustry: '', viewerCompany: '' } }
+    ));
+    await count(deleted, 'skillEndorsements', SkillEndorsement.deleteMany({ $or: [{ userId }, { endorserId: userId }] }));
+    await count(deleted, 'recommendationRequests', RecommendationRequest.deleteMany({
+      $or: [{ requesterId: userId }, { recommenderId: userId }]
+    }));
+    // Recommendations the user wrote disappear from the profiles they were written for
+    await count(deleted, 'recommendations', UserProfile.updateMany(
+      { 'recommendations.recommenderId': userId },
+      { $pull: { recommendations: { recommenderId: userId } } }
+    ));
+    await count(deleted, 'profileRevisions', ProfileRevision.deleteMany({ userId }));
+    await count(anonymized, 'profileRevisions', ProfileRevision.updateMany({ editorId: userId }, { $set: { editorId: ERASED_USER_ID } }));
+    await count(deleted, 'profileEditProposals', ProfileEditProposal.deleteMany({ $or: [{ userId }, { careerAgentId: userId }] }));
+    await count(deleted, 'profileImports', ProfileImport.deleteMany({ $or: [{ userId }, { importedBy: userId }] }));
+    await count(deleted, 'dismissedSuggestions', DismissedSuggestion.deleteMany({ $or: [{ userId }, { dismissedUserId: userId }] }));
+    await count(deleted, 'dataExports', DataExport.deleteMany({ userId }));
+    await count(deleted, 'profiles', UserProfile.deleteOne({ userId }));
+
+    const failedFiles = await storage.delete(storedKeys);
+
+    Object.assign(erasure, {
+      status: failedFiles.length > 0 ? 'partial' : 'completed',
+      deleted,
+      anonymized,
+      deletedFiles: storedKeys.length - failedFiles.length,
+      failedFiles,
+      completedAt: new Date()
+    });
+  } catch (error) {
+    // The counts show how far the erasure got before it stopped
+    Object.assign(erasure, {
+      status: 'failed',
+      error: String(error.message || error).slice(0, 500),
+      deleted,
+      anonymized
+    });
+    await erasure.save().catch(saveError => console.error('Error recording failed account erasure:', saveError));
+    throw error;
+  }
+  await erasure.save();
+  return erasure;
+}
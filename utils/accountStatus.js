@@ -0,0 +1,117 @@
+import Connection from '../models/Connection.js';
+import UserProfile from '../models/UserProfile.js';
+import { eraseUserAccount } from './accountData.js';
+
+// A sweeper that stopped mid-erasure releases its claim after this long, so another run retries it
+const SWEEP_CLAIM_LEASE_MS = 60 * 60 * 1000;
+
+// How often the in-process sweeper runs, unless ACCOUNT_DELETION_SWEEP_INTERVAL_MINUTES is set
+const DEFAULT_SWEEP_INTERVAL_MINUTES = 60;
+
+const involving = (userId) => ({
+  $or: [{ requestorUserId: userId }, { recipientUserId: userId }, { careerAgentId: userId }, { candidateId: userId }]
+});
+
+/**
+ * Pause the user's active connections while their account is deactivated. Paused connections
+ * no longer grant connection or career agent access. A connection already paused by the other
+ * user records both, and only resumes once both accounts are back.
+ * @param {string} userId
+ * @returns {Promise<number>} Number of connections paused by this user.
+ */
+export async function pauseConnections(userId) {
+  const result = await Connection.updateMany(
+    { ...involving(userId), relationshipStatus: { $in: ['active', 'paused'] } },
+    { $set: { relationshipStatus: 'paused' }, $addToSet: { pausedBy: userId } }
+  );
+  return result.modifiedCount;
+}
+
+/**
+ * Resume the connections paused by the user. A candidate can only have one active career agent,
+ * so an agent connection is ended instead when the candidate took on another agent meanwhile.
+ * @param {string} userId
+ * @returns {Promise<number>} Number of connections active again.
+ */
+export async function resumeConnections(userId) {
+  await Connection.updateMany({ pausedBy: userId }, { $pull: { pausedBy: userId } });
+
+  const ready = await Connection.find({ ...involving(userId), relationshipStatus: 'paused', pausedBy: { $size: 0 } });
+  let resumed = 0;
+  for (const connection of ready) {
+    connection.relationshipStatus = 'active';
+    connection.pausedBy = undefined;
+    try {
+      await connection.save();
+      resumed += 1;
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      await Connection.updateOne(
+        { _id: connection._id },
+        { $set: { relationshipStatus: 'inactive', endDate: new Date() }, $unset: { pausedBy: '' } }
+      );
+    }
+  }
+  return resumed;
+}
+
+/**
+ * Erase every account whose deletion grace period has ended. Each account is claimed before it
+ * is erased, so several app instances can sweep at the same time.
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @returns {Promise<{erased: number, failed: number}>}
+ */
+export async function sweepScheduledDeletions({ now = new Date() } = {}) {
+  let erased = 0;
+  let failed = 0;
+
+  for (;;) {
+    const profile = await UserProfile.findOneAndUpdate(
+      {
+        'account.status': 'pendingDeletion',
+        'account.deletionScheduledFor': { $lte: now },
+        $or: [
+          { 'account.sweepClaimedAt': { $exists: false } },
+          { 'account.sweepClaimedAt': { $lt: new Date(now.getTime() - SWEEP_CLAIM_LEASE_MS) } }
+        ]
+      },
+      { $set: { 'account.sweepClaimedAt': new Date() } },
+      { new: true, timestamps: false }
+    ).select('userId account').lean();
+    if (!profile) break;
+
+    const requestedBy = profile.account.deletionRequestedBy || profile.userId;
+    try {
+      await eraseUserAccount(profile.userId, {
+        requestedBy,
+        requestedByRole: requestedBy === profile.userId ? 'self' : 'admin',
+        reason: 'Scheduled deletion: grace period ended'
+      });
+      erased += 1;
+    } catch (error) {
+      // The claim stays until the lease runs out, so a failing account is not retried in a tight loop
+      console.error(`Error erasing account ${profile.userId}:`, error);
+      failed += 1;
+    }
+  }
+
+  return { erased, failed };
+}
+
+/**
+ * Run sweepScheduledDeletions periodically in this process.
+ * @returns {NodeJS.Timeout} The interval, which does not keep the process alive.
+ */
+export function startAccountDeletionSweeper() {
+  const minutes = Number(process.env.ACCOUNT_DELETION_SWEEP_INTERVAL_MINUTES) || DEFAULT_SWEEP_INTERVAL_MINUTES;
+  const sweep = () => sweepScheduledDeletions()
+    .then(({ erased, failed }) => {
+      if (erased || failed) console.log(`Account deletion sweep: ${erased} erased, ${failed} failed`);
+    })
+    .catch(error => console.error('Error sweeping scheduled account deletions:', error));
+
+  const timer = setInterval(sweep, minutes * 60 * 1000);
+  timer.unref();
+  return timer;
+}
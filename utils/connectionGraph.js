@@ -0,0 +1,208 @@
+import Connection from '../models/Connection.js';
+import UserProfile, { VISIBLE_ACCOUNT_FILTER } from '../models/UserProfile.js';
+
+// Connection types that make two users contacts of each other
+const CONTACT_CONNECTION_TYPES = ['friend', 'careerAgent'];
+
+// Pipeline stages turning active connections that touch `userIds` into
+// { _id: userId, contacts: [contactUserId] } documents, one per user in `userIds`
+const contactListStages = (userIds) => [
+  {
+    $match: {
+      relationshipStatus: 'active',
+      connectionType: { $in: CONTACT_CONNECTION_TYPES },
+      $or: [
+        { requestorUserId: { $in: userIds } },
+        { recipientUserId: { $in: userIds } },
+        { careerAgentId: { $in: userIds } },
+        { candidateId: { $in: userIds } }
+      ]
+    }
+  },
+  {
+    $project: {
+      _id: 0,
+      endpoints: {
+        $cond: [
+          { $eq: ['$connectionType', 'careerAgent'] },
+          ['$careerAgentId', '$candidateId'],
+          ['$requestorUserId', '$recipientUserId']
+        ]
+      }
+    }
+  },
+  // Each connection is an undirected edge, so emit it in both directions
+  {
+    $project: {
+      edges: [
+        { from: { $arrayElemAt: ['$endpoints', 0] }, to: { $arrayElemAt: ['$endpoints', 1] } },
+        { from: { $arrayElemAt: ['$endpoints', 1] }, to: { $arrayElemAt: ['$endpoints', 0] } }
+      ]
+    }
+  },
+  { $unwind: '$edges' },
+  { $match: { 'edges.from': { $in: userIds } } },
+  {
+    $group: {
+      _id: '$edges.from',
+      contacts: { $addToSet: '$edges.to' }
+    }
+  }
+];
+
+/**
+ * Count the active friend/careerAgent contacts shared between a viewer and each of the
+ * given users, with a small sample of the shared contacts. Only contacts whose profiles
+ * others may see are counted, so hidden accounts never show up by name or in a count.
+ * @param {string} viewerId - User the lists are being built for.
+ * @param {string[]} userIds - Users to compute mutual connections with.
+ * @param {Object} [options]
+ * @param {number} [options.sampleSize=3] - Number of shared contacts to return per user.
+ * @returns {Promise<Map<string, {count: number, sample: Array<{userId: string, name: string, avatar: string}>}>>}
+ */
+export async function getMutualConnections(viewerId, userIds, { sampleSize = 3 } = {}) {
+  const mutualConnections = new Map();
+  if (!viewerId || userIds.length === 0) return mutualConnections;
+
+  const [own] = await Connection.aggregate(contactListStages([viewerId]));
+  const contactIds = own?.contacts || [];
+  if (contactIds.length === 0) return mutualConnections;
+  const visibleContactIds = await UserProfile.distinct('userId', { userId: { $in: contactIds }, ...VISIBLE_ACCOUNT_FILTER });
+  if (visibleContactIds.length === 0) return mutualConnections;
+
+  // Each user's contact list is intersected with the viewer's on its own document
+  const results = await Connection.aggregate([
+    ...contactListStages(userIds.filter(userId => userId !== viewerId)),
+    {
+      $project: {
+        _id: 0,
+        userId: '$_id',
+        mutual: { $setIntersection: ['$contacts', { $literal: visibleContactIds }] }
+      }
+    },
+    { $match: { 'mutual.0': { $exists: true } } },
+    {
+      $lookup: {
+        from: 'userprofiles',
+        let: { mutualIds: '$mutual' },
+        pipeline: [
+          { $match: { $expr: { $in: ['$userId', '$$mutualIds'] } } },
+          { $limit: sampleSize },
+          { $project: { userId: 1, firstName: 1, lastName: 1, profilePictureUrl: 1 } }
+        ],
+        as: 'sampleProfiles'
+      }
+    },
+    {
+      $project: {
+        userId: 1,
+        count: { $size: '$mutual' },
+        sample: {
+          $map: {
+            input: '$sampleProfiles',
+            as: 'profile',
+            in: {
+              userId: '$$profile.userId',
+              name: { $concat: ['$$profile.firstName', ' ', '$$profile.lastName'] },
+              avatar: '$$profile.profilePictureUrl'
+            }
+          }
+        }
+      }
+    }
+  ]);
+
+  results.forEach(result => {
+    mutualConnections.set(result.userId, { count: result.count, sample: result.sample });
+  });
+  return mutualConnections;
+}
+
+/**
+ * Find second-degree connections: contacts of the user's contacts who are not
+ * themselves contacts of the user, ranked by the number of contacts in common.
+ * @param {string} userId - User to find second-degree connections for.
+ * @param {Object} [options]
+ * @param {string[]} [options.excludeIds=[]] - Users to leave out (e.g. pending or dismissed).
+ * @param {number} [options.limit=100] - Maximum number of users to return.
+ * @returns {Promise<Array<{userId: string, mutualCount: number}>>}
+ */
+export async function getSecondDegreeConnections(userId, { excludeIds = [], limit = 100 } = {}) {
+  const [own] = await Connection.aggregate(contactListStages([userId]));
+  const contactIds = own?.contacts || [];
+  if (contactIds.length === 0) return [];
+
+  const excluded = [userId, ...contactIds, ...excludeIds];
+  const results = await Connection.aggregate([
+    ...contactListStages(contactIds),
+    { $unwind: '$contacts' },
+    { $match: { contacts: { $nin: excluded } } },
+    {
+      $group: {
+        _id: '$contacts',
+        mutualCount: { $sum: 1 }
+      }
+    },
+    { $sort: { mutualCount: -1 } },
+    { $limit: limit }
+  ]);
+
+  return results.map(result => ({ userId: result._id, mutualCount: result.mutualCount }));
+}
+
+/**
+ * List every user the given user already has a non-ended relationship with,
+ * in either direction, for friend and careerAgent connections alike.
+ * Pending, proposed and requested connections are included; inactive and rejected are not.
+ * @param {string} userId
+ * @returns {Promise<string[]>}
+ */
+export async function getRelatedUserIds(userId) {
+  const connections = await Connection.find({
+    relationshipStatus: { $nin: ['inactive', 'rejected'] },
+    $or: [
+      { connectionType: 'careerAgent', careerAgentId: userId },
+      { connectionType: 'careerAgent', candidateId: userId },
+      { connectionType: 'friend', requestorUserId: userId },
+      { connectionType: 'friend', recipientUserId: userId }
+    ]
+  }).select('connectionType careerAgentId candidateId requestorUserId recipientUserId').lean();
+
+  const relatedIds = connections.map(connection => {
+    if (connection.connectionType === 'careerAgent') {
+      return connection.careerAgentId === userId ? connection.candidateId : connection.careerAgentId;
+    }
+    return connection.requestorUserId === userId ? connection.recipientUserId : connection.requestorUserId;
+  });
+
+  return [...new Set(relatedIds.filter(Boolean))];
+}
+
+/**
+ * Count the active candidates each of the given users is career agent for.
+ * @param {string[]} userIds
+ * @returns {Promise<Object<string, number>>} Map of userId -> candidate count.
+ */
+export async function getCareerAgentCounts(userIds) {
+  const careerAgentCounts = await Connection.aggregate([
+    {
+      $match: {
+        careerAgentId: { $in: userIds },
+        connectionType: 'careerAgent',
+        relationshipStatus: 'active'
+      }
+    },
+    {
+      $group: {
+        _id: '$careerAgentId',
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+
+  const countMap = {};
+  careerAgentCounts.forEach(item => {
+    countMap[item._id] = item.count;
+  });
+  return countMap;
+}
@@ -0,0 +1,152 @@
+import fs from 'fs';
+
+// Offline gazetteer bundled with the service: ISO 3166-1 countries and major cities with coordinates
+const readGazetteer = (file) => JSON.parse(fs.readFileSync(new URL(`../data/gazetteer/${file}`, import.meta.url), 'utf8'));
+const COUNTRIES = readGazetteer('countries.json');
+const CITIES = readGazetteer('cities.json');
+
+// Mean Earth radius used to turn kilometres into radians for $centerSphere
+export const EARTH_RADIUS_KM = 6378.1;
+export const DEFAULT_SEARCH_RADIUS_KM = 50;
+export const MAX_SEARCH_RADIUS_KM = 500;
+
+/**
+ * Normalize a place name for matching, ignoring case, accents, punctuation and spacing.
+ * @param {string} value
+ * @returns {string}
+ */
+export function normalizePlaceName(value) {
+  if (typeof value !== 'string') return '';
+  return value
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '') // drop accents
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+const placeKeys = (entry) => [entry.name, ...(entry.alternateNames || [])].map(normalizePlaceName);
+
+const countriesByCode = new Map(COUNTRIES.map(country => [country.code, country]));
+const countriesByName = new Map(COUNTRIES.flatMap(country => placeKeys(country).map(key => [key, country])));
+
+// Cities sharing a name are kept most populous first, so ambiguous names resolve to the best-known place
+const citiesByName = new Map();
+[...CITIES].sort((a, b) => b.population - a.population).forEach(city => {
+  new Set(placeKeys(city)).forEach(key => {
+    citiesByName.set(key, [...(citiesByName.get(key) || []), city]);
+  });
+});
+
+/**
+ * Find a country by ISO 3166-1 alpha-2 code, name or common alternate name ("USA", "UK", "Deutschland").
+ * @param {string} value
+ * @returns {{code: string, name: string}|null}
+ */
+export function findCountry(value) {
+  if (typeof value !== 'string' || !value.trim()) return null;
+  return countriesByCode.get(value.trim().toUpperCase()) || countriesByName.get(normalizePlaceName(value)) || null;
+}
+
+/**
+ * Find the most populous gazetteer city with the given name, optionally within a country and region.
+ * A region that matches none of the candidates is ignored rather than failing the lookup.
+ * @param {string} name
+ * @param {Object} [options]
+ * @param {string} [options.countryCode]
+ * @param {string} [options.region]
+ * @returns {Object|null} City with name, countryCode, region, latitude, longitude and population.
+ */
+export function findCity(name, { countryCode, region } = {}) {
+  let candidates = citiesByName.get(normalizePlaceName(name)) || [];
+  if (countryCode) {
+    candidates = candidates.filter(city => city.countryCode === countryCode);
+  }
+  if (region) {
+    const regionKey = normalizePlaceName(region);
+    const inRegion = candidates.filter(city => normalizePlaceName(city.region) === regionKey);
+    if (inRegion.length > 0) candidates = inRegion;
+  }
+  return candidates[0] || null;
+}
+
+/**
+ * Resolve free-form place text such as "Portland, Maine" or "Cambridge, UK" to a gazetteer city.
+ * @param {string} text
+ * @returns {Object|null}
+ */
+export function findPlace(text) {
+  if (typeof text !== 'string') return null;
+  const [city, ...qualifiers] = text.split(',').map(part => part.trim()).filter(Boolean);
+  if (!city) return null;
+
+  const country = qualifiers.map(findCountry).find(Boolean);
+  const region = qualifiers.find(qualifier => !findCountry(qualifier));
+  return findCity(city, { countryCode: country?.code, region });
+}
+
+/**
+ * Fill in the ISO country code, region and coordinates of a profile location from the gazetteer.
+ * The country and city as entered are kept; the region comes from the gazetteer when the city is
+ * known, so a stale region does not survive a move. Coordinates are only set for known cities.
+ * @param {{country?: string, countryCode?: string, region?: string, city?: string}} [location]
+ * @returns {{country?: string, countryCode?: string, region?: string, city?: string, geo?: Object}}
+ */
+export function geocodeLocation({ country, countryCode, region, city } = {}) {
+  const knownCountry = findCountry(countryCode) || findCountry(country);
+  const knownCity = city ? findCity(city, { countryCode: knownCountry?.code, region }) : null;
+  const resolvedCountry = knownCountry || (knownCity && countriesByCode.get(knownCity.countryCode));
+
+  return {
+    country: country || resolvedCountry?.name,
+    countryCode: resolvedCountry?.code || countryCode?.toUpperCase(),
+    region: knownCity?.region || region,
+    city,
+    geo: knownCity
+      ? { type: 'Point', coordinates: [knownCity.longitude, knownCity.latitude] }
+      : undefined
+  };
+}
+
+/**
+ * MongoDB condition matching GeoJSON points within a radius of a centre.
+ * @param {number[]} center - [longitude, latitude]
+ * @param {number} radiusKm
+ * @returns {Object}
+ */
+export function withinRadius(center, radiusKm) {
+  return { $geoWithin: { $centerSphere: [center, radiusKm / EARTH_RADIUS_KM] } };
+}
+
+/**
+ * Read a "within N km of" search from query parameters: near (a city, optionally followed by
+ * region and country) or lat and lng, plus radiusKm.
+ * @param {Object} query - Request query parameters.
+ * @returns {null|{error: string}|{center: number[], radiusKm: number, place: (Object|undefined)}}
+ *   null when no radius search was asked for.
+ */
+export function parseRadiusSearch({ near, lat, lng, radiusKm } = {}) {
+  if (!near && lat === undefined && lng === undefined) return null;
+
+  const radius = radiusKm === undefined ? DEFAULT_SEARCH_RADIUS_KM : Number(radiusKm);
+  if (!Number.isFinite(radius) || radius <= 0 || radius > MAX_SEARCH_RADIUS_KM) {
+    return { error: `radiusKm must be a number between 0 and ${MAX_SEARCH_RADIUS_KM}` };
+  }
+
+  if (near) {
+    const place = findPlace(String(near));
+    if (!place) return { error: `Unknown city "${near}"` };
+    return {
+      center: [place.longitude, place.latitude],
+      radiusKm: radius,
+      place: { city: place.name, region: place.region, countryCode: place.countryCode }
+    };
+  }
+
+  const latitude = Number(lat);
+  const longitude = Number(lng);
+  if (!Number.isFinite(latitude) || Math.abs(latitude) > 90 || !Number.isFinite(longitude) || Math.abs(longitude) > 180) {
+    return { error: 'lat and lng must be valid coordinates' };
+  }
+  return { center: [longitude, latitude], radiusKm: radius };
+}
@@ -0,0 +1,145 @@
+import sharp from 'sharp';
+
+// Image formats accepted as uploads, as detected from the file contents (not the declared type)
+export const SUPPORTED_PHOTO_FORMATS = ['jpeg', 'png', 'webp', 'gif', 'heif', 'avif', 'tiff'];
+
+// Output encodings of every variant, with their content types and extensions
+export const PHOTO_OUTPUT_FORMATS = {
+  webp: { contentType: 'image/webp', extension: 'webp' },
+  jpeg: { contentType: 'image/jpeg', extension: 'jpg' }
+};
+
+// Per photo type: allowed aspect ratios (the first is the default), variant widths, and the
+// variant whose JPEG URL is stored in the profile's existing picture URL field
+export const PHOTO_TYPES = {
+  profile: {
+    aspectRatios: ['1:1', '4:5'],
+    sizes: { thumb: 100, medium: 400, large: 800 },
+    primarySize: 'medium'
+  },
+  background: {
+    aspectRatios: ['4:1', '3:1', '16:9'],
+    sizes: { thumb: 400, medium: 1000, large: 1584 },
+    primarySize: 'large'
+  }
+};
+
+// Decompression bomb guard: uploads larger than this many pixels are rejected before decoding
+const MAX_INPUT_PIXELS = 50 * 1000 * 1000;
+
+const invalidImage = (reason) => Object.assign(new Error(reason), { invalidImage: true });
+
+/**
+ * Parse an "width:height" aspect ratio.
+ * @param {string} value
+ * @returns {number|null} width / height, or null when malformed.
+ */
+export function parseAspectRatio(value) {
+  const match = /^(\d{1,2}):(\d{1,2})$/.exec(String(value || '').trim());
+  if (!match || Number(match[1]) === 0 || Number(match[2]) === 0) return null;
+  return Number(match[1]) / Number(match[2]);
+}
+
+// Validate a crop box given in pixels of the upright image
+function readCropRegion(crop, width, height) {
+  const region = {
+    left: Number(crop.left),
+    top: Number(crop.top),
+    width: Number(crop.width),
+    height: Number(crop.height)
+  };
+  const valid = Object.values(region).every(Number.isInteger) &&
+    region.left >= 0 && region.top >= 0 && region.width > 0 && region.height > 0 &&
+    region.left + region.width <= width && region.top + region.height <= height;
+  if (!valid) throw invalidImage(`Crop must be whole pixels within the ${width}x${height} image`);
+  return region;
+}
+
+/**
+ * Process an uploaded photo into resized variants.
+ * The file contents are checked to be a supported image, the image is rotated upright from its
+ * EXIF orientation, cropped (to the given box, then to the aspect ratio, keeping the most
+ * salient part) and resized to each variant width without upscaling. Outputs carry no metadata,
+ * so EXIF data such as GPS position and camera details is stripped.
+ * @param {Buffer} buffer - Uploaded file.
+ * @param {Object} [options]
+ * @param {'profile'|'background'} [options.photoType]
+ * @param {string} [options.aspectRatio] - One of the photo type's aspect ratios.
+ * @param {{left: number, top: number, width: number, height: number}} [options.crop] - Pixels of the upright image.
+ * @returns {Promise<Object[]>} Variants: {size, format, width, height, contentType, extension, buffer}.
+ * @throws {Error} With invalidImage set when the upload or the options are not acceptable.
+ */
+export async function processPhoto(buffer, { photoType = 'profile', aspectRatio, crop } = {}) {
+  const type = PHOTO_TYPES[photoType];
+  if (!type) throw invalidImage(`photoType must be one of ${Object.keys(PHOTO_TYPES).join(', ')}`);
+  const requestedRatio = aspectRatio || type.aspectRatios[0];
+  if (!type.aspectRatios.includes(requestedRatio)) {
+    throw invalidImage(`aspectRatio for ${photoType} photos must be one of ${type.aspectRatios.join(', ')}`);
+  }
+  const ratio = parseAspectRatio(requestedRatio);
+
+  let metadata;
+  try {
+    metadata = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+  } catch (error) {
+    throw invalidImage('The file is not a readable image');
+  }
+  if (!SUPPORTED_PHOTO_FORMATS.includes(metadata.format)) {
+    throw invalidImage(`Unsupported image format; use ${SUPPORTED_PHOTO_FORMATS.join(', ')}`);
+  }
+
+  // EXIF orientations 5-8 are rotated a quarter turn, swapping width and height
+  const quarterTurn = metadata.orientation >= 5;
+  let width = quarterTurn ? metadata.height : metadata.width;
+  let height = quarterTurn ? metadata.width : metadata.height;
+  const region = crop ? readCropRegion(crop, width, height) : null;
+  if (region) ({ width, height } = region);
+
+  // Largest box of the aspect ratio that fits, which bounds the variant sizes
+  const fitWidth = Math.floor(Math.min(width, height * ratio));
+  const smallest = Math.min(...Object.values(type.sizes));
+  if (fitWidth < smallest) {
+    throw invalidImage(`The image is too small; ${photoType} photos need to be at least ${smallest}px wide after cropping`);
+  }
+
+  // Decode, orient, crop and downscale once to the largest variant; the variants resize from that
+  const largestWidth = Math.min(Math.max(...Object.values(type.sizes)), fitWidth);
+  const pipeline = sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).rotate();
+  if (region) pipeline.extract(region);
+  let base;
+  try {
+    base = await pipeline
+      .resize(largestWidth, Math.round(largestWidth / ratio), {
+        fit: 'cover',
+        // An explicit crop is already framed by the user; otherwise keep the most interesting region
+        position: region ? 'centre' : sharp.strategy.attention
+      })
+      .toColourspace('srgb')
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+  } catch (error) {
+    throw invalidImage('The image could not be decoded');
+  }
+
+  const variants = [];
+  for (const [size, sizeWidth] of Object.entries(type.sizes)) {
+    const variantWidth = Math.min(sizeWidth, largestWidth);
+    const variantHeight = Math.round(variantWidth / ratio);
+    for (const [format, { contentType, extension }] of Object.entries(PHOTO_OUTPUT_FORMATS)) {
+      let image = sharp(base.data, { raw: base.info }).resize(variantWidth, variantHeight);
+      image = format === 'jpeg'
+        ? image.flatten({ background: '#ffffff' }).jpeg({ quality: 85, progressive: true, mozjpeg: true })
+        : image.webp({ quality: 82 });
+      variants.push({
+        size,
+        format,
+        width: variantWidth,
+        height: variantHeight,
+        contentType,
+        extension,
+        buffer: await image.toBuffer()
+      });
+    }
+  }
+  return variants;
+}
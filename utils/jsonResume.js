@@ -0,0 +1,191 @@
+import { clip, IMPORT_FIELDS, parseImportDate } from './profileImport.js';
+
+// Top-level sections of a JSON Resume document (https://jsonresume.org/schema) that are imported
+const RESUME_SECTIONS = ['basics', 'work', 'education', 'skills', 'languages', 'certificates'];
+
+const invalidResume = (reason) => Object.assign(new Error(`Invalid JSON Resume: ${reason}`), { invalidResume: true });
+
+const list = (value) => (Array.isArray(value) ? value.filter(item => item && typeof item === 'object') : []);
+
+const withoutEmpty = (entry) => Object.fromEntries(Object.entries(entry).filter(([, value]) => value !== undefined));
+
+// JSON Resume dates are ISO 8601 calendar dates
+const resumeDate = (value) => {
+  const time = value ? new Date(value).getTime() : NaN;
+  return Number.isNaN(time) ? undefined : new Date(time).toISOString().slice(0, 10);
+};
+
+// Drops undefined values and empty objects and arrays, so absent sections do not appear in the export
+function compact(value) {
+  if (Array.isArray(value)) {
+    const items = value.map(compact).filter(item => item !== undefined);
+    return items.length > 0 ? items : undefined;
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    const entries = Object.entries(value)
+      .map(([key, item]) => [key, compact(item)])
+      .filter(([, item]) => item !== undefined);
+    return entries.length > 0 ? Object.fromEntries(entries) : undefined;
+  }
+  return value === '' || value === null ? undefined : value;
+}
+
+// JSON Resume keeps a single name; split it at the last space
+function splitName(name) {
+  const text = clip(name);
+  if (!text) return {};
+  const index = text.lastIndexOf(' ');
+  return index === -1
+    ? { firstName: clip(text, IMPORT_FIELDS.firstName) }
+    : { firstName: clip(text.slice(0, index), IMPORT_FIELDS.firstName), lastName: clip(text.slice(index + 1), IMPORT_FIELDS.lastName) };
+}
+
+// Work summary and highlights become one description
+function describeWork(work) {
+  const highlights = Array.isArray(work.highlights)
+    ? work.highlights.filter(item => typeof item === 'string' && item.trim())
+    : [];
+  const text = [clip(work.summary), ...highlights.map(item => `• ${item.trim()}`)].filter(Boolean).join('\n');
+  return clip(text, 2000);
+}
+
+/**
+ * Map a JSON Resume document to profile fields.
+ * @param {Object} resume - Parsed JSON Resume document.
+ * @returns {Object} Imported profile data.
+ * @throws {Error} With invalidResume set when the document is not a JSON Resume.
+ */
+export function fromJsonResume(resume) {
+  if (!resume || typeof resume !== 'object' || Array.isArray(resume)) throw invalidResume('expected a JSON object');
+  if (!RESUME_SECTIONS.some(section => resume[section])) {
+    throw invalidResume(`expected at least one of ${RESUME_SECTIONS.join(', ')}`);
+  }
+
+  const basics = resume.basics && typeof resume.basics === 'object' ? resume.basics : {};
+  const imported = withoutEmpty({
+    ...splitName(basics.name),
+    headline: clip(basics.label, IMPORT_FIELDS.headline),
+    summary: clip(basics.summary, IMPORT_FIELDS.summary)
+  });
+
+  const location = basics.location && typeof basics.location === 'object'
+    ? withoutEmpty({
+        city: clip(basics.location.city, 100),
+        region: clip(basics.location.region, 100),
+        countryCode: /^[A-Za-z]{2}$/.test(basics.location.countryCode || '') ? basics.location.countryCode.toUpperCase() : undefined
+      })
+    : {};
+  if (Object.keys(location).length > 0) imported.location = location;
+
+  imported.experience = list(resume.work).map(work => withoutEmpty({
+    title: clip(work.position, 100),
+    company: clip(work.name || work.company, 100),
+    location: clip(work.location, 100),
+    startDate: parseImportDate(work.startDate),
+    endDate: parseImportDate(work.endDate),
+    current: !clip(work.endDate),
+    description: describeWork(work)
+  }));
+
+  imported.education = list(resume.education).map(education => withoutEmpty({
+    school: clip(education.institution, 100),
+    degree: clip(education.studyType, 100),
+    fieldOfStudy: clip(education.area, 100),
+    startDate: parseImportDate(education.startDate),
+    endDate: parseImportDate(education.endDate)
+  }));
+
+  // Skill groups list their individual skills as keywords
+  const skills = list(resume.skills).flatMap(skill => {
+    const keywords = Array.isArray(skill.keywords) ? skill.keywords.filter(keyword => typeof keyword === 'string') : [];
+    return keywords.length > 0 ? keywords : [skill.name];
+  });
+  imported.skills = [...new Set(skills.map(skill => clip(skill, 50)).filter(Boolean))];
+
+  imported.languages = list(resume.languages).map(language => clip(language.language, 50)).filter(Boolean);
+
+  imported.certifications = list(resume.certificates).map(certificate => withoutEmpty({
+    name: clip(certificate.name, 100),
+    organization: clip(certificate.issuer, 100),
+    issueDate: parseImportDate(certificate.date)
+  }));
+
+  return imported;
+}
+
+// Bullet lines written by fromJsonResume (or by hand) are returned as highlights
+function splitHighlights(description) {
+  const lines = (description || '').split('\n').map(line => line.trim()).filter(Boolean);
+  const isBullet = (line) => /^[•*-]\s+/.test(line);
+  return {
+    summary: lines.filter(line => !isBullet(line)).join('\n') || undefined,
+    highlights: lines.filter(isBullet).map(line => line.replace(/^[•*-]\s+/, ''))
+  };
+}
+
+/**
+ * Render a profile as a JSON Resume document (https://jsonresume.org/schema).
+ * The profile should already be filtered for the viewer; hidden sections are simply absent.
+ * @param {Object} profile - Plain profile object.
+ * @param {Object} [options]
+ * @param {string} [options.imageUrl] - Public URL of the profile picture.
+ * @returns {Object} JSON Resume document.
+ */
+export function toJsonResume(profile, { imageUrl } = {}) {
+  const contactInfo = profile.contactInfo || {};
+  const [url, ...otherWebsites] = contactInfo.websites || [];
+
+  return compact({
+    $schema: 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json',
+    basics: {
+      name: [profile.firstName, profile.lastName].filter(Boolean).join(' '),
+      label: profile.headline,
+      image: imageUrl,
+      email: contactInfo.email,
+      phone: contactInfo.phone,
+      url,
+      summary: profile.summary,
+      location: profile.location && {
+        city: profile.location.city,
+        region: profile.location.region,
+        countryCode: profile.location.countryCode
+      },
+      profiles: otherWebsites.map(website => ({ url: website }))
+    },
+    work: (profile.experience || []).map(entry => ({
+      name: entry.company,
+      position: entry.title,
+      location: entry.location,
+      startDate: resumeDate(entry.startDate),
+      endDate: entry.current ? undefined : resumeDate(entry.endDate),
+      ...splitHighlights(entry.description)
+    })),
+    volunteer: (profile.volunteerExperience || []).map(entry => ({
+      organization: entry.organization,
+      position: entry.role,
+      startDate: resumeDate(entry.startDate),
+      endDate: resumeDate(entry.endDate),
+      ...splitHighlights(entry.description)
+    })),
+    education: (profile.education || []).map(entry => ({
+      institution: entry.school,
+      studyType: entry.degree,
+      area: entry.fieldOfStudy,
+      startDate: resumeDate(entry.startDate),
+      endDate: resumeDate(entry.endDate)
+    })),
+    certificates: (profile.certifications || []).map(entry => ({
+      name: entry.name,
+      issuer: entry.organization,
+      date: resumeDate(entry.issueDate)
+    })),
+    publications: (profile.publications || []).map(entry => ({
+      name: entry.title,
+      publisher: entry.publisher,
+      releaseDate: resumeDate(entry.publicationDate),
+      url: entry.url
+    })),
+    skills: (profile.skills || []).map(name => ({ name })),
+    languages: (profile.languages || []).map(language => ({ language }))
+  }) || {};
+}
@@ -0,0 +1,151 @@
+import { clip, IMPORT_FIELDS, parseImportDate } from './profileImport.js';
+import { readZipEntries } from './zipArchive.js';
+
+// CSV files of a LinkedIn data export that are read, by lowercase file name
+const EXPORT_FILES = ['profile.csv', 'positions.csv', 'education.csv', 'skills.csv', 'certifications.csv', 'languages.csv'];
+
+// Profile.csv columns holding single-value profile fields
+const PROFILE_COLUMNS = {
+  firstName: 'First Name',
+  lastName: 'Last Name',
+  headline: 'Headline',
+  summary: 'Summary',
+  industry: 'Industry'
+};
+
+const baseName = (name) => name.split('/').pop().toLowerCase();
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields may contain commas, quotes and line breaks).
+ * @param {string} text
+ * @returns {string[][]} Rows of fields.
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  const source = text.replace(/^\uFEFF/, ''); // drop the byte order mark
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(cell => cell.trim()));
+}
+
+/**
+ * Read a CSV file into objects keyed by column name. Some exports start with a few lines of
+ * notes before the header, so the header is the first row containing the expected column.
+ * @param {string} text
+ * @param {string} keyColumn - A column the header row must contain.
+ * @returns {Object[]}
+ */
+function readCsvRecords(text, keyColumn) {
+  const rows = parseCsv(text);
+  const headerIndex = rows.findIndex(cells => cells.some(cell => cell.trim() === keyColumn));
+  if (headerIndex === -1) return [];
+
+  const header = rows[headerIndex].map(cell => cell.trim());
+  return rows.slice(headerIndex + 1).map(cells =>
+    Object.fromEntries(header.map((column, index) => [column, cells[index]]))
+  );
+}
+
+// "Berlin, Germany" or "Berlin Area, Germany" -> { city, country }
+function parseGeoLocation(value) {
+  const parts = (clip(value) || '').split(',').map(part => part.trim()).filter(Boolean);
+  if (parts.length === 0) return undefined;
+  const city = parts[0].replace(/\s+(Metropolitan|Bay)?\s*Area$/i, '').replace(/^Greater\s+/i, '');
+  return {
+    city: clip(city, 100),
+    country: parts.length > 1 ? clip(parts[parts.length - 1], 100) : undefined
+  };
+}
+
+const withoutEmpty = (entry) => Object.fromEntries(Object.entries(entry).filter(([, value]) => value !== undefined));
+
+/**
+ * Map a LinkedIn data export ZIP (Profile.csv, Positions.csv, Education.csv, Skills.csv and,
+ * when present, Certifications.csv and Languages.csv) to profile fields.
+ * @param {Buffer} buffer - The ZIP archive.
+ * @returns {Object} Imported profile data.
+ * @throws {Error} With invalidArchive set when the archive cannot be read or has none of the files.
+ */
+export function parseLinkedInExport(buffer) {
+  const files = new Map([...readZipEntries(buffer, { filter: name => EXPORT_FILES.includes(baseName(name)) })]
+    .map(([name, contents]) => [baseName(name), contents.toString('utf8')]));
+  if (files.size === 0) {
+    throw Object.assign(new Error('The archive contains none of the LinkedIn export files'), { invalidArchive: true });
+  }
+  const records = (file, keyColumn) => (files.has(file) ? readCsvRecords(files.get(file), keyColumn) : []);
+
+  const imported = {};
+  const [profile] = records('profile.csv', 'First Name');
+  if (profile) {
+    Object.entries(PROFILE_COLUMNS).forEach(([field, column]) => {
+      const value = clip(profile[column], IMPORT_FIELDS[field]);
+      if (value) imported[field] = value;
+    });
+    const location = parseGeoLocation(profile['Geo Location']);
+    if (location) imported.location = withoutEmpty(location);
+  }
+
+  imported.experience = records('positions.csv', 'Company Name').map(position => withoutEmpty({
+    title: clip(position.Title, 100),
+    company: clip(position['Company Name'], 100),
+    location: clip(position.Location, 100),
+    startDate: parseImportDate(position['Started On']),
+    endDate: parseImportDate(position['Finished On']),
+    current: !clip(position['Finished On']),
+    description: clip(position.Description, 2000)
+  }));
+
+  imported.education = records('education.csv', 'School Name').map(school => withoutEmpty({
+    school: clip(school['School Name'], 100),
+    degree: clip(school['Degree Name'], 100),
+    startDate: parseImportDate(school['Start Date']),
+    endDate: parseImportDate(school['End Date']),
+    description: clip(school.Notes, 1000)
+  }));
+
+  imported.skills = records('skills.csv', 'Name').map(skill => clip(skill.Name, 50)).filter(Boolean);
+
+  imported.certifications = records('certifications.csv', 'Name').map(certification => withoutEmpty({
+    name: clip(certification.Name, 100),
+    organization: clip(certification.Authority, 100),
+    issueDate: parseImportDate(certification['Started On']),
+    expirationDate: parseImportDate(certification['Finished On']),
+    credentialId: clip(certification['License Number'], 100)
+  }));
+
+  imported.languages = records('languages.csv', 'Name').map(language => clip(language.Name, 50)).filter(Boolean);
+
+  return imported;
+}
@@ -0,0 +1,243 @@
+// Minimal PDF 1.4 writer for generated documents: A4 pages of wrapped Helvetica text and rules.
+// The standard 14 fonts need no embedding; text is encoded as WinAnsi (Latin-1 plus typographic
+// punctuation) and characters outside it are replaced with "?".
+
+export const PAGE_WIDTH = 595;
+export const PAGE_HEIGHT = 842;
+export const PAGE_MARGIN = 50;
+
+export const PDF_FONTS = {
+  regular: { resource: 'F1', baseFont: 'Helvetica' },
+  bold: { resource: 'F2', baseFont: 'Helvetica-Bold' }
+};
+
+// Advance widths (1/1000 em) of the printable ASCII characters, space (32) to tilde (126)
+const ASCII_WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+  ]
+};
+
+// Characters WinAnsi places in 0x80-0x9F, with their widths (same in both weights)
+const WIN_ANSI_EXTRAS = {
+  '€': [0x80, 556],
+  '…': [0x85, 1000],
+  '‘': [0x91, 222],
+  '’': [0x92, 222],
+  '“': [0x93, 333],
+  '”': [0x94, 333],
+  '•': [0x95, 350],
+  '–': [0x96, 556],
+  '—': [0x97, 1000],
+  '™': [0x99, 1000]
+};
+
+// Latin-1 letters are close enough to the width of their base letter for line wrapping
+const FALLBACK_WIDTH = 556;
+
+/**
+ * Encode text as WinAnsi bytes (one char per byte in the returned string).
+ * @param {string} text
+ * @returns {string}
+ */
+export function encodeWinAnsi(text) {
+  let encoded = '';
+  for (const char of String(text ?? '').normalize('NFC')) {
+    const code = char.codePointAt(0);
+    if (WIN_ANSI_EXTRAS[char]) {
+      encoded += String.fromCharCode(WIN_ANSI_EXTRAS[char][0]);
+    } else if ((code >= 32 && code <= 126) || (code >= 0xa0 && code <= 0xff)) {
+      encoded += char;
+    } else if (char === '\t') {
+      encoded += ' ';
+    } else {
+      encoded += '?';
+    }
+  }
+  return encoded;
+}
+
+/**
+ * Width of text in points when set in the given font and size.
+ * @param {string} text
+ * @param {number} size
+ * @param {'regular'|'bold'} [font]
+ * @returns {number}
+ */
+export function measureText(text, size, font = 'regular') {
+  let width = 0;
+  for (const char of String(text)) {
+    const code = char.codePointAt(0);
+    const extra = WIN_ANSI_EXTRAS[char];
+    if (code >= 32 && code <= 126) width += ASCII_WIDTHS[font][code - 32];
+    else width += extra ? extra[1] : FALLBACK_WIDTH;
+  }
+  return (width * size) / 1000;
+}
+
+/**
+ * Break text into lines no wider than maxWidth, keeping explicit line breaks.
+ * Words longer than a line are split.
+ * @param {string} text
+ * @param {number} maxWidth
+ * @param {number} size
+ * @param {'regular'|'bold'} [font]
+ * @returns {string[]}
+ */
+export function wrapText(text, maxWidth, size, font = 'regular') {
+  const lines = [];
+  String(text ?? '').split(/\r?\n/).forEach(paragraph => {
+    let line = '';
+    paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (measureText(candidate, size, font) <= maxWidth) {
+        line = candidate;
+        return;
+      }
+      if (line) lines.push(line);
+      line = '';
+      let rest = word;
+      while (measureText(rest, size, font) > maxWidth) {
+        let cut = rest.length - 1;
+        while (cut > 1 && measureText(rest.slice(0, cut), size, font) > maxWidth) cut--;
+        lines.push(rest.slice(0, cut));
+        rest = rest.slice(cut);
+      }
+      line = rest;
+    });
+    lines.push(line);
+  });
+  return lines;
+}
+
+const escapePdfString = (encoded) => encoded.replace(/[\\()]/g, match => `\\${match}`);
+
+const formatNumber = (value) => Number(value.toFixed(2)).toString();
+
+/**
+ * Create a document that lays out content top to bottom, starting new pages as needed.
+ * @param {Object} [options]
+ * @param {string} [options.title] - Document title shown by PDF viewers.
+ * @returns {Object} Layout with text, gap, rule, ensureSpace and toBuffer methods.
+ */
+export function createPdfDocument({ title } = {}) {
+  const pages = [];
+  let operations = null;
+  let y = 0;
+
+  const newPage = () => {
+    operations = [];
+    pages.push(operations);
+    y = PAGE_HEIGHT - PAGE_MARGIN;
+  };
+  newPage();
+
+  const contentWidth = PAGE_WIDTH - 2 * PAGE_MARGIN;
+
+  const document = {
+    /**
+     * Start a new page unless the given height still fits on the current one.
+     * @param {number} height
+     */
+    ensureSpace(height) {
+      if (y - height < PAGE_MARGIN) newPage();
+    },
+
+    /**
+     * Write wrapped text.
+     * @param {string} text
+     * @param {Object} [style]
+     * @param {number} [style.size=10]
+     * @param {'regular'|'bold'} [style.font='regular']
+     * @param {number} [style.gray=0] - 0 is black, 1 is white.
+     * @param {number} [style.indent=0]
+     */
+    text(text, { size = 10, font = 'regular', gray = 0, indent = 0 } = {}) {
+      const leading = size * 1.3;
+      wrapText(text, contentWidth - indent, size, font).forEach(line => {
+        document.ensureSpace(leading);
+        y -= leading;
+        if (!line) return;
+        operations.push(
+          `BT /${PDF_FONTS[font].resource} ${size} Tf ${formatNumber(gray)} g ` +
+          `${formatNumber(PAGE_MARGIN + indent)} ${formatNumber(y + size * 0.25)} Td (${escapePdfString(encodeWinAnsi(line))}) Tj ET`
+        );
+      });
+    },
+
+    /**
+     * Leave vertical space.
+     * @param {number} height
+     */
+    gap(height) {
+      y -= height;
+    },
+
+    /**
+     * Draw a thin horizontal line across the content width.
+     */
+    rule() {
+      document.ensureSpace(4);
+      y -= 2;
+      operations.push(`0.75 G 0.5 w ${PAGE_MARGIN} ${formatNumber(y)} m ${PAGE_WIDTH - PAGE_MARGIN} ${formatNumber(y)} l S`);
+      y -= 2;
+    },
+
+    /**
+     * Serialize the document.
+     * @returns {Buffer}
+     */
+    toBuffer() {
+      const objects = [];
+      // Object numbers start at 1, so the new length is the number of the object just added
+      const addObject = (body) => objects.push(body);
+
+      addObject('<< /Type /Catalog /Pages 2 0 R >>');
+      addObject(null); // page tree, written once the page object numbers are known
+      Object.values(PDF_FONTS).forEach(font => {
+        addObject(`<< /Type /Font /Subtype /Type1 /BaseFont /${font.baseFont} /Encoding /WinAnsiEncoding >>`);
+      });
+      const fontResources = Object.values(PDF_FONTS).map((font, index) => `/${font.resource} ${index + 3} 0 R`).join(' ');
+      const info = addObject(`<< /Title (${escapePdfString(encodeWinAnsi(title || ''))}) /Producer (Dintak) >>`);
+
+      const pageNumbers = pages.map(pageOperations => {
+        const content = pageOperations.join('\n');
+        const contentNumber = addObject(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+        return addObject(
+          `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+          `/Resources << /Font << ${fontResources} >> >> /Contents ${contentNumber} 0 R >>`
+        );
+      });
+      objects[1] = `<< /Type /Pages /Kids [${pageNumbers.map(number => `${number} 0 R`).join(' ')}] /Count ${pageNumbers.length} >>`;
+
+      // Every character is a single byte, so string lengths are byte offsets
+      let output = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+      const offsets = objects.map((body, index) => {
+        const offset = output.length;
+        output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+        return offset;
+      });
+      const xrefOffset = output.length;
+      output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+      output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+      output += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${info} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+      return Buffer.from(output, 'latin1');
+    }
+  };
+
+  return document;
+}
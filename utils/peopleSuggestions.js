@@ -0,0 +1,138 @@
+// Points awarded for each signal when ranking "people you may know" suggestions
+export const SUGGESTION_WEIGHTS = {
+  mutualConnection: 10,
+  maxMutualConnections: 5,
+  currentCompany: 15,
+  pastCompany: 8,
+  school: 8,
+  skill: 2,
+  maxSkills: 5,
+  industry: 5,
+  city: 4,
+  country: 1
+};
+
+const normalize = (value) => (typeof value === 'string' ? value.trim().toLowerCase() : '');
+
+// Collect the distinct, normalised values of a list, keeping the first spelling seen for display
+const toValueMap = (values) => {
+  const map = new Map();
+  values.forEach(value => {
+    const key = normalize(value);
+    if (key && !map.has(key)) map.set(key, value.trim());
+  });
+  return map;
+};
+
+const getCompanies = (profile) => toValueMap([
+  profile.company,
+  ...(profile.experience || []).map(entry => entry.company)
+]);
+
+const getSchools = (profile) => toValueMap((profile.education || []).map(entry => entry.school));
+
+const getSkills = (profile) => toValueMap(profile.skills || []);
+
+// Values present in both maps, using the candidate's spelling
+const sharedValues = (viewerMap, candidateMap) =>
+  [...candidateMap.entries()].filter(([key]) => viewerMap.has(key)).map(([, value]) => value);
+
+/**
+ * Score how likely the viewer is to know a candidate and explain why.
+ * Both profiles are plain objects; the candidate should already be filtered
+ * for the viewer's privacy relationship so hidden sections are not used.
+ * @param {Object} viewerProfile - Profile of the user receiving suggestions.
+ * @param {Object} candidateProfile - Profile being suggested.
+ * @param {number} [mutualCount=0] - Contacts shared by viewer and candidate.
+ * @returns {{score: number, reasons: Array<{type: string, message: string}>}}
+ */
+export function scoreSuggestion(viewerProfile, candidateProfile, mutualCount = 0) {
+  const reasons = [];
+  let score = 0;
+
+  if (mutualCount > 0) {
+    score += Math.min(mutualCount, SUGGESTION_WEIGHTS.maxMutualConnections) * SUGGESTION_WEIGHTS.mutualConnection;
+    reasons.push({
+      type: 'mutualConnections',
+      count: mutualCount,
+      message: `${mutualCount} mutual connection${mutualCount === 1 ? '' : 's'}`
+    });
+  }
+
+  // The shared current company is reported once, not again as shared past experience
+  let sharedCurrentCompany = '';
+  if (normalize(viewerProfile.company) && normalize(viewerProfile.company) === normalize(candidateProfile.company)) {
+    sharedCurrentCompany = normalize(candidateProfile.company);
+    score += SUGGESTION_WEIGHTS.currentCompany;
+    reasons.push({
+      type: 'sharedCompany',
+      company: candidateProfile.company.trim(),
+      message: `Both work at ${candidateProfile.company.trim()}`
+    });
+  }
+
+  sharedValues(getCompanies(viewerProfile), getCompanies(candidateProfile))
+    .filter(company => normalize(company) !== sharedCurrentCompany)
+    .forEach(company => {
+      score += SUGGESTION_WEIGHTS.pastCompany;
+      reasons.push({
+        type: 'sharedExperience',
+        company,
+        message: `Both worked at ${company}`
+      });
+    });
+
+  sharedValues(getSchools(viewerProfile), getSchools(candidateProfile)).forEach(school => {
+    score += SUGGESTION_WEIGHTS.school;
+    reasons.push({
+      type: 'sharedSchool',
+      school,
+      message: `Both studied at ${school}`
+    });
+  });
+
+  const skills = sharedValues(getSkills(viewerProfile), getSkills(candidateProfile));
+  if (skills.length > 0) {
+    score += Math.min(skills.length, SUGGESTION_WEIGHTS.maxSkills) * SUGGESTION_WEIGHTS.skill;
+    reasons.push({
+      type: 'sharedSkills',
+      skills,
+      message: `${skills.length} skill${skills.length === 1 ? '' : 's'} in common`
+    });
+  }
+
+  if (normalize(viewerProfile.industry) && normalize(viewerProfile.industry) === normalize(candidateProfile.industry)) {
+    score += SUGGESTION_WEIGHTS.industry;
+    reasons.push({
+      type: 'sameIndustry',
+      industry: candidateProfile.industry.trim(),
+      message: `Also works in ${candidateProfile.industry.trim()}`
+    });
+  }
+
+  const viewerLocation = viewerProfile.location || {};
+  const candidateLocation = candidateProfile.location || {};
+  // Prefer the ISO country codes, which match "USA" with "United States"
+  const sameCountry = viewerLocation.countryCode && candidateLocation.countryCode
+    ? viewerLocation.countryCode === candidateLocation.countryCode
+    : normalize(viewerLocation.country) && normalize(viewerLocation.country) === normalize(candidateLocation.country);
+  const sameCity = normalize(viewerLocation.city) && normalize(viewerLocation.city) === normalize(candidateLocation.city);
+  if (sameCity && (sameCountry || !normalize(candidateLocation.country))) {
+    score += SUGGESTION_WEIGHTS.city;
+    reasons.push({
+      type: 'sameLocation',
+      city: candidateLocation.city.trim(),
+      message: `Also based in ${candidateLocation.city.trim()}`
+    });
+  } else if (sameCountry) {
+    const country = (candidateLocation.country || candidateLocation.countryCode).trim();
+    score += SUGGESTION_WEIGHTS.country;
+    reasons.push({
+      type: 'sameLocation',
+      country,
+      message: `Also based in ${country}`
+    });
+  }
+
+  return { score, reasons };
+}
@@ -0,0 +1,70 @@
+import ProfileEditProposal from '../models/ProfileEditProposal.js';
+import ProfileRevision from '../models/ProfileRevision.js';
+import UserProfile from '../models/UserProfile.js';
+import storage from '../services/storageService.js';
+
+// Profile fields holding a picture URL and its processed variants
+export const PHOTO_FIELDS = [
+  { urlField: 'profilePictureUrl', variantsField: 'profilePictureVariants' },
+  { urlField: 'backgroundPictureUrl', variantsField: 'backgroundPictureVariants' }
+];
+
+/**
+ * Storage keys of a stored photo: every processed variant, or the single key of a photo
+ * uploaded before variants were generated (the last 3 parts of its URL).
+ * @param {string} [photoUrl]
+ * @param {Object} [photoVariants]
+ * @returns {string[]}
+ */
+export function storedPhotoKeys(photoUrl, photoVariants) {
+  if (photoVariants?.variants?.length) return photoVariants.variants.map(variant => variant.key);
+  return photoUrl ? [photoUrl.split('/').slice(-3).join('/')] : [];
+}
+
+/**
+ * Storage keys of every photo in a profile, snapshot or set of proposed updates.
+ * @param {Object} [values]
+ * @returns {string[]}
+ */
+export function photoKeysIn(values) {
+  if (!values) return [];
+  return PHOTO_FIELDS.flatMap(({ urlField, variantsField }) => storedPhotoKeys(values[urlField], values[variantsField]));
+}
+
+const PHOTO_PATHS = PHOTO_FIELDS.flatMap(({ urlField, variantsField }) => [urlField, variantsField]);
+
+/**
+ * The given photo keys nothing refers to any more: not the profile, any of its revisions (which
+ * a restore could bring back) or a pending career agent proposal.
+ * @param {string} userId
+ * @param {string[]} keys
+ * @returns {Promise<string[]>}
+ */
+export async function unreferencedPhotoKeys(userId, keys) {
+  if (keys.length === 0) return [];
+  const [profile, revisions, proposals] = await Promise.all([
+    UserProfile.findOne({ userId }).select(PHOTO_PATHS.join(' ')).lean(),
+    ProfileRevision.find({ userId }).select(PHOTO_PATHS.map(path => `snapshot.${path}`).join(' ')).lean(),
+    ProfileEditProposal.find({ userId, status: 'pending' }).select('updates').lean()
+  ]);
+
+  const referenced = new Set([
+    ...photoKeysIn(profile),
+    ...revisions.flatMap(revision => photoKeysIn(revision.snapshot)),
+    ...proposals.flatMap(proposal => photoKeysIn(proposal.updates))
+  ]);
+  return keys.filter(key => !referenced.has(key));
+}
+
+/**
+ * Delete the given photo keys that nothing refers to any more, logging rather than failing the
+ * request: an orphaned file is harmless.
+ * @param {string} userId
+ * @param {string[]} keys
+ */
+export async function deleteUnreferencedPhotoKeys(userId, keys) {
+  const unreferenced = await unreferencedPhotoKeys(userId, keys);
+  if (unreferenced.length === 0) return;
+  const failed = await storage.delete(unreferenced);
+  if (failed.length > 0) console.error('Error deleting photo files:', failed);
+}
@@ -0,0 +1,65 @@
+import Connection, { AGENT_EDIT_SCOPES, DEFAULT_AGENT_EDIT_SCOPES } from '../models/Connection.js';
+
+/**
+ * Role in which a user edits a profile, or null when they may not edit it.
+ * Owners are matched on userId, or on the contact email for profiles keyed by email.
+ * @param {{userId: string, role?: string}} user - Decoded token of the current user.
+ * @param {Object} profile - Profile being edited.
+ * @returns {'self'|'admin'|null}
+ */
+export function getEditorRole(user, profile) {
+  if (!user?.userId) return null;
+  if (user.userId === profile.userId || user.userId === profile.contactInfo?.email) return 'self';
+  if (user.role === 'admin') return 'admin';
+  return null;
+}
+
+/**
+ * Scopes a career agent connection grants on the candidate's profile.
+ * @param {Object} connection - Active careerAgent connection.
+ * @returns {string[]}
+ */
+export function getAgentEditScopes(connection) {
+  return connection.editPermissions ?? DEFAULT_AGENT_EDIT_SCOPES;
+}
+
+/**
+ * Resolve who is editing a profile and which fields they may change.
+ * Owners and admins may change every field; the candidate's active career agent
+ * may change the fields covered by the scopes on their connection.
+ * @param {{userId: string, role?: string}} user - Decoded token of the current user.
+ * @param {Object} profile - Profile being edited.
+ * @returns {Promise<{userId: string, role: string, fields: string[]|null}|null>}
+ *   fields is null when every field may be edited; null is returned when the user may not edit.
+ */
+export async function resolveProfileEditor(user, profile) {
+  const role = getEditorRole(user, profile);
+  if (role) return { userId: user.userId, role, fields: null };
+  if (!user?.userId) return null;
+
+  const connection = await Connection.findOne({
+    connectionType: 'careerAgent',
+    relationshipStatus: 'active',
+    careerAgentId: user.userId,
+    candidateId: profile.userId
+  }).select('editPermissions').lean();
+  if (!connection) return null;
+
+  const scopes = getAgentEditScopes(connection);
+  return {
+    userId: user.userId,
+    role: 'careerAgent',
+    fields: scopes.flatMap(scope => AGENT_EDIT_SCOPES[scope] || [])
+  };
+}
+
+/**
+ * Fields from the given list that the editor is not allowed to change.
+ * @param {{fields: string[]|null}} editor - Result of resolveProfileEditor().
+ * @param {string[]} fields - Top-level profile fields being changed.
+ * @returns {string[]}
+ */
+export function getForbiddenFields(editor, fields) {
+  if (!editor.fields) return [];
+  return fields.filter(field => !editor.fields.includes(field));
+}
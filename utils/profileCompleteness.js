@@ -0,0 +1,118 @@
+import Resume from '../models/Resume.js';
+
+// Minimum lengths/counts for a section to count as complete
+const MIN_SUMMARY_LENGTH = 50;
+const MIN_SKILLS = 3;
+
+// Checklist sections; weights add up to 100
+export const COMPLETENESS_SECTIONS = [
+  {
+    section: 'photo',
+    label: 'Profile photo',
+    weight: 10,
+    hint: 'Upload a profile photo',
+    isComplete: (profile) => Boolean(profile.profilePictureUrl)
+  },
+  {
+    section: 'headline',
+    label: 'Headline',
+    weight: 10,
+    hint: 'Add a headline describing your role',
+    isComplete: (profile) => Boolean(profile.headline?.trim())
+  },
+  {
+    section: 'summary',
+    label: 'Summary',
+    weight: 15,
+    hint: `Write a summary of at least ${MIN_SUMMARY_LENGTH} characters`,
+    isComplete: (profile) => (profile.summary?.trim().length || 0) >= MIN_SUMMARY_LENGTH
+  },
+  {
+    section: 'experience',
+    label: 'Experience',
+    weight: 20,
+    hint: 'Add at least one position with a title and company',
+    isComplete: (profile) => (profile.experience || []).some(entry => entry.title && entry.company)
+  },
+  {
+    section: 'education',
+    label: 'Education',
+    weight: 15,
+    hint: 'Add at least one school',
+    isComplete: (profile) => (profile.education || []).some(entry => entry.school)
+  },
+  {
+    section: 'skills',
+    label: 'Skills',
+    weight: 10,
+    hint: `List at least ${MIN_SKILLS} skills`,
+    isComplete: (profile) => (profile.skills || []).filter(Boolean).length >= MIN_SKILLS
+  },
+  {
+    section: 'defaultResume',
+    label: 'Default resume',
+    weight: 10,
+    hint: 'Upload a resume and set it as your default',
+    isComplete: (profile, context) => Boolean(context.hasDefaultResume)
+  },
+  {
+    section: 'verifiedCompanyEmail',
+    label: 'Verified company email',
+    weight: 10,
+    hint: 'Verify an email address at your current company',
+    isComplete: (profile, context) => Boolean(context.hasVerifiedCompanyEmail)
+  }
+];
+
+/**
+ * Compute the completeness score of a profile and the checklist behind it.
+ * @param {Object} profile - Plain profile object.
+ * @param {Object} [context] - Facts that live outside the profile document.
+ * @param {boolean} [context.hasDefaultResume] - The default resume exists and is active.
+ * @param {boolean} [context.hasVerifiedCompanyEmail] - A verified email matches the current company.
+ * @returns {{score: number, checklist: Array<Object>, missing: string[]}}
+ */
+export function computeProfileCompleteness(profile, context = {}) {
+  const checklist = COMPLETENESS_SECTIONS.map(({ section, label, weight, hint, isComplete }) => {
+    const complete = isComplete(profile, context);
+    return {
+      section,
+      label,
+      weight,
+      complete,
+      hint: complete ? null : hint
+    };
+  });
+
+  return {
+    score: checklist.reduce((total, item) => total + (item.complete ? item.weight : 0), 0),
+    checklist,
+    missing: checklist.filter(item => !item.complete).map(item => item.section)
+  };
+}
+
+/**
+ * Compute completeness for several profiles, loading the resume facts for all of them in one query.
+ * @param {Object[]} profiles - Plain profile objects.
+ * @returns {Promise<Map<string, {score: number, checklist: Array<Object>, missing: string[]}>>} Keyed by userId.
+ */
+export async function getProfilesCompleteness(profiles) {
+  const defaultResumeIds = profiles.map(profile => profile.defaultResume).filter(Boolean);
+
+  const activeResumes = defaultResumeIds.length > 0
+    ? await Resume.find({ resumeId: { $in: defaultResumeIds }, isActive: true }).select('resumeId forUserId').lean()
+    : [];
+
+  const activeResumeIds = new Set(activeResumes.map(resume => resume.resumeId));
+  const completeness = new Map();
+
+  profiles.forEach(profile => {
+    completeness.set(profile.userId, computeProfileCompleteness(profile, {
+      hasDefaultResume: activeResumeIds.has(profile.defaultResume),
+      // The verified-employer badge only stays on the profile while it matches the current company
+      hasVerifiedCompanyEmail: Boolean(profile.verifiedEmployer)
+    }));
+  });
+
+  return completeness;
+}
@@ -0,0 +1,94 @@
+// Profile fields that are bookkeeping rather than profile content, so they are not versioned.
+// publicProfile holds the claimed slug and view counters, which a restore must not roll back.
+// The taxonomy ids are derived from skills, industry and languages on save, and account holds
+// the deactivation and deletion state, which a restore must not undo either. The verification
+// badges are only set by completed verifications.
+export const UNTRACKED_PROFILE_FIELDS = [
+  '_id', '__v', 'id', 'userId', 'createdAt', 'updatedAt', 'searchFields', 'searchTrigrams', 'publicProfile',
+  'skillIds', 'industryId', 'languageIds', 'account', 'verifiedEmployer', 'verifiedEmail', 'verifiedPhone'
+];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Convert dates, ObjectIds and mongoose documents to their JSON form so values compare structurally
+const toComparable = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+// Arrays of subdocuments are diffed entry by entry, keyed by _id
+const isSubdocumentArray = (value) => Array.isArray(value) && value.length > 0 && value.every(item => isPlainObject(item) && item._id);
+
+// Missing, null and empty-array values are all treated as "no value"
+const isEmpty = (value) => value === undefined || value === null || (Array.isArray(value) && value.length === 0);
+
+/**
+ * Capture the versioned content of a profile as a plain JSON object.
+ * @param {Object} profile - Mongoose document or plain profile object.
+ * @returns {Object}
+ */
+export function toRevisionSnapshot(profile) {
+  const plain = toComparable(typeof profile.toObject === 'function' ? profile.toObject() : profile);
+  UNTRACKED_PROFILE_FIELDS.forEach(field => delete plain[field]);
+  return plain;
+}
+
+function diffValues(before, after, path, changes) {
+  if (isEmpty(before) && isEmpty(after)) return;
+
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    keys.forEach(key => diffValues(before[key], after[key], path ? `${path}.${key}` : key, changes));
+    return;
+  }
+
+  if ((isSubdocumentArray(before) || isEmpty(before)) &&
+      (isSubdocumentArray(after) || isEmpty(after))) {
+    const beforeItems = new Map((before || []).map(item => [item._id, item]));
+    const afterItems = new Map((after || []).map(item => [item._id, item]));
+
+    beforeItems.forEach((item, id) => {
+      if (afterItems.has(id)) {
+        diffValues(item, afterItems.get(id), `${path}.${id}`, changes);
+      } else {
+        changes.push({ path: `${path}.${id}`, op: 'removed', before: item, after: null });
+      }
+    });
+    afterItems.forEach((item, id) => {
+      if (!beforeItems.has(id)) {
+        changes.push({ path: `${path}.${id}`, op: 'added', before: null, after: item });
+      }
+    });
+
+    const beforeOrder = [...beforeItems.keys()].filter(id => afterItems.has(id));
+    const afterOrder = [...afterItems.keys()].filter(id => beforeItems.has(id));
+    if (beforeOrder.join() !== afterOrder.join()) {
+      changes.push({ path, op: 'reordered', before: beforeOrder, after: afterOrder });
+    }
+    return;
+  }
+
+  if (JSON.stringify(before) === JSON.stringify(after)) return;
+
+  let op = 'changed';
+  if (isEmpty(before)) op = 'added';
+  else if (isEmpty(after)) op = 'removed';
+
+  changes.push({
+    path,
+    op,
+    before: isEmpty(before) ? null : before,
+    after: isEmpty(after) ? null : after
+  });
+}
+
+/**
+ * Field-level diff between two profile states.
+ * Nested objects are compared field by field and subdocument arrays (experience,
+ * education, ...) entry by entry using their _id, e.g. "experience.<id>.title".
+ * @param {Object} before - Earlier profile state (document, plain object or snapshot).
+ * @param {Object} after - Later profile state.
+ * @returns {Array<{path: string, op: 'added'|'removed'|'changed'|'reordered', before: *, after: *}>}
+ */
+export function diffProfiles(before, after) {
+  const changes = [];
+  diffValues(toRevisionSnapshot(before || {}), toRevisionSnapshot(after || {}), '', changes);
+  return changes;
+}
@@ -0,0 +1,79 @@
+import ProfileEditProposal from '../models/ProfileEditProposal.js';
+import { getForbiddenFields } from './profileAccess.js';
+import { diffProfiles, toRevisionSnapshot } from './profileDiff.js';
+import { saveProfileWithRevision } from './profileRevisions.js';
+
+const pick = (snapshot, fields) => Object.fromEntries(fields.map(field => [field, snapshot?.[field]]));
+
+/**
+ * Top-level profile fields that differ between two snapshots.
+ * @param {Object} before - Snapshot before the edit.
+ * @param {Object} after - Snapshot after the edit.
+ * @returns {string[]}
+ */
+export function getChangedFields(before, after) {
+  return [...new Set(diffProfiles(before, after).map(change => change.path.split('.')[0]))];
+}
+
+/**
+ * Persist an edit made to a profile document in memory.
+ * Owners and admins save directly and the change is recorded as a revision. Career agent
+ * edits are not saved; they become a pending proposal for the candidate to approve.
+ * @param {Object} userProfile - Modified (unsaved) mongoose profile document.
+ * @param {Object} before - toRevisionSnapshot() taken before the modification.
+ * @param {Object} editor - Result of resolveProfileEditor().
+ * @returns {Promise<{forbiddenFields?: string[], proposal?: Object}>}
+ *   forbiddenFields when the editor changed fields they may not edit, proposal for career agent edits.
+ */
+export async function commitProfileEdit(userProfile, before, editor) {
+  if (editor.role !== 'careerAgent') {
+    await saveProfileWithRevision(userProfile, before, editor);
+    return {};
+  }
+
+  const after = toRevisionSnapshot(userProfile);
+  const fields = getChangedFields(before, after);
+  if (fields.length === 0) return {};
+
+  const forbiddenFields = getForbiddenFields(editor, fields);
+  if (forbiddenFields.length > 0) return { forbiddenFields };
+
+  // Proposals are validated up front so the candidate is never asked to approve an invalid edit
+  await userProfile.validate();
+
+  const proposal = await ProfileEditProposal.create({
+    userId: userProfile.userId,
+    careerAgentId: editor.userId,
+    updates: pick(after, fields),
+    base: pick(before, fields),
+    changes: diffProfiles(pick(before, fields), pick(after, fields))
+  });
+
+  return { proposal };
+}
+
+/**
+ * Apply an approved career agent proposal to the candidate's profile.
+ * Fields the candidate changed since the proposal was made are reported as conflicts
+ * and nothing is applied.
+ * @param {Object} proposal - Pending ProfileEditProposal document.
+ * @param {Object} userProfile - Candidate's mongoose profile document.
+ * @returns {Promise<{conflicts?: string[]}>}
+ */
+export async function applyProfileEditProposal(proposal, userProfile) {
+  const before = toRevisionSnapshot(userProfile);
+  const fields = Object.keys(proposal.updates);
+
+  const conflicts = fields.filter(field =>
+    diffProfiles({ [field]: proposal.base?.[field] }, { [field]: before[field] }).length > 0
+  );
+  if (conflicts.length > 0) return { conflicts };
+
+  fields.forEach(field => userProfile.set(field, proposal.updates[field]));
+  await saveProfileWithRevision(userProfile, before, {
+    userId: proposal.careerAgentId,
+    role: 'careerAgent'
+  }, { proposalId: proposal.proposalId });
+
+  return {};
+}
@@ -0,0 +1,155 @@
+// Single-value profile fields an import can fill in, with their maximum lengths
+export const IMPORT_FIELDS = {
+  firstName: 100,
+  lastName: 100,
+  headline: 200,
+  summary: 2000,
+  industry: 100,
+  location: null
+};
+
+// List sections an import can add to, with the fields that identify a duplicate entry
+export const IMPORT_SECTIONS = {
+  experience: entry => [entry.company, entry.title, monthKey(entry.startDate)],
+  education: entry => [entry.school, entry.degree],
+  certifications: entry => [entry.name, entry.organization],
+  skills: entry => [entry],
+  languages: entry => [entry]
+};
+
+// How an imported section is combined with the profile
+export const IMPORT_SECTION_MODES = ['merge', 'replace', 'skip'];
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const normalize = (value) => (value == null ? '' : String(value).trim().toLowerCase().replace(/\s+/g, ' '));
+
+function monthKey(date) {
+  const time = date ? new Date(date).getTime() : NaN;
+  return Number.isNaN(time) ? '' : new Date(time).toISOString().slice(0, 7);
+}
+
+/**
+ * Trim a string and cut it to a maximum length, returning undefined for empty values.
+ * @param {*} value
+ * @param {number} [maxLength]
+ * @returns {string|undefined}
+ */
+export function clip(value, maxLength) {
+  if (value == null) return undefined;
+  const text = String(value).trim();
+  if (!text) return undefined;
+  return maxLength && text.length > maxLength ? text.slice(0, maxLength).trim() : text;
+}
+
+/**
+ * Parse the partial dates used by data exports: "2021-03-15", "2021-03", "2021", "Mar 2021".
+ * @param {string} value
+ * @returns {Date|undefined} First day of the period, in UTC.
+ */
+export function parseImportDate(value) {
+  const text = clip(value);
+  if (!text) return undefined;
+
+  const iso = text.match(/^(\d{4})(?:-(\d{1,2}))?(?:-(\d{1,2}))?/);
+  if (iso) {
+    return new Date(Date.UTC(Number(iso[1]), Number(iso[2] || 1) - 1, Number(iso[3] || 1)));
+  }
+  const monthYear = text.match(/^([A-Za-z]{3})[a-z]*\.?\s+(\d{4})$/);
+  if (monthYear && MONTHS.includes(monthYear[1].toLowerCase())) {
+    return new Date(Date.UTC(Number(monthYear[2]), MONTHS.indexOf(monthYear[1].toLowerCase()), 1));
+  }
+  return undefined;
+}
+
+// Key identifying an entry of a section, so re-importing the same data does not duplicate it
+const entryKey = (section, entry) => IMPORT_SECTIONS[section](entry).map(normalize).join('|');
+
+const plain = (value) => (value && typeof value.toObject === 'function' ? value.toObject() : value);
+
+// Comparable form of a single-value field; locations compare by place, not by derived coordinates
+const fieldKey = (field, value) => (field === 'location'
+  ? [value?.city, value?.region, value?.country].map(normalize).join('|')
+  : normalize(value));
+
+/**
+ * Compare imported data with the current profile, for the user to review before applying.
+ * @param {Object} profile - Current profile (document or plain object).
+ * @param {Object} imported - Profile data read from the import.
+ * @returns {{fields: Object[], sections: Object}}
+ *   fields: each imported single-value field with its current value;
+ *   sections: per section, the imported entries flagged as duplicates of existing ones.
+ */
+export function buildImportPreview(profile, imported) {
+  const fields = Object.keys(IMPORT_FIELDS)
+    .filter(field => imported[field] !== undefined)
+    .map(field => {
+      const current = plain(profile[field]);
+      return {
+        field,
+        current,
+        imported: imported[field],
+        changed: fieldKey(field, current) !== fieldKey(field, imported[field])
+      };
+    });
+
+  const sections = Object.fromEntries(Object.keys(IMPORT_SECTIONS)
+    .filter(section => imported[section]?.length > 0)
+    .map(section => {
+      const existingKeys = new Set((profile[section] || []).map(entry => entryKey(section, plain(entry))));
+      return [section, {
+        currentCount: (profile[section] || []).length,
+        entries: imported[section].map(entry => ({ entry, duplicate: existingKeys.has(entryKey(section, entry)) }))
+      }];
+    }));
+
+  return { fields, sections };
+}
+
+/**
+ * Apply imported data to a profile document in memory; the caller saves it.
+ * By default single-value fields are only filled in where the profile has none, and sections are
+ * merged, adding the imported entries that are not already on the profile.
+ * @param {Object} userProfile - Mongoose profile document.
+ * @param {Object} imported - Profile data read from the import.
+ * @param {Object} [choices]
+ * @param {string[]} [choices.overwriteFields] - Fields to take from the import even when already set.
+ * @param {Object<string, string>} [choices.sections] - Section -> merge, replace or skip.
+ * @returns {string[]} Fields and sections that were changed.
+ */
+export function applyProfileImport(userProfile, imported, { overwriteFields = [], sections = {} } = {}) {
+  const applied = [];
+
+  Object.keys(IMPORT_FIELDS).forEach(field => {
+    if (imported[field] === undefined) return;
+    const current = plain(userProfile[field]);
+    const isEmpty = current == null || current === '' || (field === 'location' && !current.city && !current.country);
+    if (isEmpty || overwriteFields.includes(field)) {
+      userProfile.set(field, imported[field]);
+      applied.push(field);
+    }
+  });
+
+  Object.keys(IMPORT_SECTIONS).forEach(section => {
+    const mode = sections[section] || 'merge';
+    const entries = imported[section] || [];
+    if (mode === 'skip' || entries.length === 0) return;
+
+    if (mode === 'replace') {
+      userProfile.set(section, entries);
+    } else {
+      const seen = new Set((userProfile[section] || []).map(entry => entryKey(section, plain(entry))));
+      const additions = entries.filter(entry => {
+        const key = entryKey(section, entry);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+      if (additions.length === 0) return;
+      userProfile.set(section, [...(userProfile[section] || []).map(plain), ...additions]);
+    }
+    applied.push(section);
+  });
+
+  return applied;
+}
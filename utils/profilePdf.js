@@ -0,0 +1,117 @@
+import { createPdfDocument } from './pdfDocument.js';
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const formatMonth = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? `${MONTHS[date.getUTCMonth()]} ${date.getUTCFullYear()}` : '';
+};
+
+// "Mar 2019 – Present", "2015 – 2019" style period of an entry
+function formatPeriod(startDate, endDate, current) {
+  const start = formatMonth(startDate);
+  const end = current ? 'Present' : formatMonth(endDate);
+  return [start, end].filter(Boolean).join(' – ');
+}
+
+const joinParts = (...parts) => parts.filter(Boolean).join(' · ');
+
+/**
+ * Render a profile as a PDF CV.
+ * The profile should already be filtered for the viewer; hidden sections are simply absent.
+ * @param {Object} profile - Plain profile object.
+ * @returns {Buffer} PDF file contents.
+ */
+export function toPdfCv(profile) {
+  const fullName = [profile.firstName, profile.lastName].filter(Boolean).join(' ');
+  const document = createPdfDocument({ title: fullName });
+  const contactInfo = profile.contactInfo || {};
+  const location = profile.location || {};
+
+  document.text(fullName, { size: 22, font: 'bold' });
+  if (profile.headline) document.text(profile.headline, { size: 12, gray: 0.25 });
+  const contactLine = joinParts(
+    [location.city, location.region, location.country].filter(Boolean).join(', '),
+    contactInfo.email,
+    contactInfo.phone,
+    ...(contactInfo.websites || [])
+  );
+  if (contactLine) document.text(contactLine, { size: 9, gray: 0.4 });
+
+  const section = (heading, render) => {
+    document.gap(10);
+    document.ensureSpace(40); // keep a heading with the start of its section
+    document.text(heading.toUpperCase(), { size: 11, font: 'bold' });
+    document.rule();
+    document.gap(2);
+    render();
+  };
+
+  const entries = (items, describe) => {
+    items.forEach(item => {
+      const { title, meta, description } = describe(item);
+      document.ensureSpace(30);
+      document.gap(4);
+      if (title) document.text(title, { size: 10.5, font: 'bold' });
+      if (meta) document.text(meta, { size: 9, gray: 0.4 });
+      if (description) document.text(description, { size: 9.5 });
+    });
+  };
+
+  if (profile.summary) {
+    section('Summary', () => document.text(profile.summary, { size: 10 }));
+  }
+
+  if (profile.experience?.length > 0) {
+    section('Experience', () => entries(profile.experience, entry => ({
+      title: joinParts(entry.title, entry.company),
+      meta: joinParts(formatPeriod(entry.startDate, entry.endDate, entry.current), entry.location),
+      description: entry.description
+    })));
+  }
+
+  if (profile.education?.length > 0) {
+    section('Education', () => entries(profile.education, entry => ({
+      title: entry.school,
+      meta: joinParts([entry.degree, entry.fieldOfStudy].filter(Boolean).join(', '), formatPeriod(entry.startDate, entry.endDate)),
+      description: entry.description
+    })));
+  }
+
+  if (profile.skills?.length > 0) {
+    section('Skills', () => document.text(profile.skills.join(', '), { size: 10 }));
+  }
+
+  if (profile.languages?.length > 0) {
+    section('Languages', () => document.text(profile.languages.join(', '), { size: 10 }));
+  }
+
+  if (profile.certifications?.length > 0) {
+    section('Certifications', () => entries(profile.certifications, entry => ({
+      title: entry.name,
+      meta: joinParts(
+        entry.organization,
+        formatMonth(entry.issueDate) && `Issued ${formatMonth(entry.issueDate)}`,
+        formatMonth(entry.expirationDate) && `Expires ${formatMonth(entry.expirationDate)}`,
+        entry.credentialId && `Credential ID ${entry.credentialId}`
+      )
+    })));
+  }
+
+  if (profile.publications?.length > 0) {
+    section('Publications', () => entries(profile.publications, entry => ({
+      title: entry.title,
+      meta: joinParts(entry.publisher, formatMonth(entry.publicationDate), entry.url)
+    })));
+  }
+
+  if (profile.volunteerExperience?.length > 0) {
+    section('Volunteering', () => entries(profile.volunteerExperience, entry => ({
+      title: joinParts(entry.role, entry.organization),
+      meta: formatPeriod(entry.startDate, entry.endDate),
+      description: entry.description
+    })));
+  }
+
+  return document.toBuffer();
+}
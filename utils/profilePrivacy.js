@@ -0,0 +1,105 @@
+import Connection from '../models/Connection.js';
+import { DEFAULT_SECTION_VISIBILITY, PROFILE_PRIVACY_SECTIONS } from '../models/UserProfile.js';
+
+// Visibility levels each viewer relationship is allowed to see
+const VISIBLE_LEVELS_BY_RELATIONSHIP = {
+  self: ['public', 'connections', 'careerAgent', 'private'],
+  admin: ['public', 'connections', 'careerAgent', 'private'],
+  careerAgent: ['public', 'connections', 'careerAgent'],
+  connection: ['public', 'connections'],
+  none: ['public']
+};
+
+// Resolve how the viewer relates to each of the given profile owners.
+// Returns a Map of ownerId -> 'self' | 'admin' | 'careerAgent' | 'connection' | 'none'.
+export async function getViewerRelationships(viewer, ownerIds) {
+  const viewerId = viewer?.userId;
+  const relationships = new Map(ownerIds.map(ownerId => [ownerId, 'none']));
+
+  if (viewer?.role === 'admin') {
+    ownerIds.forEach(ownerId => relationships.set(ownerId, 'admin'));
+    return relationships;
+  }
+  if (!viewerId) return relationships;
+
+  const otherIds = ownerIds.filter(ownerId => ownerId !== viewerId);
+  if (otherIds.length > 0) {
+    const connections = await Connection.find({
+      relationshipStatus: 'active',
+      $or: [
+        { connectionType: 'friend', requestorUserId: viewerId, recipientUserId: { $in: otherIds } },
+        { connectionType: 'friend', recipientUserId: viewerId, requestorUserId: { $in: otherIds } },
+        { connectionType: 'careerAgent', careerAgentId: viewerId, candidateId: { $in: otherIds } },
+        { connectionType: 'careerAgent', candidateId: viewerId, careerAgentId: { $in: otherIds } }
+      ]
+    }).select('connectionType careerAgentId candidateId requestorUserId recipientUserId').lean();
+
+    connections.forEach(connection => {
+      if (connection.connectionType === 'careerAgent' && connection.careerAgentId === viewerId) {
+        // The viewer is this owner's career agent
+        relationships.set(connection.candidateId, 'careerAgent');
+        return;
+      }
+      const ownerId = connection.connectionType === 'careerAgent'
+        ? connection.careerAgentId
+        : (connection.requestorUserId === viewerId ? connection.recipientUserId : connection.requestorUserId);
+      if (relationships.get(ownerId) === 'none') {
+        relationships.set(ownerId, 'connection');
+      }
+    });
+  }
+
+  if (relationships.has(viewerId)) {
+    relationships.set(viewerId, 'self');
+  }
+
+  return relationships;
+}
+
+// Resolve how the viewer relates to a single profile owner
+export async function getViewerRelationship(viewer, ownerId) {
+  const relationships = await getViewerRelationships(viewer, [ownerId]);
+  return relationships.get(ownerId);
+}
+
+// Check whether a viewer with the given relationship may see a profile section.
+// Profiles saved before privacy settings existed fall back to the schema defaults.
+export function canViewSection(profile, section, relationship) {
+  const visibility = profile.privacySettings?.[section] || DEFAULT_SECTION_VISIBILITY[section] || 'public';
+  const visibleLevels = VISIBLE_LEVELS_BY_RELATIONSHIP[relationship] || VISIBLE_LEVELS_BY_RELATIONSHIP.none;
+  return visibleLevels.includes(visibility);
+}
+
+// Return a copy of a plain profile object with the sections hidden from the viewer removed.
+// Privacy settings themselves are only returned to the owner and admins.
+export function filterProfileForViewer(profile, relationship) {
+  const filtered = { ...profile };
+  if (profile.contactInfo) {
+    filtered.contactInfo = { ...profile.contactInfo };
+  }
+
+  Object.entries(PROFILE_PRIVACY_SECTIONS).forEach(([section, fields]) => {
+    if (canViewSection(profile, section, relationship)) return;
+    fields.forEach(field => {
+      const [parent, child] = field.split('.');
+      if (child) {
+        if (filtered[parent]) delete filtered[parent][child];
+      } else {
+        delete filtered[parent];
+      }
+    });
+  });
+
+  if (relationship !== 'self' && relationship !== 'admin') {
+    delete filtered.privacySettings;
+    delete filtered.anonymousBrowsing;
+    delete filtered.account;
+    // Others only learn the slug of a published public page, not its settings or view counts
+    delete filtered.publicProfile;
+    if (profile.publicProfile?.enabled && profile.publicProfile.slug) {
+      filtered.publicProfile = { slug: profile.publicProfile.slug };
+    }
+  }
+
+  return filtered;
+}
@@ -0,0 +1,30 @@
+import ProfileRevision from '../models/ProfileRevision.js';
+import { toRevisionSnapshot } from './profileDiff.js';
+
+/**
+ * Save a profile and record the change as a revision.
+ * The profile change is already committed when the revision is written, so a failure
+ * to record it is logged rather than failing the request.
+ * @param {Object} userProfile - Modified mongoose profile document.
+ * @param {Object|null} before - toRevisionSnapshot() taken before the modification, null for new profiles.
+ * @param {{userId: string, role: string}} editor - Who made the change and in which role.
+ * @param {Object} [options] - Extra revision fields (action, restoredFrom).
+ * @returns {Promise<Object>} The saved profile.
+ */
+export async function saveProfileWithRevision(userProfile, before, editor, options = {}) {
+  await userProfile.save();
+
+  try {
+    await ProfileRevision.record({
+      userId: userProfile.userId,
+      before,
+      after: toRevisionSnapshot(userProfile),
+      editor,
+      ...options
+    });
+  } catch (error) {
+    console.error('Error recording profile revision:', error);
+  }
+
+  return userProfile;
+}
@@ -0,0 +1,99 @@
+// Sources of a profile's search fields, with the privacy section each belongs to (names and the
+// headline are always public). Only sections the owner made public are searchable, so a profile's
+// appearance in results never reveals a hidden section. `trigrams` marks the short fields that
+// also feed the typo-tolerant trigram index.
+const SEARCH_FIELD_SOURCES = {
+  names: { values: profile => [profile.firstName, profile.lastName], trigrams: true },
+  headline: { values: profile => [profile.headline], trigrams: true },
+  company: { section: 'company', values: profile => [profile.company], trigrams: true },
+  industry: { section: 'industry', values: profile => [profile.industry], trigrams: true },
+  skills: { section: 'skills', values: profile => profile.skills || [], trigrams: true },
+  summary: { section: 'summary', values: profile => [profile.summary] },
+  experienceTitles: { section: 'experience', values: profile => (profile.experience || []).map(entry => entry.title), trigrams: true },
+  experienceCompanies: { section: 'experience', values: profile => (profile.experience || []).map(entry => entry.company), trigrams: true },
+  experienceDescriptions: { section: 'experience', values: profile => (profile.experience || []).map(entry => entry.description) },
+  schools: { section: 'education', values: profile => (profile.education || []).map(entry => entry.school), trigrams: true },
+  degrees: { section: 'education', values: profile => (profile.education || []).map(entry => entry.degree), trigrams: true },
+  fieldsOfStudy: { section: 'education', values: profile => (profile.education || []).map(entry => entry.fieldOfStudy), trigrams: true }
+};
+
+// Profile paths the search fields are built from
+export const SEARCH_SOURCE_PATHS = [
+  'firstName', 'lastName', 'headline', 'company', 'industry', 'skills', 'summary', 'experience', 'education', 'privacySettings'
+];
+
+// Minimum share of the query's trigrams a profile must contain to count as a fuzzy match
+export const FUZZY_MATCH_THRESHOLD = 0.3;
+
+// Split text into lowercase words made of letters and digits
+export function tokenize(text) {
+  if (typeof text !== 'string') return [];
+  return text
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '') // drop accents
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+// Trigrams of a single word, padded the same way as PostgreSQL's pg_trgm ("  j", " jo", ..., "hn ")
+function wordTrigrams(word) {
+  const padded = `  ${word} `;
+  const trigrams = [];
+  for (let i = 0; i < padded.length - 2; i++) {
+    trigrams.push(padded.slice(i, i + 3));
+  }
+  return trigrams;
+}
+
+// Distinct trigrams of every word in the text
+export function textTrigrams(text) {
+  return [...new Set(tokenize(text).flatMap(wordTrigrams))];
+}
+
+// Whether a profile section is visible to everyone; sections without a setting use the default
+function isSectionPublic(profile, section, defaultVisibility) {
+  return (profile.privacySettings?.[section] || defaultVisibility[section] || 'public') === 'public';
+}
+
+/**
+ * Build the text a profile can be found by: the full-text search fields and the trigrams for
+ * typo-tolerant search, both taken only from sections that are publicly visible.
+ * @param {Object} profile
+ * @param {Object} [defaultVisibility] - Visibility of sections without a privacy setting.
+ * @returns {{searchFields: Object<string, string[]>, searchTrigrams: string[]}}
+ */
+export function buildProfileSearchIndex(profile, defaultVisibility = {}) {
+  const searchFields = {};
+  const trigramValues = [];
+  for (const [field, { section, values, trigrams }] of Object.entries(SEARCH_FIELD_SOURCES)) {
+    const visible = !section || isSectionPublic(profile, section, defaultVisibility);
+    searchFields[field] = visible ? values(profile).filter(value => typeof value === 'string' && value.trim()) : [];
+    if (trigrams) trigramValues.push(...searchFields[field]);
+  }
+  return {
+    searchFields,
+    searchTrigrams: [...new Set(trigramValues.flatMap(textTrigrams))]
+  };
+}
+
+// Match condition limiting a filter or facet to profiles where the section is publicly visible
+export function publiclyVisible(section) {
+  return { [`privacySettings.${section}`]: { $in: [null, 'public'] } };
+}
+
+// $facet sub-pipeline counting the most common values of a (possibly array) field
+export function facetStages(field, section, limit) {
+  const stages = [{ $match: publiclyVisible(section) }];
+  if (field === 'skills' || field === 'languages') {
+    stages.push({ $unwind: `$${field}` });
+  }
+  stages.push(
+    { $match: { [field]: { $nin: [null, ''] } } },
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: limit },
+    { $project: { _id: 0, value: '$_id', count: 1 } }
+  );
+  return stages;
+}
@@ -0,0 +1,149 @@
+import ProfileView from '../models/ProfileView.js';
+import UserProfile from '../models/UserProfile.js';
+import { canViewSection } from './profilePrivacy.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Record a view of a profile. Every call records a view; repeat viewers are only counted once
+ * in the unique viewer totals.
+ * Views without a signed-in viewer, or by viewers who browse anonymously, are stored
+ * without anything identifying the viewer. The viewer's industry and company are only kept
+ * when the viewer shows them publicly, since they end up in the viewed user's analytics.
+ * @param {Object} params
+ * @param {string} params.profileUserId - Owner of the viewed profile.
+ * @param {string} [params.viewerId] - Signed-in viewer, if any.
+ * @param {string} [params.source='profile'] - One of PROFILE_VIEW_SOURCES.
+ * @returns {Promise<Object>} The recorded view.
+ */
+export async function recordProfileView({ profileUserId, viewerId, source = 'profile' }) {
+  if (!viewerId) {
+    return ProfileView.create({ profileUserId, anonymous: true, source });
+  }
+
+  const viewer = await UserProfile.findOne({ userId: viewerId })
+    .select('industry company anonymousBrowsing privacySettings')
+    .lean();
+  if (viewer?.anonymousBrowsing) {
+    return ProfileView.create({ profileUserId, anonymous: true, source });
+  }
+
+  return ProfileView.create({
+    profileUserId,
+    viewerId,
+    viewerIndustry: viewer && canViewSection(viewer, 'industry', 'none') ? viewer.industry : undefined,
+    viewerCompany: viewer && canViewSection(viewer, 'company', 'none') ? viewer.company : undefined,
+    source
+  });
+}
+
+// Start of the UTC day, or of the UTC week starting on Monday, containing the date
+function startOfPeriod(date, period) {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (period === 'week') {
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  }
+  return start;
+}
+
+// Top values of a viewer attribute, skipping views where it is unknown
+const topValuesStages = (field, limit) => [
+  { $match: { [field]: { $nin: [null, ''] } } },
+  { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+  { $sort: { count: -1, _id: 1 } },
+  { $limit: limit },
+  { $project: { _id: 0, value: '$_id', count: 1 } }
+];
+
+/**
+ * Aggregate the views of a profile over a recent time window.
+ * @param {string} profileUserId - Owner of the profile.
+ * @param {Object} [options]
+ * @param {'day'|'week'} [options.period='day'] - Bucket size of the time series.
+ * @param {number} [options.days=30] - Length of the window in days.
+ * @param {number} [options.topLimit=5] - Number of top industries and companies.
+ * @returns {Promise<Object>} totals, a gap-free time series, top viewer industries and companies, and views per source.
+ */
+export async function getProfileViewAnalytics(profileUserId, { period = 'day', days = 30, topLimit = 5 } = {}) {
+  const now = new Date();
+  const since = startOfPeriod(new Date(now.getTime() - (days - 1) * DAY_MS), period);
+
+  const [result] = await ProfileView.aggregate([
+    { $match: { profileUserId, viewedAt: { $gte: since } } },
+    {
+      $facet: {
+        totals: [
+          {
+            $group: {
+              _id: null,
+              views: { $sum: 1 },
+              anonymousViews: { $sum: { $cond: ['$anonymous', 1, 0] } },
+              viewers: { $addToSet: '$viewerId' }
+            }
+          }
+        ],
+        series: [
+          {
+            $group: {
+              _id: { $dateTrunc: { date: '$viewedAt', unit: period, startOfWeek: 'monday', timezone: 'UTC' } },
+              views: { $sum: 1 }
+            }
+          }
+        ],
+        industries: topValuesStages('viewerIndustry', topLimit),
+        companies: topValuesStages('viewerCompany', topLimit),
+        sources: [
+          { $group: { _id: '$source', count: { $sum: 1 } } },
+          { $sort: { count: -1 } },
+          { $project: { _id: 0, source: '$_id', count: 1 } }
+        ]
+      }
+    }
+  ]);
+
+  const totals = result.totals[0];
+  const viewsByPeriod = new Map(result.series.map(bucket => [bucket._id.getTime(), bucket.views]));
+
+  // Fill periods without views so the series can be charted directly
+  const series = [];
+  for (let cursor = since; cursor <= now; cursor = new Date(cursor.getTime() + (period === 'week' ? 7 : 1) * DAY_MS)) {
+    series.push({ periodStart: cursor, views: viewsByPeriod.get(cursor.getTime()) || 0 });
+  }
+
+  return {
+    period,
+    since,
+    totalViews: totals?.views || 0,
+    uniqueViewers: totals ? totals.viewers.filter(Boolean).length : 0,
+    anonymousViews: totals?.anonymousViews || 0,
+    series,
+    topIndustries: result.industries,
+    topCompanies: result.companies,
+    sources: result.sources
+  };
+}
+
+/**
+ * Most recent identified viewers of a profile, one entry per viewer.
+ * @param {string} profileUserId - Owner of the profile.
+ * @param {Object} [options]
+ * @param {number} [options.limit=20]
+ * @returns {Promise<Array<{viewerId: string, lastViewedAt: Date, views: number, source: string}>>}
+ */
+export async function getRecentViewers(profileUserId, { limit = 20 } = {}) {
+  return ProfileView.aggregate([
+    { $match: { profileUserId, anonymous: false, viewerId: { $ne: null } } },
+    { $sort: { viewedAt: -1 } },
+    {
+      $group: {
+        _id: '$viewerId',
+        lastViewedAt: { $first: '$viewedAt' },
+        source: { $first: '$source' },
+        views: { $sum: 1 }
+      }
+    },
+    { $sort: { lastViewedAt: -1 } },
+    { $limit: limit },
+    { $project: { _id: 0, viewerId: '$_id', lastViewedAt: 1, source: 1, views: 1 } }
+  ]);
+}
@@ -0,0 +1,109 @@
+import SkillEndorsement from '../models/SkillEndorsement.js';
+import UserProfile from '../models/UserProfile.js';
+
+// Profile fields shown for an endorser
+const ENDORSER_FIELDS = 'userId firstName lastName headline profilePictureUrl';
+
+/**
+ * Normalize a skill name for matching endorsements to profile skills.
+ * @param {string} skill
+ * @returns {string}
+ */
+export function normalizeSkillKey(skill) {
+  return skill.trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Find the profile skill matching a requested skill name, ignoring case and spacing.
+ * @param {string[]} skills - Skills on the profile.
+ * @param {string} skill - Requested skill name.
+ * @returns {string|undefined}
+ */
+export function findProfileSkill(skills, skill) {
+  const skillKey = normalizeSkillKey(skill);
+  return (skills || []).find(profileSkill => normalizeSkillKey(profileSkill) === skillKey);
+}
+
+const toEndorser = (profile) => ({
+  userId: profile.userId,
+  name: `${profile.firstName} ${profile.lastName}`,
+  headline: profile.headline,
+  avatar: profile.profilePictureUrl
+});
+
+/**
+ * Summarize the endorsements of each skill on a profile.
+ * Top endorsers are the people who endorsed the most of the owner's skills, most recent first on ties.
+ * @param {string} userId - Owner of the skills.
+ * @param {string[]} skills - Skills on the profile, in display order.
+ * @param {Object} [options]
+ * @param {string} [options.viewerId] - Current user, to flag the skills they endorsed.
+ * @param {number} [options.topEndorsers=3] - Number of top endorsers per skill.
+ * @returns {Promise<Array<{skill: string, count: number, endorsedByViewer: boolean, topEndorsers: Object[]}>>}
+ */
+export async function getSkillEndorsementSummary(userId, skills, { viewerId, topEndorsers = 3 } = {}) {
+  if (!skills || skills.length === 0) return [];
+
+  const skillKeys = skills.map(normalizeSkillKey);
+  const endorsements = await SkillEndorsement.find({ userId, skillKey: { $in: skillKeys } })
+    .select('skillKey endorserId createdAt')
+    .sort({ createdAt: -1 })
+    .lean();
+
+  // How many of the owner's skills each endorser vouched for
+  const endorserWeight = new Map();
+  endorsements.forEach(({ endorserId }) => endorserWeight.set(endorserId, (endorserWeight.get(endorserId) || 0) + 1));
+
+  const endorsersBySkill = new Map(skillKeys.map(key => [key, []]));
+  endorsements.forEach(({ skillKey, endorserId }) => endorsersBySkill.get(skillKey).push(endorserId));
+
+  const topIdsBySkill = new Map([...endorsersBySkill].map(([key, endorserIds]) => [
+    key,
+    [...endorserIds]
+      .sort((a, b) => endorserWeight.get(b) - endorserWeight.get(a))
+      .slice(0, topEndorsers)
+  ]));
+
+  const profileIds = [...new Set([...topIdsBySkill.values()].flat())];
+  const profiles = profileIds.length > 0
+    ? await UserProfile.find({ userId: { $in: profileIds } }).select(ENDORSER_FIELDS).lean()
+    : [];
+  const profilesById = new Map(profiles.map(profile => [profile.userId, profile]));
+
+  return skills.map((skill, index) => {
+    const endorserIds = endorsersBySkill.get(skillKeys[index]);
+    return {
+      skill,
+      count: endorserIds.length,
+      endorsedByViewer: Boolean(viewerId) && endorserIds.includes(viewerId),
+      topEndorsers: topIdsBySkill.get(skillKeys[index])
+        .filter(endorserId => profilesById.has(endorserId))
+        .map(endorserId => toEndorser(profilesById.get(endorserId)))
+    };
+  });
+}
+
+/**
+ * List everyone who endorsed one skill, most recent first.
+ * @param {string} userId - Owner of the skill.
+ * @param {string} skill - Skill name.
+ * @returns {Promise<Array<Object>>} Endorser cards with the endorsement date.
+ */
+export async function getSkillEndorsers(userId, skill) {
+  const endorsements = await SkillEndorsement.find({ userId, skillKey: normalizeSkillKey(skill) })
+    .select('endorserId createdAt')
+    .sort({ createdAt: -1 })
+    .lean();
+
+  const profiles = await UserProfile.find({ userId: { $in: endorsements.map(e => e.endorserId) } })
+    .select(ENDORSER_FIELDS)
+    .lean();
+  const profilesById = new Map(profiles.map(profile => [profile.userId, profile]));
+
+  return endorsements
+    .filter(endorsement => profilesById.has(endorsement.endorserId))
+    .map(endorsement => ({
+      ...toEndorser(profilesById.get(endorsement.endorserId)),
+      endorsedAt: endorsement.createdAt
+    }));
+}
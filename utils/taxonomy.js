@@ -0,0 +1,175 @@
+import TaxonomyTerm, { normalizeTermKey } from '../models/TaxonomyTerm.js';
+
+// Profile fields normalized against the taxonomy, with the fields holding their canonical ids
+export const PROFILE_TAXONOMY_FIELDS = {
+  skills: { type: 'skill', idField: 'skillIds' },
+  industry: { type: 'industry', idField: 'industryId', single: true },
+  languages: { type: 'language', idField: 'languageIds' }
+};
+
+// Longest run of words in a search query looked up as a single term, e.g. "machine learning"
+const MAX_TERM_WORDS = 3;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Look up the canonical terms matching free-form values by name or synonym.
+ * @param {string} type - Term type (skill, industry or language).
+ * @param {string[]} values
+ * @returns {Promise<Map<string, Object>>} Normalized value -> matching term.
+ */
+export async function resolveTerms(type, values) {
+  const keys = [...new Set((values || []).filter(Boolean).map(normalizeTermKey))];
+  const resolved = new Map();
+  if (keys.length === 0) return resolved;
+
+  const terms = await TaxonomyTerm.find({ type, keys: { $in: keys } })
+    .select('+keys')
+    .lean();
+  for (const term of terms) {
+    for (const key of term.keys) {
+      if (keys.includes(key) && !resolved.has(key)) resolved.set(key, term);
+    }
+  }
+  return resolved;
+}
+
+/**
+ * Canonical ids of the values that match a term, in order and without duplicates.
+ * @param {string[]} values
+ * @param {Map<string, Object>} resolved - Result of resolveTerms.
+ * @returns {string[]}
+ */
+export function toTermIds(values, resolved) {
+  const ids = (values || [])
+    .filter(Boolean)
+    .map(value => resolved.get(normalizeTermKey(value))?.termId)
+    .filter(Boolean);
+  return [...new Set(ids)];
+}
+
+/**
+ * Canonical taxonomy ids for a profile's skills, industry and languages, or only the given ones.
+ * Values without a matching term are skipped; the display strings on the profile are left as entered.
+ * @param {Object} profile
+ * @param {string[]} [fields] - Keys of PROFILE_TAXONOMY_FIELDS to resolve; all of them by default.
+ * @returns {Promise<{skillIds: string[], industryId: (string|undefined), languageIds: string[]}>}
+ *   Only the id fields of the resolved fields.
+ */
+export async function resolveProfileTaxonomy(profile, fields = Object.keys(PROFILE_TAXONOMY_FIELDS)) {
+  const resolved = await Promise.all(fields.map(async field => {
+    const { type, idField, single } = PROFILE_TAXONOMY_FIELDS[field];
+    const values = single ? [profile[field]] : profile[field];
+    const ids = toTermIds(values, await resolveTerms(type, values));
+    return [idField, single ? ids[0] : ids];
+  }));
+  return Object.fromEntries(resolved);
+}
+
+/**
+ * Expand each value with the canonical name and synonyms of its term.
+ * Values without a term expand to themselves.
+ * @param {string} type - Term type (skill, industry or language).
+ * @param {string[]} values
+ * @returns {Promise<Map<string, {termId: (string|undefined), names: string[]}>>} Original value -> expansion.
+ */
+export async function expandSynonyms(type, values) {
+  const resolved = await resolveTerms(type, values);
+  const expanded = new Map();
+  for (const value of (values || []).filter(Boolean)) {
+    const term = resolved.get(normalizeTermKey(value));
+    const names = term ? [value, term.name, ...(term.synonyms || [])] : [value];
+    expanded.set(value, {
+      termId: term?.termId,
+      names: names.filter((name, index) =>
+        names.findIndex(other => normalizeTermKey(other) === normalizeTermKey(name)) === index)
+    });
+  }
+  return expanded;
+}
+
+/**
+ * Build a filter matching profiles that have a value (or, with matchAll, every value) of a
+ * taxonomy-backed field, by canonical id or by any name and synonym of the value's term.
+ * @param {string} field - One of PROFILE_TAXONOMY_FIELDS.
+ * @param {string[]} values
+ * @param {Object} [options]
+ * @param {boolean} [options.matchAll=false]
+ * @returns {Promise<Object>} MongoDB filter.
+ */
+export async function buildTaxonomyFilter(field, values, { matchAll = false } = {}) {
+  const { type, idField } = PROFILE_TAXONOMY_FIELDS[field];
+  const expanded = await expandSynonyms(type, values);
+
+  const namesFilter = (names) => ({
+    [field]: { $in: names.map(name => new RegExp(`^${escapeRegex(name)}$`, 'i')) }
+  });
+  const entries = [...expanded.values()];
+
+  if (matchAll) {
+    return {
+      $and: entries.map(({ termId, names }) => (
+        termId ? { $or: [{ [idField]: termId }, namesFilter(names)] } : namesFilter(names)
+      ))
+    };
+  }
+
+  // Any of the values: merge their ids and names into a single condition
+  const ids = [...new Set(entries.map(entry => entry.termId).filter(Boolean))];
+  const names = entries.flatMap(entry => entry.names);
+  return ids.length > 0 ? { $or: [{ [idField]: { $in: ids } }, namesFilter(names)] } : namesFilter(names);
+}
+
+/**
+ * Append the names and synonyms of any taxonomy terms found in a free-text query,
+ * so that a search for "JS" also finds profiles listing "JavaScript".
+ * @param {string} query
+ * @returns {Promise<string>}
+ */
+export async function expandSearchText(query) {
+  const words = normalizeTermKey(query).split(' ').filter(Boolean);
+  const phrases = [];
+  for (let size = 1; size <= MAX_TERM_WORDS; size++) {
+    for (let start = 0; start + size <= words.length; start++) {
+      phrases.push(words.slice(start, start + size).join(' '));
+    }
+  }
+  if (phrases.length === 0) return query;
+
+  const terms = await TaxonomyTerm.find({ keys: { $in: phrases } }).lean();
+  const additions = terms
+    .flatMap(term => [term.name, ...(term.synonyms || [])])
+    .filter(name => !phrases.includes(normalizeTermKey(name)));
+
+  return additions.length > 0 ? `${query} ${[...new Set(additions)].join(' ')}` : query;
+}
+
+/**
+ * Suggest terms whose name or synonym starts with the typed prefix, most used first.
+ * @param {string} type - Term type (skill, industry or language).
+ * @param {string} prefix
+ * @param {Object} [options]
+ * @param {number} [options.limit=10]
+ * @returns {Promise<Array<{termId: string, name: string, category: (string|undefined), matchedSynonym: (string|undefined)}>>}
+ */
+export async function autocompleteTerms(type, prefix, { limit = 10 } = {}) {
+  const key = normalizeTermKey(prefix);
+  if (!key) return [];
+
+  const terms = await TaxonomyTerm.find({ type, keys: { $regex: `^${escapeRegex(key)}` } })
+    .sort({ usageCount: -1, name: 1 })
+    .limit(limit)
+    .lean();
+
+  return terms.map(term => {
+    const nameMatches = normalizeTermKey(term.name).startsWith(key);
+    return {
+      termId: term.termId,
+      name: term.name,
+      category: term.category,
+      matchedSynonym: nameMatches
+        ? undefined
+        : (term.synonyms || []).find(synonym => normalizeTermKey(synonym).startsWith(key))
+    };
+  });
+}
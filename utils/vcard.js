@@ -0,0 +1,85 @@
+// vCard 4.0 (RFC 6350) lines are folded at 75 octets and end with CRLF
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escape a vCard property value (RFC 6350 section 3.4).
+ * @param {*} value
+ * @returns {string}
+ */
+export function escapeVCardValue(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/,/g, '\\,')
+    .replace(/;/g, '\\;')
+    .replace(/\r\n|\r|\n/g, '\\n');
+}
+
+/**
+ * Fold a content line so no physical line exceeds 75 octets, without splitting a UTF-8 character.
+ * @param {string} line
+ * @returns {string}
+ */
+export function foldVCardLine(line) {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards their length
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+// Structured values (N, ADR) join escaped components with semicolons
+const structured = (components) => components.map(escapeVCardValue).join(';');
+
+/**
+ * Render a profile as a vCard 4.0 contact card.
+ * The profile should already be filtered for the viewer; hidden contact details are simply absent.
+ * @param {Object} profile - Plain profile object.
+ * @param {Object} [options]
+ * @param {string} [options.imageUrl] - Public URL of the profile picture.
+ * @returns {string}
+ */
+export function toVCard(profile, { imageUrl } = {}) {
+  const contactInfo = profile.contactInfo || {};
+  const location = profile.location || {};
+  const fullName = [profile.firstName, profile.lastName].filter(Boolean).join(' ');
+  const currentRole = (profile.experience || []).find(entry => entry.current) || (profile.experience || [])[0];
+  const organization = profile.company || currentRole?.company;
+
+  const lines = ['BEGIN:VCARD', 'VERSION:4.0', `FN:${escapeVCardValue(fullName)}`];
+  lines.push(`N:${structured([profile.lastName, profile.firstName, '', '', ''])}`);
+  if (profile.headline) lines.push(`TITLE:${escapeVCardValue(profile.headline)}`);
+  if (organization) lines.push(`ORG:${escapeVCardValue(organization)}`);
+  if (contactInfo.email) lines.push(`EMAIL;TYPE=work:${escapeVCardValue(contactInfo.email)}`);
+  if (contactInfo.phone) lines.push(`TEL;VALUE=uri;TYPE=cell:tel:${contactInfo.phone.replace(/[^\d+]/g, '')}`);
+  (contactInfo.websites || []).filter(Boolean).forEach(url => {
+    lines.push(`URL:${url}`);
+  });
+  if (location.city || location.region || location.country) {
+    lines.push(`ADR;TYPE=work:${structured(['', '', '', location.city, location.region, '', location.country])}`);
+  }
+  const coordinates = location.geo?.coordinates;
+  if (Array.isArray(coordinates) && coordinates.length === 2) {
+    lines.push(`GEO:geo:${coordinates[1]},${coordinates[0]}`);
+  }
+  if (profile.skills?.length > 0) lines.push(`CATEGORIES:${profile.skills.map(escapeVCardValue).join(',')}`);
+  if (profile.summary) lines.push(`NOTE:${escapeVCardValue(profile.summary)}`);
+  if (imageUrl) lines.push(`PHOTO:${imageUrl}`);
+  if (profile.updatedAt) {
+    lines.push(`REV:${new Date(profile.updatedAt).toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '')}`);
+  }
+  lines.push('END:VCARD');
+
+  return lines.map(foldVCardLine).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,184 @@
+import VerificationUtils from './verificationUtils.js';
+
+// Email providers anyone can sign up with; an address there says nothing about an organization
+export const PERSONAL_EMAIL_DOMAINS = [
+  'gmail.com', 'googlemail.com', 'yahoo.com', 'yahoo.co.in', 'outlook.com', 'hotmail.com', 'live.com',
+  'msn.com', 'icloud.com', 'me.com', 'aol.com', 'proton.me', 'protonmail.com', 'gmx.com', 'mail.com',
+  'yandex.com', 'zoho.com', 'rediffmail.com'
+];
+
+// Badges kept at the top level of the profile
+export const PROFILE_BADGE_FIELDS = ['verifiedEmployer', 'verifiedEmail', 'verifiedPhone'];
+
+// Badges kept on the entries of profile sub-collections, by sub-collection
+export const ENTRY_BADGE_FIELDS = {
+  experience: 'employmentVerification',
+  education: 'schoolVerification',
+  certifications: 'credentialVerification'
+};
+
+// Positions held now: marked current, or without an end date
+const isCurrentPosition = (entry) => Boolean(entry.current) || !entry.endDate;
+
+const sameEmail = (a, b) => Boolean(a && b) && a.trim().toLowerCase() === b.trim().toLowerCase();
+
+const phoneDigits = (phone) => String(phone || '').replace(/\D/g, '').replace(/^0+/, '');
+
+/**
+ * Whether two phone numbers are the same line. Profiles hold free-form numbers, so a number
+ * written without its country code (or with a trunk 0) matches the international form.
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+export function samePhoneNumber(a, b) {
+  const [shorter, longer] = [phoneDigits(a), phoneDigits(b)].sort((x, y) => x.length - y.length);
+  return shorter.length >= 7 && longer.endsWith(shorter);
+}
+
+/**
+ * Whether an email domain belongs to the named company or school, as judged by checkDomainMatch.
+ * Personal email providers never match.
+ * @param {string} name
+ * @param {string} domain
+ * @returns {boolean}
+ */
+export function matchesOrganization(name, domain) {
+  if (!name || !domain || PERSONAL_EMAIL_DOMAINS.includes(domain.toLowerCase())) return false;
+  return VerificationUtils.checkDomainMatch(name, `verify@${domain}`);
+}
+
+// Entries a verification applies to: the one it names, or all of them
+const targetEntries = (entries, entryId) => (entries || [])
+  .filter(entry => !entryId || String(entry._id) === String(entryId));
+
+/**
+ * Record the badge a completed verification earns on the profile:
+ * - companyEmail: verifiedEmployer on the company field and employmentVerification on the
+ *   current positions whose company matches the email's domain (or only the named position)
+ * - personalEmail: verifiedEmail, when the address is the profile's contact email
+ * - phone: verifiedPhone, when the number is the profile's contact phone
+ * - education: schoolVerification on the education entries whose school matches the email's domain
+ * - certification: credentialVerification on the certification, if its credential ID is unchanged
+ * @param {Object} profile - Mongoose profile document; the caller saves it.
+ * @param {Object} verification - Verified Verification record.
+ * @returns {Object|null} Where the badge was recorded, or null when nothing on the profile matched.
+ */
+export function applyVerificationBadge(profile, verification) {
+  const stamp = {
+    verificationId: verification.verificationId,
+    verifiedAt: verification.verifiedAt || new Date()
+  };
+
+  switch (verification.type) {
+    case 'personalEmail': {
+      if (!sameEmail(profile.contactInfo?.email, verification.recipientEmail)) return null;
+      profile.verifiedEmail = { email: verification.recipientEmail, ...stamp };
+      return { verifiedEmail: profile.verifiedEmail };
+    }
+    case 'phone': {
+      if (!samePhoneNumber(profile.contactInfo?.phone, verification.recipientPhone)) return null;
+      profile.verifiedPhone = { phone: verification.recipientPhone, ...stamp };
+      return { verifiedPhone: profile.verifiedPhone };
+    }
+    case 'education': {
+      const domain = VerificationUtils.extractDomain(verification.recipientEmail);
+      const educationIds = [];
+      targetEntries(profile.education, verification.educationId).forEach(entry => {
+        if (!matchesOrganization(entry.school, domain)) return;
+        entry.schoolVerification = { school: entry.school, domain, ...stamp };
+        educationIds.push(String(entry._id));
+      });
+      return educationIds.length > 0 ? { educationIds } : null;
+    }
+    case 'certification': {
+      const [entry] = targetEntries(profile.certifications, verification.certificationId);
+      if (!verification.certificationId || !entry || entry.credentialId !== verification.credentialId) return null;
+      entry.credentialVerification = { credentialId: entry.credentialId, ...stamp };
+      return { certificationIds: [String(entry._id)] };
+    }
+    default: {
+      const domain = VerificationUtils.extractDomain(verification.recipientEmail);
+      const positions = verification.experienceId
+        ? targetEntries(profile.experience, verification.experienceId)
+        : (profile.experience || []).filter(isCurrentPosition);
+      const experienceIds = [];
+      positions.forEach(entry => {
+        if (!matchesOrganization(entry.company, domain)) return;
+        entry.employmentVerification = { company: entry.company, domain, ...stamp };
+        experienceIds.push(String(entry._id));
+      });
+
+      let verifiedEmployer = null;
+      if (matchesOrganization(profile.company, domain)) {
+        profile.verifiedEmployer = { company: profile.company, domain, ...stamp };
+        verifiedEmployer = profile.verifiedEmployer;
+      }
+      return verifiedEmployer || experienceIds.length > 0 ? { verifiedEmployer, experienceIds } : null;
+    }
+  }
+}
+
+/**
+ * Drop badges whose subject has changed since it was verified: the company or school no longer
+ * matches the verified domain, the contact email or phone was replaced, or the credential ID
+ * was edited. Run before the profile is saved.
+ * @param {Object} profile - Mongoose profile document.
+ */
+export function expireVerificationBadges(profile) {
+  if (profile.verifiedEmployer && !matchesOrganization(profile.company, profile.verifiedEmployer.domain)) {
+    profile.verifiedEmployer = undefined;
+  }
+  if (profile.verifiedEmail && !sameEmail(profile.contactInfo?.email, profile.verifiedEmail.email)) {
+    profile.verifiedEmail = undefined;
+  }
+  if (profile.verifiedPhone && !samePhoneNumber(profile.contactInfo?.phone, profile.verifiedPhone.phone)) {
+    profile.verifiedPhone = undefined;
+  }
+  (profile.experience || []).forEach(entry => {
+    if (entry.employmentVerification && !matchesOrganization(entry.company, entry.employmentVerification.domain)) {
+      entry.employmentVerification = undefined;
+    }
+  });
+  (profile.education || []).forEach(entry => {
+    if (entry.schoolVerification && !matchesOrganization(entry.school, entry.schoolVerification.domain)) {
+      entry.schoolVerification = undefined;
+    }
+  });
+  (profile.certifications || []).forEach(entry => {
+    if (entry.credentialVerification && entry.credentialId !== entry.credentialVerification.credentialId) {
+      entry.credentialVerification = undefined;
+    }
+  });
+}
+
+// Entries from a request lose any badge they were sent with; entries kept by _id carry over the stored one
+function preserveEntryBadges(submitted, current, badgeField) {
+  const stored = new Map((current || [])
+    .filter(entry => entry[badgeField])
+    .map(entry => [String(entry._id), entry[badgeField]]));
+
+  return submitted.map(entry => {
+    if (!entry || typeof entry !== 'object') return entry;
+    const { [badgeField]: sent, ...rest } = entry;
+    const kept = rest._id !== undefined && stored.get(String(rest._id));
+    return kept ? { ...rest, [badgeField]: kept } : rest;
+  });
+}
+
+/**
+ * Keep badges out of client edits: only a completed verification can set them.
+ * @param {Object} data - Profile fields from the request.
+ * @param {Object} [profile] - Stored profile, whose entry badges are kept for entries kept by _id.
+ * @returns {Object} The fields without badges set by the client.
+ */
+export function withoutClientBadges(data, profile = {}) {
+  const fields = { ...data };
+  PROFILE_BADGE_FIELDS.forEach(field => delete fields[field]);
+  Object.entries(ENTRY_BADGE_FIELDS).forEach(([collection, badgeField]) => {
+    if (Array.isArray(fields[collection])) {
+      fields[collection] = preserveEntryBadges(fields[collection], profile[collection], badgeField);
+    }
+  });
+  return fields;
+}
@@ -0,0 +1,68 @@
+import VerificationSend, { VERIFICATION_SEND_RETENTION_SECONDS } from '../models/VerificationSend.js';
+
+// Limits on sending verification codes, per requesting user and per email address or phone number
+export const VERIFICATION_SEND_LIMITS = {
+  userCooldownSeconds: 30,
+  recipientCooldownSeconds: 60,
+  userDailyCap: 20,
+  recipientDailyCap: 5
+};
+
+const DAY_MS = VERIFICATION_SEND_RETENTION_SECONDS * 1000;
+
+// Why the other sends in the window, oldest first, do not allow another one at `now`; null when they do
+const throttleFor = (recipientSends, userSends, now) => {
+  const secondsUntil = (time) => Math.max(1, Math.ceil((time - now.getTime()) / 1000));
+  const checks = [
+    [recipientSends, VERIFICATION_SEND_LIMITS.recipientCooldownSeconds, VERIFICATION_SEND_LIMITS.recipientDailyCap, 'to this recipient'],
+    [userSends, VERIFICATION_SEND_LIMITS.userCooldownSeconds, VERIFICATION_SEND_LIMITS.userDailyCap, 'for this user']
+  ];
+  for (const [sends, cooldownSeconds, dailyCap, scope] of checks) {
+    if (sends.length >= dailyCap) {
+      return {
+        message: `Daily limit of ${dailyCap} verification codes ${scope} reached`,
+        retryAfterSeconds: secondsUntil(sends[sends.length - dailyCap].sentAt.getTime() + DAY_MS)
+      };
+    }
+    const lastSentAt = sends.length > 0 ? sends[sends.length - 1].sentAt.getTime() : 0;
+    if (lastSentAt + cooldownSeconds * 1000 > now.getTime()) {
+      return {
+        message: `Please wait before requesting another verification code ${scope}`,
+        retryAfterSeconds: secondsUntil(lastSentAt + cooldownSeconds * 1000)
+      };
+    }
+  }
+  return null;
+};
+
+/**
+ * Reserve a code send against the cooldowns and daily caps. The send is recorded before the
+ * other sends in the window are counted, so of two concurrent requests the later count always
+ * sees the earlier reservation and they cannot both get past the limits. A reservation over
+ * the limits is removed again.
+ * @param {Object} params
+ * @param {string} params.userId - User the code is sent for.
+ * @param {string} params.recipient - Email address or phone number it is sent to.
+ * @param {string} params.verificationId - Verification the code belongs to.
+ * @param {Date} [params.now]
+ * @returns {Promise<{message: string, retryAfterSeconds: number}|null>} Why not, or null when reserved.
+ */
+export async function reserveVerificationSend({ userId, recipient, verificationId, now = new Date() }) {
+  const reservation = await VerificationSend.create({ userId, recipient, verificationId, sentAt: now });
+
+  const since = new Date(now.getTime() - DAY_MS);
+  const otherSends = (filter) => VerificationSend.find({ ...filter, _id: { $ne: reservation._id }, sentAt: { $gt: since } })
+    .sort({ sentAt: 1 })
+    .select('sentAt')
+    .lean();
+  const [recipientSends, userSends] = await Promise.all([
+    otherSends({ recipient: reservation.recipient }),
+    otherSends({ userId })
+  ]);
+
+  const throttle = throttleFor(recipientSends, userSends, now);
+  if (throttle) {
+    await VerificationSend.deleteOne({ _id: reservation._id });
+  }
+  return throttle;
+}
@@ -1,9 +1,54 @@
 import crypto from 'crypto';
+import { getDomainWithoutSuffix } from 'tldts';
+
+// Words an organization's domain usually leaves out of its name
+const ORGANIZATION_NAME_FILLER = new Set([
+  'inc', 'incorporated', 'ltd', 'limited', 'llc', 'llp', 'plc', 'corp', 'corporation', 'company', 'co',
+  'gmbh', 'ag', 'sa', 'pvt', 'private', 'the', 'and', 'of', 'group', 'holdings',
+  'technologies', 'technology', 'systems', 'solutions', 'services', 'labs',
+  'university', 'college', 'school', 'institute'
+]);
+
+// Shorter names and domain labels are too easy to register or collide with to prove anything
+const MIN_ORGANIZATION_NAME_LENGTH = 3;
 
 class VerificationUtils {
-  // Generate a random 6-digit verification code
+  // Generate a random 6-digit verification code from a CSPRNG (leading zeros included)
   static generateVerificationCode() {
-    return Math.floor(100000 + Math.random() * 900000).toString();
+    return crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+  }
+
+  // Generate a random salt for hashing a verification code
+  static generateCodeSalt() {
+    return crypto.randomBytes(16).toString('hex');
+  }
+
+  // Hash a verification code with its salt; only the hash and salt are stored
+  static hashCode(code, salt) {
+    return crypto.scryptSync(String(code), salt, 32).toString('hex');
+  }
+
+  // Check a submitted code against a stored hash in constant time
+  static codeMatches(code, hash, salt) {
+    if (!hash || !salt) return false;
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(String(code), salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+  }
+
+  // Sign a verification link's token with the server secret, over the record it completes and
+  // the nonce stored on it; replacing or clearing the nonce invalidates the link
+  static signLinkToken(verificationId, nonce) {
+    const secret = process.env.VERIFICATION_LINK_SECRET || process.env.JWT_SECRET || 'your-super-secret-jwt-key';
+    return crypto.createHmac('sha256', secret).update(`${verificationId}.${nonce}`).digest('hex');
+  }
+
+  // Check a verification link's token in constant time
+  static linkTokenMatches(token, verificationId, nonce) {
+    if (!token || !nonce) return false;
+    const expected = Buffer.from(this.signLinkToken(verificationId, nonce));
+    const actual = Buffer.from(String(token));
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
   }
 
   // Extract domain from email
@@ -11,64 +56,32 @@ class VerificationUtils {
     return email.split('@')[1].toLowerCase();
   }
 
-  // Check if company name matches email domain
-  static checkDomainMatch(companyName, email) {
-    const domain = this.extractDomain(email);
-    const cleanCompanyName = companyName.toLowerCase()
-      .replace(/[^a-z0-9]/g, '') // Remove special characters and spaces
-      .replace(/inc|ltd|llc|corp|corporation|company|co/g, ''); // Remove common company suffixes
-
-    // Extract main domain name (without TLD)
-    const domainName = domain.split('.')[0];
-
-    // Check various matching patterns
-    const patterns = [
-      cleanCompanyName === domainName,
-      cleanCompanyName.includes(domainName),
-      domainName.includes(cleanCompanyName),
-      // Check if company name is part of domain (e.g., "tech corp" matches "techcorp.com")
-      cleanCompanyName.replace(/\s+/g, '') === domainName,
-      // Check similarity for common variations
-      this.calculateSimilarity(cleanCompanyName, domainName) > 0.8
-    ];
-
-    return patterns.some(pattern => pattern);
+  // Organization name of an email domain: its registrable domain (eTLD+1) without the public
+  // suffix, e.g. "acme" for mail.acme.com and "ox" for ox.ac.uk. Private suffixes such as
+  // github.io count, so a site hosted there is not mistaken for the host's organization.
+  static organizationLabel(domain) {
+    return getDomainWithoutSuffix(domain, { allowPrivateDomains: true }) || null;
+  }
+
+  // Forms of an organization name a domain may spell: all of its words joined, and the words
+  // left after dropping legal suffixes and generic words such as "University"
+  static organizationNameForms(name) {
+    const words = String(name || '').toLowerCase()
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/&/g, ' and ')
+      .split(/[^a-z0-9]+/)
+      .filter(Boolean);
+    const forms = [words.join(''), words.filter(word => !ORGANIZATION_NAME_FILLER.has(word)).join('')];
+    return [...new Set(forms)].filter(form => form.length >= MIN_ORGANIZATION_NAME_LENGTH);
   }
 
-  // Calculate string similarity using Levenshtein distance
-  static calculateSimilarity(str1, str2) {
-    const matrix = [];
-    const len1 = str1.length;
-    const len2 = str2.length;
-
-    if (len1 === 0) return len2 === 0 ? 1 : 0;
-    if (len2 === 0) return 0;
-
-    // Initialize matrix
-    for (let i = 0; i <= len2; i++) {
-      matrix[i] = [i];
-    }
-    for (let j = 0; j <= len1; j++) {
-      matrix[0][j] = j;
-    }
-
-    // Fill matrix
-    for (let i = 1; i <= len2; i++) {
-      for (let j = 1; j <= len1; j++) {
-        if (str2.charAt(i - 1) === str1.charAt(j - 1)) {
-          matrix[i][j] = matrix[i - 1][j - 1];
-        } else {
-          matrix[i][j] = Math.min(
-            matrix[i - 1][j - 1] + 1, // substitution
-            matrix[i][j - 1] + 1,     // insertion
-            matrix[i - 1][j] + 1      // deletion
-          );
-        }
-      }
-    }
-
-    const maxLen = Math.max(len1, len2);
-    return (maxLen - matrix[len2][len1]) / maxLen;
+  // Check if company name matches email domain: the domain's organization label must equal the
+  // name, normalised; subdomains of that domain match too, look-alike domains do not
+  static checkDomainMatch(companyName, email) {
+    const label = this.organizationLabel(this.extractDomain(email));
+    if (!label || label.length < MIN_ORGANIZATION_NAME_LENGTH) return false;
+    return this.organizationNameForms(companyName).includes(label.replace(/[^a-z0-9]/g, ''));
   }
 
   // Validate verification code format
@@ -0,0 +1,162 @@
+import zlib from 'zlib';
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+const STORED = 0;
+const DEFLATED = 8;
+
+// Upper bound on the unpacked size of the files read from an archive, against zip bombs
+export const MAX_ZIP_UNPACKED_BYTES = 50 * 1024 * 1024;
+
+const invalidArchive = (reason) => Object.assign(new Error(`Invalid ZIP archive: ${reason}`), { invalidArchive: true });
+
+function findEndOfCentralDirectory(buffer) {
+  // The record is 22 bytes followed by a comment of up to 64 KB
+  const earliest = Math.max(0, buffer.length - 22 - 0xffff);
+  for (let offset = buffer.length - 22; offset >= earliest; offset--) {
+    if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) return offset;
+  }
+  throw invalidArchive('end of central directory not found');
+}
+
+/**
+ * Read files from an in-memory ZIP archive. Only stored and deflated entries are supported,
+ * which covers archives produced by common tools; ZIP64 and encrypted archives are rejected.
+ * @param {Buffer} buffer
+ * @param {Object} [options]
+ * @param {function(string): boolean} [options.filter] - Entry names to extract; all files when omitted.
+ * @returns {Map<string, Buffer>} Entry name -> contents.
+ * @throws {Error} With invalidArchive set when the archive cannot be read.
+ */
+export function readZipEntries(buffer, { filter = () => true } = {}) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 22) throw invalidArchive('file too small');
+
+  const end = findEndOfCentralDirectory(buffer);
+  const entryCount = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  if (entryCount === 0xffff || offset === 0xffffffff) throw invalidArchive('ZIP64 archives are not supported');
+
+  const entries = new Map();
+  let unpackedBytes = 0;
+  for (let i = 0; i < entryCount; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_HEADER) {
+      throw invalidArchive('corrupt central directory');
+    }
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/') || !filter(name)) continue;
+    if (flags & 0x1) throw invalidArchive(`${name} is encrypted`);
+    if (method !== STORED && method !== DEFLATED) throw invalidArchive(`${name} uses an unsupported compression method`);
+
+    unpackedBytes += size;
+    if (unpackedBytes > MAX_ZIP_UNPACKED_BYTES) throw invalidArchive('archive contents are too large');
+
+    if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== LOCAL_FILE_HEADER) {
+      throw invalidArchive(`corrupt local header for ${name}`);
+    }
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    try {
+      entries.set(name, method === STORED ? Buffer.from(data) : zlib.inflateRawSync(data, { maxOutputLength: size || 1 }));
+    } catch (error) {
+      throw invalidArchive(`${name} could not be decompressed`);
+    }
+  }
+  return entries;
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS date and time fields used by ZIP headers
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * Build a ZIP archive in memory, deflating each file. Archives are limited to 65535 entries
+ * and 4 GB, as ZIP64 is not written.
+ * @param {Map<string, Buffer|string>|Object<string, Buffer|string>} files - Entry name -> contents.
+ * @param {Object} [options]
+ * @param {Date} [options.modifiedAt] - Modification time recorded for every entry.
+ * @returns {Buffer}
+ */
+export function createZipArchive(files, { modifiedAt = new Date() } = {}) {
+  const entries = files instanceof Map ? [...files] : Object.entries(files);
+  if (entries.length >= 0xffff) throw new Error('Too many files for a ZIP archive');
+
+  const { time, date } = dosDateTime(modifiedAt);
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  entries.forEach(([name, contents]) => {
+    const nameBuffer = Buffer.from(name, 'utf8');
+    const data = Buffer.isBuffer(contents) ? contents : Buffer.from(String(contents), 'utf8');
+    const compressed = zlib.deflateRawSync(data);
+    const checksum = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(LOCAL_FILE_HEADER, 0);
+    local.writeUInt16LE(20, 4); // version needed to extract
+    local.writeUInt16LE(0x800, 6); // names are UTF-8
+    local.writeUInt16LE(DEFLATED, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(checksum, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(CENTRAL_DIRECTORY_HEADER, 0);
+    central.writeUInt16LE(20, 4); // version made by
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x800, 8);
+    central.writeUInt16LE(DEFLATED, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(checksum, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBuffer, compressed);
+    centrals.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + compressed.length;
+  });
+
+  const centralDirectory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, centralDirectory, end]);
+}